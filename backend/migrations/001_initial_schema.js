@@ -0,0 +1,341 @@
+// Initial schema: every table the services and routes use.
+//
+// Written with IF NOT EXISTS so databases created by the old
+// DatabaseService.createTables() adopt it cleanly; the ALTERs at the end add
+// the columns those databases were missing.
+
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                email VARCHAR(255) UNIQUE NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                name VARCHAR(255),
+                preferences JSON,
+                travel_style VARCHAR(50) DEFAULT 'moderate',
+                calendar_token VARCHAR(64) NULL UNIQUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trips (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                title VARCHAR(255) NOT NULL,
+                destination VARCHAR(255) NOT NULL,
+                start_date DATE,
+                end_date DATE,
+                timezone VARCHAR(64) NULL,
+                duration INT,
+                budget DECIMAL(10,2),
+                travel_style VARCHAR(50),
+                interests JSON,
+                itinerary JSON,
+                status ENUM('planning', 'active', 'completed') DEFAULT 'planning',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS memories (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                trip_id INT,
+                title VARCHAR(255) NOT NULL,
+                description TEXT,
+                memory_type ENUM('experience', 'photo', 'note', 'recommendation') DEFAULT 'experience',
+                location JSON,
+                notes TEXT,
+                rating INT CHECK (rating >= 1 AND rating <= 5),
+                tags JSON,
+                photos JSON,
+                memory_date DATE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (trip_id) REFERENCES trips(id)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS expenses (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                trip_id INT,
+                title VARCHAR(255) NOT NULL,
+                description TEXT,
+                amount DECIMAL(10,2) NOT NULL,
+                currency VARCHAR(3) DEFAULT 'USD',
+                category VARCHAR(50),
+                expense_date DATE,
+                receipt_photos JSON,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (trip_id) REFERENCES trips(id)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS analytics_events (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                event_type VARCHAR(100) NOT NULL,
+                event_data JSON,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_event (user_id, event_type),
+                INDEX idx_created (created_at)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ai_threads (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                trip_id INT,
+                title VARCHAR(255) NOT NULL DEFAULT 'New conversation',
+                summary MEDIUMTEXT,
+                summarized_through INT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE SET NULL,
+                INDEX idx_user_updated (user_id, updated_at)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ai_conversations (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                thread_id INT NULL,
+                user_message MEDIUMTEXT,
+                ai_response JSON,
+                context JSON,
+                model_used VARCHAR(100),
+                response_time_ms INT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                INDEX idx_thread_id (thread_id),
+                CONSTRAINT fk_ai_conversations_thread
+                    FOREIGN KEY (thread_id) REFERENCES ai_threads(id) ON DELETE CASCADE
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS user_locations (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                latitude DECIMAL(10,8),
+                longitude DECIMAL(11,8),
+                accuracy INT,
+                recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS bookings (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                trip_id INT NOT NULL,
+                booking_type ENUM('flight', 'hotel', 'activity', 'transport', 'other') DEFAULT 'other',
+                title VARCHAR(255) NOT NULL,
+                confirmation_number VARCHAR(100),
+                provider VARCHAR(255),
+                status VARCHAR(50) DEFAULT 'confirmed',
+                booking_date DATE,
+                booking_time TIME,
+                end_date DATE NULL,
+                end_time TIME NULL,
+                timezone VARCHAR(64) NULL,
+                location VARCHAR(255),
+                cost DECIMAL(10,2),
+                currency VARCHAR(3) DEFAULT 'USD',
+                details TEXT,
+                alert_message VARCHAR(255),
+                alert_time DATETIME,
+                flight_number VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                INDEX idx_trip_id (trip_id),
+                INDEX idx_user_id (user_id),
+                INDEX idx_booking_date (booking_date)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trip_flights (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                trip_id INT NOT NULL,
+                user_id INT NOT NULL,
+                offer_id VARCHAR(255),
+                origin VARCHAR(10),
+                destination VARCHAR(10),
+                departure_date DATE,
+                return_date DATE,
+                price DECIMAL(10,2),
+                currency VARCHAR(10),
+                airline VARCHAR(50),
+                airline_name VARCHAR(255),
+                itinerary_data JSON,
+                passengers INT,
+                travel_class VARCHAR(50),
+                status VARCHAR(50) DEFAULT 'selected',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_trip (trip_id),
+                INDEX idx_user (user_id)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trip_reminders (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                trip_id INT NOT NULL,
+                title VARCHAR(255) NOT NULL,
+                reminder_date DATETIME NOT NULL,
+                type VARCHAR(50) DEFAULT 'general',
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                INDEX idx_trip_date (trip_id, reminder_date)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trip_members (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                trip_id INT NOT NULL,
+                user_id INT NOT NULL,
+                role ENUM('editor', 'viewer') NOT NULL DEFAULT 'viewer',
+                invited_by INT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+                UNIQUE KEY uniq_trip_user (trip_id, user_id),
+                INDEX idx_user_id (user_id)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trip_invitations (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                trip_id INT NOT NULL,
+                email VARCHAR(255),
+                role ENUM('editor', 'viewer') NOT NULL DEFAULT 'viewer',
+                token VARCHAR(64) NOT NULL UNIQUE,
+                invited_by INT,
+                status ENUM('pending', 'accepted', 'declined', 'revoked') DEFAULT 'pending',
+                accepted_by INT,
+                expires_at DATETIME NOT NULL,
+                responded_at DATETIME,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (accepted_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_email_status (email, status)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trip_share_links (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                trip_id INT NOT NULL,
+                token VARCHAR(64) NOT NULL UNIQUE,
+                created_by INT,
+                expires_at DATETIME,
+                revoked_at DATETIME,
+                view_count INT DEFAULT 0,
+                last_viewed_at DATETIME,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_trip_id (trip_id)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                trip_id INT,
+                booking_id INT,
+                type ENUM('booking_reminder', 'checkin_reminder', 'weather_alert', 'flight_delay', 'flight_update', 'general') DEFAULT 'general',
+                title VARCHAR(255) NOT NULL,
+                message TEXT NOT NULL,
+                priority ENUM('low', 'medium', 'high', 'urgent') DEFAULT 'medium',
+                dismissed BOOLEAN DEFAULT FALSE,
+                read_at TIMESTAMP NULL,
+                action_url VARCHAR(500),
+                metadata JSON,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                INDEX idx_user_id (user_id),
+                INDEX idx_dismissed (dismissed),
+                INDEX idx_created_at (created_at),
+                INDEX idx_type (type)
+            ) ${TABLE_OPTIONS}
+        `);
+
+        // Databases created by createTables() predate these columns, and their
+        // longitude column was too narrow for anything past 99 degrees
+        await db.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) NULL UNIQUE
+        `);
+        await db.query(`
+            ALTER TABLE trips
+                ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NULL AFTER end_date
+        `);
+        await db.query(`
+            ALTER TABLE user_locations
+                MODIFY COLUMN longitude DECIMAL(11,8)
+        `);
+        await db.query(`
+            ALTER TABLE memories
+                ADD COLUMN IF NOT EXISTS location JSON AFTER memory_type,
+                ADD COLUMN IF NOT EXISTS notes TEXT AFTER location
+        `);
+        await db.query(`
+            ALTER TABLE ai_conversations
+                ADD COLUMN IF NOT EXISTS thread_id INT NULL AFTER user_id,
+                ADD INDEX IF NOT EXISTS idx_thread_id (thread_id),
+                ADD CONSTRAINT fk_ai_conversations_thread
+                    FOREIGN KEY IF NOT EXISTS (thread_id) REFERENCES ai_threads(id) ON DELETE CASCADE
+        `);
+        await db.query(`
+            ALTER TABLE bookings
+                ADD COLUMN IF NOT EXISTS end_date DATE NULL AFTER booking_time,
+                ADD COLUMN IF NOT EXISTS end_time TIME NULL AFTER end_date,
+                ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NULL AFTER end_time,
+                ADD COLUMN IF NOT EXISTS flight_number VARCHAR(50) AFTER alert_time
+        `);
+    },
+
+    async down(db) {
+        // Children before parents so the foreign keys never block a drop
+        const tables = [
+            'notifications', 'trip_share_links', 'trip_invitations', 'trip_members',
+            'trip_reminders', 'trip_flights', 'bookings', 'user_locations',
+            'ai_conversations', 'ai_threads', 'analytics_events', 'expenses',
+            'memories', 'trips', 'users'
+        ];
+
+        for (const table of tables) {
+            await db.query(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
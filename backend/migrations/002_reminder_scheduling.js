@@ -0,0 +1,66 @@
+// Reminders that actually fire: who owns them, optional booking link,
+// recurrence, snooze / done state, and a notification type for them.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE trip_reminders
+                ADD COLUMN IF NOT EXISTS user_id INT NULL AFTER trip_id,
+                ADD COLUMN IF NOT EXISTS booking_id INT NULL AFTER user_id,
+                ADD COLUMN IF NOT EXISTS recurrence ENUM('none', 'daily', 'weekly', 'monthly') NOT NULL DEFAULT 'none' AFTER notes,
+                ADD COLUMN IF NOT EXISTS recurrence_until DATE NULL AFTER recurrence,
+                ADD COLUMN IF NOT EXISTS status ENUM('active', 'done') NOT NULL DEFAULT 'active' AFTER recurrence_until,
+                ADD COLUMN IF NOT EXISTS snoozed_until DATETIME NULL AFTER status,
+                ADD COLUMN IF NOT EXISTS last_notified_at DATETIME NULL AFTER snoozed_until,
+                ADD COLUMN IF NOT EXISTS completed_at DATETIME NULL AFTER last_notified_at,
+                ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                ADD INDEX IF NOT EXISTS idx_status_date (status, reminder_date),
+                ADD CONSTRAINT fk_trip_reminders_user
+                    FOREIGN KEY IF NOT EXISTS (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                ADD CONSTRAINT fk_trip_reminders_booking
+                    FOREIGN KEY IF NOT EXISTS (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+        `);
+
+        // Reminders created before this had no owner; the trip owner gets them
+        await db.query(`
+            UPDATE trip_reminders r
+            INNER JOIN trips t ON r.trip_id = t.id
+            SET r.user_id = t.user_id
+            WHERE r.user_id IS NULL
+        `);
+
+        await db.query(`
+            ALTER TABLE notifications
+                MODIFY COLUMN type ENUM('booking_reminder', 'checkin_reminder', 'weather_alert', 'flight_delay', 'flight_update', 'trip_reminder', 'general') DEFAULT 'general',
+                ADD COLUMN IF NOT EXISTS reminder_id INT NULL AFTER booking_id,
+                ADD CONSTRAINT fk_notifications_reminder
+                    FOREIGN KEY IF NOT EXISTS (reminder_id) REFERENCES trip_reminders(id) ON DELETE CASCADE
+        `);
+    },
+
+    async down(db) {
+        await db.query(`DELETE FROM notifications WHERE type = 'trip_reminder'`);
+        await db.query(`
+            ALTER TABLE notifications
+                DROP FOREIGN KEY IF EXISTS fk_notifications_reminder,
+                DROP COLUMN IF EXISTS reminder_id,
+                MODIFY COLUMN type ENUM('booking_reminder', 'checkin_reminder', 'weather_alert', 'flight_delay', 'flight_update', 'general') DEFAULT 'general'
+        `);
+
+        await db.query(`
+            ALTER TABLE trip_reminders
+                DROP FOREIGN KEY IF EXISTS fk_trip_reminders_booking,
+                DROP FOREIGN KEY IF EXISTS fk_trip_reminders_user,
+                DROP INDEX IF EXISTS idx_status_date,
+                DROP COLUMN IF EXISTS updated_at,
+                DROP COLUMN IF EXISTS completed_at,
+                DROP COLUMN IF EXISTS last_notified_at,
+                DROP COLUMN IF EXISTS snoozed_until,
+                DROP COLUMN IF EXISTS status,
+                DROP COLUMN IF EXISTS recurrence_until,
+                DROP COLUMN IF EXISTS recurrence,
+                DROP COLUMN IF EXISTS booking_id,
+                DROP COLUMN IF EXISTS user_id
+        `);
+    }
+};
@@ -0,0 +1,34 @@
+// Multi-currency support: cached historical exchange rates, a home currency
+// per user and an optional currency per trip (budgets and rollups use it).
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS exchange_rates (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                base CHAR(3) NOT NULL,
+                quote CHAR(3) NOT NULL,
+                rate DECIMAL(20,10) NOT NULL,
+                rate_date DATE NOT NULL,
+                source VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_pair_date (base, quote, rate_date)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await db.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS home_currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER travel_style
+        `);
+        await db.query(`
+            ALTER TABLE trips
+                ADD COLUMN IF NOT EXISTS currency CHAR(3) NULL AFTER budget
+        `);
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE trips DROP COLUMN IF EXISTS currency');
+        await db.query('ALTER TABLE users DROP COLUMN IF EXISTS home_currency');
+        await db.query('DROP TABLE IF EXISTS exchange_rates');
+    }
+};
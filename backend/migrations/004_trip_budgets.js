@@ -0,0 +1,41 @@
+// Budget vs. actual: per-category budgets for a trip, the percentage at
+// which the scheduler warns, and a notification type for those warnings.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trip_budgets (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                trip_id INT NOT NULL,
+                category VARCHAR(30) NOT NULL,
+                amount DECIMAL(12,2) NOT NULL,
+                alert_level SMALLINT NULL,
+                alerted_at DATETIME NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                UNIQUE KEY uniq_trip_category (trip_id, category)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await db.query(`
+            ALTER TABLE trips
+                ADD COLUMN IF NOT EXISTS budget_alert_percent TINYINT UNSIGNED NOT NULL DEFAULT 80 AFTER currency
+        `);
+
+        await db.query(`
+            ALTER TABLE notifications
+                MODIFY COLUMN type ENUM('booking_reminder', 'checkin_reminder', 'weather_alert', 'flight_delay', 'flight_update', 'trip_reminder', 'budget_alert', 'general') DEFAULT 'general'
+        `);
+    },
+
+    async down(db) {
+        await db.query(`DELETE FROM notifications WHERE type = 'budget_alert'`);
+        await db.query(`
+            ALTER TABLE notifications
+                MODIFY COLUMN type ENUM('booking_reminder', 'checkin_reminder', 'weather_alert', 'flight_delay', 'flight_update', 'trip_reminder', 'general') DEFAULT 'general'
+        `);
+        await db.query('ALTER TABLE trips DROP COLUMN IF EXISTS budget_alert_percent');
+        await db.query('DROP TABLE IF EXISTS trip_budgets');
+    }
+};
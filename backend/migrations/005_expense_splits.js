@@ -0,0 +1,86 @@
+// Shared expenses: who paid, how each expense is split between trip members
+// and named guests without accounts, and payments recorded to settle up.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trip_guests (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                trip_id INT NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                created_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_trip_id (trip_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        // Existing expenses were paid by whoever logged them and aren't split
+        await db.query(`
+            ALTER TABLE expenses
+                ADD COLUMN IF NOT EXISTS paid_by_user_id INT NULL AFTER trip_id,
+                ADD COLUMN IF NOT EXISTS paid_by_guest_id INT NULL AFTER paid_by_user_id,
+                ADD COLUMN IF NOT EXISTS split_method ENUM('none', 'equal', 'shares', 'exact') NOT NULL DEFAULT 'none' AFTER category,
+                ADD CONSTRAINT fk_expenses_paid_by_user
+                    FOREIGN KEY IF NOT EXISTS (paid_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+                ADD CONSTRAINT fk_expenses_paid_by_guest
+                    FOREIGN KEY IF NOT EXISTS (paid_by_guest_id) REFERENCES trip_guests(id)
+        `);
+        await db.query('UPDATE expenses SET paid_by_user_id = user_id WHERE paid_by_user_id IS NULL AND paid_by_guest_id IS NULL');
+
+        // Guests can't be deleted while an expense or payment refers to them
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS expense_splits (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                expense_id INT NOT NULL,
+                user_id INT NULL,
+                guest_id INT NULL,
+                shares DECIMAL(10,4) NULL,
+                amount DECIMAL(12,2) NOT NULL,
+                FOREIGN KEY (expense_id) REFERENCES expenses(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (guest_id) REFERENCES trip_guests(id),
+                INDEX idx_expense_id (expense_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS settlements (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                trip_id INT NOT NULL,
+                from_user_id INT NULL,
+                from_guest_id INT NULL,
+                to_user_id INT NULL,
+                to_guest_id INT NULL,
+                amount DECIMAL(12,2) NOT NULL,
+                currency CHAR(3) NOT NULL,
+                settled_on DATE NOT NULL,
+                note VARCHAR(255),
+                created_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+                FOREIGN KEY (from_user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (to_user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (from_guest_id) REFERENCES trip_guests(id),
+                FOREIGN KEY (to_guest_id) REFERENCES trip_guests(id),
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_trip_id (trip_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS settlements');
+        await db.query('DROP TABLE IF EXISTS expense_splits');
+        await db.query(`
+            ALTER TABLE expenses
+                DROP FOREIGN KEY IF EXISTS fk_expenses_paid_by_guest,
+                DROP FOREIGN KEY IF EXISTS fk_expenses_paid_by_user,
+                DROP COLUMN IF EXISTS split_method,
+                DROP COLUMN IF EXISTS paid_by_guest_id,
+                DROP COLUMN IF EXISTS paid_by_user_id
+        `);
+        await db.query('DROP TABLE IF EXISTS trip_guests');
+    }
+};
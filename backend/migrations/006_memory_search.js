@@ -0,0 +1,17 @@
+// Memory search and editing: a full-text index over the written parts of a
+// memory and an updated_at stamp for edits.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE memories
+                ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP AFTER created_at,
+                ADD FULLTEXT INDEX IF NOT EXISTS ft_memories_text (title, description, notes)
+        `);
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE memories DROP INDEX IF EXISTS ft_memories_text');
+        await db.query('ALTER TABLE memories DROP COLUMN IF EXISTS updated_at');
+    }
+};
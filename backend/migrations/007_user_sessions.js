@@ -0,0 +1,31 @@
+// Login sessions: one row per signed-in device, holding the hash of its
+// current refresh token (and the one it replaced, to spot a stolen token
+// being replayed). Access tokens name their session so revoking the row
+// signs the device out.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+                previous_token_hash CHAR(64) NULL,
+                device VARCHAR(100),
+                user_agent VARCHAR(255),
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME NULL,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_id (user_id),
+                INDEX idx_previous_token_hash (previous_token_hash)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS user_sessions');
+    }
+};
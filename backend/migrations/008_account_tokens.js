@@ -0,0 +1,32 @@
+// Email verification and password resets. Users get an email_verified_at
+// stamp (existing accounts count as verified); user_tokens holds the hashes
+// of the single-use links mailed out for either purpose.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS email_verified_at DATETIME NULL
+        `);
+        await db.query('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL');
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS user_tokens (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                purpose ENUM('verify_email', 'reset_password') NOT NULL,
+                token_hash CHAR(64) NOT NULL UNIQUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_purpose (user_id, purpose)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS user_tokens');
+        await db.query('ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at');
+    }
+};
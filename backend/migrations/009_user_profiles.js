@@ -0,0 +1,29 @@
+// Travel profile: the preferences a user sets once and every AI prompt,
+// places search and flight search picks up. Interests stay in
+// users.preferences and the budget level in users.travel_style.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS dietary_restrictions JSON NULL AFTER home_currency,
+                ADD COLUMN IF NOT EXISTS accessibility_needs JSON NULL AFTER dietary_restrictions,
+                ADD COLUMN IF NOT EXISTS pace VARCHAR(20) NULL AFTER accessibility_needs,
+                ADD COLUMN IF NOT EXISTS home_airport CHAR(3) NULL AFTER pace,
+                ADD COLUMN IF NOT EXISTS languages JSON NULL AFTER home_airport,
+                ADD COLUMN IF NOT EXISTS preferred_airlines JSON NULL AFTER languages
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            ALTER TABLE users
+                DROP COLUMN IF EXISTS preferred_airlines,
+                DROP COLUMN IF EXISTS languages,
+                DROP COLUMN IF EXISTS home_airport,
+                DROP COLUMN IF EXISTS pace,
+                DROP COLUMN IF EXISTS accessibility_needs,
+                DROP COLUMN IF EXISTS dietary_restrictions
+        `);
+    }
+};
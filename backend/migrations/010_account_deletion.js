@@ -0,0 +1,50 @@
+// Deleting an account: every table that points at users (or at the trips
+// and rows removed with them) now cascades, so DELETE FROM users takes the
+// account's data with it. Memories outlive a deleted trip without it.
+// expenses.user_id is the exception: an expense logged on someone else's
+// trip is part of that trip's balances, so deleteUserAccount hands it to
+// the trip owner and the key refuses to delete it silently.
+
+// [table, column, referenced table, ON DELETE]
+const FOREIGN_KEYS = [
+    ['trips', 'user_id', 'users', 'CASCADE'],
+    ['memories', 'user_id', 'users', 'CASCADE'],
+    ['memories', 'trip_id', 'trips', 'SET NULL'],
+    ['expenses', 'user_id', 'users', 'RESTRICT'],
+    ['expenses', 'trip_id', 'trips', 'CASCADE'],
+    ['ai_conversations', 'user_id', 'users', 'CASCADE'],
+    ['user_locations', 'user_id', 'users', 'CASCADE']
+];
+
+// Constraint names differ between databases built by 001 and by the old
+// createTables(), so look them up rather than assuming them
+async function replaceForeignKey(db, table, column, referenced, onDelete) {
+    const constraints = await db.query(`
+        SELECT CONSTRAINT_NAME as name
+        FROM information_schema.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME = ?
+    `, [table, column, referenced]);
+
+    for (const { name } of constraints) {
+        await db.query(`ALTER TABLE ${table} DROP FOREIGN KEY \`${name}\``);
+    }
+    await db.query(`
+        ALTER TABLE ${table}
+            ADD CONSTRAINT fk_${table}_${column}
+                FOREIGN KEY (${column}) REFERENCES ${referenced}(id) ON DELETE ${onDelete}
+    `);
+}
+
+module.exports = {
+    async up(db) {
+        for (const [table, column, referenced, onDelete] of FOREIGN_KEYS) {
+            await replaceForeignKey(db, table, column, referenced, onDelete);
+        }
+    },
+
+    async down(db) {
+        for (const [table, column, referenced] of FOREIGN_KEYS) {
+            await replaceForeignKey(db, table, column, referenced, 'RESTRICT');
+        }
+    }
+};
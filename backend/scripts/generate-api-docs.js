@@ -0,0 +1,32 @@
+// Write the API reference (API.md at the repository root) from the request
+// schemas in services/apiSchemas.js. Run after changing a route or its
+// schema; GET /api/docs serves the same reference as OpenAPI.
+//
+//   node scripts/generate-api-docs.js [--openapi <file>]
+//
+// --openapi also writes the OpenAPI document as JSON, e.g. for client
+// generators.
+
+const fs = require('fs');
+const path = require('path');
+const ApiDocs = require('../services/apiDocs');
+
+const OUTPUT = path.join(__dirname, '..', '..', 'API.md');
+
+function main() {
+    fs.writeFileSync(OUTPUT, ApiDocs.markdown());
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+
+    const openApiIndex = process.argv.indexOf('--openapi');
+    if (openApiIndex !== -1) {
+        const file = process.argv[openApiIndex + 1];
+        if (!file) {
+            console.error('--openapi needs a file name');
+            process.exit(1);
+        }
+        fs.writeFileSync(file, `${JSON.stringify(ApiDocs.openApiDocument(), null, 2)}\n`);
+        console.log(`Wrote ${file}`);
+    }
+}
+
+main();
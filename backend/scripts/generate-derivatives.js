@@ -0,0 +1,117 @@
+// Generate thumbnail and medium derivatives for photos uploaded before they
+// were created on upload, and rotate those originals upright.
+//
+// Walks memories.photos and expenses.receipt_photos, processes every photo
+// without derivatives whose file is still in storage and records the
+// derivatives back in the JSON. Safe to run more than once.
+//
+//   node scripts/generate-derivatives.js [--dry-run] [--force]
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseService } = require('../services/database');
+const { ImageService } = require('../services/images');
+const { Storage, createStorage } = require('../services/storage');
+
+// Table, JSON column holding the photo records
+const PHOTO_COLUMNS = [
+    ['memories', 'photos'],
+    ['expenses', 'receipt_photos']
+];
+
+// Process one stored photo in a scratch dir and put the results back.
+// Returns the derivatives, or null when the file is not in storage.
+async function processPhoto(storage, photo) {
+    const original = await storage.read(photo.filename);
+    if (!original) return null;
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'travelmind-derivatives-'));
+    try {
+        const filePath = path.join(workDir, photo.filename);
+        await fs.promises.writeFile(filePath, original);
+
+        const { rotated, derivatives } = await ImageService.process(filePath);
+        if (rotated) {
+            await storage.putFile(photo.filename, filePath);
+        }
+        for (const derivative of Object.values(derivatives)) {
+            await storage.putFile(derivative.filename, path.join(workDir, derivative.filename));
+        }
+        return derivatives;
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+async function generateDerivatives({ dryRun = false, force = false, storage = createStorage() } = {}) {
+    const database = new DatabaseService();
+    await database.initialize();
+
+    const stats = { checked: 0, processed: 0, missing: 0, failed: 0 };
+
+    try {
+        for (const [table, column] of PHOTO_COLUMNS) {
+            const rows = await database.pool.query(
+                `SELECT id, ${column} AS photos FROM ${table} WHERE ${column} IS NOT NULL AND JSON_LENGTH(${column}) > 0`
+            );
+
+            for (const row of rows) {
+                const photos = database.safeJsonParse(row.photos, []);
+                let changed = false;
+
+                for (const photo of photos) {
+                    stats.checked++;
+                    if (!Storage.isValidKey(photo.filename) || (!force && !ImageService.needsDerivatives(photo))) {
+                        continue;
+                    }
+                    if (dryRun) {
+                        stats.processed++;
+                        continue;
+                    }
+
+                    const derivatives = await processPhoto(storage, photo);
+                    if (!derivatives) {
+                        stats.missing++;
+                        console.warn(`⚠️  ${table} ${row.id}: ${photo.filename} not found`);
+                    } else if (!ImageService.needsDerivatives({ derivatives })) {
+                        photo.derivatives = derivatives;
+                        changed = true;
+                        stats.processed++;
+                        console.log(`✅ ${table} ${row.id}: ${photo.filename}`);
+                    } else {
+                        stats.failed++;
+                        console.error(`❌ ${table} ${row.id}: ${photo.filename} could not be processed`);
+                    }
+                }
+
+                if (changed) {
+                    await database.pool.query(
+                        `UPDATE ${table} SET ${column} = ? WHERE id = ?`,
+                        [JSON.stringify(photos), row.id]
+                    );
+                }
+            }
+        }
+    } finally {
+        await database.close();
+    }
+
+    console.log(`📊 Checked ${stats.checked}, processed ${stats.processed}, missing ${stats.missing}, failed ${stats.failed}${dryRun ? ' (dry run)' : ''}`);
+    return stats;
+}
+
+if (require.main === module) {
+    generateDerivatives({
+        dryRun: process.argv.includes('--dry-run'),
+        force: process.argv.includes('--force')
+    })
+        .then(stats => process.exit(stats.failed ? 1 : 0))
+        .catch(error => {
+            console.error('❌ Derivative generation failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { generateDerivatives };
@@ -0,0 +1,62 @@
+// Convert legacy free-text itineraries to the structured JSON model.
+//
+// Rows are already converted on read by DatabaseService, this rewrites them
+// in place so the stored data matches. Safe to run more than once.
+//
+//   node scripts/migrate-itineraries.js [--dry-run]
+
+require('dotenv').config();
+const { DatabaseService } = require('../services/database');
+const { ItineraryService } = require('../services/itinerary');
+
+async function migrateItineraries({ dryRun = false } = {}) {
+    const database = new DatabaseService();
+    await database.initialize();
+
+    const stats = { checked: 0, migrated: 0, failed: 0 };
+
+    try {
+        const trips = await database.pool.query(
+            'SELECT id, destination, start_date, itinerary FROM trips'
+        );
+
+        for (const trip of trips) {
+            stats.checked++;
+            const stored = database.safeJsonParse(trip.itinerary, null);
+            if (ItineraryService.isStructured(stored) && !ItineraryService.validate(stored).errors) {
+                continue;
+            }
+
+            try {
+                const itinerary = database.parseItinerary(trip);
+                if (!dryRun) {
+                    await database.pool.query(
+                        'UPDATE trips SET itinerary = ?, updated_at = NOW() WHERE id = ?',
+                        [JSON.stringify(itinerary), trip.id]
+                    );
+                }
+                stats.migrated++;
+                console.log(`✅ Trip ${trip.id}: ${itinerary.days.length} day(s)`);
+            } catch (error) {
+                stats.failed++;
+                console.error(`❌ Trip ${trip.id}:`, error.message);
+            }
+        }
+    } finally {
+        await database.close();
+    }
+
+    console.log(`📊 Checked ${stats.checked}, migrated ${stats.migrated}, failed ${stats.failed}${dryRun ? ' (dry run)' : ''}`);
+    return stats;
+}
+
+if (require.main === module) {
+    migrateItineraries({ dryRun: process.argv.includes('--dry-run') })
+        .then(stats => process.exit(stats.failed ? 1 : 0))
+        .catch(error => {
+            console.error('❌ Itinerary migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateItineraries };
@@ -0,0 +1,65 @@
+// Apply, revert or list schema migrations (backend/migrations).
+//
+//   node scripts/migrate.js [up] [--to <version>]
+//   node scripts/migrate.js down [--steps <n>]
+//   node scripts/migrate.js status
+
+require('dotenv').config();
+const { DatabaseService } = require('../services/database');
+const { MigrationService } = require('../services/migrations');
+
+function optionValue(args, name) {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+}
+
+async function migrate(args = []) {
+    const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+    const database = new DatabaseService();
+    await database.initialize();
+
+    try {
+        const migrations = new MigrationService(database);
+
+        if (command === 'status') {
+            const rows = await migrations.status();
+            for (const row of rows) {
+                const state = row.missing ? 'missing file' : row.applied ? `applied (batch ${row.batch})` : 'pending';
+                console.log(`${row.applied ? '✅' : '⏳'} ${row.version}_${row.name}  ${state}`);
+            }
+            console.log(`📊 ${rows.filter(r => r.applied).length} applied, ${rows.filter(r => !r.applied).length} pending`);
+            return;
+        }
+
+        if (command === 'down') {
+            const steps = parseInt(optionValue(args, '--steps') || '1', 10);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('--steps must be a positive number');
+            }
+            const reverted = await migrations.down({ steps });
+            console.log(reverted.length ? `✅ Reverted ${reverted.join(', ')}` : 'ℹ️  Nothing to revert');
+            return;
+        }
+
+        if (command === 'up') {
+            const applied = await migrations.up({ to: optionValue(args, '--to') });
+            console.log(applied.length ? `✅ Applied ${applied.join(', ')}` : '✅ Database schema is up to date');
+            return;
+        }
+
+        throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    } finally {
+        await database.close();
+    }
+}
+
+if (require.main === module) {
+    migrate(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Migration failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrate };
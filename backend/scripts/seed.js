@@ -0,0 +1,132 @@
+// Load a demo account with a planned trip, a booking, an expense and a
+// memory. Skips everything when the demo user already exists.
+//
+//   node scripts/seed.js
+//
+// Log in with SEED_USER_EMAIL / SEED_USER_PASSWORD
+// (default demo@travelmind.ai / travelmind-demo).
+
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { DatabaseService } = require('../services/database');
+const { ItineraryService } = require('../services/itinerary');
+
+const DEMO_EMAIL = process.env.SEED_USER_EMAIL || 'demo@travelmind.ai';
+const DEMO_PASSWORD = process.env.SEED_USER_PASSWORD || 'travelmind-demo';
+
+// Local YYYY-MM-DD, days from today
+function dateFromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return ItineraryService.formatLocalDate(date);
+}
+
+function demoItinerary() {
+    return ItineraryService.repair({
+        summary: 'Three days of temples, markets and food in Kyoto.',
+        currency: 'JPY',
+        days: [
+            {
+                title: 'Arrival and Gion',
+                items: [
+                    { startTime: '15:00', title: 'Check in at the ryokan', category: 'lodging' },
+                    { startTime: '18:00', endTime: '20:00', title: 'Evening walk through Gion', place: { name: 'Gion' } },
+                    { startTime: '20:00', title: 'Dinner at Pontocho Alley', category: 'meal', cost: { amount: 6000, currency: 'JPY' } }
+                ]
+            },
+            {
+                title: 'Eastern Temples',
+                items: [
+                    { startTime: '08:00', endTime: '10:00', title: 'Fushimi Inari Shrine', place: { name: 'Fushimi Inari Taisha' } },
+                    { startTime: '12:00', title: 'Lunch at Nishiki Market', category: 'meal', cost: { amount: 2500, currency: 'JPY' } },
+                    { startTime: '14:00', endTime: '16:00', title: 'Kiyomizu-dera', cost: { amount: 400, currency: 'JPY' } }
+                ]
+            },
+            {
+                title: 'Arashiyama',
+                items: [
+                    { startTime: '09:00', endTime: '11:00', title: 'Bamboo Grove and Tenryu-ji', cost: { amount: 500, currency: 'JPY' } },
+                    { startTime: '16:00', title: 'Train back to Kyoto Station', category: 'transport' }
+                ]
+            }
+        ],
+        tips: ['Buy an ICOCA card for buses and trains.', 'Temples open early; go before the tour groups.']
+    }, { destination: 'Kyoto, Japan', source: 'manual' });
+}
+
+async function seed() {
+    const database = new DatabaseService();
+    await database.initialize();
+
+    try {
+        if (await database.getUserByEmail(DEMO_EMAIL)) {
+            console.log(`ℹ️  ${DEMO_EMAIL} already exists, skipping seed`);
+            return;
+        }
+
+        const userId = await database.createUser(DEMO_EMAIL, await bcrypt.hash(DEMO_PASSWORD, 12), 'Demo Traveller');
+
+        const startDate = dateFromToday(30);
+        const tripId = await database.createTrip(userId, {
+            title: 'Autumn in Kyoto',
+            destination: 'Kyoto, Japan',
+            startDate,
+            endDate: dateFromToday(32),
+            duration: 3,
+            budget: 1500,
+            travelStyle: 'moderate',
+            interests: ['culture', 'food', 'history'],
+            itinerary: ItineraryService.recalculate(demoItinerary())
+        });
+
+        await database.createBooking(userId, tripId, {
+            type: 'hotel',
+            title: 'Ryokan Sakura',
+            confirmationNumber: 'DEMO-4821',
+            bookingDate: startDate,
+            bookingTime: '15:00',
+            endDate: dateFromToday(32),
+            endTime: '10:00',
+            timezone: 'Asia/Tokyo',
+            location: 'Higashiyama, Kyoto',
+            cost: 540,
+            currency: 'USD'
+        });
+
+        await database.pool.query(`
+            INSERT INTO expenses (user_id, trip_id, title, amount, currency, category, expense_date)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [userId, tripId, 'JR Pass', 210, 'USD', 'transport', dateFromToday(-7)]);
+
+        await database.pool.query(`
+            INSERT INTO memories (user_id, trip_id, memory_type, title, description, location, notes, rating, tags, photos, memory_date)
+            VALUES (?, ?, 'recommendation', ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            userId,
+            tripId,
+            'Matcha in Uji',
+            'A friend recommended the tea houses along the Uji river.',
+            JSON.stringify({ name: 'Uji, Kyoto' }),
+            'Half a day is enough; combine with Byodo-in.',
+            5,
+            JSON.stringify(['tea', 'day-trip']),
+            JSON.stringify([]),
+            dateFromToday(-14)
+        ]);
+
+        console.log(`✅ Seeded ${DEMO_EMAIL} with trip ${tripId}`);
+    } finally {
+        await database.close();
+    }
+}
+
+if (require.main === module) {
+    seed()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Seed failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { seed };
@@ -0,0 +1,58 @@
+// Create the database if needed, apply all migrations and optionally load
+// the demo data. Connects with DB_ADMIN_USER / DB_ADMIN_PASSWORD when set so
+// the application user doesn't need CREATE DATABASE rights.
+//
+//   node scripts/setup-database.js [--seed]
+
+require('dotenv').config();
+const mariadb = require('mariadb');
+const { DatabaseService } = require('../services/database');
+const { seed } = require('./seed');
+
+async function createDatabase() {
+    const name = process.env.DB_NAME || 'travelmind';
+    if (!/^\w+$/.test(name)) {
+        throw new Error(`Refusing to create database with unusual name "${name}"`);
+    }
+
+    const conn = await mariadb.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        port: process.env.DB_PORT || 3306,
+        user: process.env.DB_ADMIN_USER || process.env.DB_USER || 'travelmind',
+        password: process.env.DB_ADMIN_USER ? process.env.DB_ADMIN_PASSWORD : process.env.DB_PASSWORD
+    });
+
+    try {
+        await conn.query(`CREATE DATABASE IF NOT EXISTS \`${name}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
+        console.log(`✅ Database "${name}" ready`);
+    } finally {
+        await conn.end();
+    }
+}
+
+async function setupDatabase({ withSeed = false } = {}) {
+    await createDatabase();
+
+    const database = new DatabaseService();
+    await database.initialize();
+    try {
+        await database.migrate();
+    } finally {
+        await database.close();
+    }
+
+    if (withSeed) {
+        await seed();
+    }
+}
+
+if (require.main === module) {
+    setupDatabase({ withSeed: process.argv.includes('--seed') })
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Database setup failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { setupDatabase };
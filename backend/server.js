@@ -9,10 +9,10 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const multer = require('multer');
 const path = require('path');
+const os = require('os');
 const fs = require('fs').promises;
 require('dotenv').config();
 
@@ -25,6 +25,28 @@ const { MemoryService } = require('./services/memory');
 const { DatabaseService } = require('./services/database');
 const { RedisService } = require('./services/redis');
 const { NotificationScheduler } = require('./services/notificationScheduler');
+const { ItineraryService } = require('./services/itinerary');
+const { ConversationService } = require('./services/conversation');
+const { AIToolService } = require('./services/aiTools');
+const { ShareService } = require('./services/sharing');
+const { CalendarService } = require('./services/calendar');
+const { BookingImportService, BookingImportError } = require('./services/bookingImport');
+const { ReceiptService } = require('./services/receipts');
+const { ScrapbookService } = require('./services/scrapbook');
+const { PhotoMetadataService } = require('./services/photoMetadata');
+const { ImageService } = require('./services/images');
+const { createStorage } = require('./services/storage');
+const { SessionService } = require('./services/sessions');
+const { createMailer } = require('./services/mailer');
+const { AccountTokenService } = require('./services/accountTokens');
+const { ProfileService } = require('./services/profile');
+const { AccountDataService } = require('./services/accountData');
+const { ReminderService } = require('./services/reminders');
+const { ExchangeRateService, SUPPORTED_CURRENCIES } = require('./services/exchangeRates');
+const { BudgetService } = require('./services/budget');
+const { SplitService } = require('./services/splits');
+const { validate, validateSocketEvent } = require('./services/validation');
+const ApiDocs = require('./services/apiDocs');
 
 const app = express();
 const httpServer = createServer(app);
@@ -40,6 +62,19 @@ const amadeus = new AmadeusService();
 const database = new DatabaseService();
 const redis = new RedisService();
 const notificationScheduler = new NotificationScheduler();
+const conversations = new ConversationService(database, ollama);
+const aiTools = new AIToolService({ database, googlePlaces, foursquare });
+const bookingImport = new BookingImportService({ ai: ollama });
+const receipts = new ReceiptService({ ai: ollama });
+const storage = createStorage();
+const sessions = new SessionService(database);
+const mailer = createMailer();
+const accountTokens = new AccountTokenService(database, mailer, { linkTo: frontendUrl });
+const profiles = new ProfileService(database);
+const accountData = new AccountDataService(database, storage);
+const scrapbooks = new ScrapbookService(database, storage);
+const budgets = new BudgetService(database);
+const splits = new SplitService(database);
 
 console.log('🔍 Environment Debug:');
 console.log('NODE_ENV:', process.env.NODE_ENV);
@@ -139,10 +174,20 @@ const aiLimiter = rateLimit({
 });
 app.use('/api/ai', aiLimiter);
 
-// File upload setup
-const storage = multer.diskStorage({
+// Routes that send email or take account tokens
+const accountLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { error: 'Too many attempts, please try again later.' }
+});
+
+// File upload setup. Uploads land in a temp dir; the files that are kept
+// are moved into storage once processed.
+const UPLOAD_TMP_DIR = path.join(os.tmpdir(), 'travelmind-uploads');
+
+const uploadStorage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, 'uploads/');
+        cb(null, UPLOAD_TMP_DIR);
     },
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -150,20 +195,113 @@ const storage = multer.diskStorage({
     }
 });
 
+const imageFileFilter = (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+        return cb(null, true);
+    } else {
+        cb(new Error('Only image files are allowed'));
+    }
+};
+
 const upload = multer({
-    storage: storage,
+    storage: uploadStorage,
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
+    fileFilter: imageFileFilter
+});
+
+// Receipts are read in memory; the photo is stored only when the expense is saved
+const receiptUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    fileFilter: imageFileFilter
+});
+
+// Anyone holding a photo's signed URL can download it; optionally drop its
+// EXIF (GPS, camera serials) once it has been read. A stripExif form field
+// overrides this.
+const STRIP_PHOTO_EXIF = process.env.STRIP_PHOTO_EXIF === 'true';
+
+const wantsExifStripped = (req) => req.body && req.body.stripExif !== undefined
+    ? String(req.body.stripExif) === 'true'
+    : STRIP_PHOTO_EXIF;
+
+// Process uploaded photos and move them into storage. Returns the photo
+// records to save: EXIF read at upload time and thumbnail and medium
+// derivatives; URLs are signed per response (see signPhotos). Files are
+// processed one after another to bound memory.
+const uploadedPhotos = async (req, files = req.files) => {
+    const strip = wantsExifStripped(req);
+    const photos = [];
+
+    for (const file of files || []) {
+        const exif = await PhotoMetadataService.extract(file.path);
+        const { rotated, derivatives } = await ImageService.process(file.path);
+        // A rotated original is already upright; don't re-add the orientation
+        const size = strip
+            ? await PhotoMetadataService.stripFile(file.path, rotated ? null : exif?.orientation)
+            : (await fs.stat(file.path)).size;
+
+        await storage.putFile(file.filename, file.path);
+        for (const derivative of Object.values(derivatives)) {
+            await storage.putFile(derivative.filename, path.join(path.dirname(file.path), derivative.filename));
+        }
+
+        photos.push({
+            filename: file.filename,
+            originalName: file.originalname,
+            size,
+            derivatives,
+            exif
+        });
+    }
+
+    return photos;
+};
+
+// Photo records with signed URLs, for responses
+const signPhotos = (photos) => storage.signPhotos(photos);
+
+// Remove whatever an upload left in the temp dir (rejected requests, files
+// that were only read)
+app.use((req, res, next) => {
+    res.on('close', () => {
+        const files = [...(Array.isArray(req.files) ? req.files : []), ...(req.file ? [req.file] : [])];
+        files.filter(file => file.path).forEach(file => {
+            fs.unlink(file.path).catch(() => {});
+        });
+    });
+    next();
+});
 
-        if (mimetype && extname) {
+// Booking imports are parsed in memory and never stored
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+    fileFilter: (req, file, cb) => {
+        if (/\.(ics|eml|txt|html?)$/i.test(file.originalname)) {
             return cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'));
         }
+        cb(new BookingImportError('Only .ics, .eml, .txt or .html files can be imported', 400));
+    }
+});
+
+// Rejected import uploads get a 400 from here rather than the generic
+// handler, whose size message is about the 10MB photo uploads
+const importFile = (req, res, next) => importUpload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+        error = new BookingImportError(
+            error.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 2MB.' : error.message,
+            400
+        );
     }
+    if (error instanceof BookingImportError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    next(error);
 });
 
 // Authentication middleware
@@ -176,7 +314,11 @@ const authenticateToken = async (req, res, next) => {
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await sessions.authenticate(token);
+        if (!decoded) {
+            return res.status(401).json({ success: false, error: 'Session has ended', code: 'session_revoked' });
+        }
+
         const user = await database.getUserById(decoded.id);
 
         if (!user) {
@@ -184,12 +326,36 @@ const authenticateToken = async (req, res, next) => {
         }
 
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
+        // Clients answer token_expired by refreshing and retrying
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ success: false, error: 'Access token expired', code: 'token_expired' });
+        }
         return res.status(403).json({ success: false, error: 'Invalid token' });
     }
 };
 
+// For public routes that personalise their answer for a signed-in user:
+// sets req.user when a valid token is sent, otherwise carries on anonymously
+const optionalAuth = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token) return next();
+
+    try {
+        const decoded = await sessions.authenticate(token);
+        if (decoded) {
+            req.user = await database.getUserById(decoded.id) || undefined;
+            req.sessionId = decoded.sid;
+        }
+    } catch (error) {
+        // Expired or invalid tokens are treated as no token
+    }
+    next();
+};
+
 // ===================================
 // SOCKET.IO SETUP
 // ===================================
@@ -220,6 +386,114 @@ const io = new Server(httpServer, {
 });
 
 
+// Context for an AI chat turn: user profile, replayed thread history and the
+// thread's trip when the client didn't send one
+async function buildChatContext(user, thread, context = {}) {
+    const profile = ProfileService.fromUser(user);
+    const userContext = {
+        ...context,
+        userId: user.id,
+        userPreferences: profile.interests,
+        travelStyle: profile.budgetLevel,
+        profileNotes: ProfileService.promptLines(profile),
+        history: await conversations.getHistory(thread, user.id)
+    };
+
+    if (thread.trip_id && !context.currentTrip) {
+        userContext.currentTrip = await database.getTripById(thread.trip_id, user.id);
+    }
+
+    return userContext;
+}
+
+// Trip tools the assistant may call during this chat turn
+function chatTools(userId, thread, userContext) {
+    return aiTools.forContext({
+        userId,
+        tripId: userContext.currentTrip?.id || thread.trip_id,
+        location: userContext.location,
+        threadId: thread.id
+    });
+}
+
+// Run (or discard) a write the assistant proposed. The outcome is recorded in
+// the thread so the assistant knows about it on the next turn.
+async function resolveToolAction(userId, actionId, approved) {
+    const outcome = await aiTools.confirm(actionId, userId, approved);
+    const { action } = outcome;
+
+    if (action.ctx.threadId) {
+        await database.saveConversation(
+            userId,
+            `[${approved ? 'Confirmed' : 'Declined'}] ${action.summary}`,
+            outcome.message,
+            { toolAction: { id: action.id, tool: action.tool, status: outcome.status } },
+            'tool',
+            0,
+            action.ctx.threadId
+        );
+    }
+
+    if (outcome.status === 'ok' && outcome.result?.tripId) {
+        broadcastTripUpdate(outcome.result.tripId, userId, outcome.result.itinerary
+            ? { itinerary: outcome.result.itinerary }
+            : { bookingsChanged: true });
+    }
+
+    return {
+        actionId: action.id,
+        tool: action.tool,
+        status: outcome.status,
+        message: outcome.message,
+        result: outcome.result || null
+    };
+}
+
+// Tell every member of a trip, on all their devices, that it changed
+async function broadcastTripUpdate(tripId, updatedBy, updates) {
+    try {
+        const memberIds = await database.getTripMemberIds(tripId);
+        memberIds.forEach(memberId => {
+            io.to(`user_${memberId}`).emit('trip_updated', {
+                tripId: Number(tripId),
+                updates,
+                updatedBy,
+                timestamp: new Date().toISOString()
+            });
+        });
+    } catch (error) {
+        console.error('Trip broadcast error (non-blocking):', error.message);
+    }
+}
+
+// Load req.params.id if the user has at least `minRole` on it, otherwise
+// answer 404/403 and return null
+async function loadTripForRole(req, res, minRole = 'viewer') {
+    const trip = await database.getTripById(req.params.id, req.user.id);
+
+    if (!trip) {
+        res.status(404).json({ success: false, error: 'Trip not found' });
+        return null;
+    }
+    if (!DatabaseService.hasTripRole(trip.role, minRole)) {
+        res.status(403).json({
+            success: false,
+            error: minRole === 'owner'
+                ? 'Only the trip owner can do this'
+                : 'You do not have permission to change this trip'
+        });
+        return null;
+    }
+
+    return trip;
+}
+
+// Drop the live sockets of revoked sessions; the client sees an
+// "io server disconnect" and does not reconnect on its own
+function disconnectSessions(sessionIds) {
+    sessionIds.forEach(sessionId => io.in(`session_${sessionId}`).disconnectSockets(true));
+}
+
 io.use(async (socket, next) => {
     try {
         const token = socket.handshake.auth.token;
@@ -227,7 +501,11 @@ io.use(async (socket, next) => {
             return next(new Error('Authentication error'));
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await sessions.authenticate(token);
+        if (!decoded) {
+            return next(new Error('Authentication error'));
+        }
+
         const user = await database.getUserById(decoded.id);
 
         if (!user) {
@@ -235,6 +513,7 @@ io.use(async (socket, next) => {
         }
 
         socket.userId = decoded.id;
+        socket.sessionId = decoded.sid;
         socket.user = user;
         next();
     } catch (err) {
@@ -246,35 +525,65 @@ io.on('connection', (socket) => {
     console.log(`User ${socket.userId} connected via Socket.IO`);
 
     socket.join(`user_${socket.userId}`);
+    // Lets a revoked session be disconnected (see disconnectSessions)
+    socket.join(`session_${socket.sessionId}`);
+
+    // Real-time AI chat, streamed as ai_response_chunk events followed by a
+    // final ai_response with the complete message
+    const activeChats = new Map();
 
-    // Real-time AI chat
     socket.on('ai_chat', async (data) => {
+        const { message, context = {} } = data;
+        const requestId = data.requestId || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const controller = new AbortController();
+        activeChats.set(requestId, controller);
+
+        let thread = null;
         try {
-            const { message, context = {} } = data;
             console.log('Received ai_chat from user:', socket.userId);
             console.log('Message:', message);
-            const userContext = {
-                ...context,
-                userId: socket.userId,
-                userPreferences: socket.user.preferences || [],
-                travelStyle: socket.user.travel_style
-            };
+            thread = await conversations.resolveThread(socket.userId, {
+                threadId: data.threadId,
+                tripId: context.currentTrip?.id,
+                message
+            });
+            const userContext = await buildChatContext(socket.user, thread, context);
 
-            const response = await ollama.chat(message, userContext, context.mode || 'chat');
+            socket.emit('ai_response_start', { requestId, threadId: thread.id, timestamp: new Date().toISOString() });
 
-            console.log('AI response generated:', response.message.substring(0, 100));
+            const response = await ollama.chatStream(message, userContext, context.mode || 'chat', {
+                signal: controller.signal,
+                tools: chatTools(socket.userId, thread, userContext),
+                onToken: (chunk) => socket.emit('ai_response_chunk', { requestId, chunk })
+            });
 
-            // Save conversation to database
-            await database.saveConversation(socket.userId, message, response.message, context, response.model, response.responseTime);
+            console.log(`AI response ${response.cancelled ? 'cancelled' : 'generated'}:`, response.message.substring(0, 100));
+
+            // Save conversation to database, keeping partial answers the user stopped
+            if (response.message) {
+                await database.saveConversation(
+                    socket.userId,
+                    message,
+                    response.message,
+                    response.cancelled ? { ...context, cancelled: true } : context,
+                    response.model,
+                    response.responseTime,
+                    thread.id
+                );
+                conversations.compactThread(thread.id, socket.userId);
+            }
 
             socket.emit('ai_response', {
                 success: true,
+                requestId,
+                threadId: thread.id,
+                cancelled: response.cancelled,
                 data: response,
                 timestamp: new Date().toISOString()
             });
 
             // Cache response
-            if (redis && redis.isAvailable()) {
+            if (!response.cancelled && redis && redis.isAvailable()) {
                 redis.setConversationCache(socket.userId, response).catch(err => {
                     console.warn('Cache set failed:', err.message);
                 });
@@ -284,10 +593,33 @@ io.on('connection', (socket) => {
             console.error('AI chat error:', error);
             socket.emit('ai_response', {
                 success: false,
+                requestId,
+                threadId: thread?.id,
                 error: 'AI assistant temporarily unavailable',
                 fallback: "I'm having trouble right now. Please try again in a moment.",
                 timestamp: new Date().toISOString()
             });
+        } finally {
+            activeChats.delete(requestId);
+        }
+    });
+
+    // Stop a streaming response; the partial answer is still delivered and saved
+    socket.on('ai_chat_cancel', ({ requestId } = {}) => {
+        const controller = activeChats.get(requestId);
+        if (controller) {
+            controller.abort();
+        }
+    });
+
+    // Answer to a write the assistant proposed (add booking, change schedule)
+    socket.on('ai_tool_confirm', async ({ actionId, approved } = {}) => {
+        try {
+            const result = await resolveToolAction(socket.userId, actionId, !!approved);
+            socket.emit('ai_tool_result', { success: true, ...result });
+        } catch (error) {
+            console.error('AI tool confirm error:', error);
+            socket.emit('ai_tool_result', { success: false, actionId, error: error.message });
         }
     });
 
@@ -371,15 +703,20 @@ io.on('connection', (socket) => {
     // Trip updates
     socket.on('trip_update', async (data) => {
         try {
-            const { tripId, updates } = data;
+            const { value, details } = validateSocketEvent('trip_update', data);
+            if (details) {
+                socket.emit('trip_update_error', { tripId: data?.tripId ?? null, error: 'Invalid request', details });
+                return;
+            }
+            const { tripId, updates } = value;
 
-            await database.updateTrip(tripId, socket.userId, updates);
+            const role = await database.getTripRole(tripId, socket.userId);
+            if (!DatabaseService.hasTripRole(role, 'editor')) {
+                return;
+            }
 
-            io.to(`user_${socket.userId}`).emit('trip_updated', {
-                tripId,
-                updates,
-                timestamp: new Date().toISOString()
-            });
+            await database.updateTrip(tripId, socket.userId, updates);
+            broadcastTripUpdate(tripId, socket.userId, updates);
 
         } catch (error) {
             console.error('Trip update error:', error);
@@ -388,6 +725,7 @@ io.on('connection', (socket) => {
 
     socket.on('disconnect', () => {
         console.log(`User ${socket.userId} disconnected`);
+        activeChats.forEach(controller => controller.abort());
     });
 });
 
@@ -396,7 +734,7 @@ io.on('connection', (socket) => {
 // ===================================
 
 // Health check
-app.get('/health', async (req, res) => {
+app.get('/health', validate('GET /health'), async (req, res) => {
     try {
         const dbStatus = await database.testConnection();
         const redisStatus = await redis.testConnection();
@@ -410,6 +748,7 @@ app.get('/health', async (req, res) => {
                 database: dbStatus ? 'connected' : 'disconnected',
                 redis: redisStatus ? 'connected' : 'disconnected',
                 ollama: ollamaStatus ? 'connected' : 'disconnected',
+                aiProviders: ollama.getProviderStatus(),
                 googleMaps: !!process.env.GOOGLE_MAPS_API_KEY,
                 amadeus: !!(process.env.AMADEUS_API_KEY && process.env.AMADEUS_API_SECRET)
             },
@@ -434,17 +773,10 @@ app.get('/health', async (req, res) => {
 });
 
 // Authentication routes
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', validate('POST /api/auth/register'), async (req, res) => {
     try {
         const { email, password, name } = req.body;
 
-        if (!email || !password || !name) {
-            return res.status(400).json({
-                success: false,
-                error: 'Email, password, and name are required'
-            });
-        }
-
         // Check if user exists
         const existingUser = await database.getUserByEmail(email);
         if (existingUser) {
@@ -458,18 +790,22 @@ app.post('/api/auth/register', async (req, res) => {
         const passwordHash = await bcrypt.hash(password, 12);
         const userId = await database.createUser(email, passwordHash, name);
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: userId, email, name },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        const user = { id: userId, email, name, email_verified_at: null };
+        const { token, refreshToken } = await sessions.start(user, SessionService.clientInfo(req));
+
+        // The account works without it; the user can ask for another email
+        try {
+            await accountTokens.sendVerification(user);
+        } catch (error) {
+            console.error('Send verification email error:', error);
+        }
 
         res.json({
             success: true,
             data: {
-                user: { id: userId, email, name },
-                token
+                user: { id: userId, email, name, emailVerified: false },
+                token,
+                refreshToken
             }
         });
 
@@ -482,17 +818,10 @@ app.post('/api/auth/register', async (req, res) => {
     }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', validate('POST /api/auth/login'), async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                error: 'Email and password are required'
-            });
-        }
-
         const user = await database.getUserByEmail(email);
         if (!user) {
             return res.status(401).json({
@@ -509,12 +838,7 @@ app.post('/api/auth/login', async (req, res) => {
             });
         }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: user.id, email: user.email, name: user.name },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        const { token, refreshToken } = await sessions.start(user, SessionService.clientInfo(req));
 
         res.json({
             success: true,
@@ -523,10 +847,13 @@ app.post('/api/auth/login', async (req, res) => {
                     id: user.id,
                     email: user.email,
                     name: user.name,
+                    emailVerified: !!user.email_verified_at,
                     preferences: user.preferences || [],
-                    travelStyle: user.travel_style
+                    travelStyle: user.travel_style,
+                    homeCurrency: user.home_currency || 'USD'
                 },
-                token
+                token,
+                refreshToken
             }
         });
 
@@ -539,1755 +866,2978 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
-// AI Routes
-app.post('/api/ai/chat', authenticateToken, async (req, res) => {
+// New access token for a refresh token; the refresh token is rotated
+app.post('/api/auth/refresh', validate('POST /api/auth/refresh'), async (req, res) => {
     try {
-        const { message, context = {} } = req.body;
-
-        if (!message) {
-            return res.status(400).json({
-                success: false,
-                error: 'Message is required'
-            });
+        const { refreshToken } = req.body;
+        const refreshed = await sessions.refresh(refreshToken, SessionService.clientInfo(req));
+        if (!refreshed) {
+            return res.status(401).json({ success: false, error: 'Session has ended', code: 'session_revoked' });
         }
 
-        const userContext = {
-            ...context,
-            userId: req.user.id,
-            userPreferences: req.user.preferences || [],
-            travelStyle: req.user.travel_style
-        };
-
-        const response = await ollama.chat(message, userContext, context.mode || 'chat');
-
-        // Save conversation
-        await database.saveConversation(req.user.id, message, response.message, context, response.model, response.responseTime);
-
         res.json({
             success: true,
-            data: response
+            data: { token: refreshed.token, refreshToken: refreshed.refreshToken }
         });
     } catch (error) {
-        console.error('AI chat error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'AI service temporarily unavailable',
-            fallback: 'I\'m having trouble right now. Please try again in a moment.'
-        });
+        console.error('Token refresh error:', error);
+        res.status(500).json({ success: false, error: 'Failed to refresh session' });
     }
 });
 
-app.post('/api/ai/generate-itinerary', authenticateToken, async (req, res) => {
+// Takes the refresh token rather than the access token, so a device can
+// sign out after its access token has expired
+app.post('/api/auth/logout', validate('POST /api/auth/logout'), async (req, res) => {
     try {
-        const tripData = req.body;
-
-        console.log('🎯 Generating itinerary for:', tripData.destination);
-        console.log('Trip data:', JSON.stringify(tripData, null, 2));
-
-        // Validate input
-        if (!tripData.destination || !tripData.duration) {
-            return res.status(400).json({
-                success: false,
-                error: 'Destination and duration are required'
-            });
+        const { refreshToken } = req.body;
+        const sessionId = await sessions.endByRefreshToken(refreshToken);
+        if (sessionId) {
+            disconnectSessions([sessionId]);
         }
 
-        const userPreferences = req.user.preferences || [];
+        res.json({ success: true, message: 'Signed out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, error: 'Failed to sign out' });
+    }
+});
 
-        // Generate itinerary using Ollama
-        console.log('🤖 Calling Ollama to generate itinerary...');
-        let itinerary;
-        try {
-            itinerary = await ollama.generateDetailedItinerary(tripData, userPreferences);
-            console.log('✅ Ollama generation successful');
-        } catch (ollamaError) {
-            console.error('❌ Ollama generation error:', ollamaError);
-            // Provide fallback itinerary
-            itinerary = {
-                itinerary: `${tripData.duration}-Day Itinerary for ${tripData.destination}\n\n` +
-                    `Budget: $${tripData.budget}\n` +
-                    `Style: ${tripData.travelStyle}\n\n` +
-                    `Day 1: Arrival and Orientation\n` +
-                    `- Morning: Check-in and settle into accommodation\n` +
-                    `- Afternoon: Explore nearby area and local markets\n` +
-                    `- Evening: Welcome dinner at local restaurant\n\n` +
-                    `Day 2-${tripData.duration}: Enjoy your destination!\n` +
-                    `(AI generation temporarily unavailable - this is a sample itinerary)`,
-                model: 'fallback',
-                generatedAt: new Date().toISOString()
-            };
-        }
+app.post('/api/auth/logout-all', authenticateToken, validate('POST /api/auth/logout-all'), async (req, res) => {
+    try {
+        const revoked = await database.revokeUserSessions(req.user.id);
+        disconnectSessions(revoked);
 
-        // Save trip to database
-        console.log('💾 Saving trip to database...');
-        let tripId;
-        try {
-            tripId = await database.createTrip(req.user.id, {
-                title: `${tripData.destination} Trip`,
-                destination: tripData.destination,
-                startDate: tripData.startDate || null,
-                endDate: tripData.endDate || null,
-                duration: parseInt(tripData.duration),
-                budget: parseFloat(tripData.budget) || 0,
-                travelStyle: tripData.travelStyle || req.user.travel_style || 'moderate',
-                interests: tripData.interests || [],
-                itinerary: itinerary
-            });
+        res.json({ success: true, data: { revoked: revoked.length } });
+    } catch (error) {
+        console.error('Logout everywhere error:', error);
+        res.status(500).json({ success: false, error: 'Failed to sign out everywhere' });
+    }
+});
 
-            // Ensure tripId is a number, not BigInt
-            tripId = Number(tripId);
-            console.log('✅ Trip saved with ID:', tripId);
+app.get('/api/auth/sessions', authenticateToken, validate('GET /api/auth/sessions'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await sessions.list(req.user.id, req.sessionId) });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get sessions' });
+    }
+});
 
-        } catch (dbError) {
-            console.error('❌ Database save error:', dbError);
-            // Continue even if DB save fails - use timestamp as fallback
-            tripId = Date.now();
-            console.log('⚠️ Using fallback ID:', tripId);
+app.delete('/api/auth/sessions/:id', authenticateToken, validate('DELETE /api/auth/sessions/:id'), async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id);
+        if (!await database.revokeSession(req.user.id, sessionId)) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
         }
+        disconnectSessions([sessionId]);
 
-        // Prepare response with safe JSON serialization
-        const responseData = {
-            tripId: Number(tripId), // Explicitly convert to Number
-            itinerary,
-            tripData: {
-                id: Number(tripId), // Explicitly convert to Number
-                title: `${tripData.destination} Trip`,
-                destination: tripData.destination,
-                duration: parseInt(tripData.duration),
-                budget: parseFloat(tripData.budget) || 0,
-                status: 'planning',
-                startDate: tripData.startDate || null,
-                endDate: tripData.endDate || null,
-                interests: tripData.interests || [],
-                travelStyle: tripData.travelStyle || 'moderate',
-                itinerary: itinerary,
-                created_at: new Date().toISOString()
-            }
-        };
-
-        console.log('📤 Sending response with trip ID:', responseData.tripId);
-
-        res.json({
-            success: true,
-            data: responseData
-        });
-
+        res.json({ success: true, message: 'Session signed out' });
     } catch (error) {
-        console.error('❌ Itinerary generation error:', error);
-        console.error('Error stack:', error.stack);
-
-        res.status(500).json({
-            success: false,
-            error: 'Failed to generate itinerary',
-            details: error.message
-        });
+        console.error('Revoke session error:', error);
+        res.status(500).json({ success: false, error: 'Failed to sign out session' });
     }
 });
-// Activate/deactivate trip
-app.patch('/api/trips/:id/activate', authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params;
 
-        // First, deactivate all other trips
-        await database.pool.query(
-            'UPDATE trips SET status = ? WHERE user_id = ? AND status = ?',
-            ['planning', req.user.id, 'active']
-        );
+// Profile and travel preferences of the signed-in user
+app.get('/api/me', authenticateToken, validate('GET /api/me'), async (req, res) => {
+    try {
+        res.json({ success: true, data: ProfileService.fromUser(req.user) });
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load profile' });
+    }
+});
 
-        // Activate this trip
-        await database.updateTrip(id, req.user.id, { status: 'active' });
+app.patch('/api/me', authenticateToken, validate('PATCH /api/me'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await profiles.update(req.user.id, req.body) });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update profile' });
+    }
+});
 
-        res.json({ success: true });
+// Zip of everything stored for the account, uploaded photos included
+app.get('/api/me/export', authenticateToken, validate('GET /api/me/export'), async (req, res) => {
+    try {
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${AccountDataService.exportFilename(req.user)}"`);
+        await accountData.writeExport(req.user.id, res);
     } catch (error) {
-        console.error('Activate trip error:', error);
-        res.status(500).json({ success: false, error: 'Failed to activate trip' });
+        console.error('Account export error:', error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ success: false, error: 'Failed to export account data' });
+        }
     }
 });
-app.patch('/api/trips/:id/deactivate', authenticateToken, async (req, res) => {
+
+// Deletes the account, its data and its files for good; the password is
+// asked again so a left-open session can't do it
+app.delete('/api/me', authenticateToken, validate('DELETE /api/me'), async (req, res) => {
     try {
-        const { id } = req.params;
+        const { password } = req.body;
+        if (!await bcrypt.compare(password, req.user.password_hash)) {
+            return res.status(403).json({ success: false, error: 'Password is incorrect' });
+        }
 
-        // Deactivate this trip
-        await database.updateTrip(id, req.user.id, { status: 'planning' });
+        const sessionIds = await database.revokeUserSessions(req.user.id);
+        await accountData.deleteAccount(req.user.id);
+        disconnectSessions(sessionIds);
 
-        res.json({ success: true });
+        res.json({ success: true, message: 'Account deleted' });
     } catch (error) {
-        console.error('Deactivate trip error:', error);
-        res.status(500).json({ success: false, error: 'Failed to deactivate trip' });
+        console.error('Delete account error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete account' });
     }
 });
 
-// Update itinerary (for editing)
-app.patch('/api/trips/:id/itinerary', authenticateToken, async (req, res) => {
+// Email verification and password reset. Tokens come from the links mailed
+// by AccountTokenService; each works once.
+app.post('/api/auth/verify-email', validate('POST /api/auth/verify-email'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { itinerary } = req.body;
-
-        await database.updateTrip(id, req.user.id, { itinerary });
+        const userId = await accountTokens.consume(req.body.token, 'verify_email');
+        if (!userId) {
+            return res.status(400).json({ success: false, error: 'This verification link is invalid or has expired' });
+        }
 
-        res.json({ success: true });
+        await database.markEmailVerified(userId);
+        res.json({ success: true, message: 'Email address verified' });
     } catch (error) {
-        console.error('Update itinerary error:', error);
-        res.status(500).json({ success: false, error: 'Failed to update itinerary' });
+        console.error('Verify email error:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify email address' });
     }
 });
 
-// Add manual booking
-// Add these routes after the existing trip routes (around line 550)
-
-// Bookings routes
-app.post('/api/trips/:id/bookings', authenticateToken, async (req, res) => {
+app.post('/api/auth/verify-email/resend', accountLimiter, authenticateToken, validate('POST /api/auth/verify-email/resend'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const bookingData = req.body;
-
-        // Verify trip belongs to user
-        const trip = await database.getTripById(id, req.user.id);
-        if (!trip) {
-            return res.status(404).json({
-                success: false,
-                error: 'Trip not found'
-            });
+        const user = await database.getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if (user.email_verified_at) {
+            return res.status(400).json({ success: false, error: 'Email address is already verified' });
         }
 
-        const result = await database.pool.query(`
-            INSERT INTO bookings (trip_id, booking_type, details, booking_date, confirmation_number, cost, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, NOW())
-        `, [
-            tripId,
-            bookingData.type,
-            JSON.stringify(bookingData.details),
-            bookingData.date,
-            bookingData.confirmationNumber,
-            bookingData.cost
-        ]);
-
-        res.json({
-            success: true,
-            data: {
-                tripId: tripId,
-                itinerary,
-                tripData: {
-                    ...tripData,
-                    id: tripId
-                }
-            }
-        });
+        await accountTokens.sendVerification(user);
+        res.json({ success: true, message: 'Verification email sent' });
     } catch (error) {
-        console.error('Get bookings error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get bookings'
-        });
+        console.error('Resend verification error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send verification email' });
     }
 });
 
-app.delete('/api/trips/:id/bookings/:bookingId', authenticateToken, async (req, res) => {
+// Answers the same whether or not the address has an account, so it can't
+// be used to find out who is registered
+app.post('/api/auth/forgot-password', accountLimiter, validate('POST /api/auth/forgot-password'), async (req, res) => {
     try {
-        const { id, bookingId } = req.params;
-
-        // Verify trip belongs to user
-        const trip = await database.getTripById(id, req.user.id);
-        if (!trip) {
-            return res.status(404).json({
-                success: false,
-                error: 'Trip not found'
-            });
+        const user = await database.getUserByEmail(req.body.email);
+        if (user) {
+            // Not awaited, and failures only logged: a slow or failing mail
+            // transport must not give away that the address has an account
+            accountTokens.sendPasswordReset(user)
+                .catch(error => console.error('Password reset email error:', error));
         }
 
-        await database.pool.query(`
-            DELETE FROM bookings
-            WHERE id = ? AND trip_id = ?
-        `, [bookingId, tripId]);
-
-        res.json({
-            success: true
-        });
+        res.json({ success: true, message: 'If that address has an account, a reset link is on its way' });
     } catch (error) {
-        console.error('Delete booking error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to delete booking'
-        });
+        console.error('Forgot password error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send reset email' });
     }
 });
 
-// Reminders routes
-app.post('/api/trips/:id/reminders', authenticateToken, async (req, res) => {
+// A new password signs out every device; the link also proves the user
+// reads that inbox, so the address counts as verified
+app.post('/api/auth/reset-password', accountLimiter, validate('POST /api/auth/reset-password'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { title, reminderDate, type, notes } = req.body;
-
-        // Verify trip belongs to user
-        const trip = await database.getTripById(id, req.user.id);
-        if (!trip) {
-            return res.status(404).json({
-                success: false,
-                error: 'Trip not found'
-            });
+        const { token, password } = req.body;
+        const userId = await accountTokens.consume(token, 'reset_password');
+        if (!userId) {
+            return res.status(400).json({ success: false, error: 'This reset link is invalid or has expired' });
         }
 
-        const result = await database.pool.query(`
-            INSERT INTO trip_reminders (trip_id, title, reminder_date, type, notes, created_at)
-            VALUES (?, ?, ?, ?, ?, NOW())
-        `, [tripId, title, reminderDate, type, notes]);
+        await database.updatePasswordHash(userId, await bcrypt.hash(password, 12));
+        await database.markEmailVerified(userId);
+        disconnectSessions(await database.revokeUserSessions(userId));
 
-        res.json({
-            success: true,
-            data: {
-                id: result.insertId,
-                title,
-                reminderDate,
-                type,
-                notes
-            }
-        });
+        res.json({ success: true, message: 'Password changed. Sign in with your new password.' });
     } catch (error) {
-        console.error('Add reminder error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to add reminder'
-        });
+        console.error('Reset password error:', error);
+        res.status(500).json({ success: false, error: 'Failed to reset password' });
     }
 });
 
-app.get('/api/trips/:id/reminders', authenticateToken, async (req, res) => {
+// AI Routes
+app.post('/api/ai/chat', authenticateToken, validate('POST /api/ai/chat'), async (req, res) => {
     try {
-        const { id } = req.params;
+        const { message, context, threadId } = req.body;
 
-        // Verify trip belongs to user
-        const trip = await database.getTripById(id, req.user.id);
-        if (!trip) {
-            return res.status(404).json({
-                success: false,
-                error: 'Trip not found'
+        let thread;
+        try {
+            thread = await conversations.resolveThread(req.user.id, {
+                threadId,
+                tripId: context.currentTrip?.id,
+                message
             });
+        } catch (error) {
+            return res.status(404).json({ success: false, error: error.message });
         }
 
-        const reminders = await database.pool.query(`
-            SELECT * FROM trip_reminders
-            WHERE trip_id = ?
-            ORDER BY reminder_date ASC
-        `, [tripId]);
+        const userContext = await buildChatContext(req.user, thread, context);
+
+        const response = await ollama.chatStream(message, userContext, context.mode || 'chat', {
+            tools: chatTools(req.user.id, thread, userContext)
+        });
+
+        // Save conversation
+        await database.saveConversation(req.user.id, message, response.message, context, response.model, response.responseTime, thread.id);
+        conversations.compactThread(thread.id, req.user.id);
 
         res.json({
             success: true,
-            data: reminders
+            data: { ...response, threadId: thread.id }
         });
     } catch (error) {
-        console.error('Get reminders error:', error);
+        console.error('AI chat error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get reminders'
+            error: 'AI service temporarily unavailable',
+            fallback: 'I\'m having trouble right now. Please try again in a moment.'
         });
     }
 });
 
-app.delete('/api/trips/:id/reminders/:reminderId', authenticateToken, async (req, res) => {
+app.post('/api/ai/actions/:id/confirm', authenticateToken, validate('POST /api/ai/actions/:id/confirm'), async (req, res) => {
     try {
-        const { id, reminderId } = req.params;
-
-        // Verify trip belongs to user
-        const trip = await database.getTripById(id, req.user.id);
-        if (!trip) {
-            return res.status(404).json({
-                success: false,
-                error: 'Trip not found'
-            });
-        }
-
-        await database.pool.query(`
-            DELETE FROM trip_reminders
-            WHERE id = ? AND trip_id = ?
-        `, [reminderId, tripId]);
-
-        res.json({
-            success: true
-        });
+        const result = await resolveToolAction(req.user.id, req.params.id, req.body.approved !== false);
+        res.json({ success: true, data: result });
     } catch (error) {
-        console.error('Delete reminder error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to delete reminder'
-        });
+        console.error('AI action confirm error:', error);
+        const status = error.message === 'Action not found or expired' ? 404 : 500;
+        res.status(status).json({ success: false, error: error.message });
     }
 });
-// Add these endpoints to backend/server.js after the existing routes
 
 // ===================================
-// COMPANION MODE SPECIFIC ROUTES
+// AI CONVERSATION THREADS
 // ===================================
 
-// Get active trip with today's schedule
-app.get('/api/trips/active', authenticateToken, async (req, res) => {
+// List conversation threads, most recently used first
+app.get('/api/ai/threads', authenticateToken, validate('GET /api/ai/threads'), async (req, res) => {
     try {
-        const trips = await database.getUserTrips(req.user.id, 'active', 1);
-        const activeTrip = trips[0] || null;
-
-        if (activeTrip) {
-            // Calculate current day
-            const startDate = new Date(activeTrip.start_date);
-            const today = new Date();
-            const diffTime = Math.abs(today - startDate);
-            const currentDay = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-            activeTrip.currentDay = currentDay;
-        }
-
-        res.json({
-            success: true,
-            data: activeTrip
+        const threads = await database.getUserThreads(req.user.id, {
+            tripId: req.query.tripId || null,
+            limit: req.query.limit
         });
+
+        res.json({ success: true, data: threads });
     } catch (error) {
-        console.error('Get active trip error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get active trip'
-        });
+        console.error('Get threads error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get conversations' });
     }
 });
 
-// Get today's schedule for active trip
-app.get('/api/trips/active/schedule', authenticateToken, async (req, res) => {
+// Start a new thread, optionally linked to a trip
+app.post('/api/ai/threads', authenticateToken, validate('POST /api/ai/threads'), async (req, res) => {
     try {
-        const trips = await database.getUserTrips(req.user.id, 'active', 1);
-        const activeTrip = trips[0];
-
-        if (!activeTrip) {
-            return res.json({
-                success: true,
-                data: []
-            });
-        }
-
-        // Extract today's activities from itinerary
-        const itinerary = activeTrip.itinerary;
-        const startDate = new Date(activeTrip.start_date);
-        const today = new Date();
-        const currentDay = Math.ceil((today - startDate) / (1000 * 60 * 60 * 24));
+        const { title, tripId } = req.body;
+        const thread = await database.createThread(req.user.id, { title, tripId });
 
-        // Parse itinerary to get today's schedule
-        const todaySchedule = itinerary[`day_${currentDay}`] || [];
-
-        res.json({
-            success: true,
-            data: todaySchedule
-        });
+        res.status(201).json({ success: true, data: thread });
     } catch (error) {
-        console.error('Get schedule error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get schedule'
-        });
+        if (error.message === 'Trip not found') {
+            return res.status(404).json({ success: false, error: 'Trip not found' });
+        }
+        console.error('Create thread error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create conversation' });
     }
 });
 
-// Update schedule item status
-app.patch('/api/trips/active/schedule/:itemId', authenticateToken, async (req, res) => {
+// Resume a thread: the thread plus its messages
+app.get('/api/ai/threads/:id', authenticateToken, validate('GET /api/ai/threads/:id'), async (req, res) => {
     try {
-        const { itemId } = req.params;
-        const { status } = req.body;
-
-        const trips = await database.getUserTrips(req.user.id, 'active', 1);
-        const activeTrip = trips[0];
-
-        if (!activeTrip) {
-            return res.status(404).json({
-                success: false,
-                error: 'No active trip found'
-            });
-        }
+        const thread = await database.getThreadById(req.params.id, req.user.id);
 
-        // Update the schedule item in itinerary
-        const itinerary = activeTrip.itinerary;
-        const startDate = new Date(activeTrip.start_date);
-        const today = new Date();
-        const currentDay = Math.ceil((today - startDate) / (1000 * 60 * 60 * 24));
-        const dayKey = `day_${currentDay}`;
-
-        if (itinerary[dayKey]) {
-            itinerary[dayKey] = itinerary[dayKey].map(item =>
-                item.id === parseInt(itemId) ? { ...item, status } : item
-            );
+        if (!thread) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
         }
 
-        await database.updateTrip(activeTrip.id, req.user.id, { itinerary });
-
-        res.json({
-            success: true,
-            data: { itemId, status }
+        const messages = await database.getThreadMessages(thread.id, req.user.id, {
+            limit: req.query.limit
         });
+
+        res.json({ success: true, data: { ...thread, messages } });
     } catch (error) {
-        console.error('Update schedule error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to update schedule'
-        });
+        console.error('Get thread error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get conversation' });
     }
 });
 
-// Get upcoming bookings (uses existing trip_bookings table)
-app.get('/api/bookings/upcoming', authenticateToken, async (req, res) => {
+// Rename a thread or change its trip
+app.patch('/api/ai/threads/:id', authenticateToken, validate('PATCH /api/ai/threads/:id'), async (req, res) => {
     try {
-        // Get all active trips for the user
-        const trips = await database.getUserTrips(req.user.id, 'active');
-        const tripIds = trips.map(t => t.id);
+        const { title, tripId } = req.body;
+        const updates = {};
 
-        if (tripIds.length === 0) {
-            return res.json({
-                success: true,
-                data: []
-            });
+        if (title !== undefined) {
+            updates.title = title;
         }
 
-        // Get bookings for these trips
-        const placeholders = tripIds.map(() => '?').join(',');
-        const bookings = await database.pool.query(`
-            SELECT tb.*, t.title as trip_title, t.destination
-            FROM bookings tb
-                     JOIN trips t ON tb.trip_id = t.id
-            WHERE tb.trip_id IN (${placeholders})
-              AND tb.booking_date >= CURDATE()
-            ORDER BY tb.booking_date ASC, tb.created_at ASC
-                LIMIT 10
-        `, tripIds);
+        if (tripId !== undefined) {
+            if (tripId !== null && !(await database.getTripById(tripId, req.user.id))) {
+                return res.status(404).json({ success: false, error: 'Trip not found' });
+            }
+            updates.tripId = tripId;
+        }
 
-        // Parse details JSON and format response
-        const formattedBookings = bookings.map(booking => {
-            const details = typeof booking.details === 'string'
-                ? JSON.parse(booking.details)
-                : booking.details;
+        const updated = await database.updateThread(req.params.id, req.user.id, updates);
+        const thread = await database.getThreadById(req.params.id, req.user.id);
 
-            return {
-                id: booking.id,
-                type: booking.booking_type,
-                title: details.title || `${booking.booking_type} booking`,
-                time: booking.booking_date,
-                confirmation: booking.confirmation_number,
-                status: 'confirmed',
-                alert: details.alert || null,
-                tripId: booking.trip_id,
-                tripTitle: booking.trip_title,
-                cost: booking.cost,
-                ...details
-            };
-        });
+        if (!thread) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+        if (!updated) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
 
-        res.json({
-            success: true,
-            data: formattedBookings
-        });
+        res.json({ success: true, data: thread });
     } catch (error) {
-        console.error('Get bookings error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get bookings'
-        });
+        console.error('Update thread error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update conversation' });
     }
 });
 
-// Save/update custom schedule
-app.post('/api/trips/:id/schedule', authenticateToken, async (req, res) => {
+// Delete a thread and all of its messages
+app.delete('/api/ai/threads/:id', authenticateToken, validate('DELETE /api/ai/threads/:id'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { schedule, day } = req.body;
-
-        const trip = await database.getTripById(id, req.user.id);
+        const deleted = await database.deleteThread(req.params.id, req.user.id);
 
-        if (!trip) {
-            return res.status(404).json({
-                success: false,
-                error: 'Trip not found'
-            });
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
         }
 
-        const itinerary = trip.itinerary;
-        itinerary[`day_${day}`] = schedule;
-
-        await database.updateTrip(id, req.user.id, { itinerary });
-
-        res.json({
-            success: true,
-            data: { schedule, day }
-        });
+        res.json({ success: true });
     } catch (error) {
-        console.error('Save schedule error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to save schedule'
-        });
+        console.error('Delete thread error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete conversation' });
     }
 });
 
-// Get notifications
-app.get('/api/notifications', authenticateToken, async (req, res) => {
+app.post('/api/ai/generate-itinerary', authenticateToken, validate('POST /api/ai/generate-itinerary'), async (req, res) => {
     try {
-        // Query notifications from database
-        const notifications = await database.pool.query(`
-            SELECT * FROM notifications
-            WHERE user_id = ?
-              AND dismissed = FALSE
-            ORDER BY priority DESC, created_at DESC
-                LIMIT 10
-        `, [req.user.id]);
+        const tripData = req.body;
+
+        console.log('🎯 Generating itinerary for:', tripData.destination);
+        console.log('Trip data:', JSON.stringify(tripData, null, 2));
+
+        const profile = ProfileService.fromUser(req.user);
+        tripData.travelStyle = tripData.travelStyle || profile.budgetLevel;
+
+        // Generate itinerary using Ollama
+        console.log('🤖 Calling Ollama to generate itinerary...');
+        let itinerary;
+        try {
+            itinerary = await ollama.generateDetailedItinerary(tripData, profile.interests, ProfileService.promptLines(profile));
+            console.log('✅ Ollama generation successful');
+        } catch (ollamaError) {
+            console.error('❌ Ollama generation error:', ollamaError);
+            // Provide fallback itinerary
+            const days = Array.from({ length: tripData.duration }, (_, index) => ({
+                dayNumber: index + 1,
+                title: index === 0 ? 'Arrival and Orientation' : `Explore ${tripData.destination}`,
+                items: index === 0 ? [
+                    { startTime: '09:00', title: 'Check-in and settle into accommodation', category: 'lodging' },
+                    { startTime: '13:00', title: 'Explore nearby area and local markets', category: 'activity' },
+                    { startTime: '19:00', title: 'Welcome dinner at local restaurant', category: 'meal' }
+                ] : []
+            }));
+
+            itinerary = ItineraryService.withDates(ItineraryService.validate(ItineraryService.repair({
+                summary: `${tripData.duration}-day trip to ${tripData.destination} (${tripData.travelStyle || 'moderate'} style, budget $${tripData.budget}). ` +
+                    'AI generation temporarily unavailable - this is a sample itinerary.',
+                days
+            }, {
+                destination: tripData.destination,
+                source: 'fallback',
+                model: 'fallback',
+                generatedAt: new Date().toISOString()
+            })).value, tripData.startDate);
+        }
+
+        // Save trip to database
+        console.log('💾 Saving trip to database...');
+        let tripId;
+        try {
+            tripId = await database.createTrip(req.user.id, {
+                title: `${tripData.destination} Trip`,
+                destination: tripData.destination,
+                startDate: tripData.startDate || null,
+                endDate: tripData.endDate || null,
+                duration: tripData.duration,
+                budget: tripData.budget || 0,
+                travelStyle: tripData.travelStyle || req.user.travel_style || 'moderate',
+                interests: tripData.interests || [],
+                itinerary: itinerary
+            });
+
+            // Ensure tripId is a number, not BigInt
+            tripId = Number(tripId);
+            console.log('✅ Trip saved with ID:', tripId);
+
+        } catch (dbError) {
+            console.error('❌ Database save error:', dbError);
+            // Continue even if DB save fails - use timestamp as fallback
+            tripId = Date.now();
+            console.log('⚠️ Using fallback ID:', tripId);
+        }
+
+        // Prepare response with safe JSON serialization
+        const responseData = {
+            tripId: Number(tripId), // Explicitly convert to Number
+            itinerary,
+            tripData: {
+                id: Number(tripId), // Explicitly convert to Number
+                title: `${tripData.destination} Trip`,
+                destination: tripData.destination,
+                duration: tripData.duration,
+                budget: tripData.budget || 0,
+                status: 'planning',
+                startDate: tripData.startDate || null,
+                endDate: tripData.endDate || null,
+                interests: tripData.interests || [],
+                travelStyle: tripData.travelStyle || 'moderate',
+                itinerary: itinerary,
+                created_at: new Date().toISOString()
+            }
+        };
+
+        console.log('📤 Sending response with trip ID:', responseData.tripId);
+
+        res.json({
+            success: true,
+            data: responseData
+        });
+
+    } catch (error) {
+        console.error('❌ Itinerary generation error:', error);
+        console.error('Error stack:', error.stack);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate itinerary',
+            details: error.message
+        });
+    }
+});
+// Activate/deactivate trip
+app.patch('/api/trips/:id/activate', authenticateToken, validate('PATCH /api/trips/:id/activate'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+
+        // First, deactivate the owner's other trips; an editor activating a
+        // shared trip changes the owner's active trip, not their own
+        await database.pool.query(
+            'UPDATE trips SET status = ? WHERE user_id = ? AND status = ?',
+            ['planning', trip.user_id, 'active']
+        );
+
+        // Activate this trip
+        await database.updateTrip(id, req.user.id, { status: 'active' });
+        broadcastTripUpdate(id, req.user.id, { status: 'active' });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Activate trip error:', error);
+        res.status(500).json({ success: false, error: 'Failed to activate trip' });
+    }
+});
+app.patch('/api/trips/:id/deactivate', authenticateToken, validate('PATCH /api/trips/:id/deactivate'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!(await loadTripForRole(req, res, 'editor'))) return;
+
+        // Deactivate this trip
+        await database.updateTrip(id, req.user.id, { status: 'planning' });
+        broadcastTripUpdate(id, req.user.id, { status: 'planning' });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Deactivate trip error:', error);
+        res.status(500).json({ success: false, error: 'Failed to deactivate trip' });
+    }
+});
+
+// Update itinerary (for editing)
+// Accepts a structured itinerary, or plain text from the text editor which is
+// converted to the structured model.
+app.patch('/api/trips/:id/itinerary', authenticateToken, validate('PATCH /api/trips/:id/itinerary'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { itinerary, text } = req.body;
+
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+
+        let updated = text !== undefined
+            ? ItineraryService.fromText(text, { destination: trip.destination, source: 'manual' })
+            : ItineraryService.recalculate(itinerary);
+
+        updated = ItineraryService.withDates(updated, trip.start_date);
+        await database.updateTrip(id, req.user.id, { itinerary: updated });
+        broadcastTripUpdate(id, req.user.id, { itinerary: updated });
+
+        res.json({ success: true, data: { itinerary: updated } });
+    } catch (error) {
+        console.error('Update itinerary error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update itinerary' });
+    }
+});
+
+// ===================================
+// TRIP REMINDERS
+// ===================================
+
+// Reminder in the trip, or a 404 response
+async function loadReminder(req, res, trip) {
+    const reminder = await database.getReminderById(req.params.reminderId, trip.id);
+    if (!reminder) {
+        res.status(404).json({ success: false, error: 'Reminder not found' });
+        return null;
+    }
+    return reminder;
+}
+
+// A linked booking must belong to the same trip
+async function checkReminderBooking(bookingId, trip, userId) {
+    if (!bookingId) return true;
+    const booking = await database.getBookingById(bookingId, userId);
+    return Boolean(booking) && booking.trip_id === trip.id;
+}
+
+function sendReminder(res, trip, reminder) {
+    res.json({ success: true, data: ReminderService.toResponse(reminder, trip.timezone) });
+}
+
+app.get('/api/trips/:id/reminders', authenticateToken, validate('GET /api/trips/:id/reminders'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'viewer');
+        if (!trip) return;
+
+        const reminders = await database.getTripReminders(trip.id, {
+            includeDone: req.query.includeDone
+        });
+
+        res.json({
+            success: true,
+            data: reminders.map(reminder => ReminderService.toResponse(reminder, trip.timezone))
+        });
+    } catch (error) {
+        console.error('Get reminders error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get reminders' });
+    }
+});
+
+app.post('/api/trips/:id/reminders', authenticateToken, validate('POST /api/trips/:id/reminders'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+
+        const value = ReminderService.normalize(req.body);
+        if (!(await checkReminderBooking(value.bookingId, trip, req.user.id))) {
+            return res.status(400).json({ success: false, error: 'Booking not found in this trip' });
+        }
+
+        const reminderId = await database.createReminder(trip.id, req.user.id, value);
+        const reminder = await database.getReminderById(reminderId, trip.id);
+        broadcastTripUpdate(trip.id, req.user.id, { remindersChanged: true });
+
+        sendReminder(res, trip, reminder);
+    } catch (error) {
+        console.error('Add reminder error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add reminder' });
+    }
+});
+
+app.patch('/api/trips/:id/reminders/:reminderId', authenticateToken, validate('PATCH /api/trips/:id/reminders/:reminderId'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+        if (!(await loadReminder(req, res, trip))) return;
+
+        const value = ReminderService.normalize(req.body);
+        if (!(await checkReminderBooking(value.bookingId, trip, req.user.id))) {
+            return res.status(400).json({ success: false, error: 'Booking not found in this trip' });
+        }
+
+        const updates = {
+            title: value.title,
+            type: value.type,
+            notes: value.notes,
+            booking_id: value.bookingId,
+            recurrence: value.recurrence,
+            recurrence_until: value.recurrenceUntil
+        };
+        // A new time starts a fresh occurrence
+        if (value.reminderDate) {
+            Object.assign(updates, {
+                reminder_date: value.reminderDate,
+                status: 'active',
+                snoozed_until: null,
+                last_notified_at: null,
+                completed_at: null
+            });
+        }
+
+        const reminder = await database.updateReminder(req.params.reminderId, trip.id, updates);
+        broadcastTripUpdate(trip.id, req.user.id, { remindersChanged: true });
+
+        sendReminder(res, trip, reminder);
+    } catch (error) {
+        console.error('Update reminder error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update reminder' });
+    }
+});
+
+// Snooze: notify again after `minutes` (default 60, at most a week)
+app.post('/api/trips/:id/reminders/:reminderId/snooze', authenticateToken, validate('POST /api/trips/:id/reminders/:reminderId/snooze'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+        const current = await loadReminder(req, res, trip);
+        if (!current) return;
+
+        if (current.status !== 'active') {
+            return res.status(400).json({ success: false, error: 'Only open reminders can be snoozed' });
+        }
+
+        const reminder = await database.updateReminder(current.id, trip.id, {
+            snoozed_until: ReminderService.snoozeUntil(req.body.minutes)
+        });
+        broadcastTripUpdate(trip.id, req.user.id, { remindersChanged: true });
+
+        sendReminder(res, trip, reminder);
+    } catch (error) {
+        console.error('Snooze reminder error:', error);
+        res.status(500).json({ success: false, error: 'Failed to snooze reminder' });
+    }
+});
+
+// Done: closes a one-off reminder; a recurring one skips to its next date
+// (and closes once it has none left)
+app.post('/api/trips/:id/reminders/:reminderId/done', authenticateToken, validate('POST /api/trips/:id/reminders/:reminderId/done'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+        const current = await loadReminder(req, res, trip);
+        if (!current) return;
+
+        const next = current.status === 'active'
+            ? ReminderService.nextOccurrence(current, trip.timezone)
+            : null;
+
+        const reminder = await database.updateReminder(current.id, trip.id, next
+            ? { reminder_date: next, snoozed_until: null, last_notified_at: null }
+            : { status: 'done', snoozed_until: null, completed_at: new Date() });
+        broadcastTripUpdate(trip.id, req.user.id, { remindersChanged: true });
+
+        sendReminder(res, trip, reminder);
+    } catch (error) {
+        console.error('Complete reminder error:', error);
+        res.status(500).json({ success: false, error: 'Failed to complete reminder' });
+    }
+});
+
+app.delete('/api/trips/:id/reminders/:reminderId', authenticateToken, validate('DELETE /api/trips/:id/reminders/:reminderId'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+
+        if (!(await database.deleteReminder(req.params.reminderId, trip.id))) {
+            return res.status(404).json({ success: false, error: 'Reminder not found' });
+        }
+        broadcastTripUpdate(trip.id, req.user.id, { remindersChanged: true });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete reminder error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete reminder' });
+    }
+});
+// Add these endpoints to backend/server.js after the existing routes
+
+// ===================================
+// COMPANION MODE SPECIFIC ROUTES
+// ===================================
+
+// Get active trip with today's schedule
+app.get('/api/trips/active', authenticateToken, validate('GET /api/trips/active'), async (req, res) => {
+    try {
+        const trips = await database.getUserTrips(req.user.id, 'active', 1);
+        const activeTrip = trips[0] || null;
+
+        if (activeTrip) {
+            // Calculate current day
+            const startDate = new Date(activeTrip.start_date);
+            const today = new Date();
+            const diffTime = Math.abs(today - startDate);
+            const currentDay = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+
+            activeTrip.currentDay = currentDay;
+        }
+
+        res.json({
+            success: true,
+            data: activeTrip
+        });
+    } catch (error) {
+        console.error('Get active trip error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get active trip'
+        });
+    }
+});
+
+// Get today's schedule for active trip
+app.get('/api/trips/active/schedule', authenticateToken, validate('GET /api/trips/active/schedule'), async (req, res) => {
+    try {
+        const trips = await database.getUserTrips(req.user.id, 'active', 1);
+        const activeTrip = trips[0];
+
+        if (!activeTrip) {
+            return res.json({
+                success: true,
+                data: []
+            });
+        }
+
+        // Extract today's activities from itinerary
+        const currentDay = ItineraryService.dayNumberForDate(activeTrip.start_date);
+        const today = activeTrip.itinerary.days.find(day => day.dayNumber === currentDay);
+
+        res.json({
+            success: true,
+            data: today ? today.items.map(toScheduleItem) : []
+        });
+    } catch (error) {
+        console.error('Get schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get schedule'
+        });
+    }
+});
+
+// Update schedule item status
+app.patch('/api/trips/active/schedule/:itemId', authenticateToken, validate('PATCH /api/trips/active/schedule/:itemId'), async (req, res) => {
+    try {
+        const { itemId } = req.params;
+        const { status } = req.body;
+
+        const trips = await database.getUserTrips(req.user.id, 'active', 1);
+        const activeTrip = trips[0];
+
+        if (!activeTrip) {
+            return res.status(404).json({
+                success: false,
+                error: 'No active trip found'
+            });
+        }
+        if (!DatabaseService.hasTripRole(activeTrip.role, 'editor')) {
+            return res.status(403).json({
+                success: false,
+                error: 'You do not have permission to change this trip'
+            });
+        }
+
+        // Update the schedule item in itinerary
+        const currentDay = ItineraryService.dayNumberForDate(activeTrip.start_date);
+        const day = activeTrip.itinerary.days.find(d => d.dayNumber === currentDay);
+        const item = day && day.items.find(i => i.id === itemId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: 'Schedule item not found'
+            });
+        }
+
+        const { value: itinerary, errors } = ItineraryService.updateDay(activeTrip.itinerary, currentDay, {
+            items: day.items.map(i => (i.id === itemId ? { ...i, status } : i))
+        });
+
+        if (errors) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid schedule status',
+                details: errors
+            });
+        }
+
+        await database.updateTrip(activeTrip.id, req.user.id, { itinerary });
+        broadcastTripUpdate(activeTrip.id, req.user.id, { itinerary });
+
+        res.json({
+            success: true,
+            data: { itemId, status }
+        });
+    } catch (error) {
+        console.error('Update schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update schedule'
+        });
+    }
+});
+
+// Get upcoming bookings (uses existing trip_bookings table)
+app.get('/api/bookings/upcoming', authenticateToken, validate('GET /api/bookings/upcoming'), async (req, res) => {
+    try {
+        // Get all active trips for the user
+        const trips = await database.getUserTrips(req.user.id, 'active');
+        const tripIds = trips.map(t => t.id);
+
+        if (tripIds.length === 0) {
+            return res.json({
+                success: true,
+                data: []
+            });
+        }
+
+        // Get bookings for these trips
+        const placeholders = tripIds.map(() => '?').join(',');
+        const bookings = await database.pool.query(`
+            SELECT tb.*, t.title as trip_title, t.destination
+            FROM bookings tb
+                     JOIN trips t ON tb.trip_id = t.id
+            WHERE tb.trip_id IN (${placeholders})
+              AND tb.booking_date >= CURDATE()
+            ORDER BY tb.booking_date ASC, tb.created_at ASC
+                LIMIT 10
+        `, tripIds);
+
+        // Parse details JSON and format response
+        const formattedBookings = bookings.map(booking => {
+            const details = typeof booking.details === 'string'
+                ? JSON.parse(booking.details)
+                : booking.details;
+
+            return {
+                id: booking.id,
+                type: booking.booking_type,
+                title: details.title || `${booking.booking_type} booking`,
+                time: booking.booking_date,
+                confirmation: booking.confirmation_number,
+                status: 'confirmed',
+                alert: details.alert || null,
+                tripId: booking.trip_id,
+                tripTitle: booking.trip_title,
+                cost: booking.cost,
+                ...details
+            };
+        });
+
+        res.json({
+            success: true,
+            data: formattedBookings
+        });
+    } catch (error) {
+        console.error('Get bookings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get bookings'
+        });
+    }
+});
+
+// Save/update custom schedule
+// Body is either { day, schedule: [items] } to replace a day, or a single
+// item (companion mode) which is added to the day matching its date.
+app.post('/api/trips/:id/schedule', authenticateToken, validate('POST /api/trips/:id/schedule'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { schedule, day, ...item } = req.body;
+
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+
+        let result;
+        let dayNumber;
+        if (schedule) {
+            dayNumber = day;
+            result = ItineraryService.updateDay(trip.itinerary, dayNumber, { items: schedule });
+        } else {
+            dayNumber = ItineraryService.dayNumberForDate(trip.start_date, item.date || new Date()) || 1;
+            result = ItineraryService.addItem(trip.itinerary, dayNumber, item);
+        }
+
+        if (result.errors) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid schedule',
+                details: result.errors
+            });
+        }
+
+        const itinerary = ItineraryService.withDates(result.value, trip.start_date);
+        await database.updateTrip(id, req.user.id, { itinerary });
+        broadcastTripUpdate(id, req.user.id, { itinerary });
+
+        const updatedDay = itinerary.days.find(d => d.dayNumber === dayNumber);
+
+        res.json({
+            success: true,
+            data: {
+                day: dayNumber,
+                schedule: updatedDay ? updatedDay.items.map(toScheduleItem) : [],
+                itinerary
+            }
+        });
+    } catch (error) {
+        console.error('Save schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save schedule'
+        });
+    }
+});
+
+// Shape an itinerary item the way the companion schedule panel renders it
+function toScheduleItem(item) {
+    return {
+        ...item,
+        type: item.category,
+        time: item.startTime || '',
+        duration: item.endTime ? `until ${item.endTime}` : null,
+        location: item.place ? item.place.name : ''
+    };
+}
+
+// Get notifications
+app.get('/api/notifications', authenticateToken, validate('GET /api/notifications'), async (req, res) => {
+    try {
+        // Query notifications from database
+        const notifications = await database.pool.query(`
+            SELECT * FROM notifications
+            WHERE user_id = ?
+              AND dismissed = FALSE
+            ORDER BY priority DESC, created_at DESC
+                LIMIT 10
+        `, [req.user.id]);
+
+        res.json({
+            success: true,
+            data: notifications
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        // If table doesn't exist yet, return empty array
+        res.json({
+            success: true,
+            data: []
+        });
+    }
+});
+
+// Dismiss notification
+app.patch('/api/notifications/:id/dismiss', authenticateToken, validate('PATCH /api/notifications/:id/dismiss'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        await database.pool.query(
+            'UPDATE notifications SET dismissed = TRUE WHERE id = ? AND user_id = ?',
+            [id, req.user.id]
+        );
+
+        res.json({
+            success: true
+        });
+    } catch (error) {
+        console.error('Dismiss notification error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to dismiss notification'
+        });
+    }
+});
+
+app.post('/api/ai/translate', authenticateToken, validate('POST /api/ai/translate'), async (req, res) => {
+    try {
+        const { text, targetLanguage, sourceLanguage, context } = req.body;
+
+        const translation = await ollama.translateWithContext(text, targetLanguage, sourceLanguage, context);
+
+        // Log translation for analytics
+        await database.logAnalyticsEvent(req.user.id, 'translation', {
+            sourceLanguage: translation.sourceLanguage,
+            targetLanguage: translation.targetLanguage,
+            textLength: text.length
+        });
+
+        res.json({
+            success: true,
+            data: translation
+        });
+    } catch (error) {
+        console.error('Translation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Translation failed'
+        });
+    }
+});
+
+// ===================================
+// PHOTO IDENTIFICATION ENDPOINT
+// Add this after the /api/ai/translate route (around line 900)
+// ===================================
+
+app.post('/api/ai/identify-photo', authenticateToken, upload.single('photo'), validate('POST /api/ai/identify-photo'), async (req, res) => {
+    try {
+        const photoFile = req.file;
+
+        if (!photoFile) {
+            return res.status(400).json({
+                success: false,
+                error: 'Photo file is required'
+            });
+        }
+
+        // The photo itself is not kept
+        const exif = await PhotoMetadataService.extract(photoFile.path);
+
+        // The device position is preferred; otherwise where the photo was taken
+        const location = req.body.location
+            || (exif && exif.lat !== null ? { lat: exif.lat, lng: exif.lng, source: 'exif' } : null);
+
+        console.log('📸 Photo identification request:', {
+            filename: photoFile.filename,
+            size: photoFile.size,
+            mimetype: photoFile.mimetype,
+            location: location
+        });
+
+        // Build context for AI
+        const context = {
+            location: location,
+            photoPath: photoFile.path,
+            filename: photoFile.filename
+        };
+
+        // Create prompt for photo identification
+        let prompt = `You are analyzing a travel photo to identify landmarks, locations, or points of interest. 
+
+Photo context:
+${location ? `- Approximate location: ${location.lat}, ${location.lng}` : '- Location unknown'}
+${exif?.takenAt ? `- Taken: ${exif.takenAt}\n` : ''}${exif?.camera ? `- Camera: ${exif.camera}\n` : ''}- Filename: ${photoFile.filename}
+
+Please identify:
+1. What landmark or location this might be
+2. Key features or characteristics visible
+3. Historical or cultural significance if applicable
+4. Recommended visiting tips
+
+Format your response as:
+NAME: [landmark/location name]
+DESCRIPTION: [detailed description]
+LANDMARKS: [comma-separated list of visible landmarks]
+CONFIDENCE: [0.0-1.0 confidence score]`;
+
+        // Try to use vision model if available (llava or similar)
+        let identificationResult;
+
+        try {
+            try {
+                // Vision providers are tried in the order configured for 'vision'
+                identificationResult = {
+                    ...await ollama.identifyPhoto(photoFile.path, location, prompt),
+                    location
+                };
+            } catch (visionError) {
+                // Fallback to location-based analysis
+                console.warn('Vision identification unavailable:', visionError.message);
+                identificationResult = await identifyPhotoBasic(location, photoFile);
+            }
+
+            // Log analytics
+            await database.logAnalyticsEvent(req.user.id, 'photo_identification', {
+                location: location,
+                confidence: identificationResult.confidence,
+                method: identificationResult.method
+            });
+
+            res.json({
+                success: true,
+                data: { ...identificationResult, exif }
+            });
+
+        } catch (aiError) {
+            console.error('AI identification error:', aiError);
+
+            // Provide basic fallback response
+            const fallbackResult = {
+                name: 'Location Identified',
+                description: 'Photo received successfully. For detailed identification, ensure Ollama with llava model or OpenAI API is configured.',
+                landmarks: location ? ['Location data available'] : ['No location data'],
+                confidence: 0.3,
+                method: 'fallback',
+                location: location,
+                exif
+            };
+
+            res.json({
+                success: true,
+                data: fallbackResult
+            });
+        }
+
+    } catch (error) {
+        console.error('Photo identification error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to identify photo',
+            message: error.message
+        });
+    }
+});
+
+// ===================================
+// HELPER FUNCTIONS FOR PHOTO IDENTIFICATION
+// ===================================
+
+async function identifyPhotoBasic(location, photoFile) {
+    // Basic identification using location data and Google Places if available
+    let description = 'Photo uploaded successfully. ';
+    let landmarks = [];
+
+    if (location) {
+        description += `Photo taken near coordinates: ${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}. `;
+
+        // If Google Places is available, try to find nearby landmarks
+        try {
+            const places = await googlePlaces.searchNearby(
+                location,
+                'tourist_attraction',
+                500
+            );
+
+            if (places && places.length > 0) {
+                landmarks = places.slice(0, 3).map(p => p.name);
+                description += `Nearby landmarks include: ${landmarks.join(', ')}. `;
+            }
+        } catch (error) {
+            console.error('Places lookup error:', error);
+        }
+    }
+
+    return {
+        name: 'Photo Location',
+        description: description + 'For detailed landmark identification, configure Ollama with llava model or OpenAI Vision API.',
+        landmarks: landmarks,
+        confidence: 0.5,
+        method: 'basic',
+        location: location,
+        photoSize: photoFile.size,
+        photoType: photoFile.mimetype
+    };
+}
+
+// Places Routes
+// Signed-in users get results within their budget level and, for food
+// places, matching their dietary restrictions unless the query says otherwise
+app.get('/api/places/nearby', optionalAuth, validate('GET /api/places/nearby'), async (req, res) => {
+    try {
+        const { lat, lng, type, radius, keyword, minprice, maxprice, opennow } = req.query;
+
+        const options = {};
+        if (keyword) options.keyword = keyword;
+        if (minprice !== undefined) options.minprice = minprice;
+        if (maxprice !== undefined) options.maxprice = maxprice;
+        if (opennow) options.opennow = true;
+
+        const profile = req.user ? ProfileService.fromUser(req.user) : null;
+        const searchOptions = ProfileService.placeOptions(profile, type, options);
+
+        const location = { lat, lng };
+        const searchRadius = radius;
+
+        // Search both Google Places and Foursquare in parallel
+        const [googleResults, foursquareResults] = await Promise.all([
+            googlePlaces.searchNearby(location, type, searchRadius, searchOptions)
+                .catch(err => {
+                    console.error('Google Places error:', err);
+                    return [];
+                }),
+            foursquare.searchNearby(location, type, searchRadius, searchOptions)
+                .catch(err => {
+                    console.error('Foursquare error:', err);
+                    return [];
+                })
+        ]);
+
+        // Combine results from both sources
+        const combinedPlaces = ProfileService.filterPlaces(profile, [...googleResults, ...foursquareResults]);
+
+        // Remove duplicates based on name and approximate location (within 50 meters)
+        const uniquePlaces = [];
+        const seenPlaces = new Set();
+
+        for (const place of combinedPlaces) {
+            // Create a unique key based on name and location
+            const locationKey = `${Math.round(place.location.lat * 1000)},${Math.round(place.location.lng * 1000)}`;
+            const placeKey = `${place.name.toLowerCase().trim()}_${locationKey}`;
+
+            if (!seenPlaces.has(placeKey)) {
+                seenPlaces.add(placeKey);
+                uniquePlaces.push(place);
+            }
+        }
+
+        // Sort by rating (descending), with unrated places at the end
+        uniquePlaces.sort((a, b) => {
+            if (a.rating && b.rating) return b.rating - a.rating;
+            if (a.rating) return -1;
+            if (b.rating) return 1;
+            return 0;
+        });
+
+        console.log(`📍 Places found: ${googleResults.length} from Google, ${foursquareResults.length} from Foursquare, ${uniquePlaces.length} unique`);
+
+        res.json({
+            success: true,
+            data: uniquePlaces,
+            count: uniquePlaces.length,
+            sources: {
+                google: googleResults.length,
+                foursquare: foursquareResults.length,
+                unique: uniquePlaces.length
+            },
+            message: uniquePlaces.length === 0 ? 'No places found matching your criteria' : undefined
+        });
+    } catch (error) {
+        console.error('Places search error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search places',
+            details: error.message
+        });
+    }
+});
+// Replace a single itinerary day
+// Body: { title, items: [...] }. Plain-string `activities` from older clients
+// are still accepted and converted to untimed items.
+app.put('/api/trips/:id/days/:dayNumber', authenticateToken, validate('PUT /api/trips/:id/days/:dayNumber'), async (req, res) => {
+    try {
+        const { id, dayNumber } = req.params;
+        const { title, summary, items, activities } = req.body;
+
+        // Get current trip
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+
+        const dayItems = items || activities;
+
+        const { value, errors } = ItineraryService.updateDay(trip.itinerary, dayNumber, {
+            title,
+            summary,
+            items: dayItems
+        });
+
+        if (errors) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid day',
+                details: errors
+            });
+        }
+
+        const itinerary = ItineraryService.withDates(value, trip.start_date);
+
+        // Update trip in database
+        await database.updateTrip(id, req.user.id, { itinerary });
+        broadcastTripUpdate(id, req.user.id, { itinerary });
+
+        res.json({
+            success: true,
+            data: {
+                day: itinerary.days.find(d => d.dayNumber === dayNumber),
+                itinerary
+            }
+        });
+    } catch (error) {
+        console.error('Update day error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update day' });
+    }
+});
+
+app.get('/api/places/:placeId', validate('GET /api/places/:placeId'), async (req, res) => {
+    try {
+        const { placeId } = req.params;
+        const { fields } = req.query;
+
+        let details;
+
+        // Check if this is a Foursquare ID (starts with 'fsq_')
+        if (placeId.startsWith('fsq_')) {
+            // Extract the actual Foursquare ID (remove 'fsq_' prefix)
+            const fsqId = placeId.substring(4);
+            details = await foursquare.getPlaceDetails(fsqId);
+        } else {
+            // Use Google Places for all other IDs
+            const fieldsList = fields ? fields.split(',') : undefined;
+            details = await googlePlaces.getPlaceDetails(placeId, fieldsList);
+        }
 
         res.json({
             success: true,
-            data: notifications
+            data: details
         });
     } catch (error) {
-        console.error('Get notifications error:', error);
-        // If table doesn't exist yet, return empty array
+        console.error('Place details error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get place details'
+        });
+    }
+});
+
+// Weather Route
+app.get('/api/weather', validate('GET /api/weather'), async (req, res) => {
+    try {
+        const { lat, lng } = req.query;
+        const weather = await googlePlaces.getWeatherInfo({ lat, lng });
+
+        if (!weather) {
+            return res.status(503).json({
+                success: false,
+                error: 'Weather service unavailable'
+            });
+        }
+
         res.json({
             success: true,
-            data: []
+            data: weather
+        });
+    } catch (error) {
+        console.error('Weather error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get weather data'
+        });
+    }
+});
+
+// Flight and Hotel Routes
+// backend/server.js - Update the flight search route
+app.get('/api/flights/search', authenticateToken, validate('GET /api/flights/search'), async (req, res) => {
+    try {
+        const {
+            destination,
+            departureDate,
+            returnDate,
+            adults,
+            children,
+            infants,
+            travelClass,
+            nonStop,
+            currencyCode,
+            airlines,
+            max
+        } = req.query;
+
+        // Unset search parameters default to the traveller's profile
+        const profile = ProfileService.fromUser(req.user);
+        const defaults = ProfileService.flightDefaults(profile);
+        const origin = req.query.origin || defaults.origin;
+
+        // Only the origin can still be missing once the profile is applied
+        if (!origin) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request',
+                details: [{
+                    location: 'query',
+                    path: 'origin',
+                    message: 'Missing origin airport code (e.g., JFK), and no home airport in your profile'
+                }]
+            });
+        }
+
+        const searchParams = {
+            origin,
+            destination,
+            departureDate,
+            returnDate,
+            adults,
+            children,
+            infants,
+            travelClass,
+            nonStop,
+            currencyCode: currencyCode || defaults.currencyCode || 'USD',
+            includedAirlineCodes: airlines ? airlines.split(',') : undefined,
+            max
+        };
+
+        console.log('🔍 Flight search params:', searchParams);
+
+        const flights = await amadeus.searchFlights(searchParams);
+        flights.offers = ProfileService.preferAirlines(profile, flights.offers);
+
+        // Log analytics - but don't let it break the response
+        try {
+            await database.logAnalyticsEvent(req.user.id, 'flight_search', {
+                ...searchParams,
+                resultsCount: flights.offers.length
+            });
+        } catch (analyticsError) {
+            console.error('⚠️ Analytics logging failed (non-critical):', analyticsError.message);
+        }
+
+        res.json({
+            success: true,
+            data: flights,
+            searchParams: searchParams
+        });
+    } catch (error) {
+        console.error('❌ Flight search endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search flights',
+            message: error.message,
+            hint: 'Make sure Amadeus API credentials are configured correctly'
+        });
+    }
+});
+
+// Update hotel search route with same pattern
+app.get('/api/hotels/search', authenticateToken, validate('GET /api/hotels/search'), async (req, res) => {
+    try {
+        const {
+            cityCode,
+            latitude,
+            longitude,
+            checkInDate,
+            checkOutDate,
+            adults,
+            roomQuantity,
+            radius,
+            currency,
+            ratings,
+            amenities
+        } = req.query;
+
+        const searchParams = {
+            cityCode,
+            latitude,
+            longitude,
+            checkInDate,
+            checkOutDate,
+            adults,
+            roomQuantity,
+            radius,
+            currency,
+            ratings: ratings ? ratings.split(',').map(Number) : undefined,
+            amenities: amenities ? amenities.split(',') : undefined
+        };
+
+        console.log('🏨 Hotel search params:', searchParams);
+
+        const hotels = await amadeus.searchHotels(searchParams);
+
+        // Log analytics - non-blocking
+        try {
+            await database.logAnalyticsEvent(req.user.id, 'hotel_search', {
+                ...searchParams,
+                resultsCount: hotels.hotels.length
+            });
+        } catch (analyticsError) {
+            console.error('⚠️ Analytics logging failed (non-critical):', analyticsError.message);
+        }
+
+        res.json({
+            success: true,
+            data: hotels,
+            searchParams: searchParams
+        });
+    } catch (error) {
+        console.error('❌ Hotel search endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search hotels',
+            message: error.message
+        });
+    }
+});
+app.post('/api/places/coordinates', authenticateToken, validate('POST /api/places/coordinates'), async (req, res) => {
+    try {
+        const { locations, destination } = req.body;
+
+        const results = [];
+
+        // Search for each location to get coordinates
+        for (const locationName of locations.slice(0, 5)) { // Limit to 5
+            try {
+                const searchQuery = `${locationName}, ${destination}`;
+                const response = await fetch(
+                    `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(searchQuery)}&key=${process.env.GOOGLE_MAPS_API_KEY}`
+                );
+                const data = await response.json();
+
+                if (data.status === 'OK' && data.results.length > 0) {
+                    const place = data.results[0];
+                    results.push({
+                        name: locationName,
+                        lat: place.geometry.location.lat,
+                        lng: place.geometry.location.lng,
+                        formatted_address: place.formatted_address
+                    });
+                }
+            } catch (error) {
+                console.error(`Error geocoding ${locationName}:`, error);
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                locations: results,
+                count: results.length
+            }
+        });
+    } catch (error) {
+        console.error('Coordinates fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch coordinates'
+        });
+    }
+});
+
+// Add a new endpoint to get user analytics
+app.get('/api/analytics/events', authenticateToken, validate('GET /api/analytics/events'), async (req, res) => {
+    try {
+        const { eventType, dateFrom, dateTo, limit } = req.query;
+
+        const events = await database.getAnalyticsEvents(req.user.id, {
+            eventType,
+            dateFrom,
+            dateTo,
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: events
+        });
+    } catch (error) {
+        console.error('Analytics events error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get analytics events'
+        });
+    }
+});
+
+// Get all trips for a user (with optional status filter)
+app.get('/api/trips', authenticateToken, validate('GET /api/trips'), async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+        console.log('📊 Getting trips for user:', req.user.id);
+        console.log('📊 With filters:', { status, limit });
+
+        const trips = await database.getUserTrips(req.user.id, status, limit);
+        console.log('✅ getUserTrips returned:', trips ? trips.length : 0, 'trips');
+
+        res.json({
+            success: true,
+            data: trips
+        });
+    } catch (error) {
+        console.error('Get trips error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get trips'
+        });
+    }
+});
+
+app.get('/api/trips/upcoming', authenticateToken, validate('GET /api/trips/upcoming'), async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+        console.log('📊 Getting trips for user:', req.user.id);
+        console.log('📊 With filters:', { status, limit });
+
+        const trips = await database.getUserTrips(req.user.id, status, limit);
+        console.log('✅ getUserTrips returned:', trips ? trips.length : 0, 'trips');
+        // Even if empty, return success
+        res.json({
+            success: true,
+            data: trips
+        });
+    } catch (error) {
+        console.error('Get upcoming trips error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get upcoming trips'
         });
     }
 });
 
-// Dismiss notification
-app.patch('/api/notifications/:id/dismiss', authenticateToken, async (req, res) => {
+app.get('/api/trips/:id', authenticateToken, validate('GET /api/trips/:id'), async (req, res) => {
     try {
         const { id } = req.params;
+        const trip = await database.getTripById(id, req.user.id);
 
-        await database.pool.query(
-            'UPDATE notifications SET dismissed = TRUE WHERE id = ? AND user_id = ?',
-            [id, req.user.id]
-        );
+        if (!trip) {
+            return res.status(404).json({
+                success: false,
+                error: 'Trip not found'
+            });
+        }
 
         res.json({
-            success: true
+            success: true,
+            data: trip
         });
     } catch (error) {
-        console.error('Dismiss notification error:', error);
+        console.error('Get trip error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to dismiss notification'
+            error: 'Failed to get trip'
         });
     }
 });
 
-app.post('/api/ai/translate', authenticateToken, async (req, res) => {
+// NEW: Schedule a trip with dates
+app.patch('/api/trips/:id/schedule', authenticateToken, validate('PATCH /api/trips/:id/schedule'), async (req, res) => {
     try {
-        const { text, targetLanguage, sourceLanguage = 'auto', context = {} } = req.body;
+        const { id } = req.params;
+        const { startDate, endDate } = req.body;
 
-        if (!text || !targetLanguage) {
+        if (new Date(startDate) > new Date(endDate)) {
             return res.status(400).json({
                 success: false,
-                error: 'Text and target language are required'
+                error: 'End date must be after start date'
             });
         }
 
-        const translation = await ollama.translateWithContext(text, targetLanguage, sourceLanguage, context);
+        if (!(await loadTripForRole(req, res, 'editor'))) return;
 
-        // Log translation for analytics
-        await database.logAnalyticsEvent(req.user.id, 'translation', {
-            sourceLanguage: translation.sourceLanguage,
-            targetLanguage: translation.targetLanguage,
-            textLength: text.length
+        await database.updateTrip(id, req.user.id, {
+            start_date: startDate,
+            end_date: endDate
+        });
+
+        // Get updated trip
+        const trip = await database.getTripById(id, req.user.id);
+        broadcastTripUpdate(id, req.user.id, {
+            start_date: trip.start_date,
+            end_date: trip.end_date,
+            status: trip.status,
+            itinerary: trip.itinerary
         });
 
         res.json({
             success: true,
-            data: translation
+            data: trip
         });
     } catch (error) {
-        console.error('Translation error:', error);
+        console.error('Schedule trip error:', error);
         res.status(500).json({
             success: false,
-            error: 'Translation failed'
+            error: 'Failed to schedule trip'
         });
     }
 });
 
 // ===================================
-// PHOTO IDENTIFICATION ENDPOINT
-// Add this after the /api/ai/translate route (around line 900)
+// CALENDAR EXPORT
 // ===================================
 
-app.post('/api/ai/identify-photo', authenticateToken, upload.single('photo'), async (req, res) => {
+// Subscribed clients re-fetch on their own schedule; this is only a hint
+const CALENDAR_REFRESH_MINUTES = 60;
+// Finished trips drop out of the feed after this many days
+const CALENDAR_FEED_KEEP_DAYS = 90;
+
+function sendCalendar(res, filename, body, attachment = true) {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `${attachment ? 'attachment' : 'inline'}; filename="${filename}"`,
+        'Cache-Control': 'no-cache'
+    });
+    res.send(body);
+}
+
+function calendarFeedUrls(req, token) {
+    const base = (process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    const url = `${base}/api/calendar/feed/${token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+app.patch('/api/trips/:id/timezone', authenticateToken, validate('PATCH /api/trips/:id/timezone'), async (req, res) => {
     try {
-        const photoFile = req.file;
-        const location = req.body.location ? JSON.parse(req.body.location) : null;
+        const { timezone } = req.body;
 
-        if (!photoFile) {
-            return res.status(400).json({
-                success: false,
-                error: 'Photo file is required'
-            });
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+
+        await database.updateTrip(trip.id, req.user.id, { timezone: timezone || null });
+        broadcastTripUpdate(trip.id, req.user.id, { timezone: timezone || null });
+
+        res.json({ success: true, data: { timezone: timezone || null } });
+    } catch (error) {
+        console.error('Update trip timezone error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update time zone' });
+    }
+});
+
+app.get('/api/trips/:id/calendar.ics', authenticateToken, validate('GET /api/trips/:id/calendar.ics'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'viewer');
+        if (!trip) return;
+
+        const [bookings, reminders] = await Promise.all([
+            database.getBookingsForTrips([trip.id]),
+            database.getRemindersForTrips([trip.id])
+        ]);
+
+        const calendar = CalendarService.build({
+            name: trip.title,
+            timeZone: trip.timezone,
+            events: CalendarService.tripEvents(trip, bookings, reminders)
+        });
+
+        const slug = (trip.title || 'trip').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trip';
+        sendCalendar(res, `${slug}.ics`, calendar);
+    } catch (error) {
+        console.error('Trip calendar export error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export calendar' });
+    }
+});
+
+// Scrapbook of the trip: story, memories, timeline and route as one
+// self-contained HTML file or a printable PDF. ?story=false skips the AI.
+app.get('/api/trips/:id/scrapbook.:format(html|pdf)', authenticateToken, validate('GET /api/trips/:id/scrapbook.:format(html|pdf)'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'viewer');
+        if (!trip) return;
+
+        const scrapbook = await scrapbooks.build(trip, req.user.id, { includeStory: req.query.story });
+        const slug = (trip.title || 'trip').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trip';
+
+        if (req.params.format === 'pdf') {
+            const pdf = await scrapbooks.renderPdf(scrapbook);
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${slug}-scrapbook.pdf"`);
+            return res.send(pdf);
         }
 
-        console.log('📸 Photo identification request:', {
-            filename: photoFile.filename,
-            size: photoFile.size,
-            mimetype: photoFile.mimetype,
-            location: location
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${slug}-scrapbook.html"`);
+        res.send(scrapbooks.renderHtml(scrapbook));
+    } catch (error) {
+        console.error('Trip scrapbook export error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export scrapbook' });
+    }
+});
+
+// Personal feed URL covering every trip the user belongs to
+app.get('/api/calendar/feed-url', authenticateToken, validate('GET /api/calendar/feed-url'), async (req, res) => {
+    try {
+        const token = await database.getCalendarToken(req.user.id);
+        res.json({ success: true, data: calendarFeedUrls(req, token) });
+    } catch (error) {
+        console.error('Get calendar feed URL error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get calendar feed URL' });
+    }
+});
+
+app.post('/api/calendar/feed-url/reset', authenticateToken, validate('POST /api/calendar/feed-url/reset'), async (req, res) => {
+    try {
+        const token = await database.rotateCalendarToken(req.user.id);
+        res.json({ success: true, data: calendarFeedUrls(req, token) });
+    } catch (error) {
+        console.error('Reset calendar feed URL error:', error);
+        res.status(500).json({ success: false, error: 'Failed to reset calendar feed URL' });
+    }
+});
+
+// Unauthenticated: calendar apps can't send headers, the token is the secret
+app.get('/api/calendar/feed/:token.ics', validate('GET /api/calendar/feed/:token.ics'), async (req, res) => {
+    try {
+        const user = await database.getUserByCalendarToken(req.params.token);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+        }
+
+        const cutoff = new Date(Date.now() - CALENDAR_FEED_KEEP_DAYS * 24 * 60 * 60 * 1000);
+        const trips = (await database.getUserTrips(user.id, null, 100))
+            .filter(trip => !trip.end_date || new Date(trip.end_date) >= cutoff);
+        const tripIds = trips.map(trip => trip.id);
+
+        const [bookings, reminders] = await Promise.all([
+            database.getBookingsForTrips(tripIds),
+            database.getRemindersForTrips(tripIds)
+        ]);
+
+        const events = trips.flatMap(trip => CalendarService.tripEvents(
+            trip,
+            bookings.filter(booking => booking.trip_id === trip.id),
+            reminders.filter(reminder => reminder.trip_id === trip.id)
+        ));
+
+        const calendar = CalendarService.build({
+            name: `TravelMind - ${user.name || 'My trips'}`,
+            events,
+            refreshMinutes: CALENDAR_REFRESH_MINUTES
         });
 
-        // Build context for AI
-        const context = {
-            location: location,
-            photoPath: photoFile.path,
-            filename: photoFile.filename
-        };
+        sendCalendar(res, 'travelmind.ics', calendar, false);
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ success: false, error: 'Failed to build calendar feed' });
+    }
+});
 
-        // Create prompt for photo identification
-        let prompt = `You are analyzing a travel photo to identify landmarks, locations, or points of interest. 
+// Get bookings for a trip
+app.get('/api/trips/:id/bookings', authenticateToken, validate('GET /api/trips/:id/bookings'), async (req, res) => {
+    try {
+        const { id } = req.params;
 
-Photo context:
-${location ? `- Approximate location: ${location.lat}, ${location.lng}` : '- Location unknown'}
-- Filename: ${photoFile.filename}
+        if (!(await loadTripForRole(req, res, 'viewer'))) return;
 
-Please identify:
-1. What landmark or location this might be
-2. Key features or characteristics visible
-3. Historical or cultural significance if applicable
-4. Recommended visiting tips
+        const bookings = await database.getTripBookings(id, req.user.id);
 
-Format your response as:
-NAME: [landmark/location name]
-DESCRIPTION: [detailed description]
-LANDMARKS: [comma-separated list of visible landmarks]
-CONFIDENCE: [0.0-1.0 confidence score]`;
+        res.json({
+            success: true,
+            data: bookings
+        });
+    } catch (error) {
+        console.error('Get bookings error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get bookings'
+        });
+    }
+});
 
-        // Try to use vision model if available (llava or similar)
-        let identificationResult;
+// Add booking to any trip
+app.post('/api/trips/:id/bookings', authenticateToken, validate('POST /api/trips/:id/bookings'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const bookingData = req.body;
 
-        try {
-            // Check if Ollama has a vision model available
-            const hasVisionModel = await checkOllamaVisionModel();
-
-            if (hasVisionModel) {
-                // Use Ollama vision model (llava)
-                identificationResult = await identifyPhotoWithOllama(photoFile.path, prompt, location);
-            } else if (process.env.OPENAI_API_KEY) {
-                // Fallback to OpenAI vision API
-                identificationResult = await identifyPhotoWithOpenAI(photoFile.path, prompt, location);
-            } else {
-                // Fallback to location-based analysis
-                identificationResult = await identifyPhotoBasic(location, photoFile);
+        if (!(await loadTripForRole(req, res, 'editor'))) return;
+
+        const bookingId = await database.createBooking(req.user.id, id, bookingData);
+
+        // Get the created booking
+        const booking = await database.getBookingById(bookingId, req.user.id);
+
+        // Get updated trip with new totals
+        const trip = await database.getTripById(id, req.user.id);
+        const totals = {
+            totalSpent: trip.totalSpent,
+            remainingBudget: trip.remainingBudget,
+            bookingCount: trip.bookingCount
+        };
+        broadcastTripUpdate(id, req.user.id, { ...totals, bookingsChanged: true });
+
+        res.json({
+            success: true,
+            data: {
+                booking,
+                ...totals
             }
+        });
+    } catch (error) {
+        console.error('Add booking error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to add booking'
+        });
+    }
+});
 
-            // Log analytics
-            await database.logAnalyticsEvent(req.user.id, 'photo_identification', {
-                location: location,
-                confidence: identificationResult.confidence,
-                method: identificationResult.method
-            });
+// Update a booking
+app.patch('/api/trips/:id/bookings/:bookingId', authenticateToken, validate('PATCH /api/trips/:id/bookings/:bookingId'), async (req, res) => {
+    try {
+        const { id, bookingId } = req.params;
+        const updates = req.body;
 
-            res.json({
-                success: true,
-                data: identificationResult
-            });
+        if (!(await loadTripForRole(req, res, 'editor'))) return;
 
-        } catch (aiError) {
-            console.error('AI identification error:', aiError);
+        const booking = await database.updateBooking(bookingId, req.user.id, updates);
+        broadcastTripUpdate(id, req.user.id, { bookingsChanged: true });
 
-            // Provide basic fallback response
-            const fallbackResult = {
-                name: 'Location Identified',
-                description: 'Photo received successfully. For detailed identification, ensure Ollama with llava model or OpenAI API is configured.',
-                landmarks: location ? ['Location data available'] : ['No location data'],
-                confidence: 0.3,
-                method: 'fallback',
-                location: location
-            };
+        res.json({
+            success: true,
+            data: { booking }
+        });
+    } catch (error) {
+        console.error('Update booking error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update booking'
+        });
+    }
+});
 
-            res.json({
-                success: true,
-                data: fallbackResult
+// Parse an .ics/.eml upload or pasted confirmation text into booking drafts.
+// Nothing is saved until the drafts are confirmed below.
+app.post('/api/trips/:id/bookings/import', authenticateToken, importFile, validate('POST /api/trips/:id/bookings/import'), async (req, res) => {
+    try {
+        const content = req.file ? req.file.buffer.toString('utf8') : req.body.text;
+        if (!content || !content.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Upload an .ics or .eml file or paste the confirmation text'
             });
         }
 
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
+
+        const result = await bookingImport.parse({
+            content,
+            filename: req.file?.originalname
+        });
+        const existing = await database.getTripBookings(trip.id, req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                source: result.source,
+                drafts: BookingImportService.markDuplicates(result.drafts, existing),
+                warnings: result.warnings
+            }
+        });
+    } catch (error) {
+        if (error instanceof BookingImportError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Import bookings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import bookings'
+        });
+    }
+});
+
+// Create the drafts the user kept (possibly edited) as real bookings
+app.post('/api/trips/:id/bookings/import/confirm', authenticateToken, validate('POST /api/trips/:id/bookings/import/confirm'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const bookings = req.body.bookings.map(draft => BookingImportService.normalizeDraft(draft));
+
+        if (!(await loadTripForRole(req, res, 'editor'))) return;
+
+        const created = [];
+        for (const booking of bookings) {
+            const bookingId = await database.createBooking(req.user.id, id, booking);
+            created.push(await database.getBookingById(bookingId, req.user.id));
+        }
+
+        const trip = await database.getTripById(id, req.user.id);
+        const totals = {
+            totalSpent: trip.totalSpent,
+            remainingBudget: trip.remainingBudget,
+            bookingCount: trip.bookingCount
+        };
+        broadcastTripUpdate(id, req.user.id, { ...totals, bookingsChanged: true });
+
+        res.json({
+            success: true,
+            data: {
+                bookings: created,
+                ...totals
+            }
+        });
     } catch (error) {
-        console.error('Photo identification error:', error);
+        console.error('Confirm imported bookings error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to identify photo',
-            message: error.message
+            error: error.message || 'Failed to save imported bookings'
         });
     }
 });
 
-// ===================================
-// HELPER FUNCTIONS FOR PHOTO IDENTIFICATION
-// ===================================
-
-async function checkOllamaVisionModel() {
+// Delete a booking
+app.delete('/api/trips/:id/bookings/:bookingId', authenticateToken, validate('DELETE /api/trips/:id/bookings/:bookingId'), async (req, res) => {
     try {
-        const ollamaUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-        const response = await fetch(`${ollamaUrl}/api/tags`, {
-            signal: AbortSignal.timeout(5000)
-        });
+        const { id, bookingId } = req.params;
 
-        if (!response.ok) return false;
+        if (!(await loadTripForRole(req, res, 'editor'))) return;
 
-        const data = await response.json();
-        const models = data.models || [];
+        await database.deleteBooking(bookingId, req.user.id);
 
-        // Check for vision models (llava, bakllava, etc.)
-        return models.some(model =>
-            model.name.includes('llava') ||
-            model.name.includes('bakllava') ||
-            model.name.includes('vision')
-        );
-    } catch (error) {
-        console.error('Ollama vision check error:', error);
-        return false;
-    }
-}
+        // Get updated trip totals
+        const trip = await database.getTripById(id, req.user.id);
+        broadcastTripUpdate(id, req.user.id, {
+            totalSpent: trip.totalSpent,
+            remainingBudget: trip.remainingBudget,
+            bookingCount: trip.bookingCount,
+            bookingsChanged: true
+        });
 
-async function identifyPhotoWithOllama(photoPath, prompt, location) {
-    const fs = require('fs');
-    const ollamaUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-
-    // Read image as base64
-    const imageBuffer = await fs.promises.readFile(photoPath);
-    const imageBase64 = imageBuffer.toString('base64');
-
-    const response = await fetch(`${ollamaUrl}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            model: 'llava',
-            prompt: prompt,
-            images: [imageBase64],
-            stream: false,
-            options: {
-                temperature: 0.3,
-                top_p: 0.9
+        res.json({
+            success: true,
+            data: {
+                totalSpent: trip.totalSpent,
+                remainingBudget: trip.remainingBudget,
+                bookingCount: trip.bookingCount
             }
-        }),
-        signal: AbortSignal.timeout(60000) // 60 second timeout for vision
-    });
-
-    if (!response.ok) {
-        throw new Error(`Ollama vision API error: ${response.status}`);
+        });
+    } catch (error) {
+        console.error('Delete booking error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to delete booking'
+        });
     }
+});
+// ===================================
+// TRIP MEMBERS & INVITATIONS
+// ===================================
 
-    const data = await response.json();
-    return parseIdentificationResponse(data.response, 'ollama-vision', location);
+// Absolute link into the frontend (first entry when FRONTEND_URL lists several)
+function frontendUrl(path) {
+    const base = (process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0].trim().replace(/\/$/, '');
+    return `${base}${path}`;
 }
 
-async function identifyPhotoWithOpenAI(photoPath, prompt, location) {
-    const fs = require('fs');
-    const imageBuffer = await fs.promises.readFile(photoPath);
-    const imageBase64 = imageBuffer.toString('base64');
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: [
-                {
-                    role: 'user',
-                    content: [
-                        { type: 'text', text: prompt },
-                        {
-                            type: 'image_url',
-                            image_url: {
-                                url: `data:image/jpeg;base64,${imageBase64}`
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 500
-        }),
-        signal: AbortSignal.timeout(30000)
-    });
+// Link the frontend opens to accept an invitation
+function invitationUrl(token) {
+    return frontendUrl(`/?invite=${token}`);
+}
 
-    if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`OpenAI Vision API error: ${errorData.error?.message}`);
+// Pending, unexpired and (for email invitations) addressed to this user
+function checkInvitation(invitation, user) {
+    if (!invitation || invitation.status !== 'pending') {
+        return 'Invitation not found or already used';
     }
-
-    const data = await response.json();
-    return parseIdentificationResponse(
-        data.choices[0].message.content,
-        'openai-vision',
-        location
-    );
+    if (new Date(invitation.expires_at) < new Date()) {
+        return 'Invitation has expired';
+    }
+    if (invitation.email && invitation.email !== user.email.toLowerCase()) {
+        return 'This invitation was sent to a different email address';
+    }
+    return null;
 }
 
-async function identifyPhotoBasic(location, photoFile) {
-    // Basic identification using location data and Google Places if available
-    let description = 'Photo uploaded successfully. ';
-    let landmarks = [];
+// Invitations sent to an address are for whoever reads that inbox, so the
+// address has to be verified before they can be seen or answered
+const EMAIL_UNVERIFIED = {
+    success: false,
+    error: 'Verify your email address to see and accept the invitations sent to it',
+    code: 'email_unverified'
+};
 
-    if (location) {
-        description += `Photo taken near coordinates: ${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}. `;
+// Read from the database: the access token's flag lags behind verification
+async function hasVerifiedEmail(userId) {
+    const user = await database.getUserById(userId);
+    return !!user?.email_verified_at;
+}
 
-        // If Google Places is available, try to find nearby landmarks
-        try {
-            const places = await googlePlaces.searchNearby(
-                location,
-                'tourist_attraction',
-                500
-            );
+app.get('/api/trips/:id/members', authenticateToken, validate('GET /api/trips/:id/members'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'viewer');
+        if (!trip) return;
+
+        const members = await database.getTripMembers(trip.id);
+        const invitations = trip.role === 'owner'
+            ? (await database.getTripInvitations(trip.id)).map(invitation => ({
+                id: invitation.id,
+                email: invitation.email,
+                role: invitation.role,
+                expiresAt: invitation.expires_at,
+                inviteUrl: invitationUrl(invitation.token)
+            }))
+            : [];
 
-            if (places && places.length > 0) {
-                landmarks = places.slice(0, 3).map(p => p.name);
-                description += `Nearby landmarks include: ${landmarks.join(', ')}. `;
+        res.json({
+            success: true,
+            data: { role: trip.role, members, invitations }
+        });
+    } catch (error) {
+        console.error('Get trip members error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get trip members' });
+    }
+});
+
+// Invite by email, or without one to get a shareable invite link
+app.post('/api/trips/:id/invitations', authenticateToken, validate('POST /api/trips/:id/invitations'), async (req, res) => {
+    try {
+        const { email, role } = req.body;
+
+        const trip = await loadTripForRole(req, res, 'owner');
+        if (!trip) return;
+
+        const invitation = await database.createTripInvitation(trip.id, req.user.id, { email, role });
+
+        // Let the invitee know right away if they already have an account
+        if (email) {
+            const invitee = await database.getUserByEmail(email.toLowerCase());
+            if (invitee) {
+                io.to(`user_${invitee.id}`).emit('trip_invitation', {
+                    tripId: trip.id,
+                    tripTitle: trip.title,
+                    invitedBy: req.user.name,
+                    role,
+                    token: invitation.token
+                });
             }
-        } catch (error) {
-            console.error('Places lookup error:', error);
         }
-    }
 
-    return {
-        name: 'Photo Location',
-        description: description + 'For detailed landmark identification, configure Ollama with llava model or OpenAI Vision API.',
-        landmarks: landmarks,
-        confidence: 0.5,
-        method: 'basic',
-        location: location,
-        photoSize: photoFile.size,
-        photoType: photoFile.mimetype
-    };
-}
+        res.json({
+            success: true,
+            data: { ...invitation, inviteUrl: invitationUrl(invitation.token) }
+        });
+    } catch (error) {
+        console.error('Create invitation error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create invitation' });
+    }
+});
 
-function parseIdentificationResponse(aiResponse, method, location) {
-    // Parse structured response from AI
-    const lines = aiResponse.split('\n');
-    let name = 'Unknown Location';
-    let description = '';
-    let landmarks = [];
-    let confidence = 0.7;
+app.delete('/api/trips/:id/invitations/:invitationId', authenticateToken, validate('DELETE /api/trips/:id/invitations/:invitationId'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'owner');
+        if (!trip) return;
 
-    for (const line of lines) {
-        if (line.startsWith('NAME:')) {
-            name = line.replace('NAME:', '').trim();
-        } else if (line.startsWith('DESCRIPTION:')) {
-            description = line.replace('DESCRIPTION:', '').trim();
-        } else if (line.startsWith('LANDMARKS:')) {
-            const landmarkStr = line.replace('LANDMARKS:', '').trim();
-            landmarks = landmarkStr.split(',').map(l => l.trim()).filter(Boolean);
-        } else if (line.startsWith('CONFIDENCE:')) {
-            const confStr = line.replace('CONFIDENCE:', '').trim();
-            confidence = parseFloat(confStr) || 0.7;
-        } else if (line.trim() && !description) {
-            // If no explicit description found, use the text
-            description += line.trim() + ' ';
+        const revoked = await database.revokeTripInvitation(trip.id, req.params.invitationId);
+        if (!revoked) {
+            return res.status(404).json({ success: false, error: 'Invitation not found' });
         }
-    }
 
-    // If parsing failed, use the raw response
-    if (!description) {
-        description = aiResponse;
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke invitation' });
     }
+});
 
-    return {
-        name,
-        description: description.trim(),
-        landmarks,
-        confidence,
-        method,
-        location
-    };
-}
-// Places Routes
-app.get('/api/places/nearby', async (req, res) => {
+app.patch('/api/trips/:id/members/:userId', authenticateToken, validate('PATCH /api/trips/:id/members/:userId'), async (req, res) => {
     try {
-        const { lat, lng, type = 'tourist_attraction', radius = 1000, keyword, minprice, maxprice, opennow } = req.query;
+        const { role } = req.body;
+        const memberId = req.params.userId;
 
-        if (!lat || !lng) {
-            return res.status(400).json({
-                success: false,
-                error: 'Latitude and longitude are required'
-            });
+        const trip = await loadTripForRole(req, res, 'owner');
+        if (!trip) return;
+
+        const currentRole = await database.getTripRole(trip.id, memberId);
+        if (!currentRole || currentRole === 'owner') {
+            return res.status(404).json({ success: false, error: 'Member not found' });
         }
 
-        const options = {};
-        if (keyword) options.keyword = keyword;
-        if (minprice) options.minprice = parseInt(minprice);
-        if (maxprice) options.maxprice = parseInt(maxprice);
-        if (opennow === 'true') options.opennow = true;
+        await database.setTripMemberRole(trip.id, memberId, role);
+        broadcastTripUpdate(trip.id, req.user.id, { membersChanged: true });
 
-        const location = { lat: parseFloat(lat), lng: parseFloat(lng) };
-        const searchRadius = parseInt(radius);
+        res.json({ success: true, data: { userId: memberId, role } });
+    } catch (error) {
+        console.error('Update member error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update member' });
+    }
+});
 
-        // Search both Google Places and Foursquare in parallel
-        const [googleResults, foursquareResults] = await Promise.all([
-            googlePlaces.searchNearby(location, type, searchRadius, options)
-                .catch(err => {
-                    console.error('Google Places error:', err);
-                    return [];
-                }),
-            foursquare.searchNearby(location, type, searchRadius, options)
-                .catch(err => {
-                    console.error('Foursquare error:', err);
-                    return [];
-                })
-        ]);
+// Owners can remove anyone; members can remove themselves (leave the trip)
+app.delete('/api/trips/:id/members/:userId', authenticateToken, validate('DELETE /api/trips/:id/members/:userId'), async (req, res) => {
+    try {
+        const memberId = parseInt(req.params.userId);
+        const leaving = memberId === req.user.id;
 
-        // Combine results from both sources
-        const combinedPlaces = [...googleResults, ...foursquareResults];
+        const trip = await loadTripForRole(req, res, leaving ? 'viewer' : 'owner');
+        if (!trip) return;
 
-        // Remove duplicates based on name and approximate location (within 50 meters)
-        const uniquePlaces = [];
-        const seenPlaces = new Set();
+        if (leaving && trip.role === 'owner') {
+            return res.status(400).json({ success: false, error: 'The owner cannot leave their own trip' });
+        }
 
-        for (const place of combinedPlaces) {
-            // Create a unique key based on name and location
-            const locationKey = `${Math.round(place.location.lat * 1000)},${Math.round(place.location.lng * 1000)}`;
-            const placeKey = `${place.name.toLowerCase().trim()}_${locationKey}`;
+        // Notify before removing so the member still receives the update
+        await broadcastTripUpdate(trip.id, req.user.id, { membersChanged: true, removedUserId: memberId });
 
-            if (!seenPlaces.has(placeKey)) {
-                seenPlaces.add(placeKey);
-                uniquePlaces.push(place);
-            }
+        const removed = await database.removeTripMember(trip.id, memberId);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Member not found' });
         }
 
-        // Sort by rating (descending), with unrated places at the end
-        uniquePlaces.sort((a, b) => {
-            if (a.rating && b.rating) return b.rating - a.rating;
-            if (a.rating) return -1;
-            if (b.rating) return 1;
-            return 0;
-        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove member' });
+    }
+});
 
-        console.log(`📍 Places found: ${googleResults.length} from Google, ${foursquareResults.length} from Foursquare, ${uniquePlaces.length} unique`);
+// Invitations sent to the current user's email
+app.get('/api/invitations', authenticateToken, validate('GET /api/invitations'), async (req, res) => {
+    try {
+        if (!(await hasVerifiedEmail(req.user.id))) {
+            return res.status(403).json(EMAIL_UNVERIFIED);
+        }
+
+        const invitations = await database.getPendingInvitationsForEmail(req.user.email);
 
         res.json({
             success: true,
-            data: uniquePlaces,
-            count: uniquePlaces.length,
-            sources: {
-                google: googleResults.length,
-                foursquare: foursquareResults.length,
-                unique: uniquePlaces.length
-            },
-            message: uniquePlaces.length === 0 ? 'No places found matching your criteria' : undefined
+            data: invitations.map(invitation => ({
+                tripId: invitation.trip_id,
+                tripTitle: invitation.trip_title,
+                destination: invitation.destination,
+                invitedBy: invitation.invited_by_name,
+                role: invitation.role,
+                token: invitation.token,
+                expiresAt: invitation.expires_at
+            }))
         });
     } catch (error) {
-        console.error('Places search error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to search places',
-            details: error.message
+        console.error('Get invitations error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get invitations' });
+    }
+});
+
+app.get('/api/invitations/:token', authenticateToken, validate('GET /api/invitations/:token'), async (req, res) => {
+    try {
+        const invitation = await database.getInvitationByToken(req.params.token);
+        const problem = checkInvitation(invitation, req.user);
+        if (problem) {
+            return res.status(404).json({ success: false, error: problem });
+        }
+        if (invitation.email && !(await hasVerifiedEmail(req.user.id))) {
+            return res.status(403).json(EMAIL_UNVERIFIED);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                tripId: invitation.trip_id,
+                tripTitle: invitation.trip_title,
+                destination: invitation.destination,
+                invitedBy: invitation.invited_by_name,
+                role: invitation.role,
+                token: invitation.token,
+                expiresAt: invitation.expires_at
+            }
         });
+    } catch (error) {
+        console.error('Get invitation error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get invitation' });
     }
 });
-// Add this route in your backend
-app.put('/api/trips/:id/days/:dayNumber', authenticateToken, async (req, res) => {
+
+app.post('/api/invitations/:token/accept', authenticateToken, validate('POST /api/invitations/:token/accept'), async (req, res) => {
     try {
-        const { id, dayNumber } = req.params;
-        const { activities, title } = req.body;
+        const invitation = await database.getInvitationByToken(req.params.token);
+        const problem = checkInvitation(invitation, req.user);
+        if (problem) {
+            return res.status(404).json({ success: false, error: problem });
+        }
+        if (invitation.email && !(await hasVerifiedEmail(req.user.id))) {
+            return res.status(403).json(EMAIL_UNVERIFIED);
+        }
 
-        // Get current trip
-        const trip = await database.getTripById(id, req.user.id);
+        const role = await database.acceptTripInvitation(invitation, req.user.id);
+        const trip = await database.getTripById(invitation.trip_id, req.user.id);
+        broadcastTripUpdate(invitation.trip_id, req.user.id, { membersChanged: true });
 
-        if (!trip) {
-            return res.status(404).json({ success: false, error: 'Trip not found' });
+        res.json({ success: true, data: { role, trip } });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({ success: false, error: 'Failed to accept invitation' });
+    }
+});
+
+app.post('/api/invitations/:token/decline', authenticateToken, validate('POST /api/invitations/:token/decline'), async (req, res) => {
+    try {
+        const invitation = await database.getInvitationByToken(req.params.token);
+        const problem = checkInvitation(invitation, req.user);
+        if (problem) {
+            return res.status(404).json({ success: false, error: problem });
+        }
+        if (invitation.email && !(await hasVerifiedEmail(req.user.id))) {
+            return res.status(403).json(EMAIL_UNVERIFIED);
         }
 
-        // Parse current itinerary
-        const itineraryText = trip.itinerary?.itinerary || trip.itinerary;
-        const lines = itineraryText.split('\n');
-        const updatedLines = [];
-        let inTargetDay = false;
-        let dayUpdated = false;
+        await database.respondToInvitation(invitation.id, 'declined');
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Decline invitation error:', error);
+        res.status(500).json({ success: false, error: 'Failed to decline invitation' });
+    }
+});
 
-        for (let line of lines) {
-            const dayMatch = line.match(/Day\s+(\d+)/i);
+// ===================================
+// PUBLIC SHARE LINKS
+// ===================================
 
-            if (dayMatch) {
-                const lineDay = parseInt(dayMatch[1]);
+function formatShareLink(link) {
+    return {
+        id: link.id,
+        url: frontendUrl(`/shared/${link.token}`),
+        expiresAt: link.expires_at,
+        viewCount: link.view_count,
+        lastViewedAt: link.last_viewed_at,
+        createdAt: link.created_at
+    };
+}
 
-                if (lineDay === parseInt(dayNumber)) {
-                    // Start of target day
-                    inTargetDay = true;
-                    updatedLines.push(`**Day ${dayNumber}: ${title}**`);
-                    activities.forEach(activity => {
-                        updatedLines.push(`* ${activity}`);
-                    });
-                    dayUpdated = true;
-                    continue;
-                } else if (inTargetDay) {
-                    // End of target day
-                    inTargetDay = false;
-                }
-            }
+app.get('/api/trips/:id/share-links', authenticateToken, validate('GET /api/trips/:id/share-links'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'owner');
+        if (!trip) return;
 
-            if (!inTargetDay) {
-                updatedLines.push(line);
-            }
-        }
+        const links = await database.getTripShareLinks(trip.id);
+        res.json({ success: true, data: links.map(formatShareLink) });
+    } catch (error) {
+        console.error('Get share links error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get share links' });
+    }
+});
 
-        const newItinerary = updatedLines.join('\n');
+// Optional `expiresInDays`; links without it stay valid until revoked
+app.post('/api/trips/:id/share-links', authenticateToken, validate('POST /api/trips/:id/share-links'), async (req, res) => {
+    try {
+        const { expiresInDays } = req.body;
 
-        // Update trip in database
-        await database.updateTrip(tripId, req.user.id, {
-            itinerary: JSON.stringify({ itinerary: newItinerary })
-        });
+        const trip = await loadTripForRole(req, res, 'owner');
+        if (!trip) return;
 
+        const link = await database.createShareLink(trip.id, req.user.id, { expiresInDays: expiresInDays || null });
         res.json({
             success: true,
-            data: { itinerary: newItinerary }
+            data: formatShareLink({
+                id: link.id,
+                token: link.token,
+                expires_at: link.expiresAt,
+                view_count: 0,
+                last_viewed_at: null,
+                created_at: new Date()
+            })
         });
     } catch (error) {
-        console.error('Update day error:', error);
-        res.status(500).json({ success: false, error: 'Failed to update day' });
+        console.error('Create share link error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create share link' });
     }
 });
 
-app.get('/api/places/:placeId', async (req, res) => {
+app.delete('/api/trips/:id/share-links/:linkId', authenticateToken, validate('DELETE /api/trips/:id/share-links/:linkId'), async (req, res) => {
     try {
-        const { placeId } = req.params;
-        const { fields } = req.query;
-
-        let details;
+        const trip = await loadTripForRole(req, res, 'owner');
+        if (!trip) return;
 
-        // Check if this is a Foursquare ID (starts with 'fsq_')
-        if (placeId.startsWith('fsq_')) {
-            // Extract the actual Foursquare ID (remove 'fsq_' prefix)
-            const fsqId = placeId.substring(4);
-            details = await foursquare.getPlaceDetails(fsqId);
-        } else {
-            // Use Google Places for all other IDs
-            const fieldsList = fields ? fields.split(',') : undefined;
-            details = await googlePlaces.getPlaceDetails(placeId, fieldsList);
+        const revoked = await database.revokeShareLink(trip.id, req.params.linkId);
+        if (!revoked) {
+            return res.status(404).json({ success: false, error: 'Share link not found' });
         }
 
-        res.json({
-            success: true,
-            data: details
-        });
+        res.json({ success: true });
     } catch (error) {
-        console.error('Place details error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get place details'
-        });
+        console.error('Revoke share link error:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke share link' });
     }
 });
 
-// Weather Route
-app.get('/api/weather', async (req, res) => {
+// Unauthenticated: anyone with the token sees the redacted trip
+app.get('/api/shared/:token', validate('GET /api/shared/:token'), async (req, res) => {
     try {
-        const { lat, lng } = req.query;
-
-        if (!lat || !lng) {
-            return res.status(400).json({
-                success: false,
-                error: 'Latitude and longitude are required'
-            });
+        const shared = await database.getSharedTrip(req.params.token);
+        if (!shared) {
+            return res.status(404).json({ success: false, error: 'This link is invalid or has expired' });
         }
 
-        const weather = await googlePlaces.getWeatherInfo({
-            lat: parseFloat(lat),
-            lng: parseFloat(lng)
-        });
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, data: ShareService.toPublicTrip(shared) });
+    } catch (error) {
+        console.error('Get shared trip error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load shared trip' });
+    }
+});
 
-        if (!weather) {
-            return res.status(503).json({
-                success: false,
-                error: 'Weather service unavailable'
-            });
+// Memory Routes
+const signMemory = async (memory) => ({ ...memory, photos: await signPhotos(memory.photos) });
+
+// A memory may only be filed under a trip the user can see
+const checkMemoryTrip = async (tripId, userId, res) => {
+    if (tripId && !await database.getTripRole(tripId, userId)) {
+        res.status(400).json({ success: false, error: 'Trip not found' });
+        return false;
+    }
+    return true;
+};
+
+app.post('/api/memories', authenticateToken, upload.array('photos', 10), validate('POST /api/memories'), async (req, res) => {
+    try {
+        const { stripExif, ...fields } = req.body;
+        const value = MemoryService.normalize(fields);
+        if (!await checkMemoryTrip(value.tripId, req.user.id, res)) return;
+
+        value.photos = await uploadedPhotos(req);
+
+        // Fill date and position from the photos when the form left them out
+        const defaults = PhotoMetadataService.memoryDefaults(value.photos);
+        if (!value.date && defaults.date) {
+            value.date = defaults.date;
+        }
+        if (defaults.location && !(value.location && value.location.lat !== undefined)) {
+            value.location = { ...value.location, ...defaults.location };
         }
 
+        const memoryId = await MemoryService.createMemory(req.user.id, value);
+        const memory = await MemoryService.getMemory(req.user.id, memoryId);
+
         res.json({
             success: true,
-            data: weather
+            data: await signMemory(memory)
         });
     } catch (error) {
-        console.error('Weather error:', error);
+        console.error('Create memory error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get weather data'
+            error: 'Failed to create memory'
         });
     }
 });
 
-// Flight and Hotel Routes
-// backend/server.js - Update the flight search route
-app.get('/api/flights/search', authenticateToken, async (req, res) => {
+app.get('/api/memories', authenticateToken, validate('GET /api/memories'), async (req, res) => {
     try {
-        const {
-            origin,
-            destination,
-            departureDate,
-            returnDate,
-            adults,
-            children,
-            infants,
-            travelClass,
-            nonStop,
-            currencyCode,
-            max
-        } = req.query;
-
-        // Validate required parameters
-        if (!origin || !destination || !departureDate) {
-            return res.status(400).json({
-                success: false,
-                error: 'Origin, destination, and departure date are required',
-                details: {
-                    origin: !origin ? 'Missing origin airport code (e.g., JFK)' : undefined,
-                    destination: !destination ? 'Missing destination airport code (e.g., LAX)' : undefined,
-                    departureDate: !departureDate ? 'Missing departure date (YYYY-MM-DD format)' : undefined
-                }
-            });
-        }
-
-        // Validate date format
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(departureDate)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid date format. Use YYYY-MM-DD (e.g., 2025-12-25)'
-            });
-        }
-
-        if (returnDate && !dateRegex.test(returnDate)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid return date format. Use YYYY-MM-DD'
-            });
-        }
-
-        const searchParams = {
-            origin: origin.toUpperCase(),
-            destination: destination.toUpperCase(),
-            departureDate,
-            returnDate,
-            adults: adults ? parseInt(adults) : 1,
-            children: children ? parseInt(children) : 0,
-            infants: infants ? parseInt(infants) : 0,
-            travelClass: travelClass || 'ECONOMY',
-            nonStop: nonStop === 'true',
-            currencyCode: currencyCode || 'USD',
-            max: max ? parseInt(max) : 10
-        };
-
-        console.log('🔍 Flight search params:', searchParams);
+        const { tripId, type, dateFrom, dateTo, limit, q, tags, lat, lng, radius } = req.query;
 
-        const flights = await amadeus.searchFlights(searchParams);
+        const filters = {};
+        if (tripId) filters.tripId = tripId;
+        if (type) filters.type = type;
+        if (dateFrom) filters.dateFrom = dateFrom;
+        if (dateTo) filters.dateTo = dateTo;
+        if (limit) filters.limit = limit;
+        if (q) filters.q = q;
+        if (tags) filters.tags = tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+        if (lat !== undefined) filters.near = { lat, lng, radiusKm: radius || 10 };
 
-        // Log analytics - but don't let it break the response
-        try {
-            await database.logAnalyticsEvent(req.user.id, 'flight_search', {
-                ...searchParams,
-                resultsCount: flights.offers.length
-            });
-        } catch (analyticsError) {
-            console.error('⚠️ Analytics logging failed (non-critical):', analyticsError.message);
-        }
+        const memories = await MemoryService.getUserMemories(req.user.id, filters);
 
         res.json({
             success: true,
-            data: flights,
-            searchParams: searchParams
+            data: await Promise.all(memories.map(signMemory))
         });
     } catch (error) {
-        console.error('❌ Flight search endpoint error:', error);
+        console.error('Get memories error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to search flights',
-            message: error.message,
-            hint: 'Make sure Amadeus API credentials are configured correctly'
+            error: 'Failed to get memories'
         });
     }
 });
 
-// Update hotel search route with same pattern
-app.get('/api/hotels/search', authenticateToken, async (req, res) => {
+app.patch('/api/memories/:id', authenticateToken, validate('PATCH /api/memories/:id'), async (req, res) => {
     try {
-        const {
-            cityCode,
-            latitude,
-            longitude,
-            checkInDate,
-            checkOutDate,
-            adults,
-            roomQuantity,
-            radius,
-            currency,
-            ratings,
-            amenities
-        } = req.query;
+        const value = MemoryService.normalize(req.body);
+        if (!await checkMemoryTrip(value.tripId, req.user.id, res)) return;
 
-        if ((!cityCode && (!latitude || !longitude)) || !checkInDate || !checkOutDate) {
-            return res.status(400).json({
-                success: false,
-                error: 'City code (or lat/lng), check-in date, and check-out date are required'
-            });
+        const memory = await MemoryService.updateMemory(req.user.id, req.params.id, value);
+        if (!memory) {
+            return res.status(404).json({ success: false, error: 'Memory not found' });
         }
 
-        const searchParams = {
-            cityCode: cityCode?.toUpperCase(),
-            latitude: latitude ? parseFloat(latitude) : undefined,
-            longitude: longitude ? parseFloat(longitude) : undefined,
-            checkInDate,
-            checkOutDate,
-            adults: adults ? parseInt(adults) : 1,
-            roomQuantity: roomQuantity ? parseInt(roomQuantity) : 1,
-            radius: radius ? parseInt(radius) : 5,
-            currency: currency || 'USD',
-            ratings: ratings ? ratings.split(',').map(Number) : undefined,
-            amenities: amenities ? amenities.split(',') : undefined
-        };
-
-        console.log('🏨 Hotel search params:', searchParams);
-
-        const hotels = await amadeus.searchHotels(searchParams);
+        res.json({ success: true, data: await signMemory(memory) });
+    } catch (error) {
+        console.error('Update memory error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update memory' });
+    }
+});
 
-        // Log analytics - non-blocking
-        try {
-            await database.logAnalyticsEvent(req.user.id, 'hotel_search', {
-                ...searchParams,
-                resultsCount: hotels.hotels.length
-            });
-        } catch (analyticsError) {
-            console.error('⚠️ Analytics logging failed (non-critical):', analyticsError.message);
+app.delete('/api/memories/:id', authenticateToken, validate('DELETE /api/memories/:id'), async (req, res) => {
+    try {
+        const memory = await MemoryService.deleteMemory(req.user.id, req.params.id);
+        if (!memory) {
+            return res.status(404).json({ success: false, error: 'Memory not found' });
         }
+        await storage.removePhotos(memory.photos);
 
-        res.json({
-            success: true,
-            data: hotels,
-            searchParams: searchParams
-        });
+        res.json({ success: true, message: 'Memory deleted successfully' });
     } catch (error) {
-        console.error('❌ Hotel search endpoint error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to search hotels',
-            message: error.message
-        });
+        console.error('Delete memory error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete memory' });
     }
 });
-app.post('/api/places/coordinates', authenticateToken, async (req, res) => {
-    try {
-        const { locations, destination } = req.body;
 
-        if (!locations || locations.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Locations array is required'
-            });
+app.post('/api/memories/:id/photos', authenticateToken, upload.array('photos', 10), validate('POST /api/memories/:id/photos'), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ success: false, error: 'At least one photo is required' });
         }
 
-        const results = [];
+        const memory = await MemoryService.getMemory(req.user.id, req.params.id);
+        if (!memory) {
+            return res.status(404).json({ success: false, error: 'Memory not found' });
+        }
 
-        // Search for each location to get coordinates
-        for (const locationName of locations.slice(0, 5)) { // Limit to 5
-            try {
-                const searchQuery = `${locationName}, ${destination}`;
-                const response = await fetch(
-                    `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(searchQuery)}&key=${process.env.GOOGLE_MAPS_API_KEY}`
-                );
-                const data = await response.json();
+        const photos = await uploadedPhotos(req);
+        const changes = { photos: [...memory.photos, ...photos] };
 
-                if (data.status === 'OK' && data.results.length > 0) {
-                    const place = data.results[0];
-                    results.push({
-                        name: locationName,
-                        lat: place.geometry.location.lat,
-                        lng: place.geometry.location.lng,
-                        formatted_address: place.formatted_address
-                    });
-                }
-            } catch (error) {
-                console.error(`Error geocoding ${locationName}:`, error);
-            }
+        const defaults = PhotoMetadataService.memoryDefaults(photos);
+        if (defaults.location && memory.location.lat === undefined) {
+            changes.location = { ...memory.location, ...defaults.location };
         }
 
-        res.json({
-            success: true,
-            data: {
-                locations: results,
-                count: results.length
-            }
-        });
+        const updated = await MemoryService.updateMemory(req.user.id, memory.id, changes);
+
+        res.json({ success: true, data: await signMemory(updated) });
     } catch (error) {
-        console.error('Coordinates fetch error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch coordinates'
-        });
+        console.error('Add memory photos error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add photos' });
     }
 });
 
-// Add a new endpoint to get user analytics
-app.get('/api/analytics/events', authenticateToken, async (req, res) => {
+app.delete('/api/memories/:id/photos/:filename', authenticateToken, validate('DELETE /api/memories/:id/photos/:filename'), async (req, res) => {
     try {
-        const { eventType, dateFrom, dateTo, limit } = req.query;
+        const memory = await MemoryService.getMemory(req.user.id, req.params.id);
+        const photos = memory ? memory.photos.filter(photo => photo.filename !== req.params.filename) : [];
 
-        const events = await database.getAnalyticsEvents(req.user.id, {
-            eventType,
-            dateFrom,
-            dateTo,
-            limit: limit || 50
-        });
+        if (!memory || photos.length === memory.photos.length) {
+            return res.status(404).json({ success: false, error: 'Photo not found' });
+        }
 
-        res.json({
-            success: true,
-            data: events
-        });
+        const updated = await MemoryService.updateMemory(req.user.id, memory.id, { photos });
+        await storage.removePhotos(memory.photos.filter(photo => photo.filename === req.params.filename));
+
+        res.json({ success: true, data: await signMemory(updated) });
     } catch (error) {
-        console.error('Analytics events error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get analytics events'
-        });
+        console.error('Remove memory photo error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove photo' });
     }
 });
 
-// Get all trips for a user (with optional status filter)
-app.get('/api/trips', authenticateToken, async (req, res) => {
+app.get('/api/memories/story/:tripId?', authenticateToken, validate('GET /api/memories/story/:tripId?'), async (req, res) => {
     try {
-        const { status, limit = 20 } = req.query;
-        console.log('📊 Getting trips for user:', req.user.id);
-        console.log('📊 With filters:', { status, limit });
-
-        const trips = await database.getUserTrips(req.user.id, status, parseInt(limit));
-        console.log('✅ getUserTrips returned:', trips ? trips.length : 0, 'trips');
+        const story = await MemoryService.generateTravelStory(req.user.id, req.params.tripId || null);
 
         res.json({
             success: true,
-            data: trips
+            data: { ...story, memories: await Promise.all(story.memories.map(signMemory)) }
         });
     } catch (error) {
-        console.error('Get trips error:', error);
+        console.error('Generate story error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get trips'
+            error: 'Failed to generate travel story'
         });
     }
 });
 
-app.get('/api/trips/upcoming', authenticateToken, async (req, res) => {
+app.get('/api/memories/statistics', authenticateToken, validate('GET /api/memories/statistics'), async (req, res) => {
     try {
-        const { status, limit = 20 } = req.query;
-        console.log('📊 Getting trips for user:', req.user.id);
-        console.log('📊 With filters:', { status, limit });
+        const stats = await MemoryService.getTravelStatistics(req.user.id);
 
-        const trips = await database.getUserTrips(req.user.id, status, parseInt(limit));
-        console.log('✅ getUserTrips returned:', trips ? trips.length : 0, 'trips');
-        // Even if empty, return success
         res.json({
             success: true,
-            data: trips
+            data: stats
         });
     } catch (error) {
-        console.error('Get upcoming trips error:', error);
+        console.error('Get statistics error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get upcoming trips'
+            error: 'Failed to get travel statistics'
         });
     }
 });
 
-app.get('/api/trips/:id', authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const trip = await database.getTripById(id, req.user.id);
+// ===================================
+// CURRENCY ROUTES
+// ===================================
 
-        if (!trip) {
-            return res.status(404).json({
-                success: false,
-                error: 'Trip not found'
-            });
-        }
+function parseCurrency(value) {
+    const currency = ExchangeRateService.normalizeCurrency(value);
+    return currency && SUPPORTED_CURRENCIES.includes(currency) ? currency : null;
+}
 
+app.get('/api/currency', authenticateToken, validate('GET /api/currency'), async (req, res) => {
+    try {
         res.json({
             success: true,
-            data: trip
+            data: {
+                homeCurrency: await database.getUserHomeCurrency(req.user.id),
+                supported: SUPPORTED_CURRENCIES
+            }
         });
     } catch (error) {
-        console.error('Get trip error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get trip'
-        });
+        console.error('Get currency settings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load currency settings' });
     }
 });
 
-// NEW: Schedule a trip with dates
-app.patch('/api/trips/:id/schedule', authenticateToken, async (req, res) => {
+app.put('/api/currency/home', authenticateToken, validate('PUT /api/currency/home'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { startDate, endDate } = req.body;
-
-        if (!startDate || !endDate) {
-            return res.status(400).json({
-                success: false,
-                error: 'Both start and end dates required to schedule trip'
-            });
-        }
+        const { currency } = req.body;
 
-        if (new Date(startDate) > new Date(endDate)) {
-            return res.status(400).json({
-                success: false,
-                error: 'End date must be after start date'
-            });
-        }
+        await database.setUserHomeCurrency(req.user.id, currency);
+        res.json({ success: true, data: { homeCurrency: currency } });
+    } catch (error) {
+        console.error('Set home currency error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update home currency' });
+    }
+});
 
-        await database.updateTrip(id, req.user.id, {
-            start_date: startDate,
-            end_date: endDate
-        });
+// Rate for one day, e.g. ?from=EUR&to=USD&date=2025-07-14 (defaults to today)
+app.get('/api/currency/rate', authenticateToken, validate('GET /api/currency/rate'), async (req, res) => {
+    try {
+        const { from, to, date } = req.query;
 
-        // Get updated trip
-        const trip = await database.getTripById(id, req.user.id);
+        const rate = await database.rates.getRate(from, to, date);
+        if (!rate) {
+            return res.status(404).json({ success: false, error: `No ${from}/${to} rate available for that date` });
+        }
 
-        res.json({
-            success: true,
-            data: trip
-        });
+        res.json({ success: true, data: { from, to, ...rate } });
     } catch (error) {
-        console.error('Schedule trip error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to schedule trip'
-        });
+        console.error('Get exchange rate error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get exchange rate' });
     }
 });
 
-// Get bookings for a trip
-app.get('/api/trips/:id/bookings', authenticateToken, async (req, res) => {
+// Currency the trip's budget and totals are kept in
+app.patch('/api/trips/:id/currency', authenticateToken, validate('PATCH /api/trips/:id/currency'), async (req, res) => {
     try {
         const { id } = req.params;
+        const { currency } = req.body;
 
-        const bookings = await database.getTripBookings(id, req.user.id);
+        if (!(await loadTripForRole(req, res, 'editor'))) return;
 
-        res.json({
-            success: true,
-            data: bookings
-        });
+        await database.setTripCurrency(id, currency);
+
+        const trip = await database.getTripById(id, req.user.id);
+        const totals = {
+            currency: trip.currency,
+            totalSpent: trip.totalSpent,
+            remainingBudget: trip.remainingBudget
+        };
+        broadcastTripUpdate(id, req.user.id, totals);
+
+        res.json({ success: true, data: trip });
     } catch (error) {
-        console.error('Get bookings error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to get bookings'
-        });
+        console.error('Set trip currency error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update trip currency' });
     }
 });
 
-// Add booking to any trip
-app.post('/api/trips/:id/bookings', authenticateToken, async (req, res) => {
+// ===================================
+// TRIP BUDGET ROUTES
+// ===================================
+
+// Budget vs. actual: category budgets, spend so far, burn rate and projection
+app.get('/api/trips/:id/budget', authenticateToken, validate('GET /api/trips/:id/budget'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const bookingData = req.body;
+        const trip = await loadTripForRole(req, res, 'viewer');
+        if (!trip) return;
 
-        if (!bookingData.title) {
-            return res.status(400).json({
-                success: false,
-                error: 'Booking title is required'
-            });
-        }
+        res.json({ success: true, data: await budgets.summarize(trip) });
+    } catch (error) {
+        console.error('Get trip budget error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load trip budget' });
+    }
+});
 
-        const bookingId = await database.createBooking(req.user.id, id, bookingData);
+// Body: { total?, alertPercent?, categories?: { food: 300, lodging: null, ... } }
+app.put('/api/trips/:id/budget', authenticateToken, validate('PUT /api/trips/:id/budget'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!(await loadTripForRole(req, res, 'editor'))) return;
 
-        // Get the created booking
-        const booking = await database.getBookingById(bookingId, req.user.id);
+        await database.updateTripBudget(id, req.body);
 
-        // Get updated trip with new totals
         const trip = await database.getTripById(id, req.user.id);
-
-        res.json({
-            success: true,
-            data: {
-                booking,
-                totalSpent: trip.totalSpent,
-                remainingBudget: trip.remainingBudget,
-                bookingCount: trip.bookingCount
-            }
+        const summary = await budgets.summarize(trip);
+        broadcastTripUpdate(id, req.user.id, {
+            budget: trip.budget,
+            remainingBudget: trip.remainingBudget,
+            budgetChanged: true
         });
+
+        res.json({ success: true, data: summary });
     } catch (error) {
-        console.error('Add booking error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to add booking'
-        });
+        console.error('Update trip budget error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update trip budget' });
     }
 });
 
-// Update a booking
-app.patch('/api/trips/:id/bookings/:bookingId', authenticateToken, async (req, res) => {
-    try {
-        const { bookingId } = req.params;
-        const updates = req.body;
+// ===================================
+// EXPENSE SPLITTING ROUTES
+// ===================================
 
-        const booking = await database.updateBooking(bookingId, req.user.id, updates);
+/**
+ * Validate a split body against the trip's current members and guests.
+ * The payer defaults to the current user. Sends a 400 and returns null when
+ * it doesn't check out.
+ */
+async function resolveSplit(tripId, userId, input, amount, res) {
+    const { value, errors } = SplitService.validateSplit(input, amount);
+    if (errors) {
+        res.status(400).json({ success: false, error: 'Invalid split', details: errors });
+        return null;
+    }
 
-        res.json({
-            success: true,
-            data: { booking }
-        });
-    } catch (error) {
-        console.error('Update booking error:', error);
-        res.status(500).json({
+    const participants = await database.getTripParticipants(tripId);
+    const known = new Set(participants.map(participant => participant.participant));
+    const paidByKey = value.paidBy || `user:${userId}`;
+    const unknown = [paidByKey, ...value.parts.map(part => part.participant)].find(key => !known.has(key));
+    if (unknown) {
+        res.status(400).json({
             success: false,
-            error: error.message || 'Failed to update booking'
+            error: 'Invalid split',
+            details: [{ path: 'participants', message: `${unknown} is not on this trip` }]
         });
+        return null;
+    }
+
+    return {
+        paidByKey,
+        paidBy: SplitService.parseParticipant(paidByKey),
+        method: value.method,
+        parts: value.parts.map(part => ({ ...part, ...SplitService.parseParticipant(part.participant) }))
+    };
+}
+
+// Everyone an expense can be split with: members and named guests
+app.get('/api/trips/:id/participants', authenticateToken, validate('GET /api/trips/:id/participants'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'viewer');
+        if (!trip) return;
+
+        res.json({ success: true, data: await database.getTripParticipants(trip.id) });
+    } catch (error) {
+        console.error('Get trip participants error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get trip participants' });
     }
 });
 
-// Delete a booking
-app.delete('/api/trips/:id/bookings/:bookingId', authenticateToken, async (req, res) => {
+// Companions without an account, e.g. { "name": "Sam" }
+app.post('/api/trips/:id/guests', authenticateToken, validate('POST /api/trips/:id/guests'), async (req, res) => {
     try {
-        const { id, bookingId } = req.params;
+        const { name } = req.body;
 
-        await database.deleteBooking(bookingId, req.user.id);
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
 
-        // Get updated trip totals
-        const trip = await database.getTripById(id, req.user.id);
+        const guestId = await database.createTripGuest(trip.id, name, req.user.id);
+        broadcastTripUpdate(trip.id, req.user.id, { balancesChanged: true });
 
         res.json({
             success: true,
-            data: {
-                totalSpent: trip.totalSpent,
-                remainingBudget: trip.remainingBudget,
-                bookingCount: trip.bookingCount
-            }
+            data: { participant: `guest:${guestId}`, userId: null, guestId, name, guest: true }
         });
     } catch (error) {
-        console.error('Delete booking error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to delete booking'
-        });
+        console.error('Create trip guest error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add guest' });
     }
 });
-// Memory Routes
-app.post('/api/memories', authenticateToken, upload.array('photos', 10), async (req, res) => {
+
+app.delete('/api/trips/:id/guests/:guestId', authenticateToken, validate('DELETE /api/trips/:id/guests/:guestId'), async (req, res) => {
     try {
-        const memoryData = req.body;
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
 
-        // Process uploaded photos
-        const photos = req.files ? req.files.map(file => ({
-            filename: file.filename,
-            originalName: file.originalname,
-            url: `/uploads/${file.filename}`,
-            size: file.size
-        })) : [];
+        const result = await database.deleteTripGuest(trip.id, parseInt(req.params.guestId));
+        if (result === 'not_found') {
+            return res.status(404).json({ success: false, error: 'Guest not found' });
+        }
+        if (result === 'in_use') {
+            return res.status(409).json({ success: false, error: 'This guest is part of expenses or payments on the trip' });
+        }
+
+        broadcastTripUpdate(trip.id, req.user.id, { balancesChanged: true });
+        res.json({ success: true, message: 'Guest removed' });
+    } catch (error) {
+        console.error('Delete trip guest error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove guest' });
+    }
+});
 
-        memoryData.photos = photos;
+// Who owes whom, in the trip currency, with suggested payments to settle up
+app.get('/api/trips/:id/balances', authenticateToken, validate('GET /api/trips/:id/balances'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'viewer');
+        if (!trip) return;
 
-        const memoryId = await MemoryService.createMemory(req.user.id, memoryData);
+        res.json({ success: true, data: await splits.balances(trip) });
+    } catch (error) {
+        console.error('Get trip balances error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get balances' });
+    }
+});
 
-        res.json({
-            success: true,
-            data: {
-                id: memoryId,
-                ...memoryData
-            }
-        });
+app.get('/api/trips/:id/settlements', authenticateToken, validate('GET /api/trips/:id/settlements'), async (req, res) => {
+    try {
+        const trip = await loadTripForRole(req, res, 'viewer');
+        if (!trip) return;
+
+        res.json({ success: true, data: await database.getTripSettlements(trip.id) });
     } catch (error) {
-        console.error('Create memory error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to create memory'
-        });
+        console.error('Get settlements error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get settlements' });
     }
 });
 
-app.get('/api/memories', authenticateToken, async (req, res) => {
+// Record a payment between two participants, e.g. a suggested transfer
+app.post('/api/trips/:id/settlements', authenticateToken, validate('POST /api/trips/:id/settlements'), async (req, res) => {
     try {
-        const { tripId, type, dateFrom, dateTo, limit } = req.query;
+        const value = req.body;
 
-        const filters = {};
-        if (tripId) filters.tripId = parseInt(tripId);
-        if (type) filters.type = type;
-        if (dateFrom) filters.dateFrom = dateFrom;
-        if (dateTo) filters.dateTo = dateTo;
-        if (limit) filters.limit = parseInt(limit);
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
 
-        const memories = await MemoryService.getUserMemories(req.user.id, filters);
+        const currency = value.currency ? parseCurrency(value.currency) : trip.currency;
+        if (!currency) {
+            return res.status(400).json({ success: false, error: 'Unsupported currency' });
+        }
 
-        res.json({
-            success: true,
-            data: memories
+        const participants = await database.getTripParticipants(trip.id);
+        const known = new Set(participants.map(participant => participant.participant));
+        if (!known.has(value.from) || !known.has(value.to)) {
+            return res.status(400).json({ success: false, error: 'Both sides of a payment must be on this trip' });
+        }
+
+        await database.createSettlement(trip.id, req.user.id, {
+            ...value,
+            from: SplitService.parseParticipant(value.from),
+            to: SplitService.parseParticipant(value.to),
+            currency,
+            date: value.date || ItineraryService.formatLocalDate(new Date())
         });
+        broadcastTripUpdate(trip.id, req.user.id, { balancesChanged: true });
+
+        res.json({ success: true, data: await splits.balances(trip) });
     } catch (error) {
-        console.error('Get memories error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get memories'
-        });
+        console.error('Create settlement error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record payment' });
     }
 });
 
-app.get('/api/memories/story/:id?', authenticateToken, async (req, res) => {
+app.delete('/api/trips/:id/settlements/:settlementId', authenticateToken, validate('DELETE /api/trips/:id/settlements/:settlementId'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const story = await MemoryService.generateTravelStory(req.user.id, tripId ? parseInt(tripId) : null);
+        const trip = await loadTripForRole(req, res, 'editor');
+        if (!trip) return;
 
-        res.json({
-            success: true,
-            data: story
-        });
+        if (!(await database.deleteSettlement(trip.id, parseInt(req.params.settlementId)))) {
+            return res.status(404).json({ success: false, error: 'Payment not found' });
+        }
+        broadcastTripUpdate(trip.id, req.user.id, { balancesChanged: true });
+
+        res.json({ success: true, data: await splits.balances(trip) });
     } catch (error) {
-        console.error('Generate story error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to generate travel story'
-        });
+        console.error('Delete settlement error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete payment' });
     }
 });
 
-app.get('/api/memories/statistics', authenticateToken, async (req, res) => {
+// ===================================
+// EXPENSE ROUTES
+// ===================================
+
+// Read a receipt photo into expense fields for the Add Expense form to
+// pre-fill. Nothing is saved; low-confidence fields are in needsReview.
+app.post('/api/expenses/receipt', authenticateToken, aiLimiter, receiptUpload.single('receipt'), validate('POST /api/expenses/receipt'), async (req, res) => {
     try {
-        const stats = await MemoryService.getTravelStatistics(req.user.id);
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Receipt photo is required'
+            });
+        }
+
+        let result;
+        try {
+            result = await receipts.extract(req.file.buffer);
+        } catch (extractError) {
+            console.warn('Receipt reading failed:', extractError.message);
+            return res.status(422).json({
+                success: false,
+                error: 'Could not read this receipt. Please enter the expense manually.'
+            });
+        }
+
+        await database.logAnalyticsEvent(req.user.id, 'receipt_parsed', {
+            method: result.method,
+            needsReview: result.needsReview
+        });
 
         res.json({
             success: true,
-            data: stats
+            data: result
         });
     } catch (error) {
-        console.error('Get statistics error:', error);
+        console.error('Receipt parse error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get travel statistics'
+            error: 'Failed to read receipt'
         });
     }
 });
 
-// ===================================
-// EXPENSE ROUTES
-// ===================================
-
-app.post('/api/expenses', authenticateToken, upload.array('receipt_photos', 5), async (req, res) => {
+app.post('/api/expenses', authenticateToken, upload.array('receipt_photos', 5), validate('POST /api/expenses'), async (req, res) => {
     try {
-        const expenseData = req.body;
+        const { stripExif, ...expenseData } = req.body;
+
+        // Expenses on a shared trip need edit access to it
+        if (expenseData.tripId) {
+            const role = await database.getTripRole(expenseData.tripId, req.user.id);
+            if (!role) {
+                return res.status(404).json({ success: false, error: 'Trip not found' });
+            }
+            if (!DatabaseService.hasTripRole(role, 'editor')) {
+                return res.status(403).json({ success: false, error: 'You do not have permission to change this trip' });
+            }
+        }
+
+        // Optional split between trip members and guests
+        let split = null;
+        if (expenseData.split) {
+            if (!expenseData.tripId) {
+                return res.status(400).json({ success: false, error: 'Only trip expenses can be split' });
+            }
+            split = await resolveSplit(expenseData.tripId, req.user.id, expenseData.split, expenseData.amount, res);
+            if (!split) return;
+        }
 
         // Process uploaded receipt photos
-        const receiptPhotos = req.files ? req.files.map(file => ({
-            filename: file.filename,
-            originalName: file.originalname,
-            url: `/uploads/${file.filename}`,
-            size: file.size
-        })) : [];
+        const receiptPhotos = await uploadedPhotos(req);
 
         // Insert expense into database
         const result = await database.pool.query(
-            `INSERT INTO expenses (user_id, trip_id, title, description, amount, currency, category, expense_date, receipt_photos)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO expenses (user_id, trip_id, paid_by_user_id, title, description, amount, currency, category, expense_date, receipt_photos)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 req.user.id,
                 expenseData.tripId || null,
+                req.user.id,
                 expenseData.title,
                 expenseData.description || null,
                 expenseData.amount,
-                expenseData.currency || 'USD',
-                expenseData.category || 'general',
+                expenseData.currency,
+                expenseData.category,
                 expenseData.expenseDate || new Date().toISOString().split('T')[0],
                 JSON.stringify(receiptPhotos)
             ]
         );
 
+        const expenseId = Number(result.insertId);
+        if (split) {
+            await database.setExpenseSplit(expenseId, split);
+        }
+
+        if (expenseData.tripId) {
+            broadcastTripUpdate(expenseData.tripId, req.user.id, { expensesChanged: true });
+        }
+
         res.json({
             success: true,
             data: {
-                id: Number(result.insertId),
+                id: expenseId,
                 ...expenseData,
-                receiptPhotos
+                split: split ? { paidBy: split.paidByKey, method: split.method, parts: split.parts } : null,
+                receiptPhotos: await signPhotos(receiptPhotos)
             }
         });
     } catch (error) {
@@ -2299,48 +3849,90 @@ app.post('/api/expenses', authenticateToken, upload.array('receipt_photos', 5),
     }
 });
 
-app.get('/api/expenses', authenticateToken, async (req, res) => {
+app.get('/api/expenses', authenticateToken, validate('GET /api/expenses'), async (req, res) => {
     try {
         const { tripId, category, dateFrom, dateTo, limit } = req.query;
 
-        let query = 'SELECT * FROM expenses WHERE user_id = ?';
-        const params = [req.user.id];
+        // For a trip, every member sees everyone's expenses; otherwise only
+        // the user's own
+        let query = `SELECT e.*, u.name as user_name, COALESCE(pu.name, pg.name) as paid_by_name
+                     FROM expenses e
+                     LEFT JOIN users u ON u.id = e.user_id
+                     LEFT JOIN users pu ON pu.id = e.paid_by_user_id
+                     LEFT JOIN trip_guests pg ON pg.id = e.paid_by_guest_id`;
+        const params = [];
+
+        // Amounts are also shown converted: to ?currency, else the trip's
+        // currency, else the user's home currency
+        let targetCurrency = req.query.currency;
 
         if (tripId) {
-            query += ' AND trip_id = ?';
-            params.push(parseInt(tripId));
+            const trip = await database.getTripById(tripId, req.user.id);
+            if (!trip) {
+                return res.status(404).json({ success: false, error: 'Trip not found' });
+            }
+            targetCurrency = targetCurrency || trip.currency;
+            query += ' WHERE e.trip_id = ?';
+            params.push(tripId);
+        } else {
+            query += ' WHERE e.user_id = ?';
+            params.push(req.user.id);
         }
         if (category) {
-            query += ' AND category = ?';
+            query += ' AND e.category = ?';
             params.push(category);
         }
         if (dateFrom) {
-            query += ' AND expense_date >= ?';
+            query += ' AND e.expense_date >= ?';
             params.push(dateFrom);
         }
         if (dateTo) {
-            query += ' AND expense_date <= ?';
+            query += ' AND e.expense_date <= ?';
             params.push(dateTo);
         }
 
-        query += ' ORDER BY expense_date DESC, created_at DESC';
+        query += ' ORDER BY e.expense_date DESC, e.created_at DESC';
 
         if (limit) {
             query += ' LIMIT ?';
-            params.push(parseInt(limit));
+            params.push(limit);
         }
 
         const expenses = await database.pool.query(query, params);
 
-        // Parse JSON fields
-        const parsedExpenses = expenses.map(expense => ({
-            ...expense,
-            receiptPhotos: database.safeJsonParse(expense.receipt_photos, [])
+        targetCurrency = targetCurrency || await database.getUserHomeCurrency(req.user.id);
+
+        const expenseSplits = await database.getExpenseSplits(expenses.map(expense => expense.id));
+
+        // Parse JSON fields and convert at the rate of the expense date
+        const parsedExpenses = await Promise.all(expenses.map(async expense => {
+            const converted = await database.rates.convert(
+                expense.amount, expense.currency, targetCurrency, expense.expense_date || expense.created_at
+            );
+
+            return {
+                ...expense,
+                receiptPhotos: await signPhotos(database.safeJsonParse(expense.receipt_photos, [])),
+                paidBy: SplitService.participantKey(expense.paid_by_user_id, expense.paid_by_guest_id),
+                paidByName: expense.paid_by_name,
+                splits: expenseSplits[expense.id] || [],
+                convertedAmount: converted ? converted.amount : null,
+                convertedCurrency: targetCurrency,
+                exchangeRate: converted ? converted.rate : null,
+                rateDate: converted ? converted.rateDate : null
+            };
         }));
 
+        const total = await database.rates.sum(parsedExpenses.map(expense => ({
+            amount: expense.amount,
+            currency: expense.currency,
+            date: expense.expense_date || expense.created_at
+        })), targetCurrency);
+
         res.json({
             success: true,
-            data: parsedExpenses
+            data: parsedExpenses,
+            total
         });
     } catch (error) {
         console.error('Get expenses error:', error);
@@ -2351,14 +3943,79 @@ app.get('/api/expenses', authenticateToken, async (req, res) => {
     }
 });
 
-app.delete('/api/expenses/:id', authenticateToken, async (req, res) => {
+// Change who paid and how an expense is split; { split: null } makes it
+// a personal expense of whoever paid
+app.put('/api/expenses/:id/split', authenticateToken, validate('PUT /api/expenses/:id/split'), async (req, res) => {
     try {
         const { id } = req.params;
 
-        await database.pool.query(
-            'DELETE FROM expenses WHERE id = ? AND user_id = ?',
-            [id, req.user.id]
-        );
+        const rows = await database.pool.query('SELECT id, user_id, trip_id, amount, paid_by_user_id, paid_by_guest_id FROM expenses WHERE id = ?', [id]);
+        const expense = rows[0];
+        const tripRole = expense?.trip_id ? await database.getTripRole(expense.trip_id, req.user.id) : null;
+
+        if (!expense || !tripRole) {
+            return res.status(404).json({ success: false, error: 'Expense not found' });
+        }
+        if (expense.user_id !== req.user.id && !DatabaseService.hasTripRole(tripRole, 'editor')) {
+            return res.status(403).json({ success: false, error: 'You do not have permission to change this expense' });
+        }
+
+        let split;
+        if (req.body.split === null) {
+            split = {
+                paidBy: { userId: expense.paid_by_user_id, guestId: expense.paid_by_guest_id },
+                method: 'none',
+                parts: []
+            };
+        } else {
+            split = await resolveSplit(expense.trip_id, req.user.id, req.body.split, expense.amount, res);
+            if (!split) return;
+        }
+
+        await database.setExpenseSplit(expense.id, split);
+        broadcastTripUpdate(expense.trip_id, req.user.id, { expensesChanged: true });
+
+        const expenseSplits = await database.getExpenseSplits([expense.id]);
+        res.json({
+            success: true,
+            data: {
+                id: expense.id,
+                paidBy: SplitService.participantKey(split.paidBy.userId, split.paidBy.guestId),
+                splitMethod: split.parts.length ? split.method : 'none',
+                splits: expenseSplits[expense.id] || []
+            }
+        });
+    } catch (error) {
+        console.error('Update expense split error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update expense split'
+        });
+    }
+});
+
+app.delete('/api/expenses/:id', authenticateToken, validate('DELETE /api/expenses/:id'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const rows = await database.pool.query('SELECT user_id, trip_id, receipt_photos FROM expenses WHERE id = ?', [id]);
+        const expense = rows[0];
+        const tripRole = expense?.trip_id ? await database.getTripRole(expense.trip_id, req.user.id) : null;
+
+        if (!expense || (expense.user_id !== req.user.id && !tripRole)) {
+            return res.status(404).json({ success: false, error: 'Expense not found' });
+        }
+        // Trip editors can tidy up anyone's expenses on the trip
+        if (expense.user_id !== req.user.id && !DatabaseService.hasTripRole(tripRole, 'editor')) {
+            return res.status(403).json({ success: false, error: 'You do not have permission to delete this expense' });
+        }
+
+        await database.pool.query('DELETE FROM expenses WHERE id = ?', [id]);
+        await storage.removePhotos(database.safeJsonParse(expense.receipt_photos, []));
+
+        if (expense.trip_id) {
+            broadcastTripUpdate(expense.trip_id, req.user.id, { expensesChanged: true });
+        }
 
         res.json({
             success: true,
@@ -2374,7 +4031,7 @@ app.delete('/api/expenses/:id', authenticateToken, async (req, res) => {
 });
 
 // Analytics Route
-app.get('/api/analytics/dashboard', authenticateToken, async (req, res) => {
+app.get('/api/analytics/dashboard', authenticateToken, validate('GET /api/analytics/dashboard'), async (req, res) => {
     try {
         console.log('📊 Loading dashboard for user:', req.user.id);
 
@@ -2421,17 +4078,10 @@ app.get('/api/analytics/dashboard', authenticateToken, async (req, res) => {
         });
     }
 });
-app.post('/api/flights/save-selection', authenticateToken, async (req, res) => {
+app.post('/api/flights/save-selection', authenticateToken, validate('POST /api/flights/save-selection'), async (req, res) => {
     try {
         const { tripId, flightData } = req.body;
 
-        if (!tripId || !flightData) {
-            return res.status(400).json({
-                success: false,
-                error: 'Trip ID and flight data are required'
-            });
-        }
-
         // All the database logic is now handled by DatabaseService
         const flightId = await database.createTripFlight(req.user.id, tripId, flightData);
 
@@ -2451,7 +4101,7 @@ app.post('/api/flights/save-selection', authenticateToken, async (req, res) => {
     }
 });
 
-app.get('/api/trips/:id/flights', authenticateToken, async (req, res) => {
+app.get('/api/trips/:id/flights', authenticateToken, validate('GET /api/trips/:id/flights'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -2470,7 +4120,7 @@ app.get('/api/trips/:id/flights', authenticateToken, async (req, res) => {
     }
 });
 
-app.delete('/api/trips/:id/flights/:flightId', authenticateToken, async (req, res) => {
+app.delete('/api/trips/:id/flights/:flightId', authenticateToken, validate('DELETE /api/trips/:id/flights/:flightId'), async (req, res) => {
     try {
         const { id, flightId } = req.params;
 
@@ -2488,17 +4138,9 @@ app.delete('/api/trips/:id/flights/:flightId', authenticateToken, async (req, re
         });
     }
 });
-app.get('/api/airports/search', authenticateToken, async (req, res) => {
+app.get('/api/airports/search', authenticateToken, validate('GET /api/airports/search'), async (req, res) => {
     try {
         const { keyword } = req.query;
-
-        if (!keyword || keyword.length < 2) {
-            return res.status(400).json({
-                success: false,
-                error: 'Search keyword must be at least 2 characters'
-            });
-        }
-
         const result = await amadeus.searchAirports(keyword);
 
         res.json({
@@ -2515,22 +4157,10 @@ app.get('/api/airports/search', authenticateToken, async (req, res) => {
         });
     }
 });
-app.get('/api/activities/search', async (req, res) => {
+app.get('/api/activities/search', validate('GET /api/activities/search'), async (req, res) => {
     try {
-        const { latitude, longitude, radius = 1 } = req.query;
-
-        if (!latitude || !longitude) {
-            return res.status(400).json({
-                success: false,
-                error: 'Latitude and longitude are required'
-            });
-        }
-
-        const activities = await amadeus.searchActivities({
-            latitude: parseFloat(latitude),
-            longitude: parseFloat(longitude),
-            radius: parseInt(radius)
-        });
+        const { latitude, longitude, radius } = req.query;
+        const activities = await amadeus.searchActivities({ latitude, longitude, radius });
 
         res.json({
             success: true,
@@ -2544,11 +4174,44 @@ app.get('/api/activities/search', async (req, res) => {
         });
     }
 });
-// Serve uploaded files
-app.use('/uploads', express.static('uploads'));
+// ===================================
+// STORED FILES
+// ===================================
+
+// Files in local storage, reachable only through the signed URLs handed out
+// with the records they belong to. S3 storage hands out presigned URLs to
+// the bucket instead.
+app.get('/api/files/:key', validate('GET /api/files/:key'), async (req, res) => {
+    try {
+        const { key } = req.params;
+        if (storage.driver !== 'local' || !storage.verify(key, req.query.expires, req.query.signature)) {
+            return res.status(404).json({ success: false, error: 'File not found' });
+        }
+
+        const maxAge = Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000));
+        res.set({
+            'Cache-Control': `private, max-age=${maxAge}`,
+            'Cross-Origin-Resource-Policy': 'cross-origin'
+        });
+        res.sendFile(storage.resolve(key), (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ success: false, error: 'File not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Serve file error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load file' });
+    }
+});
+
+// OpenAPI description generated from the request schemas (see API.md for
+// the readable version)
+app.get('/api/docs', validate('GET /api/docs'), (req, res) => {
+    res.json(ApiDocs.openApiDocument());
+});
 
 // API info
-app.get('/api', (req, res) => {
+app.get('/api', validate('GET /api'), (req, res) => {
     res.json({
         name: 'TravelMind.ai API',
         version: '2.0.0',
@@ -2566,24 +4229,8 @@ app.get('/api', (req, res) => {
             'Smart trip status system (planning, upcoming, active, completed)',
             'Bookings management for all trips'
         ],
-        endpoints: {
-            auth: ['POST /api/auth/register', 'POST /api/auth/login'],
-            ai: ['POST /api/ai/chat', 'POST /api/ai/generate-itinerary', 'POST /api/ai/translate'],
-            places: ['GET /api/places/nearby', 'GET /api/places/:placeId'],
-            travel: ['GET /api/flights/search', 'GET /api/hotels/search', 'GET /api/weather'],
-            trips: [
-                'GET /api/trips',
-                'GET /api/trips/active',
-                'GET /api/trips/upcoming',
-                'GET /api/trips/:id',
-                'PATCH /api/trips/:id/schedule',
-                'POST /api/trips/:id/bookings',
-                'PATCH /api/trips/:id/bookings/:bookingId',
-                'DELETE /api/trips/:id/bookings/:bookingId'
-            ],
-            memories: ['POST /api/memories', 'GET /api/memories', 'GET /api/memories/story/:tripId?'],
-            analytics: ['GET /api/analytics/dashboard']
-        }
+        endpoints: ApiDocs.endpointIndex(),
+        docs: '/api/docs'
     });
 });
 
@@ -2641,13 +4288,18 @@ async function startServer() {
     try {
         console.log('🚀 Starting TravelMind.ai Server...');
 
-        // Create uploads directory
-        await fs.mkdir('uploads', { recursive: true });
+        // Create the upload temp directory
+        await fs.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+        console.log(`📁 File storage: ${storage.driver}`);
 
         // Initialize database connection
         await database.initialize();
 
-        await database.createTables();
+        // Bring the schema up to date; set DB_AUTO_MIGRATE=false to run
+        // `npm run db:migrate` as a separate deploy step instead
+        if (process.env.DB_AUTO_MIGRATE !== 'false') {
+            await database.migrate();
+        }
 
         // Initialize Redis connection
         console.log('🔄 Initializing Redis cache...');
@@ -0,0 +1,114 @@
+// backend/services/accountData.js
+// A user's data on request: a zip export of everything stored for the
+// account (JSON per kind of record plus the uploaded photos), and deletion
+// of the account with its files.
+
+const archiver = require('archiver');
+const { Storage } = require('./storage');
+
+// Never exported, even to the account holder
+const SECRET_USER_COLUMNS = ['password_hash', 'calendar_token'];
+
+const README = `TravelMind account export
+
+profile.json        your account and travel preferences
+trips.json          trips you own, and the trips shared with you
+bookings.json       bookings you added
+memories.json       your memories; photos are in files/memories
+expenses.json       expenses you logged; receipts are in files/receipts
+conversations.json  AI assistant threads and messages
+locations.json      location updates shared from the app
+notifications.json  notifications sent to you
+
+Dates are UTC.
+`;
+
+class AccountDataService {
+    constructor(database, storage) {
+        this.db = database;
+        this.storage = storage;
+    }
+
+    static exportFilename(user, date = new Date()) {
+        return `travelmind-export-${user.id}-${date.toISOString().slice(0, 10)}.zip`;
+    }
+
+    /**
+     * Contents of the export as { filename: data }. Returns null when the
+     * user doesn't exist.
+     */
+    async collect(userId) {
+        const data = await this.db.getAccountData(userId);
+        if (!data.user) return null;
+
+        const profile = { ...data.user };
+        SECRET_USER_COLUMNS.forEach(column => delete profile[column]);
+
+        return {
+            'profile.json': profile,
+            'trips.json': { owned: data.trips, sharedWithMe: data.memberships },
+            'bookings.json': data.bookings,
+            'memories.json': data.memories,
+            'expenses.json': data.expenses,
+            'conversations.json': data.conversations,
+            'locations.json': data.locations,
+            'notifications.json': data.notifications
+        };
+    }
+
+    /**
+     * Stream the export zip to `output` (e.g. the response). Photos are read
+     * from storage one at a time so a large library isn't held in memory;
+     * derivatives are left out since they can be regenerated.
+     */
+    async writeExport(userId, output) {
+        const files = await this.collect(userId);
+        if (!files) return false;
+
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const finished = new Promise((resolve, reject) => {
+            output.on('close', resolve);
+            output.on('finish', resolve);
+            archive.on('error', reject);
+        });
+        archive.pipe(output);
+
+        archive.append(README, { name: 'README.txt' });
+        for (const [name, data] of Object.entries(files)) {
+            archive.append(JSON.stringify(data, null, 2), { name });
+        }
+
+        const photoFiles = [
+            ...files['memories.json'].flatMap(memory => (memory.photos || []).map(photo => ['memories', photo])),
+            ...files['expenses.json'].flatMap(expense => (expense.receipt_photos || []).map(photo => ['receipts', photo]))
+        ];
+        for (const [folder, photo] of photoFiles) {
+            if (!Storage.isValidKey(photo.filename)) continue;
+
+            const contents = await this.storage.read(photo.filename);
+            if (!contents) continue;
+
+            const added = new Promise(resolve => archive.once('entry', resolve));
+            archive.append(contents, { name: `files/${folder}/${photo.filename}` });
+            await added;
+        }
+
+        await archive.finalize();
+        await finished;
+        return true;
+    }
+
+    /**
+     * Delete the account and its uploaded files. Returns false when there
+     * was no such user.
+     */
+    async deleteAccount(userId) {
+        const photos = await this.db.deleteUserAccount(userId);
+        if (!photos) return false;
+
+        await this.storage.removePhotos(photos);
+        return true;
+    }
+}
+
+module.exports = { AccountDataService };
@@ -0,0 +1,80 @@
+// backend/services/accountTokens.js
+// Email verification and password reset links. Each link carries a random
+// single-use token; only its hash is stored, with an expiry. Issuing a new
+// link spends the previous one of the same kind.
+
+const crypto = require('crypto');
+const { SessionService } = require('./sessions');
+const { escapeHtml } = require('./html');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PURPOSES = {
+    verify_email: { ttlMs: 48 * HOUR_MS, path: '/verify-email' },
+    reset_password: { ttlMs: 1 * HOUR_MS, path: '/reset-password' }
+};
+
+class AccountTokenService {
+    /**
+     * `linkTo(path)` turns a frontend path into an absolute URL for the
+     * emails.
+     */
+    constructor(database, mailer, { linkTo = (path) => path } = {}) {
+        this.db = database;
+        this.mailer = mailer;
+        this.linkTo = linkTo;
+    }
+
+    async issue(userId, purpose) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + PURPOSES[purpose].ttlMs);
+        await this.db.createUserToken(userId, purpose, SessionService.hashToken(token), expiresAt);
+        return { token, expiresAt };
+    }
+
+    // User id the token was issued to, or null if it is not (or no longer) valid
+    async consume(token, purpose) {
+        if (!token || typeof token !== 'string') return null;
+        return this.db.consumeUserToken(SessionService.hashToken(token), purpose);
+    }
+
+    link(purpose, token) {
+        return this.linkTo(`${PURPOSES[purpose].path}?token=${token}`);
+    }
+
+    static verificationEmail(user, url) {
+        return {
+            subject: 'Confirm your TravelMind email address',
+            text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n\n${url}\n\nThe link expires in 48 hours. If you didn't create a TravelMind account, you can ignore this email.\n`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Confirm your email address by opening this link:</p>
+<p><a href="${escapeHtml(url)}">Confirm email address</a></p>
+<p>The link expires in 48 hours. If you didn't create a TravelMind account, you can ignore this email.</p>`
+        };
+    }
+
+    static passwordResetEmail(user, url) {
+        return {
+            subject: 'Reset your TravelMind password',
+            text: `Hi ${user.name},\n\nSomeone asked to reset the password of your TravelMind account. To choose a new password, open this link:\n\n${url}\n\nThe link expires in 1 hour and works once. If it wasn't you, ignore this email; your password stays the same.\n`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Someone asked to reset the password of your TravelMind account. To choose a new password, open this link:</p>
+<p><a href="${escapeHtml(url)}">Reset password</a></p>
+<p>The link expires in 1 hour and works once. If it wasn't you, ignore this email; your password stays the same.</p>`
+        };
+    }
+
+    async sendVerification(user) {
+        const { token } = await this.issue(user.id, 'verify_email');
+        const email = AccountTokenService.verificationEmail(user, this.link('verify_email', token));
+        return this.mailer.send({ to: user.email, ...email });
+    }
+
+    async sendPasswordReset(user) {
+        const { token } = await this.issue(user.id, 'reset_password');
+        const email = AccountTokenService.passwordResetEmail(user, this.link('reset_password', token));
+        return this.mailer.send({ to: user.email, ...email });
+    }
+}
+
+module.exports = { AccountTokenService };
@@ -0,0 +1,433 @@
+// backend/services/aiTools.js
+// Tools the AI assistant can call to read and change the user's trips.
+// Each tool is a thin wrapper over DatabaseService / place services. Tools
+// that write data are never run directly: they become pending actions that
+// the user has to confirm in the UI.
+
+const crypto = require('crypto');
+const { ItineraryService, ITEM_CATEGORIES } = require('./itinerary');
+const { DatabaseService } = require('./database');
+
+const PENDING_ACTION_TTL = 15 * 60 * 1000; // 15 minutes
+const BOOKING_TYPES = ['flight', 'hotel', 'activity', 'transport', 'other'];
+
+class AIToolService {
+    constructor({ database, googlePlaces, foursquare }) {
+        this.db = database;
+        this.googlePlaces = googlePlaces;
+        this.foursquare = foursquare;
+        this.pendingActions = new Map();
+        this.tools = this.buildTools();
+    }
+
+    buildTools() {
+        return {
+            get_trip: {
+                description: 'Get a trip with its dates, budget and day-by-day itinerary. Defaults to the trip the user is currently looking at, or their active trip.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        tripId: { type: 'integer', description: 'Trip id, omit for the current trip' }
+                    }
+                },
+                handler: (args, ctx) => this.getTrip(args, ctx)
+            },
+            list_trips: {
+                description: 'List the user\'s trips with ids, destinations, dates and status.',
+                parameters: { type: 'object', properties: {} },
+                handler: (args, ctx) => this.listTrips(ctx)
+            },
+            list_bookings: {
+                description: 'List bookings (flights, hotels, activities...) for a trip, optionally only those on one date.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        tripId: { type: 'integer', description: 'Trip id, omit for the current trip' },
+                        date: { type: 'string', description: 'Only bookings on this date (YYYY-MM-DD)' }
+                    }
+                },
+                handler: (args, ctx) => this.listBookings(args, ctx)
+            },
+            add_booking: {
+                write: true,
+                description: 'Add a booking to a trip. Requires user confirmation.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        tripId: { type: 'integer', description: 'Trip id, omit for the current trip' },
+                        type: { type: 'string', enum: BOOKING_TYPES },
+                        title: { type: 'string' },
+                        date: { type: 'string', description: 'YYYY-MM-DD' },
+                        time: { type: 'string', description: 'HH:MM, 24-hour' },
+                        location: { type: 'string' },
+                        provider: { type: 'string' },
+                        confirmationNumber: { type: 'string' },
+                        cost: { type: 'number' },
+                        currency: { type: 'string', description: 'ISO currency code' }
+                    },
+                    required: ['type', 'title']
+                },
+                describe: (args) => `Add ${args.type || 'booking'} "${args.title}"${args.date ? ` on ${args.date}` : ''}${args.time ? ` at ${args.time}` : ''}`,
+                handler: (args, ctx) => this.addBooking(args, ctx)
+            },
+            search_places: {
+                description: 'Search Google Places and Foursquare for places (restaurants, attractions, cafes...) near a location. Uses the user\'s current location when lat/lng are omitted.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', description: 'Google place type, e.g. restaurant, tourist_attraction, cafe, museum' },
+                        keyword: { type: 'string', description: 'Free-text filter, e.g. "sushi"' },
+                        lat: { type: 'number' },
+                        lng: { type: 'number' },
+                        radius: { type: 'integer', description: 'Meters, default 1500' }
+                    }
+                },
+                handler: (args, ctx) => this.searchPlaces(args, ctx)
+            },
+            get_weather: {
+                description: 'Get the current weather at a location. Uses the user\'s current location when lat/lng are omitted.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        lat: { type: 'number' },
+                        lng: { type: 'number' }
+                    }
+                },
+                handler: (args, ctx) => this.getWeather(args, ctx)
+            },
+            update_day_schedule: {
+                write: true,
+                description: 'Change one day of a trip itinerary: add items, remove items by id, or rename the day. Requires user confirmation.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        tripId: { type: 'integer', description: 'Trip id, omit for the current trip' },
+                        dayNumber: { type: 'integer', description: 'Day of the trip, starting at 1' },
+                        title: { type: 'string', description: 'New title for the day' },
+                        addItems: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    startTime: { type: 'string', description: 'HH:MM, 24-hour' },
+                                    endTime: { type: 'string', description: 'HH:MM, 24-hour' },
+                                    title: { type: 'string' },
+                                    category: { type: 'string', enum: ITEM_CATEGORIES },
+                                    place: { type: 'string', description: 'Venue name' },
+                                    cost: { type: 'number' }
+                                },
+                                required: ['title']
+                            }
+                        },
+                        removeItemIds: { type: 'array', items: { type: 'string' } }
+                    },
+                    required: ['dayNumber']
+                },
+                describe: (args) => {
+                    const parts = [];
+                    (args.addItems || []).forEach(item => {
+                        parts.push(`add "${item.title}"${item.startTime ? ` at ${item.startTime}` : ''}`);
+                    });
+                    if (args.removeItemIds?.length) parts.push(`remove ${args.removeItemIds.length} item(s)`);
+                    if (args.title) parts.push(`rename to "${args.title}"`);
+                    return `Day ${args.dayNumber}: ${parts.join(', ') || 'no changes'}`;
+                },
+                handler: (args, ctx) => this.updateDaySchedule(args, ctx)
+            }
+        };
+    }
+
+    /**
+     * Tool specs in the JSON-schema shape both providers understand.
+     */
+    definitions() {
+        return Object.entries(this.tools).map(([name, tool]) => ({
+            name,
+            description: tool.description,
+            parameters: tool.parameters,
+            write: !!tool.write
+        }));
+    }
+
+    /**
+     * Tools bound to one user's request, as passed to OllamaService.
+     * ctx: { userId, tripId, location, threadId }
+     */
+    forContext(ctx) {
+        return {
+            definitions: this.definitions(),
+            run: (name, args) => this.run(name, args, ctx)
+        };
+    }
+
+    /**
+     * Run a tool call from the model. Read tools return their result; write
+     * tools return a pending action for the user to confirm.
+     */
+    async run(name, args = {}, ctx) {
+        const tool = this.tools[name];
+        if (!tool) {
+            return { status: 'error', error: `Unknown tool: ${name}` };
+        }
+
+        if (tool.write) {
+            const action = this.createPendingAction(name, args, ctx);
+            return {
+                status: 'confirmation_required',
+                action
+            };
+        }
+
+        try {
+            return { status: 'ok', result: await tool.handler(args, ctx) };
+        } catch (error) {
+            console.error(`AI tool ${name} error:`, error.message);
+            return { status: 'error', error: error.message };
+        }
+    }
+
+    createPendingAction(name, args, ctx) {
+        this.pruneExpiredActions();
+
+        const action = {
+            id: crypto.randomUUID(),
+            tool: name,
+            arguments: args,
+            summary: this.tools[name].describe ? this.tools[name].describe(args) : name,
+            createdAt: new Date().toISOString()
+        };
+
+        this.pendingActions.set(action.id, { ...action, ctx, expiresAt: Date.now() + PENDING_ACTION_TTL });
+        return action;
+    }
+
+    /**
+     * Execute (or discard) an action the model proposed, once the user has
+     * answered the confirmation prompt.
+     */
+    async confirm(actionId, userId, approved) {
+        this.pruneExpiredActions();
+
+        const pending = this.pendingActions.get(actionId);
+        if (!pending || pending.ctx.userId !== userId) {
+            throw new Error('Action not found or expired');
+        }
+
+        this.pendingActions.delete(actionId);
+
+        if (!approved) {
+            return { status: 'declined', action: pending, message: `Cancelled: ${pending.summary}` };
+        }
+
+        const result = await this.tools[pending.tool].handler(pending.arguments, pending.ctx);
+        return { status: 'ok', action: pending, result, message: `Done: ${pending.summary}` };
+    }
+
+    pruneExpiredActions() {
+        const now = Date.now();
+        this.pendingActions.forEach((action, id) => {
+            if (action.expiresAt < now) {
+                this.pendingActions.delete(id);
+            }
+        });
+    }
+
+    // ===================================
+    // TOOL HANDLERS
+    // ===================================
+
+    async resolveTrip(tripId, ctx) {
+        const id = tripId || ctx.tripId;
+        if (id) {
+            const trip = await this.db.getTripById(id, ctx.userId);
+            if (!trip) throw new Error('Trip not found');
+            return trip;
+        }
+
+        const active = await this.db.getUserTrips(ctx.userId, 'active', 1);
+        if (active[0]) return active[0];
+
+        const upcoming = await this.db.getUpcomingTrips(ctx.userId);
+        if (upcoming[0]) return upcoming[0];
+
+        throw new Error('No trip specified and the user has no active or upcoming trip');
+    }
+
+    // Write tools need at least editor access on shared trips
+    async resolveEditableTrip(tripId, ctx) {
+        const trip = await this.resolveTrip(tripId, ctx);
+        if (!DatabaseService.hasTripRole(trip.role, 'editor')) {
+            throw new Error('You do not have permission to change this trip');
+        }
+        return trip;
+    }
+
+    async getTrip({ tripId }, ctx) {
+        const trip = await this.resolveTrip(tripId, ctx);
+        const itinerary = trip.itinerary || ItineraryService.empty();
+
+        return {
+            id: trip.id,
+            title: trip.title,
+            destination: trip.destination,
+            startDate: trip.start_date,
+            endDate: trip.end_date,
+            status: trip.status,
+            budget: trip.budget,
+            days: itinerary.days.map(day => ({
+                dayNumber: day.dayNumber,
+                date: day.date,
+                title: day.title,
+                items: day.items.map(item => ({
+                    id: item.id,
+                    startTime: item.startTime,
+                    endTime: item.endTime,
+                    title: item.title,
+                    category: item.category,
+                    place: item.place?.name || null
+                }))
+            }))
+        };
+    }
+
+    async listTrips(ctx) {
+        const trips = await this.db.getUserTrips(ctx.userId, null, 50);
+        return trips.map(trip => ({
+            id: trip.id,
+            title: trip.title,
+            destination: trip.destination,
+            startDate: trip.start_date,
+            endDate: trip.end_date,
+            status: trip.status
+        }));
+    }
+
+    async listBookings({ tripId, date }, ctx) {
+        const trip = await this.resolveTrip(tripId, ctx);
+        let bookings = await this.db.getTripBookings(trip.id, ctx.userId);
+
+        if (date) {
+            bookings = bookings.filter(b => ItineraryService.normalizeDate(b.booking_date) === date);
+        }
+
+        return {
+            tripId: trip.id,
+            bookings: bookings.map(b => ({
+                id: b.id,
+                type: b.booking_type,
+                title: b.title,
+                date: ItineraryService.normalizeDate(b.booking_date),
+                time: b.booking_time,
+                location: b.location,
+                provider: b.provider,
+                flightNumber: b.flight_number,
+                confirmationNumber: b.confirmation_number,
+                status: b.status
+            }))
+        };
+    }
+
+    async addBooking(args, ctx) {
+        const trip = await this.resolveEditableTrip(args.tripId, ctx);
+        const bookingId = await this.db.createBooking(ctx.userId, trip.id, {
+            type: BOOKING_TYPES.includes(args.type) ? args.type : 'other',
+            title: args.title,
+            confirmationNumber: args.confirmationNumber,
+            provider: args.provider,
+            bookingDate: args.date,
+            bookingTime: args.time,
+            location: args.location,
+            cost: args.cost,
+            currency: args.currency
+        });
+
+        return { tripId: trip.id, bookingId: Number(bookingId) };
+    }
+
+    resolveLocation(args, ctx) {
+        if (typeof args.lat === 'number' && typeof args.lng === 'number') {
+            return { lat: args.lat, lng: args.lng };
+        }
+        if (ctx.location?.lat && ctx.location?.lng) {
+            return { lat: ctx.location.lat, lng: ctx.location.lng };
+        }
+        throw new Error('No location available - ask the user where to search');
+    }
+
+    async searchPlaces(args, ctx) {
+        const location = this.resolveLocation(args, ctx);
+        const radius = Math.min(parseInt(args.radius) || 1500, 50000);
+        const type = args.type || 'tourist_attraction';
+        const options = { keyword: args.keyword };
+
+        // Either source may be down or unconfigured; use what the other finds
+        const [googleResults, foursquareResults] = await Promise.all([
+            this.googlePlaces.searchNearby(location, type, radius, options).catch(error => {
+                console.error('Google Places error:', error.message);
+                return [];
+            }),
+            this.foursquare.searchNearby(location, type, radius, options).catch(error => {
+                console.error('Foursquare error:', error.message);
+                return [];
+            })
+        ]);
+
+        // Same name within ~100 m is the same place
+        const seen = new Set();
+        const places = [...googleResults, ...foursquareResults].filter(place => {
+            const key = `${place.name.toLowerCase().trim()}_${Math.round(place.location.lat * 1000)},${Math.round(place.location.lng * 1000)}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        return places.slice(0, 8).map(place => ({
+            name: place.name,
+            rating: place.rating,
+            address: place.address,
+            priceLevel: place.priceLevel,
+            openNow: place.openNow,
+            location: place.location
+        }));
+    }
+
+    async getWeather(args, ctx) {
+        const weather = await this.googlePlaces.getWeatherInfo(this.resolveLocation(args, ctx));
+        if (!weather) {
+            throw new Error('Weather is not available right now');
+        }
+        return weather;
+    }
+
+    async updateDaySchedule(args, ctx) {
+        const trip = await this.resolveEditableTrip(args.tripId, ctx);
+        const dayNumber = parseInt(args.dayNumber);
+        const day = trip.itinerary.days.find(d => d.dayNumber === dayNumber);
+        const removeIds = new Set(args.removeItemIds || []);
+
+        const items = [
+            ...(day ? day.items.filter(item => !removeIds.has(item.id)) : []),
+            ...(args.addItems || []).map(({ id, ...item }) => item)
+        ];
+
+        const { value, errors } = ItineraryService.updateDay(trip.itinerary, dayNumber, {
+            title: args.title,
+            items
+        });
+
+        if (errors) {
+            throw new Error(`Invalid schedule: ${errors.map(e => e.message).join('; ')}`);
+        }
+
+        const itinerary = ItineraryService.withDates(value, trip.start_date);
+        await this.db.updateTrip(trip.id, ctx.userId, { itinerary });
+
+        return {
+            tripId: trip.id,
+            itinerary,
+            day: itinerary.days.find(d => d.dayNumber === dayNumber)
+        };
+    }
+}
+
+module.exports = { AIToolService };
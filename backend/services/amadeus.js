@@ -60,6 +60,7 @@ class AmadeusService {
             travelClass = 'ECONOMY',
             nonStop = false,
             currencyCode = 'USD',
+            includedAirlineCodes,
             max = 10
         } = params;
 
@@ -72,6 +73,7 @@ class AmadeusService {
         if (travelClass !== 'ECONOMY') url += `&travelClass=${travelClass}`;
         if (nonStop) url += `&nonStop=true`;
         if (currencyCode) url += `&currencyCode=${currencyCode}`;
+        if (includedAirlineCodes?.length) url += `&includedAirlineCodes=${includedAirlineCodes.join(',')}`;
         if (max) url += `&max=${max}`;
 
         try {
@@ -0,0 +1,265 @@
+// backend/services/apiDocs.js
+// API reference built from the request schemas in apiSchemas.js: an
+// OpenAPI 3 document (served at GET /api/docs), a Markdown version of it
+// (API.md, written by `npm run docs:api`) and the endpoint index of GET /api.
+
+const j2s = require('joi-to-swagger');
+const { ROUTE_SCHEMAS } = require('./apiSchemas');
+
+const API_TITLE = 'TravelMind.ai API';
+const API_VERSION = '2.0.0';
+
+const GROUP_TITLES = {
+    system: 'System',
+    auth: 'Authentication',
+    profile: 'Profile',
+    ai: 'AI',
+    conversations: 'Conversations',
+    places: 'Places',
+    travel: 'Flights, hotels, activities and weather',
+    trips: 'Trips and itineraries',
+    bookings: 'Bookings',
+    members: 'Members and invitations',
+    calendar: 'Calendar',
+    reminders: 'Reminders',
+    notifications: 'Notifications',
+    sharing: 'Public share links',
+    memories: 'Memories',
+    currency: 'Currency',
+    budget: 'Budget',
+    expenses: 'Expenses',
+    splitting: 'Splitting',
+    files: 'Files',
+    analytics: 'Analytics'
+};
+
+const VALIDATION_ERROR = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string', example: 'Invalid request' },
+        details: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    location: { type: 'string', enum: ['params', 'query', 'body'] },
+                    path: { type: 'string', example: 'amount' },
+                    message: { type: 'string', example: '"amount" must be a positive number' }
+                }
+            }
+        }
+    }
+};
+
+const routes = () => Object.entries(ROUTE_SCHEMAS).map(([key, route]) => {
+    const [method, path] = key.split(' ');
+    return { key, method, path, ...route };
+});
+
+// Express path -> OpenAPI path: '/trips/:id/scrapbook.:format(html|pdf)' -> '/trips/{id}/scrapbook.{format}'
+const toOpenApiPath = (path) => path.replace(/:(\w+)(\([^)]*\))?\??/g, '{$1}');
+
+const toSwagger = (schema) => j2s(schema).swagger;
+
+function parameters(schema, location) {
+    if (!schema) return [];
+
+    const { properties = {}, required = [] } = toSwagger(schema);
+    return Object.entries(properties).map(([name, property]) => {
+        const { description, ...rest } = property;
+        return {
+            name,
+            in: location,
+            // OpenAPI has no optional path segments
+            required: location === 'path' || required.includes(name),
+            ...(description && { description }),
+            schema: rest
+        };
+    });
+}
+
+function requestBody(route) {
+    if (!route.body && !route.files) return undefined;
+
+    if (!route.files) {
+        return { required: true, content: { 'application/json': { schema: toSwagger(route.body) } } };
+    }
+
+    const schema = route.body ? toSwagger(route.body) : { type: 'object', properties: {} };
+    Object.entries(route.files).forEach(([field, maxCount]) => {
+        const file = { type: 'string', format: 'binary' };
+        schema.properties[field] = maxCount > 1 ? { type: 'array', items: file, maxItems: maxCount } : file;
+    });
+    return { required: true, content: { 'multipart/form-data': { schema } } };
+}
+
+function operation(route) {
+    const responses = { 200: { description: 'Success' } };
+    if (route.params || route.query || route.body) {
+        responses[400] = { $ref: '#/components/responses/ValidationError' };
+    }
+    if (route.auth === 'required') {
+        responses[401] = { description: 'Missing or expired access token' };
+    }
+
+    const body = requestBody(route);
+    return {
+        tags: [route.group],
+        summary: route.summary,
+        operationId: route.key,
+        ...(route.auth === 'required' && { security: [{ bearerAuth: [] }] }),
+        ...(route.auth === 'optional' && { security: [{}, { bearerAuth: [] }] }),
+        parameters: [...parameters(route.params, 'path'), ...parameters(route.query, 'query')],
+        ...(body && { requestBody: body }),
+        responses
+    };
+}
+
+/**
+ * OpenAPI 3.0 document of every route.
+ */
+function openApiDocument() {
+    const paths = {};
+    routes().forEach(route => {
+        const path = toOpenApiPath(route.path);
+        paths[path] = { ...paths[path], [route.method.toLowerCase()]: operation(route) };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: { title: API_TITLE, version: API_VERSION },
+        tags: Object.entries(GROUP_TITLES).map(([name, description]) => ({ name, description })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            },
+            responses: {
+                ValidationError: {
+                    description: 'The request failed validation; details lists every problem',
+                    content: { 'application/json': { schema: VALIDATION_ERROR } }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * "METHOD /path" of every route by group, for GET /api.
+ */
+function endpointIndex() {
+    const index = {};
+    routes().forEach(route => {
+        (index[route.group] = index[route.group] || []).push(route.key);
+    });
+    return index;
+}
+
+// ===================================
+// MARKDOWN
+// ===================================
+
+function typeLabel(property) {
+    if (property.anyOf || property.oneOf) {
+        return (property.anyOf || property.oneOf).map(typeLabel).join(' or ');
+    }
+    if (property.type === 'array') {
+        return `${property.items ? typeLabel(property.items) : 'any'}[]`;
+    }
+    return property.format && property.format !== 'float' ? `${property.type} (${property.format})` : property.type || 'any';
+}
+
+function constraints(property) {
+    const notes = [];
+    if (property.description) notes.push(property.description);
+    if (property.enum) notes.push(`one of ${property.enum.map(value => `\`${value}\``).join(', ')}`);
+    if (property.minimum !== undefined) notes.push(`min ${property.minimum}`);
+    if (property.maximum !== undefined) notes.push(`max ${property.maximum}`);
+    if (property.minLength !== undefined) notes.push(`min length ${property.minLength}`);
+    if (property.maxLength !== undefined) notes.push(`max length ${property.maxLength}`);
+    if (property.minItems !== undefined) notes.push(`at least ${property.minItems}`);
+    if (property.maxItems !== undefined) notes.push(`at most ${property.maxItems}`);
+    if (property.pattern) notes.push(`pattern \`${property.pattern}\``);
+    if (property.nullable) notes.push('nullable');
+    if (property.default !== undefined) notes.push(`default \`${JSON.stringify(property.default)}\``);
+    return notes.join('; ');
+}
+
+const cell = (text) => text.replace(/\|/g, '\\|');
+
+// Table rows of an object schema, nested object fields as `parent.field`
+// and fields of array items as `parent[].field`
+function fieldRows(schema, prefix = '') {
+    const rows = [];
+    const required = schema.required || [];
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        const field = `${prefix}${name}`;
+        rows.push(`| \`${field}\` | ${cell(typeLabel(property))} | ${required.includes(name) ? 'yes' : ''} | ${cell(constraints(property))} |`);
+        if (property.type === 'object') {
+            rows.push(...fieldRows(property, `${field}.`));
+        } else if (property.type === 'array' && property.items?.type === 'object') {
+            rows.push(...fieldRows(property.items, `${field}[].`));
+        }
+    });
+    return rows;
+}
+
+function fieldTable(title, schema) {
+    const rows = fieldRows(schema);
+    if (!rows.length) return [];
+    return [`${title}:`, '', '| Field | Type | Required | Notes |', '| --- | --- | --- | --- |', ...rows, ''];
+}
+
+const AUTH_LABELS = { required: 'access token', optional: 'optional access token', none: 'none' };
+
+function routeMarkdown(route) {
+    const lines = [`### \`${route.key}\``, '', route.summary, '', `Auth: ${AUTH_LABELS[route.auth]}`, ''];
+
+    if (route.params) lines.push(...fieldTable('Path parameters', toSwagger(route.params)));
+    if (route.query) lines.push(...fieldTable('Query parameters', toSwagger(route.query)));
+
+    const body = requestBody(route);
+    if (body) {
+        const [contentType, { schema }] = Object.entries(body.content)[0];
+        lines.push(...fieldTable(`Body (${contentType})`, schema));
+    }
+    return lines;
+}
+
+/**
+ * API reference as Markdown, one section per group.
+ */
+function markdown() {
+    const lines = [
+        `# ${API_TITLE}`,
+        '',
+        '<!-- Generated from backend/services/apiSchemas.js by `npm run docs:api`; edit the schemas, not this file. -->',
+        '',
+        'Requests are checked against these schemas. Unknown fields are dropped, values are converted',
+        '(`"42"` becomes `42`) and defaults filled in. A request that fails gets a 400 listing every problem:',
+        '',
+        '```json',
+        '{',
+        '  "success": false,',
+        '  "error": "Invalid request",',
+        '  "details": [{ "location": "body", "path": "amount", "message": "\\"amount\\" must be a positive number" }]',
+        '}',
+        '```',
+        '',
+        'Routes marked "access token" take `Authorization: Bearer <token>`. The same reference is served as',
+        'OpenAPI 3 at `GET /api/docs`.',
+        ''
+    ];
+
+    const byGroup = endpointIndex();
+    const all = routes();
+    Object.keys(byGroup).forEach(group => {
+        lines.push(`## ${GROUP_TITLES[group] || group}`, '');
+        all.filter(route => route.group === group).forEach(route => lines.push(...routeMarkdown(route)));
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = { openApiDocument, endpointIndex, markdown, API_VERSION };
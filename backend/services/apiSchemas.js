@@ -0,0 +1,1000 @@
+// backend/services/apiSchemas.js
+// Request schemas of every API route, keyed by "METHOD /path" exactly as
+// the route is registered in server.js. validation.js checks requests
+// against them and apiDocs.js builds the API reference from them, so the
+// reference lists what the routes really accept.
+//
+//   group    section of the API reference and of GET /api
+//   summary  one line for the reference
+//   auth     'required' (Bearer access token), 'optional' or 'none'
+//   params, query, body
+//            Joi schemas of those parts of the request
+//   files    multipart/form-data routes: the file fields, { name: maxCount }
+//   prepare  turns a multipart body's string fields into values before
+//            the body schema sees them
+
+const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('./exchangeRates');
+const { ProfileService, BUDGET_LEVELS } = require('./profile');
+const { ItineraryService, ITEM_STATUSES } = require('./itinerary');
+const { ReminderService } = require('./reminders');
+const { MemoryService, MEMORY_TYPES, MAX_RADIUS_KM } = require('./memory');
+const { BudgetService } = require('./budget');
+const { SplitService } = require('./splits');
+const { BookingImportService, BOOKING_TYPES } = require('./bookingImport');
+const { CalendarService } = require('./calendar');
+
+const MIN_PASSWORD_LENGTH = 8;
+const INVITABLE_ROLES = ['editor', 'viewer'];
+const TRIP_STATUSES = ['planning', 'upcoming', 'active', 'completed'];
+const TRAVEL_CLASSES = ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'];
+const SHARE_LINK_MAX_DAYS = 365;
+
+// ===================================
+// SHARED FIELDS
+// ===================================
+
+const id = Joi.number().integer().positive();
+const token = Joi.string().trim().max(255);
+
+// A real calendar day, kept as the 'YYYY-MM-DD' string
+const date = Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .custom((value, helpers) => {
+        const parsed = new Date(`${value}T00:00:00Z`);
+        return !isNaN(parsed) && parsed.toISOString().startsWith(value) ? value : helpers.error('date.invalid');
+    })
+    .messages({
+        'string.pattern.base': '{{#label}} must be a date (YYYY-MM-DD)',
+        'date.invalid': '{{#label}} is not a valid date'
+    });
+
+const time = Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be a time (HH:MM)' });
+
+const timeZone = Joi.string()
+    .max(64)
+    .custom((value, helpers) => (CalendarService.isValidTimeZone(value) ? value : helpers.error('timezone.invalid')))
+    .messages({ 'timezone.invalid': '{{#label}} must be an IANA time zone such as Europe/Paris' });
+
+const currency = Joi.string().trim().uppercase().valid(...SUPPORTED_CURRENCIES)
+    .messages({ 'any.only': '{{#label}} is not a supported currency' });
+
+// A positive amount in whole cents. precision(2) would round 1.239 to 1.24
+// rather than reject it, so extra decimals are checked here
+const money = Joi.number()
+    .greater(0)
+    .custom((value, helpers) => (Math.round(value * 100) / 100 === value ? value : helpers.error('number.precision', { limit: 2 })))
+    .description('Greater than 0, at most 2 decimals');
+
+const airportCode = Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be a 3-letter IATA code' });
+
+const latitude = Joi.number().min(-90).max(90);
+const longitude = Joi.number().min(-180).max(180);
+const limit = (max, defaultValue) => {
+    const schema = Joi.number().integer().min(1).max(max);
+    return defaultValue === undefined ? schema : schema.default(defaultValue);
+};
+
+// Multipart forms send objects as JSON text; fields that don't parse are
+// left as they are for the schema to reject
+const parseJsonFields = (...fields) => (body) => {
+    const parsed = { ...body };
+    fields.forEach(field => {
+        if (typeof parsed[field] !== 'string') return;
+        const text = parsed[field].trim();
+        if (!text) {
+            delete parsed[field];
+            return;
+        }
+        try {
+            parsed[field] = JSON.parse(text);
+        } catch (error) {
+            // reported by the schema
+        }
+    });
+    return parsed;
+};
+
+const tripParams = (extra = {}) => Joi.object({ id: id.required(), ...extra });
+
+// Files land on disk and are stripped of EXIF when this (or
+// STRIP_PHOTO_EXIF) says so
+const stripExif = Joi.boolean().description('Remove EXIF (GPS, camera serials) from the stored photos');
+
+// Itinerary items as clients send them. The itinerary service repairs
+// older shapes (plain strings, `time`/`type`/`name` fields) and validates
+// the result, so only the title is checked here and other fields are
+// passed on.
+const scheduleItem = Joi.alternatives().try(
+    Joi.string().trim().max(500),
+    Joi.object({ title: Joi.string().trim().max(500) }).unknown(true)
+);
+
+const chatContext = Joi.object({
+    mode: Joi.string().max(30),
+    location: Joi.object({ lat: latitude, lng: longitude }).unknown(true).allow(null),
+    weather: Joi.object().unknown(true).allow(null),
+    currentTrip: Joi.object({ id }).unknown(true).allow(null),
+    userPreferences: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.string()).allow(null)
+}).unknown(true);
+
+const bookingFields = {
+    type: Joi.string().valid(...BOOKING_TYPES),
+    title: Joi.string().trim().min(1).max(255),
+    confirmationNumber: Joi.string().trim().max(100).allow(null, ''),
+    provider: Joi.string().trim().max(255).allow(null, ''),
+    status: Joi.string().trim().max(50),
+    bookingDate: date.allow(null, ''),
+    bookingTime: time.allow(null, ''),
+    endDate: date.allow(null, ''),
+    endTime: time.allow(null, ''),
+    timezone: timeZone.allow(null, ''),
+    location: Joi.string().trim().max(255).allow(null, ''),
+    cost: Joi.number().min(0).allow(null, ''),
+    currency: Joi.string().trim().uppercase().length(3),
+    details: Joi.string().max(5000).allow(null, ''),
+    alertMessage: Joi.string().trim().max(255).allow(null, ''),
+    alertTime: Joi.string().max(30).allow(null, ''),
+    flightNumber: Joi.string().trim().max(50).allow(null, '')
+};
+
+// PATCH /bookings/:bookingId takes the column names
+const bookingColumns = {
+    booking_type: bookingFields.type,
+    title: bookingFields.title,
+    confirmation_number: bookingFields.confirmationNumber,
+    provider: bookingFields.provider,
+    status: bookingFields.status,
+    booking_date: bookingFields.bookingDate,
+    booking_time: bookingFields.bookingTime,
+    end_date: bookingFields.endDate,
+    end_time: bookingFields.endTime,
+    timezone: bookingFields.timezone,
+    location: bookingFields.location,
+    flight_number: bookingFields.flightNumber,
+    cost: bookingFields.cost,
+    currency: bookingFields.currency,
+    details: bookingFields.details,
+    alert_message: bookingFields.alertMessage,
+    alert_time: bookingFields.alertTime
+};
+
+// ===================================
+// ROUTES
+// ===================================
+
+const ROUTE_SCHEMAS = {
+    // System
+    'GET /health': { group: 'system', summary: 'Service health', auth: 'none' },
+    'GET /api': { group: 'system', summary: 'API overview and endpoint index', auth: 'none' },
+    'GET /api/docs': { group: 'system', summary: 'OpenAPI description of this API', auth: 'none' },
+
+    // Authentication
+    'POST /api/auth/register': {
+        group: 'auth',
+        summary: 'Create an account and sign in',
+        auth: 'none',
+        body: Joi.object({
+            email: Joi.string().trim().email({ tlds: { allow: false } }).max(255).required(),
+            password: Joi.string().min(MIN_PASSWORD_LENGTH).max(128).required(),
+            name: Joi.string().trim().min(1).max(255).required()
+        })
+    },
+    'POST /api/auth/login': {
+        group: 'auth',
+        summary: 'Sign in with email and password',
+        auth: 'none',
+        body: Joi.object({
+            email: Joi.string().trim().max(255).required(),
+            password: Joi.string().max(128).required()
+        })
+    },
+    'POST /api/auth/refresh': {
+        group: 'auth',
+        summary: 'New access token for a refresh token (the refresh token is rotated)',
+        auth: 'none',
+        body: Joi.object({ refreshToken: Joi.string().required() })
+    },
+    'POST /api/auth/logout': {
+        group: 'auth',
+        summary: 'End the session of a refresh token',
+        auth: 'none',
+        body: Joi.object({ refreshToken: Joi.string().required() })
+    },
+    'POST /api/auth/logout-all': { group: 'auth', summary: 'End every session of the account', auth: 'required' },
+    'GET /api/auth/sessions': { group: 'auth', summary: 'Signed-in devices', auth: 'required' },
+    'DELETE /api/auth/sessions/:id': {
+        group: 'auth',
+        summary: 'Sign out one device',
+        auth: 'required',
+        params: Joi.object({ id: id.required() })
+    },
+    'POST /api/auth/verify-email': {
+        group: 'auth',
+        summary: 'Confirm an email address with the token from the emailed link',
+        auth: 'none',
+        body: Joi.object({ token: token.required() })
+    },
+    'POST /api/auth/verify-email/resend': { group: 'auth', summary: 'Send the verification email again', auth: 'required' },
+    'POST /api/auth/forgot-password': {
+        group: 'auth',
+        summary: 'Email a password reset link',
+        auth: 'none',
+        body: Joi.object({ email: Joi.string().trim().max(255).required() })
+    },
+    'POST /api/auth/reset-password': {
+        group: 'auth',
+        summary: 'Choose a new password with the token from the emailed link',
+        auth: 'none',
+        body: Joi.object({
+            token: token.required(),
+            password: Joi.string().min(MIN_PASSWORD_LENGTH).max(128).required()
+        })
+    },
+
+    // Profile
+    'GET /api/me': { group: 'profile', summary: 'Profile and travel preferences', auth: 'required' },
+    'PATCH /api/me': {
+        group: 'profile',
+        summary: 'Update profile and travel preferences',
+        auth: 'required',
+        body: ProfileService.schema
+    },
+    'GET /api/me/export': { group: 'profile', summary: 'Zip of all account data and uploaded photos', auth: 'required' },
+    'DELETE /api/me': {
+        group: 'profile',
+        summary: 'Delete the account and all of its data',
+        auth: 'required',
+        body: Joi.object({ password: Joi.string().max(128).required() })
+    },
+
+    // AI
+    'POST /api/ai/chat': {
+        group: 'ai',
+        summary: 'Chat with the travel assistant',
+        auth: 'required',
+        body: Joi.object({
+            message: Joi.string().trim().min(1).max(10000).required(),
+            threadId: id.allow(null),
+            context: chatContext.default({})
+        })
+    },
+    'POST /api/ai/actions/:id/confirm': {
+        group: 'ai',
+        summary: 'Approve or decline a change the assistant proposed',
+        auth: 'required',
+        params: Joi.object({ id: Joi.string().guid().required() }),
+        body: Joi.object({ approved: Joi.boolean().default(true) })
+    },
+    'POST /api/ai/generate-itinerary': {
+        group: 'ai',
+        summary: 'Generate an itinerary and save it as a new trip',
+        auth: 'required',
+        body: Joi.object({
+            destination: Joi.string().trim().min(1).max(255).required(),
+            duration: Joi.number().integer().min(1).max(60).required().description('Days'),
+            budget: Joi.number().min(0).empty('').allow(null),
+            startDate: date.empty('').allow(null),
+            endDate: date.empty('').allow(null),
+            travelStyle: Joi.string().valid(...BUDGET_LEVELS).empty(''),
+            interests: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).default([])
+        })
+    },
+    'POST /api/ai/translate': {
+        group: 'ai',
+        summary: 'Translate text for a travel situation',
+        auth: 'required',
+        body: Joi.object({
+            text: Joi.string().trim().min(1).max(5000).required(),
+            targetLanguage: Joi.string().trim().min(2).max(50).required(),
+            sourceLanguage: Joi.string().trim().min(2).max(50).default('auto'),
+            context: Joi.object().unknown(true).default({})
+        })
+    },
+    'POST /api/ai/identify-photo': {
+        group: 'ai',
+        summary: 'Identify the landmark or place in a photo',
+        auth: 'required',
+        files: { photo: 1 },
+        prepare: parseJsonFields('location'),
+        body: Joi.object({
+            location: Joi.object({ lat: latitude.required(), lng: longitude.required() }).unknown(true)
+                .description('Device position, JSON in the form')
+        })
+    },
+
+    // Conversations
+    'GET /api/ai/threads': {
+        group: 'conversations',
+        summary: 'Conversation threads, most recently used first',
+        auth: 'required',
+        query: Joi.object({ tripId: id, limit: limit(200, 50) })
+    },
+    'POST /api/ai/threads': {
+        group: 'conversations',
+        summary: 'Start a thread, optionally linked to a trip',
+        auth: 'required',
+        body: Joi.object({
+            title: Joi.string().trim().max(255).allow(null, ''),
+            tripId: id.allow(null)
+        })
+    },
+    'GET /api/ai/threads/:id': {
+        group: 'conversations',
+        summary: 'A thread with its messages',
+        auth: 'required',
+        params: Joi.object({ id: id.required() }),
+        query: Joi.object({ limit: limit(500, 200) })
+    },
+    'PATCH /api/ai/threads/:id': {
+        group: 'conversations',
+        summary: 'Rename a thread or change its trip',
+        auth: 'required',
+        params: Joi.object({ id: id.required() }),
+        body: Joi.object({
+            title: Joi.string().trim().min(1).max(255),
+            tripId: id.allow(null)
+        }).min(1)
+    },
+    'DELETE /api/ai/threads/:id': {
+        group: 'conversations',
+        summary: 'Delete a thread and its messages',
+        auth: 'required',
+        params: Joi.object({ id: id.required() })
+    },
+
+    // Places
+    'GET /api/places/nearby': {
+        group: 'places',
+        summary: 'Places near a position; personalised for signed-in users',
+        auth: 'optional',
+        query: Joi.object({
+            lat: latitude.required(),
+            lng: longitude.required(),
+            type: Joi.string().trim().max(50).default('tourist_attraction'),
+            radius: Joi.number().integer().min(1).max(50000).default(1000).description('Metres'),
+            keyword: Joi.string().trim().max(100),
+            minprice: Joi.number().integer().min(0).max(4),
+            maxprice: Joi.number().integer().min(0).max(4),
+            opennow: Joi.boolean()
+        })
+    },
+    'GET /api/places/:placeId': {
+        group: 'places',
+        summary: 'Place details (Google, or Foursquare for fsq_ ids)',
+        auth: 'none',
+        params: Joi.object({ placeId: Joi.string().max(300).required() }),
+        query: Joi.object({ fields: Joi.string().max(500).description('Comma-separated Google fields') })
+    },
+    'POST /api/places/coordinates': {
+        group: 'places',
+        summary: 'Geocode place names (first 5) near a destination',
+        auth: 'required',
+        body: Joi.object({
+            locations: Joi.array().items(Joi.string().trim().min(1).max(255)).min(1).max(50).required(),
+            destination: Joi.string().trim().max(255).allow('')
+        })
+    },
+
+    // Flights, hotels, activities and weather
+    'GET /api/flights/search': {
+        group: 'travel',
+        summary: 'Flight offers; origin and currency default to the profile',
+        auth: 'required',
+        query: Joi.object({
+            origin: airportCode,
+            destination: airportCode.required(),
+            departureDate: date.required(),
+            returnDate: date,
+            adults: Joi.number().integer().min(1).max(9).default(1),
+            children: Joi.number().integer().min(0).max(9).default(0),
+            infants: Joi.number().integer().min(0).max(9).default(0),
+            travelClass: Joi.string().trim().uppercase().valid(...TRAVEL_CLASSES).default('ECONOMY'),
+            nonStop: Joi.boolean().default(false),
+            currencyCode: currency,
+            airlines: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]{2}(,[A-Z0-9]{2})*$/)
+                .messages({ 'string.pattern.base': '{{#label}} must be comma-separated 2-character airline codes' })
+                .description('Only these airlines'),
+            max: Joi.number().integer().min(1).max(250).default(10)
+        })
+    },
+    'GET /api/hotels/search': {
+        group: 'travel',
+        summary: 'Hotel offers in a city or around a position',
+        auth: 'required',
+        query: Joi.object({
+            cityCode: airportCode,
+            latitude,
+            longitude,
+            checkInDate: date.required(),
+            checkOutDate: date.required(),
+            adults: Joi.number().integer().min(1).max(9).default(1),
+            roomQuantity: Joi.number().integer().min(1).max(9).default(1),
+            radius: Joi.number().integer().min(1).max(300).default(5).description('Kilometres'),
+            currency: currency.default('USD'),
+            ratings: Joi.string().pattern(/^[1-5](,[1-5])*$/)
+                .messages({ 'string.pattern.base': '{{#label}} must be comma-separated star ratings (1-5)' }),
+            amenities: Joi.string().max(500).description('Comma-separated Amadeus amenity codes')
+        }).and('latitude', 'longitude').or('cityCode', 'latitude')
+    },
+    'GET /api/airports/search': {
+        group: 'travel',
+        summary: 'Airports and cities matching a keyword',
+        auth: 'required',
+        query: Joi.object({ keyword: Joi.string().trim().min(2).max(50).required() })
+    },
+    'GET /api/activities/search': {
+        group: 'travel',
+        summary: 'Tours and activities around a position',
+        auth: 'none',
+        query: Joi.object({
+            latitude: latitude.required(),
+            longitude: longitude.required(),
+            radius: Joi.number().integer().min(1).max(20).default(1).description('Kilometres')
+        })
+    },
+    'GET /api/weather': {
+        group: 'travel',
+        summary: 'Current weather at a position',
+        auth: 'none',
+        query: Joi.object({ lat: latitude.required(), lng: longitude.required() })
+    },
+    'POST /api/flights/save-selection': {
+        group: 'travel',
+        summary: 'Save a flight offer to a trip',
+        auth: 'required',
+        body: Joi.object({
+            tripId: id.required(),
+            flightData: Joi.object().unknown(true).required().description('Flight offer as returned by /api/flights/search')
+        })
+    },
+    'GET /api/trips/:id/flights': {
+        group: 'travel',
+        summary: 'Flights saved to a trip',
+        auth: 'required',
+        params: tripParams()
+    },
+    'DELETE /api/trips/:id/flights/:flightId': {
+        group: 'travel',
+        summary: 'Remove a saved flight',
+        auth: 'required',
+        params: tripParams({ flightId: id.required() })
+    },
+
+    // Trips and itineraries
+    'GET /api/trips': {
+        group: 'trips',
+        summary: 'Trips the user owns or belongs to',
+        auth: 'required',
+        query: Joi.object({ status: Joi.string().valid(...TRIP_STATUSES), limit: limit(100, 20) })
+    },
+    'GET /api/trips/upcoming': {
+        group: 'trips',
+        summary: 'Trips, optionally filtered by status',
+        auth: 'required',
+        query: Joi.object({ status: Joi.string().valid(...TRIP_STATUSES), limit: limit(100, 20) })
+    },
+    'GET /api/trips/active': { group: 'trips', summary: 'The active trip and its current day', auth: 'required' },
+    'GET /api/trips/active/schedule': { group: 'trips', summary: "Today's items of the active trip", auth: 'required' },
+    'PATCH /api/trips/active/schedule/:itemId': {
+        group: 'trips',
+        summary: "Set the status of one of today's items",
+        auth: 'required',
+        params: Joi.object({ itemId: Joi.string().max(64).required() }),
+        body: Joi.object({ status: Joi.string().valid(...ITEM_STATUSES).required() })
+    },
+    'GET /api/trips/:id': {
+        group: 'trips',
+        summary: 'A trip with its itinerary and totals',
+        auth: 'required',
+        params: tripParams()
+    },
+    'PATCH /api/trips/:id/schedule': {
+        group: 'trips',
+        summary: 'Set the trip dates',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({ startDate: date.required(), endDate: date.required() })
+    },
+    'POST /api/trips/:id/schedule': {
+        group: 'trips',
+        summary: 'Replace a day ({ day, schedule }) or add one item to the day of its date',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({
+            day: Joi.number().integer().min(1),
+            schedule: Joi.array().items(scheduleItem),
+            title: Joi.string().trim().min(1).max(500),
+            date: date.description('Day of a single added item; defaults to today')
+        }).unknown(true).with('schedule', 'day').or('schedule', 'title')
+    },
+    'PATCH /api/trips/:id/itinerary': {
+        group: 'trips',
+        summary: 'Replace the itinerary, structured or as plain text',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({
+            itinerary: ItineraryService.schema,
+            text: Joi.string().max(100000)
+        }).xor('itinerary', 'text')
+    },
+    'PUT /api/trips/:id/days/:dayNumber': {
+        group: 'trips',
+        summary: 'Replace one day of the itinerary',
+        auth: 'required',
+        params: tripParams({ dayNumber: Joi.number().integer().min(1).required() }),
+        body: Joi.object({
+            title: Joi.string().trim().max(255).allow(''),
+            summary: Joi.string().trim().max(2000).allow(null, ''),
+            items: Joi.array().items(scheduleItem),
+            activities: Joi.array().items(scheduleItem).description('Older clients: plain-text activities')
+        })
+    },
+    'PATCH /api/trips/:id/activate': {
+        group: 'trips',
+        summary: 'Make this the active trip',
+        auth: 'required',
+        params: tripParams()
+    },
+    'PATCH /api/trips/:id/deactivate': {
+        group: 'trips',
+        summary: 'Set the trip back to planning',
+        auth: 'required',
+        params: tripParams()
+    },
+
+    // Bookings
+    'GET /api/bookings/upcoming': { group: 'bookings', summary: 'Next bookings of active trips', auth: 'required' },
+    'GET /api/trips/:id/bookings': {
+        group: 'bookings',
+        summary: 'Bookings of a trip',
+        auth: 'required',
+        params: tripParams()
+    },
+    'POST /api/trips/:id/bookings': {
+        group: 'bookings',
+        summary: 'Add a booking',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({ ...bookingFields, title: bookingFields.title.required() })
+    },
+    'PATCH /api/trips/:id/bookings/:bookingId': {
+        group: 'bookings',
+        summary: 'Update a booking (fields by column name)',
+        auth: 'required',
+        params: tripParams({ bookingId: id.required() }),
+        body: Joi.object(bookingColumns).min(1)
+    },
+    'DELETE /api/trips/:id/bookings/:bookingId': {
+        group: 'bookings',
+        summary: 'Delete a booking',
+        auth: 'required',
+        params: tripParams({ bookingId: id.required() })
+    },
+    'POST /api/trips/:id/bookings/import': {
+        group: 'bookings',
+        summary: 'Read an .ics/.eml upload or pasted confirmation into booking drafts',
+        auth: 'required',
+        files: { file: 1 },
+        params: tripParams(),
+        body: Joi.object({ text: Joi.string().max(200000).description('Pasted confirmation, instead of a file') })
+    },
+    'POST /api/trips/:id/bookings/import/confirm': {
+        group: 'bookings',
+        summary: 'Save the kept drafts as bookings',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({ bookings: Joi.array().items(BookingImportService.draftSchema).min(1).required() })
+    },
+
+    // Members and invitations
+    'GET /api/trips/:id/members': {
+        group: 'members',
+        summary: 'Members, and for the owner the open invitations',
+        auth: 'required',
+        params: tripParams()
+    },
+    'POST /api/trips/:id/invitations': {
+        group: 'members',
+        summary: 'Invite by email, or without one for a shareable invite link',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({
+            email: Joi.string().trim().email({ tlds: { allow: false } }).max(255).allow(null, ''),
+            role: Joi.string().valid(...INVITABLE_ROLES).default('viewer')
+        })
+    },
+    'DELETE /api/trips/:id/invitations/:invitationId': {
+        group: 'members',
+        summary: 'Revoke an invitation',
+        auth: 'required',
+        params: tripParams({ invitationId: id.required() })
+    },
+    'PATCH /api/trips/:id/members/:userId': {
+        group: 'members',
+        summary: "Change a member's role",
+        auth: 'required',
+        params: tripParams({ userId: id.required() }),
+        body: Joi.object({ role: Joi.string().valid(...INVITABLE_ROLES).required() })
+    },
+    'DELETE /api/trips/:id/members/:userId': {
+        group: 'members',
+        summary: 'Remove a member, or leave the trip',
+        auth: 'required',
+        params: tripParams({ userId: id.required() })
+    },
+    'GET /api/invitations': { group: 'members', summary: "Invitations sent to the user's email", auth: 'required' },
+    'GET /api/invitations/:token': {
+        group: 'members',
+        summary: 'An invitation',
+        auth: 'required',
+        params: Joi.object({ token: token.required() })
+    },
+    'POST /api/invitations/:token/accept': {
+        group: 'members',
+        summary: 'Join the trip',
+        auth: 'required',
+        params: Joi.object({ token: token.required() })
+    },
+    'POST /api/invitations/:token/decline': {
+        group: 'members',
+        summary: 'Decline an invitation',
+        auth: 'required',
+        params: Joi.object({ token: token.required() })
+    },
+
+    // Calendar
+    'PATCH /api/trips/:id/timezone': {
+        group: 'calendar',
+        summary: 'Set or clear the trip time zone',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({ timezone: timeZone.allow(null, '') })
+    },
+    'GET /api/trips/:id/calendar.ics': {
+        group: 'calendar',
+        summary: 'The trip as an iCalendar file',
+        auth: 'required',
+        params: tripParams()
+    },
+    'GET /api/calendar/feed-url': { group: 'calendar', summary: 'Personal calendar feed URL', auth: 'required' },
+    'POST /api/calendar/feed-url/reset': { group: 'calendar', summary: 'Replace the feed URL', auth: 'required' },
+    'GET /api/calendar/feed/:token.ics': {
+        group: 'calendar',
+        summary: 'Calendar feed of all trips (the token is the secret)',
+        auth: 'none',
+        params: Joi.object({ token: token.required() })
+    },
+
+    // Reminders
+    'GET /api/trips/:id/reminders': {
+        group: 'reminders',
+        summary: 'Reminders of a trip',
+        auth: 'required',
+        params: tripParams(),
+        query: Joi.object({ includeDone: Joi.boolean().default(false) })
+    },
+    'POST /api/trips/:id/reminders': {
+        group: 'reminders',
+        summary: 'Add a reminder',
+        auth: 'required',
+        params: tripParams(),
+        body: ReminderService.schema
+    },
+    'PATCH /api/trips/:id/reminders/:reminderId': {
+        group: 'reminders',
+        summary: 'Update a reminder; a new date starts a fresh occurrence',
+        auth: 'required',
+        params: tripParams({ reminderId: id.required() }),
+        body: ReminderService.updateSchema
+    },
+    'POST /api/trips/:id/reminders/:reminderId/snooze': {
+        group: 'reminders',
+        summary: 'Notify again later',
+        auth: 'required',
+        params: tripParams({ reminderId: id.required() }),
+        body: Joi.object({ minutes: Joi.number().integer().min(1).description('Default 60, at most a week') })
+    },
+    'POST /api/trips/:id/reminders/:reminderId/done': {
+        group: 'reminders',
+        summary: 'Close a reminder, or move a recurring one to its next date',
+        auth: 'required',
+        params: tripParams({ reminderId: id.required() })
+    },
+    'DELETE /api/trips/:id/reminders/:reminderId': {
+        group: 'reminders',
+        summary: 'Delete a reminder',
+        auth: 'required',
+        params: tripParams({ reminderId: id.required() })
+    },
+
+    // Notifications
+    'GET /api/notifications': { group: 'notifications', summary: 'Open notifications', auth: 'required' },
+    'PATCH /api/notifications/:id/dismiss': {
+        group: 'notifications',
+        summary: 'Dismiss a notification',
+        auth: 'required',
+        params: Joi.object({ id: id.required() })
+    },
+
+    // Public share links
+    'GET /api/trips/:id/share-links': {
+        group: 'sharing',
+        summary: 'Share links of a trip',
+        auth: 'required',
+        params: tripParams()
+    },
+    'POST /api/trips/:id/share-links': {
+        group: 'sharing',
+        summary: 'Create a read-only public link',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({
+            expiresInDays: Joi.number().integer().min(1).max(SHARE_LINK_MAX_DAYS).empty('').allow(null)
+                .description('Leave out for a link that stays valid until revoked')
+        })
+    },
+    'DELETE /api/trips/:id/share-links/:linkId': {
+        group: 'sharing',
+        summary: 'Revoke a share link',
+        auth: 'required',
+        params: tripParams({ linkId: id.required() })
+    },
+    'GET /api/shared/:token': {
+        group: 'sharing',
+        summary: 'The redacted trip behind a share link',
+        auth: 'none',
+        params: Joi.object({ token: token.required() })
+    },
+
+    // Memories
+    'POST /api/memories': {
+        group: 'memories',
+        summary: 'Create a memory with up to 10 photos',
+        auth: 'required',
+        files: { photos: 10 },
+        prepare: MemoryService.fromForm,
+        body: MemoryService.schema.keys({ stripExif })
+    },
+    'GET /api/memories': {
+        group: 'memories',
+        summary: 'Memories, filtered and searched',
+        auth: 'required',
+        query: Joi.object({
+            tripId: id,
+            type: Joi.string().valid(...MEMORY_TYPES),
+            dateFrom: date,
+            dateTo: date,
+            limit: limit(500),
+            q: Joi.string().trim().max(200).description('Full-text search'),
+            tags: Joi.string().max(500).description('Comma-separated'),
+            lat: latitude,
+            lng: longitude,
+            radius: Joi.number().positive().max(MAX_RADIUS_KM).description('Kilometres around lat/lng, default 10')
+        }).and('lat', 'lng')
+    },
+    'PATCH /api/memories/:id': {
+        group: 'memories',
+        summary: 'Edit a memory',
+        auth: 'required',
+        params: Joi.object({ id: id.required() }),
+        body: MemoryService.updateSchema
+    },
+    'DELETE /api/memories/:id': {
+        group: 'memories',
+        summary: 'Delete a memory and its photos',
+        auth: 'required',
+        params: Joi.object({ id: id.required() })
+    },
+    'POST /api/memories/:id/photos': {
+        group: 'memories',
+        summary: 'Add photos to a memory',
+        auth: 'required',
+        files: { photos: 10 },
+        params: Joi.object({ id: id.required() }),
+        body: Joi.object({ stripExif })
+    },
+    'DELETE /api/memories/:id/photos/:filename': {
+        group: 'memories',
+        summary: 'Remove one photo',
+        auth: 'required',
+        params: Joi.object({ id: id.required(), filename: Joi.string().max(255).required() })
+    },
+    'GET /api/memories/story/:tripId?': {
+        group: 'memories',
+        summary: 'AI travel story of a trip, or of all memories',
+        auth: 'required',
+        params: Joi.object({ tripId: id })
+    },
+    'GET /api/memories/statistics': { group: 'memories', summary: 'Travel statistics', auth: 'required' },
+    'GET /api/trips/:id/scrapbook.:format(html|pdf)': {
+        group: 'memories',
+        summary: 'Scrapbook of the trip as HTML or PDF',
+        auth: 'required',
+        params: tripParams({ format: Joi.string().valid('html', 'pdf').required() }),
+        query: Joi.object({ story: Joi.boolean().default(true).description('false skips the AI story') })
+    },
+
+    // Currency
+    'GET /api/currency': { group: 'currency', summary: 'Home currency and supported currencies', auth: 'required' },
+    'PUT /api/currency/home': {
+        group: 'currency',
+        summary: 'Set the home currency',
+        auth: 'required',
+        body: Joi.object({ currency: currency.required() })
+    },
+    'GET /api/currency/rate': {
+        group: 'currency',
+        summary: 'Exchange rate for a day (default today)',
+        auth: 'required',
+        query: Joi.object({ from: currency.required(), to: currency.required(), date })
+    },
+    'PATCH /api/trips/:id/currency': {
+        group: 'currency',
+        summary: 'Currency of the trip budget and totals',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({ currency: currency.required() })
+    },
+
+    // Budget
+    'GET /api/trips/:id/budget': {
+        group: 'budget',
+        summary: 'Budget vs. actual, burn rate and projection',
+        auth: 'required',
+        params: tripParams()
+    },
+    'PUT /api/trips/:id/budget': {
+        group: 'budget',
+        summary: 'Set the total and category budgets',
+        auth: 'required',
+        params: tripParams(),
+        body: BudgetService.schema
+    },
+
+    // Expenses
+    'POST /api/expenses': {
+        group: 'expenses',
+        summary: 'Record an expense, optionally split and with receipt photos',
+        auth: 'required',
+        files: { receipt_photos: 5 },
+        prepare: parseJsonFields('split'),
+        body: Joi.object({
+            tripId: id.empty('').allow(null),
+            title: Joi.string().trim().min(1).max(255).required(),
+            description: Joi.string().trim().max(2000).allow(null, ''),
+            amount: money.required(),
+            currency: currency.default('USD'),
+            category: Joi.string().trim().max(50).default('general'),
+            expenseDate: date.empty(''),
+            split: SplitService.splitSchema.allow(null).description('Trip expenses only; JSON in the form'),
+            stripExif
+        })
+    },
+    'POST /api/expenses/receipt': {
+        group: 'expenses',
+        summary: 'Read a receipt photo into expense fields (nothing is saved)',
+        auth: 'required',
+        files: { receipt: 1 }
+    },
+    'GET /api/expenses': {
+        group: 'expenses',
+        summary: "The user's expenses, or everyone's on a trip, with converted amounts",
+        auth: 'required',
+        query: Joi.object({
+            tripId: id,
+            category: Joi.string().trim().max(50),
+            dateFrom: date,
+            dateTo: date,
+            limit: limit(500),
+            currency: currency.description('Convert amounts to this currency')
+        })
+    },
+    'PUT /api/expenses/:id/split': {
+        group: 'expenses',
+        summary: 'Change who paid and how an expense is split (null: not split)',
+        auth: 'required',
+        params: Joi.object({ id: id.required() }),
+        body: Joi.object({ split: SplitService.splitSchema.allow(null).required() })
+    },
+    'DELETE /api/expenses/:id': {
+        group: 'expenses',
+        summary: 'Delete an expense and its receipt photos',
+        auth: 'required',
+        params: Joi.object({ id: id.required() })
+    },
+
+    // Splitting
+    'GET /api/trips/:id/participants': {
+        group: 'splitting',
+        summary: 'Members and guests an expense can be split with',
+        auth: 'required',
+        params: tripParams()
+    },
+    'POST /api/trips/:id/guests': {
+        group: 'splitting',
+        summary: 'Add a companion without an account',
+        auth: 'required',
+        params: tripParams(),
+        body: Joi.object({ name: Joi.string().trim().min(1).max(100).required() })
+    },
+    'DELETE /api/trips/:id/guests/:guestId': {
+        group: 'splitting',
+        summary: 'Remove a guest who is not part of any expense or payment',
+        auth: 'required',
+        params: tripParams({ guestId: id.required() })
+    },
+    'GET /api/trips/:id/balances': {
+        group: 'splitting',
+        summary: 'Who owes whom, with suggested payments',
+        auth: 'required',
+        params: tripParams()
+    },
+    'GET /api/trips/:id/settlements': {
+        group: 'splitting',
+        summary: 'Recorded payments',
+        auth: 'required',
+        params: tripParams()
+    },
+    'POST /api/trips/:id/settlements': {
+        group: 'splitting',
+        summary: 'Record a payment between two participants',
+        auth: 'required',
+        params: tripParams(),
+        body: SplitService.settlementSchema
+    },
+    'DELETE /api/trips/:id/settlements/:settlementId': {
+        group: 'splitting',
+        summary: 'Delete a payment',
+        auth: 'required',
+        params: tripParams({ settlementId: id.required() })
+    },
+
+    // Files
+    'GET /api/files/:key': {
+        group: 'files',
+        summary: 'A stored file, through the signed URL of its record',
+        auth: 'none',
+        params: Joi.object({ key: Joi.string().max(255).required() }),
+        query: Joi.object({ expires: Joi.number().integer(), signature: Joi.string().hex() })
+    },
+
+    // Analytics
+    'GET /api/analytics/dashboard': { group: 'analytics', summary: 'Trip and memory totals', auth: 'required' },
+    'GET /api/analytics/events': {
+        group: 'analytics',
+        summary: "The user's analytics events",
+        auth: 'required',
+        query: Joi.object({
+            eventType: Joi.string().trim().max(50),
+            dateFrom: date,
+            dateTo: date,
+            limit: limit(500, 50)
+        })
+    }
+};
+
+// Payloads of Socket.IO events clients send, by event name. Trip fields use
+// the column names the trip_updated broadcast carries; status, itinerary
+// and currency have routes of their own.
+const SOCKET_SCHEMAS = {
+    trip_update: Joi.object({
+        tripId: id.required(),
+        updates: Joi.object({
+            title: Joi.string().trim().min(1).max(255),
+            destination: Joi.string().trim().min(1).max(255),
+            start_date: date.allow(null),
+            end_date: date.allow(null),
+            timezone: timeZone.allow(null),
+            duration: Joi.number().integer().min(1).max(365).allow(null),
+            budget: Joi.number().min(0).allow(null),
+            travel_style: Joi.string().valid(...BUDGET_LEVELS).allow(null),
+            interests: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20)
+        }).min(1).required()
+    })
+};
+
+module.exports = { ROUTE_SCHEMAS, SOCKET_SCHEMAS, MIN_PASSWORD_LENGTH };
@@ -0,0 +1,499 @@
+// backend/services/bookingImport.js
+// Turns calendar files and confirmation emails into booking drafts. Calendar
+// data (.ics, or text/calendar parts inside an email) is parsed
+// deterministically; plain email text goes through the AI with a strict
+// extraction schema. Nothing is saved here - drafts are confirmed by the user
+// and then created with DatabaseService.createBooking.
+
+const Joi = require('joi');
+const { ItineraryService } = require('./itinerary');
+const { CalendarService } = require('./calendar');
+
+const BOOKING_TYPES = ['flight', 'hotel', 'activity', 'transport', 'other'];
+// Enough for a long confirmation email without flooding the model
+const MAX_AI_TEXT_LENGTH = 12000;
+
+const dateSchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/);
+const timeSchema = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+// Shape of a booking draft, shared by AI extraction and the confirm route
+const draftSchema = Joi.object({
+    type: Joi.string().valid(...BOOKING_TYPES).default('other'),
+    title: Joi.string().trim().max(255).required(),
+    confirmationNumber: Joi.string().trim().max(100).allow(null, '').default(null),
+    provider: Joi.string().trim().max(255).allow(null, '').default(null),
+    bookingDate: dateSchema.allow(null).default(null),
+    bookingTime: timeSchema.allow(null).default(null),
+    endDate: dateSchema.allow(null).default(null),
+    endTime: timeSchema.allow(null).default(null),
+    timezone: Joi.string().max(64).allow(null).default(null),
+    flightNumber: Joi.string().trim().max(50).allow(null, '').default(null),
+    location: Joi.string().trim().max(255).allow(null, '').default(null),
+    cost: Joi.number().min(0).allow(null).default(null),
+    currency: Joi.string().uppercase().length(3).default('USD'),
+    details: Joi.string().trim().max(2000).allow(null, '').default(null)
+});
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true, convert: true };
+
+const EXTRACTION_EXAMPLE = `{
+  "bookings": [
+    {
+      "type": "flight",
+      "title": "Lufthansa LH 1234 Frankfurt to Lisbon",
+      "confirmationNumber": "X7KQ2P",
+      "provider": "Lufthansa",
+      "date": "2025-06-01",
+      "time": "07:15",
+      "endDate": null,
+      "endTime": null,
+      "flightNumber": "LH1234",
+      "location": "Frankfurt Airport (FRA)",
+      "cost": 245.50,
+      "currency": "EUR"
+    }
+  ]
+}`;
+
+const TYPE_KEYWORDS = [
+    ['flight', /\bflight\b|✈|\bairlines?\b|\bairways\b|\bdeparts?\b.*\bairport\b|\bboarding\b/i],
+    ['hotel', /\bhotel\b|\bcheck-?in\b|\bstay\b|\baccommodation\b|\bairbnb\b|\bhostel\b|\bresort\b|\bapartment\b/i],
+    ['transport', /\btrain\b|\brail\b|\bbus\b|\bferry\b|\bcar rental\b|\brental car\b|\btransfer\b|\btaxi\b/i],
+    ['activity', /\btour\b|\btickets?\b|\bmuseum\b|\bconcert\b|\bshow\b|\bexcursion\b|\btable for\b|\brestaurant\b/i]
+];
+
+const CONFIRMATION_PATTERN = /(?:confirmation|booking|reservation|record locator|pnr)\s*(?:number|code|no\.?|#|ref(?:erence)?|id)?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{4,19})\b/i;
+const FLIGHT_NUMBER_PATTERN = /\b([A-Z]{2}|[A-Z]\d|\d[A-Z])\s?(\d{1,4})\b/;
+
+// Content that can't be imported (empty, or nothing readable in it), as
+// opposed to a server or provider failure. `status` is the HTTP status to
+// answer with.
+class BookingImportError extends Error {
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'BookingImportError';
+        this.status = status;
+    }
+}
+
+class BookingImportService {
+    constructor({ ai } = {}) {
+        this.ai = ai;
+    }
+
+    static get draftSchema() {
+        return draftSchema;
+    }
+
+    static validateDraft(draft) {
+        const { value, error } = draftSchema.validate(draft, VALIDATION_OPTIONS);
+        if (error) {
+            return { value: null, errors: error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message })) };
+        }
+        return { value: this.normalizeDraft(value), errors: null };
+    }
+
+    // Unknown time zones (often guessed by the AI) are dropped
+    static normalizeDraft(draft) {
+        if (draft.timezone && !CalendarService.isValidTimeZone(draft.timezone)) {
+            return { ...draft, timezone: null };
+        }
+        return draft;
+    }
+
+    static guessType(text) {
+        const match = TYPE_KEYWORDS.find(([, pattern]) => pattern.test(text || ''));
+        return match ? match[0] : 'other';
+    }
+
+    static findConfirmationNumber(text) {
+        const match = (text || '').match(CONFIRMATION_PATTERN);
+        // Skip plain words that happen to follow "booking" ("booking details")
+        return match && /\d/.test(match[1]) ? match[1].toUpperCase() : null;
+    }
+
+    // ===================================
+    // ICALENDAR
+    // ===================================
+
+    static unescapeText(value) {
+        return value
+            .replace(/\\n/gi, '\n')
+            .replace(/\\([,;\\])/g, '$1');
+    }
+
+    // `NAME;PARAM=a;OTHER="b:c":value` -> { name, params, value }
+    static parseContentLine(line) {
+        let inQuotes = false;
+        let splitAt = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                splitAt = i;
+                break;
+            }
+        }
+        if (splitAt === -1) return null;
+
+        const [name, ...rawParams] = line.slice(0, splitAt).split(';');
+        const params = {};
+        rawParams.forEach(param => {
+            const [key, ...rest] = param.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(splitAt + 1) };
+    }
+
+    /**
+     * DTSTART/DTEND to local date, time and zone. UTC values keep UTC as the
+     * zone; TZIDs that are not IANA names (Outlook) are treated as floating.
+     */
+    static parseIcsDate({ params, value }) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{0,2}(Z)?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute, utc] = match;
+        const date = `${year}-${month}-${day}`;
+        if (!hour || params.VALUE === 'DATE') {
+            return { date, time: null, timezone: null, allDay: true };
+        }
+
+        const timezone = utc ? 'UTC' : (CalendarService.isValidTimeZone(params.TZID) ? params.TZID : null);
+        return { date, time: `${hour}:${minute}`, timezone, allDay: false };
+    }
+
+    static previousDay(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+    }
+
+    static parseIcs(text) {
+        const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const drafts = [];
+        const warnings = [];
+        let event = null;
+
+        for (const line of lines) {
+            if (/^BEGIN:VEVENT$/i.test(line)) {
+                event = {};
+                continue;
+            }
+            if (/^END:VEVENT$/i.test(line)) {
+                if (event) {
+                    const draft = this.eventToDraft(event);
+                    if (draft.error) {
+                        warnings.push(draft.error);
+                    } else {
+                        drafts.push(draft);
+                    }
+                }
+                event = null;
+                continue;
+            }
+            if (!event) continue;
+
+            const property = this.parseContentLine(line);
+            if (property && !event[property.name]) {
+                event[property.name] = property;
+            }
+        }
+
+        return { drafts, warnings };
+    }
+
+    static eventToDraft(event) {
+        const text = (property) => (event[property] ? this.unescapeText(event[property].value).trim() : null);
+        const summary = text('SUMMARY') || 'Imported booking';
+
+        if (text('STATUS')?.toUpperCase() === 'CANCELLED') {
+            return { error: `Skipped cancelled event "${summary}"` };
+        }
+
+        const start = event.DTSTART && this.parseIcsDate(event.DTSTART);
+        if (!start) {
+            return { error: `Skipped "${summary}": no start date` };
+        }
+        const end = event.DTEND ? this.parseIcsDate(event.DTEND) : null;
+
+        const description = text('DESCRIPTION');
+        const searchable = [summary, text('CATEGORIES'), description].filter(Boolean).join('\n');
+        const type = this.guessType(searchable);
+
+        // All-day DTEND is exclusive; hotel check-out is the day itself
+        let endDate = end?.date || null;
+        if (end?.allDay && type !== 'hotel') {
+            endDate = this.previousDay(end.date);
+        }
+        if (endDate && endDate <= start.date && !end?.time) {
+            endDate = null;
+        }
+
+        const flightMatch = type === 'flight' ? summary.match(FLIGHT_NUMBER_PATTERN) : null;
+
+        return {
+            draftId: text('UID') || null,
+            source: 'ics',
+            type,
+            title: summary.slice(0, 255),
+            confirmationNumber: this.findConfirmationNumber(searchable),
+            provider: event.ORGANIZER?.params.CN || null,
+            bookingDate: start.date,
+            bookingTime: start.time,
+            endDate,
+            endTime: end?.time || null,
+            timezone: start.timezone,
+            flightNumber: flightMatch ? `${flightMatch[1]}${flightMatch[2]}` : null,
+            location: text('LOCATION'),
+            cost: null,
+            currency: 'USD',
+            details: description ? description.slice(0, 2000) : null
+        };
+    }
+
+    // ===================================
+    // EMAIL (.eml)
+    // ===================================
+
+    static looksLikeEmail(text) {
+        return /^(?:[\w-]+:.*\r?\n)+/.test(text) && /^(from|subject|content-type|mime-version):/im.test(text.slice(0, 4000));
+    }
+
+    static decodeQuotedPrintable(text) {
+        const bytes = [];
+        const input = text.replace(/=\r?\n/g, '');
+        for (let i = 0; i < input.length; i++) {
+            if (input[i] === '=' && /^[0-9A-F]{2}$/i.test(input.substr(i + 1, 2))) {
+                bytes.push(parseInt(input.substr(i + 1, 2), 16));
+                i += 2;
+            } else {
+                bytes.push(...Buffer.from(input[i], 'utf8'));
+            }
+        }
+        return Buffer.from(bytes).toString('utf8');
+    }
+
+    // RFC 2047 encoded words in headers (=?utf-8?B?...?=)
+    static decodeHeader(value) {
+        return (value || '').replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, data) => {
+            try {
+                return encoding.toUpperCase() === 'B'
+                    ? Buffer.from(data, 'base64').toString('utf8')
+                    : this.decodeQuotedPrintable(data.replace(/_/g, ' '));
+            } catch (error) {
+                return match;
+            }
+        });
+    }
+
+    static parseHeaders(block) {
+        const headers = {};
+        block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+            }
+        });
+        return headers;
+    }
+
+    static headerParam(header, name) {
+        const match = (header || '').match(new RegExp(`${name}\\s*=\\s*"?([^";]+)"?`, 'i'));
+        return match ? match[1] : null;
+    }
+
+    static htmlToText(html) {
+        return html
+            .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|tr|li|h\d|table)>/gi, '\n')
+            .replace(/<\/t[dh]>/gi, ' ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/gi, ' ')
+            .replace(/&amp;/gi, '&')
+            .replace(/&lt;/gi, '<')
+            .replace(/&gt;/gi, '>')
+            .replace(/&quot;/gi, '"')
+            .replace(/&#39;|&apos;/gi, "'")
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+            .replace(/[ \t]+/g, ' ')
+            .replace(/\n\s*\n\s*\n+/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Walk a MIME message and collect its text, HTML and calendar parts.
+     */
+    static parseMime(raw, parts = { text: [], html: [], calendar: [], subject: null, from: null }) {
+        const splitAt = raw.search(/\r?\n\r?\n/);
+        const headerBlock = splitAt === -1 ? raw : raw.slice(0, splitAt);
+        const body = splitAt === -1 ? '' : raw.slice(splitAt).replace(/^\r?\n\r?\n/, '');
+        const headers = this.parseHeaders(headerBlock);
+
+        if (parts.subject === null && headers.subject) parts.subject = this.decodeHeader(headers.subject);
+        if (parts.from === null && headers.from) parts.from = this.decodeHeader(headers.from);
+
+        const contentType = (headers['content-type'] || 'text/plain').toLowerCase();
+        const boundary = this.headerParam(headers['content-type'], 'boundary');
+
+        if (contentType.startsWith('multipart/') && boundary) {
+            const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            body.split(new RegExp(`\\r?\\n?--${escaped}(?:--)?[ \\t]*\\r?\\n?`))
+                .filter(section => section.trim())
+                .forEach(section => this.parseMime(section, parts));
+            return parts;
+        }
+
+        const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+        let decoded = body;
+        if (encoding === 'base64') {
+            decoded = Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+        } else if (encoding === 'quoted-printable') {
+            decoded = this.decodeQuotedPrintable(body);
+        }
+
+        const filename = this.headerParam(headers['content-disposition'], 'filename')
+            || this.headerParam(headers['content-type'], 'name');
+
+        if (contentType.startsWith('text/calendar') || /\.ics$/i.test(filename || '')) {
+            parts.calendar.push(decoded);
+        } else if (contentType.startsWith('text/html')) {
+            parts.html.push(decoded);
+        } else if (contentType.startsWith('text/plain')) {
+            parts.text.push(decoded);
+        }
+
+        return parts;
+    }
+
+    // ===================================
+    // AI EXTRACTION
+    // ===================================
+
+    async extractWithAI(text, { subject, from } = {}) {
+        if (!this.ai) {
+            throw new Error('AI extraction is not available');
+        }
+
+        const prompt = `Extract the travel bookings from this confirmation email.
+
+Respond with ONLY a JSON object, no markdown, matching this shape:
+${EXTRACTION_EXAMPLE}
+
+Rules:
+- "type" is one of: ${BOOKING_TYPES.join(', ')}. Car rentals, trains and transfers are "transport".
+- Use one entry per flight leg, hotel stay, ticket or reservation.
+- "date" and "endDate" are "YYYY-MM-DD"; "time" and "endTime" are 24-hour "HH:MM" local times.
+- For hotels, "date"/"time" are check-in and "endDate"/"endTime" are check-out.
+- "cost" is the total price as a number without currency symbols, "currency" an ISO 4217 code.
+- Use null for anything the email does not state. Never guess confirmation numbers.
+- If the email contains no bookings, return {"bookings": []}.
+
+${subject ? `Subject: ${subject}\n` : ''}${from ? `From: ${from}\n` : ''}Email:
+${text.slice(0, MAX_AI_TEXT_LENGTH)}`;
+
+        const response = await this.ai.chat(prompt, {}, 'analysis');
+        const parsed = ItineraryService.extractJson(response.message);
+        const candidates = Array.isArray(parsed?.bookings) ? parsed.bookings : (Array.isArray(parsed) ? parsed : null);
+
+        if (!candidates) {
+            throw new BookingImportError('Could not read any bookings from the text');
+        }
+
+        const drafts = [];
+        const warnings = [];
+        candidates.forEach((candidate, index) => {
+            const { value, errors } = BookingImportService.validateDraft({
+                type: BOOKING_TYPES.includes(candidate?.type) ? candidate.type : 'other',
+                title: candidate?.title,
+                confirmationNumber: candidate?.confirmationNumber,
+                provider: candidate?.provider,
+                bookingDate: candidate?.date,
+                bookingTime: candidate?.time,
+                endDate: candidate?.endDate,
+                endTime: candidate?.endTime,
+                flightNumber: candidate?.flightNumber,
+                location: candidate?.location,
+                cost: candidate?.cost,
+                currency: candidate?.currency || 'USD'
+            });
+
+            if (value) {
+                drafts.push({ draftId: `email-${index + 1}`, source: 'email', ...value });
+            } else {
+                warnings.push(`Ignored extracted booking ${index + 1}: ${errors.map(e => e.message).join(', ')}`);
+            }
+        });
+
+        return { drafts, warnings, model: response.model };
+    }
+
+    // ===================================
+    // ENTRY POINT
+    // ===================================
+
+    /**
+     * Parse an uploaded file or pasted text into drafts. Calendar data wins
+     * over AI extraction whenever an email carries it.
+     */
+    async parse({ content, filename = null }) {
+        const text = String(content || '').replace(/^\uFEFF/, '');
+        if (!text.trim()) {
+            throw new BookingImportError('Nothing to import', 400);
+        }
+
+        if (/\.ics$/i.test(filename || '') || /^BEGIN:VCALENDAR/im.test(text.slice(0, 200))) {
+            return { source: 'ics', ...BookingImportService.parseIcs(text) };
+        }
+
+        let body = text;
+        let meta = {};
+        if (/\.eml$/i.test(filename || '') || BookingImportService.looksLikeEmail(text)) {
+            const parts = BookingImportService.parseMime(text);
+            meta = { subject: parts.subject, from: parts.from };
+
+            if (parts.calendar.length > 0) {
+                const results = parts.calendar.map(calendar => BookingImportService.parseIcs(calendar));
+                const drafts = results.flatMap(result => result.drafts);
+                if (drafts.length > 0) {
+                    return { source: 'ics', drafts, warnings: results.flatMap(result => result.warnings) };
+                }
+            }
+
+            body = parts.text.join('\n\n').trim()
+                || parts.html.map(html => BookingImportService.htmlToText(html)).join('\n\n');
+        } else if (/<(html|body|table|div)[\s>]/i.test(text)) {
+            body = BookingImportService.htmlToText(text);
+        }
+
+        const result = await this.extractWithAI(body, meta);
+
+        // Fill gaps the model left when the text states them plainly
+        const fallbackConfirmation = BookingImportService.findConfirmationNumber(body);
+        result.drafts.forEach(draft => {
+            if (!draft.confirmationNumber && fallbackConfirmation && result.drafts.length === 1) {
+                draft.confirmationNumber = fallbackConfirmation;
+            }
+        });
+
+        return { source: 'email', ...result };
+    }
+
+    /**
+     * Flag drafts that match a booking already on the trip, by confirmation
+     * number or by title and date.
+     */
+    static markDuplicates(drafts, existingBookings) {
+        return drafts.map(draft => {
+            const duplicate = existingBookings.find(booking =>
+                (draft.confirmationNumber && booking.confirmation_number
+                    && booking.confirmation_number.toUpperCase() === draft.confirmationNumber.toUpperCase()
+                    && (!draft.bookingDate || ItineraryService.normalizeDate(booking.booking_date) === draft.bookingDate))
+                || (booking.title === draft.title && ItineraryService.normalizeDate(booking.booking_date) === draft.bookingDate)
+            );
+            return { ...draft, duplicateOf: duplicate ? duplicate.id : null };
+        });
+    }
+}
+
+module.exports = { BookingImportService, BookingImportError, BOOKING_TYPES };
@@ -0,0 +1,264 @@
+// backend/services/budget.js
+// Budget vs. actual for a trip: category budgets, what has been spent in
+// each (bookings and expenses, converted to the trip currency at the rate of
+// their date), burn rate and a projection to the end of the trip.
+
+const Joi = require('joi');
+const { CalendarService } = require('./calendar');
+const { ItineraryService } = require('./itinerary');
+const { ExchangeRateService } = require('./exchangeRates');
+
+const BUDGET_CATEGORIES = ['lodging', 'food', 'transport', 'activities', 'shopping', 'other'];
+const DEFAULT_ALERT_PERCENT = 80;
+
+// Expense categories used by the app, mapped onto budget categories
+const EXPENSE_CATEGORIES = {
+    accommodation: 'lodging',
+    lodging: 'lodging',
+    food: 'food',
+    transport: 'transport',
+    entertainment: 'activities',
+    activities: 'activities',
+    shopping: 'shopping',
+    general: 'other',
+    other: 'other'
+};
+
+const BOOKING_CATEGORIES = {
+    hotel: 'lodging',
+    flight: 'transport',
+    transport: 'transport',
+    activity: 'activities',
+    other: 'other'
+};
+
+const budgetSchema = Joi.object({
+    total: Joi.number().min(0).allow(null),
+    alertPercent: Joi.number().integer().min(1).max(100),
+    // null removes a category's budget
+    categories: Joi.object().pattern(
+        Joi.string().valid(...BUDGET_CATEGORIES),
+        Joi.number().min(0).allow(null)
+    )
+}).min(1);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = ExchangeRateService.roundMoney;
+
+class BudgetService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    // Body of PUT /api/trips/:id/budget
+    static get schema() {
+        return budgetSchema;
+    }
+
+    static categoryForExpense(category) {
+        return EXPENSE_CATEGORIES[String(category || '').toLowerCase()] || 'other';
+    }
+
+    static categoryForBooking(type) {
+        return BOOKING_CATEGORIES[type] || 'other';
+    }
+
+    // YYYY-MM-DD as it is now in the trip's time zone (the server's when it has none)
+    static localToday(timeZone, now = new Date()) {
+        if (CalendarService.isValidTimeZone(timeZone)) {
+            return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+        }
+        return ItineraryService.formatLocalDate(now);
+    }
+
+    static daysBetween(from, to) {
+        return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+    }
+
+    /**
+     * Trip length and how much of it has gone by, counting today as elapsed.
+     * Nulls when the trip isn't scheduled yet.
+     */
+    static tripDays(trip, today) {
+        const start = ItineraryService.normalizeDate(trip.start_date);
+        const end = ItineraryService.normalizeDate(trip.end_date);
+        if (!start || !end || end < start) {
+            return { total: null, elapsed: null, remaining: null, start, end };
+        }
+
+        const total = this.daysBetween(start, end) + 1;
+        const elapsed = Math.min(Math.max(this.daysBetween(start, today) + 1, 0), total);
+        return { total, elapsed, remaining: total - elapsed, start, end };
+    }
+
+    static status(spent, budget, alertPercent) {
+        if (!budget) return null;
+        const percent = (spent / budget) * 100;
+        if (percent >= 100) return 'over';
+        if (percent >= alertPercent) return 'warning';
+        return 'ok';
+    }
+
+    /**
+     * Budget summary for a trip row (getTripById shape). Bookings count as
+     * committed spend; the day-to-day burn rate comes from expenses dated
+     * within the trip so far and is projected over the days left.
+     */
+    async summarize(trip, now = new Date()) {
+        const [budgetRows, items] = await Promise.all([
+            this.db.getTripBudgets(trip.id),
+            this.db.getTripSpendItems(trip.id)
+        ]);
+
+        const currency = trip.currency || 'USD';
+        const alertPercent = trip.budget_alert_percent || DEFAULT_ALERT_PERCENT;
+        const today = BudgetService.localToday(trip.timezone, now);
+        const days = BudgetService.tripDays(trip, today);
+
+        const categories = {};
+        for (const category of BUDGET_CATEGORIES) {
+            categories[category] = { category, budget: null, bookings: 0, expenses: 0, tripExpenses: 0 };
+        }
+        for (const row of budgetRows) {
+            if (categories[row.category]) {
+                categories[row.category].budget = parseFloat(row.amount);
+            }
+        }
+
+        const unconverted = [];
+        const converted = await Promise.all(items.map(item =>
+            this.db.rates.convert(item.amount, item.currency, currency, item.date)
+        ));
+
+        items.forEach((item, index) => {
+            if (!converted[index]) {
+                unconverted.push({ currency: item.currency, amount: parseFloat(item.amount) });
+                return;
+            }
+
+            const amount = converted[index].amount;
+            if (item.source === 'booking') {
+                categories[BudgetService.categoryForBooking(item.category)].bookings += amount;
+                return;
+            }
+
+            const entry = categories[BudgetService.categoryForExpense(item.category)];
+            entry.expenses += amount;
+
+            const date = ItineraryService.normalizeDate(item.date);
+            if (days.total && date >= days.start && date <= today) {
+                entry.tripExpenses += amount;
+            }
+        });
+
+        // Burn rate only means something once the trip has started
+        const inProgress = days.total !== null && days.elapsed > 0;
+
+        const rows = Object.values(categories).map(entry => {
+            const spent = round(entry.bookings + entry.expenses);
+            const burnRate = inProgress ? round(entry.tripExpenses / days.elapsed) : null;
+            const projected = round(spent + (burnRate || 0) * (days.remaining || 0));
+
+            return {
+                category: entry.category,
+                budget: entry.budget,
+                spent,
+                bookings: round(entry.bookings),
+                expenses: round(entry.expenses),
+                remaining: entry.budget !== null ? round(entry.budget - spent) : null,
+                percentUsed: entry.budget ? Math.round((spent / entry.budget) * 100) : null,
+                burnRate,
+                projected,
+                projectedOver: entry.budget !== null && projected > entry.budget,
+                status: BudgetService.status(spent, entry.budget, alertPercent)
+            };
+        });
+
+        const spent = round(rows.reduce((sum, row) => sum + row.spent, 0));
+        const burnRate = inProgress ? round(rows.reduce((sum, row) => sum + row.burnRate, 0)) : null;
+        const projected = round(rows.reduce((sum, row) => sum + row.projected, 0));
+        const categoryBudgets = rows.filter(row => row.budget !== null);
+        const totalBudget = trip.budget !== null && trip.budget !== undefined
+            ? parseFloat(trip.budget)
+            : (categoryBudgets.length ? round(categoryBudgets.reduce((sum, row) => sum + row.budget, 0)) : null);
+
+        return {
+            tripId: trip.id,
+            currency,
+            alertPercent,
+            budget: totalBudget,
+            spent,
+            bookings: round(rows.reduce((sum, row) => sum + row.bookings, 0)),
+            expenses: round(rows.reduce((sum, row) => sum + row.expenses, 0)),
+            remaining: totalBudget !== null ? round(totalBudget - spent) : null,
+            percentUsed: totalBudget ? Math.round((spent / totalBudget) * 100) : null,
+            burnRate,
+            projected,
+            projectedOver: totalBudget !== null && projected > totalBudget,
+            // What can still be spent per day without going over
+            dailyAllowance: totalBudget !== null && days.remaining
+                ? round(Math.max(totalBudget - spent, 0) / days.remaining)
+                : null,
+            status: BudgetService.status(spent, totalBudget, alertPercent),
+            days: { total: days.total, elapsed: days.elapsed, remaining: days.remaining },
+            categories: rows,
+            unconverted: ExchangeRateService.totalsByCurrency(unconverted),
+            generatedAt: now.toISOString()
+        };
+    }
+
+    /**
+     * Which category budgets should warn now. A category warns once when it
+     * passes alertPercent and once more at 100%; dropping back under the
+     * threshold (a deleted expense, a raised budget) re-arms it.
+     * Returns { due: [{ category, level }], rearm: [category] }.
+     */
+    static alertChanges(summary, budgetRows) {
+        const levels = {};
+        for (const row of budgetRows) {
+            levels[row.category] = row.alert_level || 0;
+        }
+
+        const due = [];
+        const rearm = [];
+        for (const row of summary.categories) {
+            if (!row.budget || levels[row.category] === undefined) continue;
+
+            const level = row.percentUsed >= 100 ? 100 : (row.percentUsed >= summary.alertPercent ? summary.alertPercent : 0);
+            if (level > levels[row.category]) {
+                due.push({ category: row.category, level });
+            } else if (level === 0 && levels[row.category] > 0) {
+                rearm.push(row.category);
+            }
+        }
+        return { due, rearm };
+    }
+
+    static toNotification(trip, summary, { category, level }) {
+        const row = summary.categories.find(entry => entry.category === category);
+        const label = category.charAt(0).toUpperCase() + category.slice(1);
+        const over = level >= 100;
+
+        return {
+            tripId: trip.id,
+            type: 'budget_alert',
+            title: over
+                ? `💸 ${label} budget exceeded on ${trip.title}`
+                : `💰 ${label} budget ${row.percentUsed}% used on ${trip.title}`,
+            message: `${row.spent.toFixed(2)} of ${row.budget.toFixed(2)} ${summary.currency} spent on ${category}` +
+                (row.projectedOver && !over ? ` - on track for ${row.projected.toFixed(2)} by the end of the trip` : ''),
+            priority: over ? 'high' : 'medium',
+            metadata: {
+                category,
+                level,
+                spent: row.spent,
+                budget: row.budget,
+                projected: row.projected,
+                currency: summary.currency
+            }
+        };
+    }
+}
+
+module.exports = { BudgetService, BUDGET_CATEGORIES, DEFAULT_ALERT_PERCENT };
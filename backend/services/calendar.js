@@ -0,0 +1,334 @@
+// backend/services/calendar.js
+// iCalendar (RFC 5545) export for trips: bookings, hotel stays, timed
+// itinerary slots and reminders become VEVENTs. Local times are resolved in
+// the booking's or trip's IANA time zone and written as UTC, so every client
+// shows them correctly without shipping VTIMEZONE definitions.
+
+const { ItineraryService } = require('./itinerary');
+
+const PRODUCT_ID = '-//TravelMind.ai//Trip Calendar//EN';
+const UID_DOMAIN = 'travelmind.ai';
+const DEFAULT_CHECK_IN = '15:00';
+const DEFAULT_CHECK_OUT = '11:00';
+const DEFAULT_DURATION_MINUTES = 60;
+
+class CalendarService {
+    static isValidTimeZone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Milliseconds the zone is ahead of UTC at the given instant
+    static zoneOffset(timestamp, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+            parts[type] = parseInt(value, 10);
+        });
+
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - Math.floor(timestamp / 1000) * 1000;
+    }
+
+    /**
+     * Wall-clock date + time in `timeZone` to a Date. Without a zone the
+     * result is "floating" (the caller writes it without a Z suffix).
+     */
+    static toInstant(date, time, timeZone) {
+        const day = ItineraryService.normalizeDate(date);
+        if (!day) return null;
+
+        const [year, month, dayOfMonth] = day.split('-').map(Number);
+        const [hour = 0, minute = 0] = String(time || '00:00').split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, dayOfMonth, hour, minute);
+
+        if (!timeZone) {
+            return { date: new Date(wallClock), floating: true };
+        }
+
+        // Second pass settles times next to a DST change
+        let instant = wallClock - this.zoneOffset(wallClock, timeZone);
+        const corrected = wallClock - this.zoneOffset(instant, timeZone);
+        if (corrected !== instant) instant = corrected;
+
+        return { date: new Date(instant), floating: false };
+    }
+
+    // DATETIME columns come back as Dates in the server's zone; keep the wall clock
+    static wallClockTime(value) {
+        if (value instanceof Date) {
+            return `${String(value.getHours()).padStart(2, '0')}:${String(value.getMinutes()).padStart(2, '0')}`;
+        }
+        return String(value || '').split(/[T ]/)[1] || null;
+    }
+
+    static addMinutes({ date, floating }, minutes) {
+        return { date: new Date(date.getTime() + minutes * 60 * 1000), floating };
+    }
+
+    // ===================================
+    // FORMATTING
+    // ===================================
+
+    static formatDateTime({ date, floating }) {
+        const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        return floating ? stamp.replace('Z', '') : stamp;
+    }
+
+    static formatDate(value) {
+        const day = ItineraryService.normalizeDate(value);
+        return day ? day.replace(/-/g, '') : null;
+    }
+
+    static nextDay(value) {
+        const day = ItineraryService.normalizeDate(value);
+        const [year, month, dayOfMonth] = day.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, dayOfMonth + 1)).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    static escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets continue on the next line after a space
+    static foldLine(line) {
+        const bytes = Buffer.from(line, 'utf8');
+        if (bytes.length <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+        for (const char of line) {
+            const size = Buffer.byteLength(char, 'utf8');
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + size > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    static uid(kind, id) {
+        return `${kind}-${id}@${UID_DOMAIN}`;
+    }
+
+    // ===================================
+    // EVENTS
+    // ===================================
+
+    /**
+     * Timed event when a time is known, all-day otherwise. `end` may be an
+     * instant or a plain date (for multi-day all-day spans).
+     */
+    static timedOrAllDay({ date, time, endDate, endTime, timeZone, durationMinutes = DEFAULT_DURATION_MINUTES }) {
+        if (!ItineraryService.normalizeDate(date)) return null;
+
+        if (!time) {
+            return {
+                allDay: true,
+                start: this.formatDate(date),
+                end: endDate && ItineraryService.normalizeDate(endDate) > ItineraryService.normalizeDate(date)
+                    ? this.formatDate(endDate)
+                    : this.nextDay(date)
+            };
+        }
+
+        const start = this.toInstant(date, time, timeZone);
+        const end = endDate || endTime
+            ? this.toInstant(endDate || date, endTime || time, timeZone)
+            : this.addMinutes(start, durationMinutes);
+
+        return {
+            allDay: false,
+            start,
+            end: end.date > start.date ? end : this.addMinutes(start, durationMinutes)
+        };
+    }
+
+    static bookingEvent(booking, trip) {
+        const timeZone = booking.timezone || trip.timezone;
+        const isHotel = booking.booking_type === 'hotel';
+        const when = isHotel
+            ? this.timedOrAllDay({
+                date: booking.booking_date,
+                time: booking.booking_time || DEFAULT_CHECK_IN,
+                endDate: booking.end_date || ItineraryService.normalizeDate(booking.booking_date),
+                endTime: booking.end_time || DEFAULT_CHECK_OUT,
+                timeZone
+            })
+            : this.timedOrAllDay({
+                date: booking.booking_date,
+                time: booking.booking_time,
+                endDate: booking.end_date,
+                endTime: booking.end_time,
+                timeZone,
+                durationMinutes: booking.booking_type === 'flight' ? 120 : DEFAULT_DURATION_MINUTES
+            });
+        if (!when) return null;
+
+        const prefix = { flight: '✈️', hotel: '🏨', activity: '🎟️', transport: '🚗' }[booking.booking_type];
+        const description = [
+            booking.provider && `Provider: ${booking.provider}`,
+            booking.confirmation_number && `Confirmation: ${booking.confirmation_number}`,
+            booking.flight_number && `Flight: ${booking.flight_number}`,
+            `Trip: ${trip.title}`
+        ].filter(Boolean).join('\n');
+
+        return {
+            uid: this.uid('booking', booking.id),
+            summary: prefix ? `${prefix} ${booking.title}` : booking.title,
+            description,
+            location: booking.location,
+            status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+            categories: [booking.booking_type],
+            updatedAt: booking.updated_at || booking.created_at,
+            alarm: booking.alert_time ? { at: booking.alert_time, message: booking.alert_message || booking.title } : null,
+            ...when
+        };
+    }
+
+    // Only slots with a start time; untimed ideas would clutter the calendar
+    static itineraryEvents(trip) {
+        const timeZone = trip.timezone;
+        const itinerary = trip.itinerary;
+        if (!itinerary?.days) return [];
+
+        return itinerary.days.flatMap(day => (day.items || [])
+            .filter(item => item.startTime && day.date && item.status !== 'skipped')
+            .map(item => ({
+                uid: this.uid(`trip-${trip.id}-item`, item.id),
+                summary: item.title,
+                description: [item.description, `Day ${day.dayNumber}: ${day.title}`, `Trip: ${trip.title}`]
+                    .filter(Boolean).join('\n'),
+                location: item.place ? [item.place.name, item.place.address].filter(Boolean).join(', ') : null,
+                status: 'CONFIRMED',
+                categories: [item.category],
+                updatedAt: trip.updated_at,
+                ...this.timedOrAllDay({
+                    date: day.date,
+                    time: item.startTime,
+                    endTime: item.endTime,
+                    timeZone
+                })
+            })));
+    }
+
+    static reminderEvent(reminder, trip) {
+        const when = this.timedOrAllDay({
+            date: reminder.reminder_date,
+            time: this.wallClockTime(reminder.reminder_date),
+            timeZone: trip.timezone,
+            durationMinutes: 15
+        });
+        if (!when) return null;
+
+        return {
+            uid: this.uid('reminder', reminder.id),
+            summary: `🔔 ${reminder.title}`,
+            description: [reminder.notes, `Trip: ${trip.title}`].filter(Boolean).join('\n'),
+            status: 'CONFIRMED',
+            categories: ['reminder'],
+            updatedAt: reminder.updated_at || reminder.created_at,
+            alarm: { minutesBefore: 0, message: reminder.title },
+            ...when
+        };
+    }
+
+    static tripEvents(trip, bookings = [], reminders = []) {
+        return [
+            ...bookings.map(booking => this.bookingEvent(booking, trip)),
+            ...this.itineraryEvents(trip),
+            ...reminders.map(reminder => this.reminderEvent(reminder, trip))
+        ].filter(Boolean);
+    }
+
+    // ===================================
+    // SERIALIZATION
+    // ===================================
+
+    static eventLines(event, stamp) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`
+        ];
+
+        if (event.allDay) {
+            lines.push(`DTSTART;VALUE=DATE:${event.start}`, `DTEND;VALUE=DATE:${event.end}`);
+        } else {
+            lines.push(`DTSTART:${this.formatDateTime(event.start)}`, `DTEND:${this.formatDateTime(event.end)}`);
+        }
+
+        lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+        if (event.categories?.length) {
+            lines.push(`CATEGORIES:${event.categories.filter(Boolean).map(c => this.escapeText(c.toUpperCase())).join(',')}`);
+        }
+        lines.push(`STATUS:${event.status}`);
+        if (event.updatedAt) {
+            lines.push(`LAST-MODIFIED:${this.formatDateTime({ date: new Date(event.updatedAt) })}`);
+        }
+
+        if (event.alarm) {
+            const trigger = event.alarm.at
+                ? `TRIGGER;VALUE=DATE-TIME:${this.formatDateTime({ date: new Date(event.alarm.at) })}`
+                : `TRIGGER:-PT${event.alarm.minutesBefore || 0}M`;
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                trigger,
+                `DESCRIPTION:${this.escapeText(event.alarm.message)}`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Full VCALENDAR document. `refreshMinutes` hints how often subscribed
+     * clients should poll the feed.
+     */
+    static build({ name, timeZone, events, refreshMinutes = null }) {
+        const stamp = this.formatDateTime({ date: new Date() });
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(name)}`
+        ];
+        if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+        if (refreshMinutes) {
+            lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+        }
+
+        events.forEach(event => lines.push(...this.eventLines(event, stamp)));
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+}
+
+module.exports = { CalendarService };
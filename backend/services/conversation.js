@@ -0,0 +1,130 @@
+// backend/services/conversation.js
+// Multi-turn memory for the AI assistant: threads, history replay within a
+// token budget, and rolling summaries of older turns.
+
+const DEFAULT_TITLE = 'New conversation';
+
+class ConversationService {
+    constructor(database, ai) {
+        this.db = database;
+        this.ai = ai;
+        this.tokenBudget = parseInt(process.env.AI_HISTORY_TOKEN_BUDGET) || 2000;
+        this.keepRecentTurns = parseInt(process.env.AI_HISTORY_KEEP_TURNS) || 6;
+        this.summarizeAfterTurns = parseInt(process.env.AI_HISTORY_SUMMARIZE_AFTER) || 12;
+        this.compacting = new Set();
+    }
+
+    /**
+     * Rough token estimate (~4 characters per token) - good enough for
+     * budgeting without pulling in a tokenizer.
+     */
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    static titleFromMessage(message) {
+        const clean = (message || '').replace(/\s+/g, ' ').trim();
+        if (!clean) return DEFAULT_TITLE;
+        return clean.length > 60 ? `${clean.substring(0, 57)}...` : clean;
+    }
+
+    /**
+     * Return the thread to continue, creating one titled after the first
+     * message when no thread id is given.
+     */
+    async resolveThread(userId, { threadId, tripId, message } = {}) {
+        if (threadId) {
+            const thread = await this.db.getThreadById(threadId, userId);
+            if (!thread) {
+                throw new Error('Thread not found');
+            }
+            return thread;
+        }
+
+        return this.db.createThread(userId, {
+            title: ConversationService.titleFromMessage(message),
+            tripId
+        });
+    }
+
+    /**
+     * Prior turns to replay for a thread: the stored summary of older turns
+     * plus as many recent turns as fit in the token budget.
+     */
+    async getHistory(thread, userId) {
+        const summary = thread.summary || null;
+        const messages = await this.db.getThreadMessages(thread.id, userId, {
+            afterId: thread.summarized_through || 0,
+            limit: this.summarizeAfterTurns * 2
+        });
+
+        let remaining = this.tokenBudget - ConversationService.estimateTokens(summary);
+        const turns = [];
+
+        // Walk backwards so the newest turns win when the budget runs out
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const turn = {
+                user: messages[i].userMessage || '',
+                assistant: typeof messages[i].aiResponse === 'string' ? messages[i].aiResponse : ''
+            };
+            const cost = ConversationService.estimateTokens(turn.user + turn.assistant);
+            if (cost > remaining) break;
+
+            remaining -= cost;
+            turns.unshift(turn);
+        }
+
+        return { summary, turns };
+    }
+
+    /**
+     * Fold older turns into the thread summary once the thread grows past
+     * `summarizeAfterTurns`. Runs after a reply is saved so it never delays
+     * the answer; failures just leave the history unsummarized.
+     */
+    async compactThread(threadId, userId) {
+        if (this.compacting.has(threadId)) return false;
+        this.compacting.add(threadId);
+
+        try {
+            const thread = await this.db.getThreadById(threadId, userId);
+            if (!thread) return false;
+
+            const messages = await this.db.getThreadMessages(threadId, userId, {
+                afterId: thread.summarized_through || 0,
+                limit: 500
+            });
+
+            if (messages.length <= this.summarizeAfterTurns) return false;
+
+            const older = messages.slice(0, messages.length - this.keepRecentTurns);
+            const transcript = older.map(m =>
+                `User: ${m.userMessage}\nAssistant: ${typeof m.aiResponse === 'string' ? m.aiResponse : ''}`
+            ).join('\n\n');
+
+            const prompt = `Summarize this conversation between a traveller and their travel assistant so it can be continued later.
+Keep concrete facts: destinations, dates, budgets, bookings, preferences, decisions made and open questions.
+Write at most 200 words in plain prose.
+
+${thread.summary ? `Summary of the conversation before this point:\n${thread.summary}\n\n` : ''}Conversation:
+${transcript}`;
+
+            const response = await this.ai.chat(prompt, {}, 'analysis');
+
+            await this.db.updateThread(threadId, userId, {
+                summary: response.message.trim(),
+                summarizedThrough: older[older.length - 1].id
+            });
+
+            console.log(`🧵 Summarized ${older.length} turns of thread ${threadId}`);
+            return true;
+        } catch (error) {
+            console.error('Thread summary error (non-blocking):', error.message);
+            return false;
+        } finally {
+            this.compacting.delete(threadId);
+        }
+    }
+}
+
+module.exports = { ConversationService };
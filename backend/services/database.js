@@ -1,8 +1,18 @@
 const mariadb = require('mariadb');
+const crypto = require('crypto');
+const { ItineraryService } = require('./itinerary');
+const { MigrationService } = require('./migrations');
+const { ExchangeRateService } = require('./exchangeRates');
+
+// Trip access levels, lowest first. The owner is trips.user_id; everyone
+// else is listed in trip_members.
+const TRIP_ROLES = ['viewer', 'editor', 'owner'];
+const INVITATION_TTL_DAYS = 14;
 
 class DatabaseService {
     constructor() {
         this.pool = null; 
+        this.rates = new ExchangeRateService(this);
     }
 
     async initialize() {
@@ -47,169 +57,18 @@ class DatabaseService {
             return false;
         }
     }
-    async createTables() {
+    /**
+     * Apply pending schema migrations (backend/migrations).
+     */
+    async migrate() {
         try {
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS users (
-                                                     id INT AUTO_INCREMENT PRIMARY KEY,
-                                                     email VARCHAR(255) UNIQUE NOT NULL,
-                    password_hash VARCHAR(255) NOT NULL,
-                    name VARCHAR(255),
-                    preferences JSON,
-                    travel_style VARCHAR(50) DEFAULT 'moderate',
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-                    )
-            `);
-
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS trips (
-                                                     id INT AUTO_INCREMENT PRIMARY KEY,
-                                                     user_id INT NOT NULL,
-                                                     title VARCHAR(255) NOT NULL,
-                    destination VARCHAR(255) NOT NULL,
-                    start_date DATE,
-                    end_date DATE,
-                    duration INT,
-                    budget DECIMAL(10,2),
-                    travel_style VARCHAR(50),
-                    interests JSON,
-                    itinerary JSON,
-                    status ENUM('planning', 'active', 'completed') DEFAULT 'planning',
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users(id)
-                    )
-            `);
-
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS memories (
-                                                        id INT AUTO_INCREMENT PRIMARY KEY,
-                                                        user_id INT NOT NULL,
-                                                        trip_id INT,
-                                                        title VARCHAR(255) NOT NULL,
-                    description TEXT,
-                    memory_type ENUM('experience', 'photo', 'note', 'recommendation') DEFAULT 'experience',
-                    rating INT CHECK (rating >= 1 AND rating <= 5),
-                    tags JSON,
-                    photos JSON,
-                    memory_date DATE,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users(id),
-                    FOREIGN KEY (trip_id) REFERENCES trips(id)
-                    )
-            `);
-
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS expenses (
-                                                        id INT AUTO_INCREMENT PRIMARY KEY,
-                                                        user_id INT NOT NULL,
-                                                        trip_id INT,
-                                                        title VARCHAR(255) NOT NULL,
-                    description TEXT,
-                    amount DECIMAL(10,2) NOT NULL,
-                    currency VARCHAR(3) DEFAULT 'USD',
-                    category VARCHAR(50),
-                    expense_date DATE,
-                    receipt_photos JSON,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users(id),
-                    FOREIGN KEY (trip_id) REFERENCES trips(id)
-                    )
-            `);
-
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS analytics_events (
-                                                                id INT AUTO_INCREMENT PRIMARY KEY,
-                                                                user_id INT NOT NULL,
-                                                                event_type VARCHAR(100) NOT NULL,
-                    event_data JSON,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users(id)
-                    )
-            `);
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS ai_conversations (
-                                                                id INT AUTO_INCREMENT PRIMARY KEY,
-                                                                user_id INT NOT NULL,
-                                                                user_message MEDIUMTEXT,
-                                                                ai_response JSON,
-                                                                context JSON,
-                                                                model_used VARCHAR(100),
-                    response_time_ms INT,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users(id)
-                    )
-            `);
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS user_locations (
-                                                              id INT AUTO_INCREMENT PRIMARY KEY,
-                                                              user_id INT NOT NULL,
-                                                              latitude DECIMAL(10,8),
-                    longitude DECIMAL(10,8),
-                    accuracy INT,
-                    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users(id)
-                    )
-            `);
-
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS bookings (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    user_id INT NOT NULL,
-                    trip_id INT NOT NULL,
-                    booking_type ENUM('flight', 'hotel', 'activity', 'transport', 'other') DEFAULT 'other',
-                    title VARCHAR(255) NOT NULL,
-                    confirmation_number VARCHAR(100),
-                    provider VARCHAR(255),
-                    status VARCHAR(50) DEFAULT 'confirmed',
-                    booking_date DATE,
-                    booking_time TIME,
-                    location VARCHAR(255),
-                    cost DECIMAL(10,2),
-                    currency VARCHAR(3) DEFAULT 'USD',
-                    details TEXT,
-                    alert_message VARCHAR(255),
-                    alert_time DATETIME,
-                    flight_number VARCHAR(50),
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-                    FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
-                    INDEX idx_trip_id (trip_id),
-                    INDEX idx_user_id (user_id),
-                    INDEX idx_booking_date (booking_date)
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-            `);
-
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS notifications (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    user_id INT NOT NULL,
-                    trip_id INT,
-                    booking_id INT,
-                    type ENUM('booking_reminder', 'checkin_reminder', 'weather_alert', 'flight_delay', 'flight_update', 'general') DEFAULT 'general',
-                    title VARCHAR(255) NOT NULL,
-                    message TEXT NOT NULL,
-                    priority ENUM('low', 'medium', 'high', 'urgent') DEFAULT 'medium',
-                    dismissed BOOLEAN DEFAULT FALSE,
-                    read_at TIMESTAMP NULL,
-                    action_url VARCHAR(500),
-                    metadata JSON,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-                    FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
-                    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
-                    INDEX idx_user_id (user_id),
-                    INDEX idx_dismissed (dismissed),
-                    INDEX idx_created_at (created_at),
-                    INDEX idx_type (type)
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-            `);
-
-            console.log('✅ Database tables created/verified');
+            const applied = await new MigrationService(this).up();
+            console.log(applied.length
+                ? `✅ Applied ${applied.length} migration(s): ${applied.join(', ')}`
+                : '✅ Database schema is up to date');
+            return applied;
         } catch (error) {
-            console.error('❌ Table creation failed:', error);
+            console.error('❌ Database migration failed:', error);
             throw error;
         }
     }
@@ -226,6 +85,14 @@ class DatabaseService {
         }
     }
 
+    // Helper: Structured itinerary for a trip row (migrates legacy text on read)
+    parseItinerary(trip) {
+        const itinerary = ItineraryService.normalize(this.safeJsonParse(trip.itinerary, {}), {
+            destination: trip.destination
+        });
+        return ItineraryService.withDates(itinerary, trip.start_date);
+    }
+
     // Helper: Convert BigInt to Number
     convertBigIntToNumber(obj) {
         if (obj === null || obj === undefined) return obj;
@@ -283,6 +150,26 @@ class DatabaseService {
         }
     }
 
+    // Columns come from ProfileService.toColumns; anything else is ignored
+    async updateUserProfile(userId, columns) {
+        const allowed = [
+            'name', 'preferences', 'travel_style', 'pace', 'dietary_restrictions', 'accessibility_needs',
+            'home_airport', 'home_currency', 'languages', 'preferred_airlines'
+        ];
+        try {
+            const fields = Object.keys(columns).filter(column => allowed.includes(column));
+            if (fields.length === 0) return;
+
+            await this.pool.query(
+                `UPDATE users SET ${fields.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...fields.map(column => columns[column]), userId]
+            );
+        } catch (error) {
+            console.error('Update user profile error:', error);
+            throw error;
+        }
+    }
+
     async createTrip(userId, tripData) {
         try {
             if (!this.pool) {
@@ -322,21 +209,24 @@ class DatabaseService {
             let query = `
                 SELECT t.id, t.user_id, t.title, t.destination, t.start_date, t.end_date, 
                        t.duration, t.budget, t.travel_style, t.interests, t.itinerary, 
-                       t.status as old_status, t.created_at, t.updated_at,
+                       t.timezone, t.budget_alert_percent, t.status as old_status, t.created_at, t.updated_at,
+                       CASE WHEN t.user_id = ? THEN 'owner' ELSE tm.role END as role,
                 CASE 
                     WHEN t.start_date IS NULL THEN 'planning'
                     WHEN t.start_date > NOW() THEN 'upcoming'
                     WHEN t.start_date <= NOW() AND t.end_date >= NOW() THEN 'active'
                     ELSE 'completed'
                 END as computed_status,
-                COUNT(b.id) as booking_count,
-                COALESCE(SUM(CASE WHEN b.status != 'cancelled' THEN b.cost ELSE 0 END), 0) as total_spent
+                COALESCE(t.currency, owner.home_currency, 'USD') as currency,
+                COUNT(b.id) as booking_count
                 FROM trips t
+                INNER JOIN users owner ON owner.id = t.user_id
+                LEFT JOIN trip_members tm ON tm.trip_id = t.id AND tm.user_id = ?
                 LEFT JOIN bookings b ON t.id = b.trip_id
-                WHERE t.user_id = ?
+                WHERE (t.user_id = ? OR tm.user_id IS NOT NULL)
                 GROUP BY t.id
             `;
-            let params = [userId];
+            let params = [userId, userId, userId];
 
             if (status) {
                 query += ` HAVING computed_status = ?`;
@@ -348,15 +238,13 @@ class DatabaseService {
 
             const trips = await this.pool.query(query, params);
 
-            return trips.map(trip => ({
+            return this.addTripSpending(trips.map(trip => ({
                 ...trip,
                 status: trip.computed_status,
                 interests: this.safeJsonParse(trip.interests || '[]'),
-                itinerary: this.safeJsonParse(trip.itinerary || '{}'),
-                bookingCount: trip.booking_count,
-                totalSpent: parseFloat(trip.total_spent),
-                remainingBudget: (trip.budget || 0) - parseFloat(trip.total_spent)
-            }));
+                itinerary: this.parseItinerary(trip),
+                bookingCount: trip.booking_count
+            })));
         } catch (error) {
             console.error('Get user trips error:', error);
             throw error;
@@ -367,28 +255,29 @@ class DatabaseService {
             const trips = await this.pool.query(`
                 SELECT t.id, t.user_id, t.title, t.destination, t.start_date, t.end_date, 
                        t.duration, t.budget, t.travel_style, t.interests, t.itinerary, 
-                       t.status as old_status, t.created_at, t.updated_at,
-                COUNT(b.id) as booking_count,
-                COALESCE(SUM(CASE WHEN b.status != 'cancelled' THEN b.cost ELSE 0 END), 0) as total_spent
+                       t.timezone, t.budget_alert_percent, t.status as old_status, t.created_at, t.updated_at,
+                       CASE WHEN t.user_id = ? THEN 'owner' ELSE tm.role END as role,
+                COALESCE(t.currency, owner.home_currency, 'USD') as currency,
+                COUNT(b.id) as booking_count
                 FROM trips t
+                INNER JOIN users owner ON owner.id = t.user_id
+                LEFT JOIN trip_members tm ON tm.trip_id = t.id AND tm.user_id = ?
                 LEFT JOIN bookings b ON t.id = b.trip_id
-                WHERE t.user_id = ? 
+                WHERE (t.user_id = ? OR tm.user_id IS NOT NULL)
                 AND t.start_date IS NOT NULL
                 AND t.start_date <= NOW() 
                 AND t.end_date >= NOW()
                 GROUP BY t.id
                 ORDER BY t.start_date DESC
-            `, [userId]);
+            `, [userId, userId, userId]);
 
-            return trips.map(trip => ({
+            return this.addTripSpending(trips.map(trip => ({
                 ...trip,
                 status: 'active',
                 interests: this.safeJsonParse(trip.interests || '[]'),
-                itinerary: this.safeJsonParse(trip.itinerary || '{}'),
-                bookingCount: trip.booking_count,
-                totalSpent: parseFloat(trip.total_spent),
-                remainingBudget: (trip.budget || 0) - parseFloat(trip.total_spent)
-            }));
+                itinerary: this.parseItinerary(trip),
+                bookingCount: trip.booking_count
+            })));
         } catch (error) {
             console.error('Get active trips error:', error);
             throw error;
@@ -400,28 +289,29 @@ class DatabaseService {
             const trips = await this.pool.query(`
                 SELECT t.id, t.user_id, t.title, t.destination, t.start_date, t.end_date, 
                        t.duration, t.budget, t.travel_style, t.interests, t.itinerary, 
-                       t.status as old_status, t.created_at, t.updated_at,
-                COUNT(b.id) as booking_count,
-                COALESCE(SUM(CASE WHEN b.status != 'cancelled' THEN b.cost ELSE 0 END), 0) as total_spent
+                       t.timezone, t.budget_alert_percent, t.status as old_status, t.created_at, t.updated_at,
+                       CASE WHEN t.user_id = ? THEN 'owner' ELSE tm.role END as role,
+                COALESCE(t.currency, owner.home_currency, 'USD') as currency,
+                COUNT(b.id) as booking_count
                 FROM trips t
+                INNER JOIN users owner ON owner.id = t.user_id
+                LEFT JOIN trip_members tm ON tm.trip_id = t.id AND tm.user_id = ?
                 LEFT JOIN bookings b ON t.id = b.trip_id
-                WHERE t.user_id = ? 
+                WHERE (t.user_id = ? OR tm.user_id IS NOT NULL)
                 AND t.start_date IS NOT NULL 
                 AND t.start_date > NOW()
                 AND t.end_date IS NOT NULL
                 GROUP BY t.id
                 ORDER BY t.start_date ASC
-            `, [userId]);
+            `, [userId, userId, userId]);
 
-            return trips.map(trip => ({
+            return this.addTripSpending(trips.map(trip => ({
                 ...trip,
                 status: 'upcoming',
                 interests: this.safeJsonParse(trip.interests || '[]'),
-                itinerary: this.safeJsonParse(trip.itinerary || '{}'),
-                bookingCount: trip.booking_count,
-                totalSpent: parseFloat(trip.total_spent),
-                remainingBudget: (trip.budget || 0) - parseFloat(trip.total_spent)
-            }));
+                itinerary: this.parseItinerary(trip),
+                bookingCount: trip.booking_count
+            })));
         } catch (error) {
             console.error('Get upcoming trips error:', error);
             throw error;
@@ -432,46 +322,83 @@ class DatabaseService {
             const rows = await this.pool.query(`
                 SELECT t.id, t.user_id, t.title, t.destination, t.start_date, t.end_date, 
                        t.duration, t.budget, t.travel_style, t.interests, t.itinerary, 
-                       t.status as old_status, t.created_at, t.updated_at,
+                       t.timezone, t.budget_alert_percent, t.status as old_status, t.created_at, t.updated_at,
+                       CASE WHEN t.user_id = ? THEN 'owner' ELSE tm.role END as role,
                 CASE 
                     WHEN t.start_date IS NULL THEN 'planning'
                     WHEN t.start_date > NOW() THEN 'upcoming'
                     WHEN t.start_date <= NOW() AND t.end_date >= NOW() THEN 'active'
                     ELSE 'completed'
                 END as computed_status,
-                COUNT(b.id) as booking_count,
-                COALESCE(SUM(CASE WHEN b.status != 'cancelled' THEN b.cost ELSE 0 END), 0) as total_spent
+                COALESCE(t.currency, owner.home_currency, 'USD') as currency,
+                COUNT(b.id) as booking_count
                 FROM trips t
+                INNER JOIN users owner ON owner.id = t.user_id
+                LEFT JOIN trip_members tm ON tm.trip_id = t.id AND tm.user_id = ?
                 LEFT JOIN bookings b ON t.id = b.trip_id
-                WHERE t.id = ? AND t.user_id = ?
+                WHERE t.id = ? AND (t.user_id = ? OR tm.user_id IS NOT NULL)
                 GROUP BY t.id
-            `, [tripId, userId]);
+            `, [userId, userId, tripId, userId]);
 
             const trip = rows[0];
 
             if (!trip) return null;
 
-            return {
+            const [withSpending] = await this.addTripSpending([{
                 ...trip,
                 status: trip.computed_status,
                 interests: this.safeJsonParse(trip.interests || '[]'),
-                itinerary: this.safeJsonParse(trip.itinerary || '{}'),
-                bookingCount: trip.booking_count,
-                totalSpent: parseFloat(trip.total_spent),
-                remainingBudget: (trip.budget || 0) - parseFloat(trip.total_spent)
-            };
+                itinerary: this.parseItinerary(trip),
+                bookingCount: trip.booking_count
+            }]);
+            return withSpending;
         } catch (error) {
             console.error('Get trip by ID error:', error);
             throw error;
         }
     }
+    /**
+     * Fill in totalSpent / remainingBudget for trips: non-cancelled booking
+     * costs converted to each trip's currency at the booking date's rate.
+     * Costs with no known rate are listed in unconvertedSpent instead.
+     */
+    async addTripSpending(trips) {
+        if (trips.length === 0) return trips;
+
+        const bookings = await this.pool.query(`
+            SELECT trip_id, cost, currency, COALESCE(booking_date, created_at) as rate_date
+            FROM bookings
+            WHERE trip_id IN (?) AND status != 'cancelled' AND cost IS NOT NULL
+        `, [trips.map(trip => trip.id)]);
+
+        return Promise.all(trips.map(async trip => {
+            const items = bookings
+                .filter(booking => booking.trip_id === trip.id)
+                .map(booking => ({ amount: booking.cost, currency: booking.currency, date: booking.rate_date }));
+            const spent = await this.rates.sum(items, trip.currency);
+
+            return {
+                ...trip,
+                totalSpent: spent.total,
+                unconvertedSpent: spent.unconverted,
+                remainingBudget: ExchangeRateService.roundMoney((parseFloat(trip.budget) || 0) - spent.total)
+            };
+        }));
+    }
+
+    // Owners and editors can update a trip; ownership (user_id) never changes here
     async updateTrip(tripId, userId, updates) {
         try {
+            const allowedFields = [
+                'title', 'destination', 'start_date', 'end_date', 'timezone', 'duration', 'budget',
+                'currency', 'travel_style', 'interests', 'itinerary', 'status'
+            ];
+
             const updateFields = [];
             const updateValues = [];
 
             Object.keys(updates).forEach(key => {
-                if (updates[key] !== undefined) {
+                if (updates[key] !== undefined && allowedFields.includes(key)) {
                     updateFields.push(`${key} = ?`);
                     updateValues.push(
                         typeof updates[key] === 'object'
@@ -482,11 +409,13 @@ class DatabaseService {
             });
 
             if (updateFields.length > 0) {
-                updateValues.push(tripId, userId);
+                updateValues.push(tripId, userId, userId);
                 await this.pool.query(`
                     UPDATE trips
                     SET ${updateFields.join(', ')}, updated_at = NOW()
-                    WHERE id = ? AND user_id = ?
+                    WHERE id = ? AND (user_id = ? OR id IN (
+                        SELECT trip_id FROM trip_members WHERE user_id = ? AND role = 'editor'
+                    ))
                 `, updateValues);
             }
         } catch (error) {
@@ -496,33 +425,6 @@ class DatabaseService {
     }
     async createTripFlight(userId, tripId, flightData) {
         try {
-            // First check if trip_flights table exists, if not create it
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS trip_flights (
-                                                            id INT AUTO_INCREMENT PRIMARY KEY,
-                                                            trip_id INT NOT NULL,
-                                                            user_id INT NOT NULL,
-                                                            offer_id VARCHAR(255),
-                    origin VARCHAR(10),
-                    destination VARCHAR(10),
-                    departure_date DATE,
-                    return_date DATE,
-                    price DECIMAL(10,2),
-                    currency VARCHAR(10),
-                    airline VARCHAR(50),
-                    airline_name VARCHAR(255),
-                    itinerary_data JSON,
-                    passengers INT,
-                    travel_class VARCHAR(50),
-                    status VARCHAR(50) DEFAULT 'selected',
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
-                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-                    INDEX idx_trip (trip_id),
-                    INDEX idx_user (user_id)
-                    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-            `);
-
             const result = await this.pool.query(`
                 INSERT INTO trip_flights (
                     trip_id, user_id, offer_id, origin, destination,
@@ -555,7 +457,7 @@ class DatabaseService {
     }
     async getTripBookings(tripId, userId) {
         try {
-            // Verify trip belongs to user
+            // Any member can see the bookings
             const trip = await this.getTripById(tripId, userId);
             if (!trip) {
                 throw new Error('Trip not found');
@@ -576,19 +478,22 @@ class DatabaseService {
 
     async createBooking(userId, tripId, bookingData) {
         try {
-            // Verify trip belongs to user
             const trip = await this.getTripById(tripId, userId);
             if (!trip) {
                 throw new Error('Trip not found');
             }
+            if (!DatabaseService.hasTripRole(trip.role, 'editor')) {
+                throw new Error('You do not have permission to change this trip');
+            }
 
             const result = await this.pool.query(`
                 INSERT INTO bookings (
                     user_id, trip_id, booking_type, title, confirmation_number,
-                    provider, status, booking_date, booking_time, location,
-                    cost, currency, details, alert_message, alert_time, created_at
+                    provider, status, booking_date, booking_time, end_date, end_time,
+                    timezone, location, cost, currency, details, alert_message, alert_time,
+                    flight_number, created_at
                 )
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
             `, [
                 userId,
                 tripId,
@@ -599,12 +504,16 @@ class DatabaseService {
                 bookingData.status || 'confirmed',
                 bookingData.bookingDate || null,
                 bookingData.bookingTime || null,
+                bookingData.endDate || null,
+                bookingData.endTime || null,
+                bookingData.timezone || null,
                 bookingData.location || null,
                 bookingData.cost || null,
                 bookingData.currency || 'USD',
                 bookingData.details || null,
                 bookingData.alertMessage || null,
-                bookingData.alertTime || null
+                bookingData.alertTime || null,
+                bookingData.flightNumber || null
             ]);
 
             return result.insertId;
@@ -619,8 +528,9 @@ class DatabaseService {
             const rows = await this.pool.query(`
                 SELECT b.* FROM bookings b
                 INNER JOIN trips t ON b.trip_id = t.id
-                WHERE b.id = ? AND t.user_id = ?
-            `, [bookingId, userId]);
+                LEFT JOIN trip_members tm ON tm.trip_id = t.id AND tm.user_id = ?
+                WHERE b.id = ? AND (t.user_id = ? OR tm.user_id IS NOT NULL)
+            `, [userId, bookingId, userId]);
 
             return rows[0] || null;
         } catch (error) {
@@ -631,11 +541,14 @@ class DatabaseService {
 
     async updateBooking(bookingId, userId, updates) {
         try {
-            // Verify booking belongs to user's trip
+            // Verify booking belongs to a trip the user can edit
             const booking = await this.getBookingById(bookingId, userId);
             if (!booking) {
                 throw new Error('Booking not found');
             }
+            if (!DatabaseService.hasTripRole(await this.getTripRole(booking.trip_id, userId), 'editor')) {
+                throw new Error('You do not have permission to change this trip');
+            }
 
             const updateFields = [];
             const updateValues = [];
@@ -643,7 +556,8 @@ class DatabaseService {
             // Map of allowed fields
             const allowedFields = [
                 'booking_type', 'title', 'confirmation_number', 'provider',
-                'status', 'booking_date', 'booking_time', 'location',
+                'status', 'booking_date', 'booking_time', 'end_date', 'end_time',
+                'timezone', 'location', 'flight_number',
                 'cost', 'currency', 'details', 'alert_message', 'alert_time'
             ];
 
@@ -673,11 +587,14 @@ class DatabaseService {
 
     async deleteBooking(bookingId, userId) {
         try {
-            // Verify booking belongs to user's trip
+            // Verify booking belongs to a trip the user can edit
             const booking = await this.getBookingById(bookingId, userId);
             if (!booking) {
                 throw new Error('Booking not found');
             }
+            if (!DatabaseService.hasTripRole(await this.getTripRole(booking.trip_id, userId), 'editor')) {
+                throw new Error('You do not have permission to change this trip');
+            }
 
             await this.pool.query('DELETE FROM bookings WHERE id = ?', [bookingId]);
             return true;
@@ -717,215 +634,1314 @@ class DatabaseService {
         }
     }
 
-    async saveConversation(userId, userMessage, aiResponse, context, model, responseTime) {
-        try {
-            if (!this.pool) {
-                console.warn('Database not initialized, skipping conversation save');
-                return;
-            }
+    // ===================================
+    // TRIP MEMBERS & INVITATIONS
+    // ===================================
 
-            await this.pool.query(`
-                INSERT INTO ai_conversations
-                (user_id, user_message, ai_response, context, model_used, response_time_ms, created_at)
-                VALUES (?, ?, ?, ?, ?, ?, NOW())
-            `, [
-                userId,
-                userMessage,
-                aiResponse,
-                JSON.stringify(context || {}),
-                model || 'unknown',
-                responseTime || 0
-            ]);
+    // Helper: true if `role` grants at least `minRole` (viewer < editor < owner)
+    static hasTripRole(role, minRole = 'viewer') {
+        return TRIP_ROLES.includes(role) && TRIP_ROLES.indexOf(role) >= TRIP_ROLES.indexOf(minRole);
+    }
 
-            console.log('Conversation saved for user:', userId);
+    async getTripRole(tripId, userId) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT CASE WHEN t.user_id = ? THEN 'owner' ELSE tm.role END as role
+                FROM trips t
+                LEFT JOIN trip_members tm ON tm.trip_id = t.id AND tm.user_id = ?
+                WHERE t.id = ?
+            `, [userId, userId, tripId]);
+
+            return rows[0]?.role || null;
         } catch (error) {
-            console.error('Save conversation error (non-blocking):', error.message);
+            console.error('Get trip role error:', error);
+            throw error;
         }
     }
 
-    async saveUserLocation(userId, latitude, longitude, accuracy) {
+    // Owner plus every member, e.g. for broadcasting trip changes
+    async getTripMemberIds(tripId) {
         try {
-            await this.pool.query(`
-                INSERT INTO user_locations (user_id, latitude, longitude, accuracy, recorded_at)
-                VALUES (?, ?, ?, ?, NOW())
-            `, [userId, latitude, longitude, accuracy]);
+            const rows = await this.pool.query(`
+                SELECT user_id FROM trips WHERE id = ?
+                UNION
+                SELECT user_id FROM trip_members WHERE trip_id = ?
+            `, [tripId, tripId]);
+
+            return rows.map(row => Number(row.user_id));
         } catch (error) {
-            console.error('Save user location error:', error);
+            console.error('Get trip member IDs error:', error);
+            throw error;
         }
     }
-    async logAnalyticsEvent(userId, eventType, eventData) {
-        try {
-            // First check if analytics_events table exists
-            const tableExists = await this.pool.query(`
-                SELECT COUNT(*) as count
-                FROM information_schema.tables
-                WHERE table_schema = DATABASE()
-                  AND table_name = 'analytics_events'
-            `);
 
-            if (tableExists[0].count === 0) {
-                // Create the table if it doesn't exist
-                await this.pool.query(`
-                    CREATE TABLE IF NOT EXISTS analytics_events (
-                                                                    id INT AUTO_INCREMENT PRIMARY KEY,
-                                                                    user_id INT NOT NULL,
-                                                                    event_type VARCHAR(100) NOT NULL,
-                        event_data JSON,
-                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                        INDEX idx_user_event (user_id, event_type),
-                        INDEX idx_created (created_at),
-                        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-                        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-                `);
-                console.log('✅ Created analytics_events table');
-            }
+    async getTripMembers(tripId) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT u.id as user_id, u.name, u.email, 'owner' as role, t.created_at as joined_at
+                FROM trips t
+                JOIN users u ON u.id = t.user_id
+                WHERE t.id = ?
+                UNION ALL
+                SELECT u.id, u.name, u.email, tm.role, tm.created_at
+                FROM trip_members tm
+                JOIN users u ON u.id = tm.user_id
+                WHERE tm.trip_id = ?
+            `, [tripId, tripId]);
+
+            return rows.map(row => ({
+                userId: Number(row.user_id),
+                name: row.name,
+                email: row.email,
+                role: row.role,
+                joinedAt: row.joined_at
+            }));
+        } catch (error) {
+            console.error('Get trip members error:', error);
+            throw error;
+        }
+    }
 
-            // Insert the analytics event
+    // Add a member or change their role. The owner is never stored here.
+    async setTripMemberRole(tripId, userId, role, invitedBy = null) {
+        try {
             await this.pool.query(`
-                INSERT INTO analytics_events (user_id, event_type, event_data, created_at)
-                VALUES (?, ?, ?, NOW())
-            `, [userId, eventType, JSON.stringify(eventData)]);
-
+                INSERT INTO trip_members (trip_id, user_id, role, invited_by)
+                VALUES (?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE role = VALUES(role)
+            `, [tripId, userId, role, invitedBy]);
         } catch (error) {
-            // Log but don't throw - analytics shouldn't break the app
-            console.error('⚠️ Log analytics event error:', error.message);
+            console.error('Set trip member role error:', error);
+            throw error;
         }
     }
-    async getDashboardAnalytics(userId) {
+
+    async removeTripMember(tripId, userId) {
         try {
-            const [tripStats] = await this.pool.query(`
-                SELECT
-                    COUNT(*) as total_trips,
-                    COUNT(CASE WHEN start_date IS NULL THEN 1 END) as planning_trips,
-                    COUNT(CASE WHEN start_date > NOW() THEN 1 END) as upcoming_trips,
-                    COUNT(CASE WHEN start_date <= NOW() AND end_date >= NOW() THEN 1 END) as active_trips,
-                    COUNT(CASE WHEN end_date < NOW() THEN 1 END) as completed_trips,
-                    AVG(budget) as avg_budget,
-                    SUM(budget) as total_budget
-                FROM trips 
-                WHERE user_id = ?
-            `, [userId]);
+            const result = await this.pool.query(
+                'DELETE FROM trip_members WHERE trip_id = ? AND user_id = ?',
+                [tripId, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Remove trip member error:', error);
+            throw error;
+        }
+    }
 
-            const [bookingStats] = await this.pool.query(`
-                SELECT
-                    COUNT(*) as total_bookings,
-                    COUNT(CASE WHEN b.status = 'confirmed' THEN 1 END) as confirmed_bookings,
-                    COUNT(CASE WHEN b.status = 'pending' THEN 1 END) as pending_bookings,
-                    COALESCE(SUM(CASE WHEN b.status != 'cancelled' THEN cost ELSE 0 END), 0) as total_spent
-                FROM bookings b
-                INNER JOIN trips t ON b.trip_id = t.id
-                WHERE t.user_id = ?
-            `, [userId]);
+    async createTripInvitation(tripId, invitedBy, { email = null, role = 'viewer' } = {}) {
+        try {
+            const token = crypto.randomBytes(24).toString('hex');
+            const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
 
-            const [memoryStats] = await this.pool.query(`
-                SELECT 
-                    COUNT(*) as total_memories,
-                    AVG(rating) as avg_rating,
-                    COUNT(DISTINCT DATE(memory_date)) as active_days
-                FROM memories 
-                WHERE user_id = ? AND rating IS NOT NULL
-            `, [userId]);
+            const result = await this.pool.query(`
+                INSERT INTO trip_invitations (trip_id, email, role, token, invited_by, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [tripId, email ? email.toLowerCase() : null, role, token, invitedBy, expiresAt]);
 
-            const recentActivity = await this.pool.query(`
-                SELECT 'memory' as type, title as activity, created_at 
-                FROM memories WHERE user_id = ?
-                UNION ALL
-                SELECT 'trip' as type, title as activity, created_at 
-                FROM trips WHERE user_id = ?
-                UNION ALL
-                SELECT 'booking' as type, b.title as activity, b.created_at 
-                FROM bookings b
-                INNER JOIN trips t ON b.trip_id = t.id
-                WHERE t.user_id = ?
-                ORDER BY created_at DESC 
-                LIMIT 10
-            `, [userId, userId, userId]);
+            return { id: Number(result.insertId), tripId: Number(tripId), email, role, token, expiresAt };
+        } catch (error) {
+            console.error('Create trip invitation error:', error);
+            throw error;
+        }
+    }
 
-            return {
-                trips: tripStats,
-                bookings: bookingStats,
-                memories: memoryStats,
-                recentActivity,
-                generatedAt: new Date().toISOString()
-            };
+    async getTripInvitations(tripId) {
+        try {
+            return await this.pool.query(`
+                SELECT id, trip_id, email, role, token, invited_by, expires_at, created_at
+                FROM trip_invitations
+                WHERE trip_id = ? AND status = 'pending' AND expires_at > NOW()
+                ORDER BY created_at DESC
+            `, [tripId]);
         } catch (error) {
-            console.error('Dashboard analytics error:', error);
+            console.error('Get trip invitations error:', error);
             throw error;
         }
     }
-    async getAnalyticsEvents(userId, filters = {}) {
+
+    async getInvitationByToken(token) {
         try {
-            let query = `
-                SELECT * FROM analytics_events
-                WHERE user_id = ?
-            `;
-            let params = [userId];
+            const rows = await this.pool.query(`
+                SELECT i.*, t.title as trip_title, t.destination, u.name as invited_by_name
+                FROM trip_invitations i
+                JOIN trips t ON t.id = i.trip_id
+                LEFT JOIN users u ON u.id = i.invited_by
+                WHERE i.token = ?
+            `, [token]);
 
-            if (filters.eventType) {
-                query += ` AND event_type = ?`;
-                params.push(filters.eventType);
-            }
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Get invitation error:', error);
+            throw error;
+        }
+    }
 
-            if (filters.dateFrom) {
-                query += ` AND created_at >= ?`;
-                params.push(filters.dateFrom);
-            }
+    async getPendingInvitationsForEmail(email) {
+        try {
+            return await this.pool.query(`
+                SELECT i.id, i.trip_id, i.role, i.token, i.expires_at, i.created_at,
+                       t.title as trip_title, t.destination, u.name as invited_by_name
+                FROM trip_invitations i
+                JOIN trips t ON t.id = i.trip_id
+                LEFT JOIN users u ON u.id = i.invited_by
+                WHERE i.email = ? AND i.status = 'pending' AND i.expires_at > NOW()
+                ORDER BY i.created_at DESC
+            `, [email.toLowerCase()]);
+        } catch (error) {
+            console.error('Get pending invitations error:', error);
+            throw error;
+        }
+    }
 
-            if (filters.dateTo) {
-                query += ` AND created_at <= ?`;
-                params.push(filters.dateTo);
+    /**
+     * Join the trip from an invitation. Existing members keep the higher of
+     * their current and invited role; the owner is left alone.
+     */
+    async acceptTripInvitation(invitation, userId) {
+        try {
+            const currentRole = await this.getTripRole(invitation.trip_id, userId);
+            if (!DatabaseService.hasTripRole(currentRole, invitation.role)) {
+                await this.setTripMemberRole(invitation.trip_id, userId, invitation.role, invitation.invited_by);
             }
 
-            query += ` ORDER BY created_at DESC`;
-
-            if (filters.limit) {
-                query += ` LIMIT ?`;
-                params.push(parseInt(filters.limit));
-            }
+            await this.pool.query(`
+                UPDATE trip_invitations
+                SET status = 'accepted', accepted_by = ?, responded_at = NOW()
+                WHERE id = ?
+            `, [userId, invitation.id]);
 
-            const events = await this.pool.query(query, params);
+            return this.getTripRole(invitation.trip_id, userId);
+        } catch (error) {
+            console.error('Accept trip invitation error:', error);
+            throw error;
+        }
+    }
 
-            return events.map(event => ({
-                ...event,
-                event_data: this.safeJsonParse(event.event_data || '{}')
-            }));
+    async respondToInvitation(invitationId, status) {
+        try {
+            await this.pool.query(`
+                UPDATE trip_invitations
+                SET status = ?, responded_at = NOW()
+                WHERE id = ? AND status = 'pending'
+            `, [status, invitationId]);
         } catch (error) {
-            console.error('Get analytics events error:', error);
-            return [];
+            console.error('Update invitation error:', error);
+            throw error;
         }
     }
 
-    // Notification methods
-    async createNotification(userId, notificationData) {
+    async revokeTripInvitation(tripId, invitationId) {
         try {
             const result = await this.pool.query(`
-                INSERT INTO notifications (
-                    user_id, trip_id, booking_id, type, title, message,
-                    priority, action_url, metadata, created_at
-                )
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
-            `, [
-                userId,
-                notificationData.tripId || null,
-                notificationData.bookingId || null,
-                notificationData.type || 'general',
-                notificationData.title,
-                notificationData.message,
-                notificationData.priority || 'medium',
-                notificationData.actionUrl || null,
-                JSON.stringify(notificationData.metadata || {})
-            ]);
-
-            return Number(result.insertId);
+                UPDATE trip_invitations
+                SET status = 'revoked', responded_at = NOW()
+                WHERE id = ? AND trip_id = ? AND status = 'pending'
+            `, [invitationId, tripId]);
+            return result.affectedRows > 0;
         } catch (error) {
-            console.error('Create notification error:', error);
+            console.error('Revoke trip invitation error:', error);
             throw error;
         }
     }
 
-    async getUserNotifications(userId, limit = 10) {
+    // ===================================
+    // CALENDAR FEED
+    // ===================================
+
+    // Secret feed token, created on first use
+    async getCalendarToken(userId) {
         try {
-            const notifications = await this.pool.query(`
+            const rows = await this.pool.query('SELECT calendar_token FROM users WHERE id = ?', [userId]);
+            if (rows[0]?.calendar_token) return rows[0].calendar_token;
+            return this.rotateCalendarToken(userId);
+        } catch (error) {
+            console.error('Get calendar token error:', error);
+            throw error;
+        }
+    }
+
+    // Invalidates any feed URL handed out before
+    async rotateCalendarToken(userId) {
+        try {
+            const token = crypto.randomBytes(24).toString('hex');
+            await this.pool.query('UPDATE users SET calendar_token = ? WHERE id = ?', [token, userId]);
+            return token;
+        } catch (error) {
+            console.error('Rotate calendar token error:', error);
+            throw error;
+        }
+    }
+
+    async getUserByCalendarToken(token) {
+        try {
+            const rows = await this.pool.query(
+                'SELECT id, name, email FROM users WHERE calendar_token = ?',
+                [token]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Get user by calendar token error:', error);
+            throw error;
+        }
+    }
+
+    async getBookingsForTrips(tripIds) {
+        if (tripIds.length === 0) return [];
+        try {
+            return await this.pool.query(`
+                SELECT * FROM bookings
+                WHERE trip_id IN (?)
+                ORDER BY booking_date ASC, booking_time ASC
+            `, [tripIds]);
+        } catch (error) {
+            console.error('Get bookings for trips error:', error);
+            throw error;
+        }
+    }
+
+    // Open reminder rows for the calendar export
+    async getRemindersForTrips(tripIds) {
+        if (tripIds.length === 0) return [];
+        try {
+            return await this.pool.query(`
+                SELECT * FROM trip_reminders
+                WHERE trip_id IN (?) AND status = 'active'
+                ORDER BY reminder_date ASC
+            `, [tripIds]);
+        } catch (error) {
+            console.error('Get reminders for trips error:', error);
+            throw error;
+        }
+    }
+
+    // ===================================
+    // TRIP REMINDERS
+    // ===================================
+
+    // Callers check trip access first; these only scope rows to the trip
+
+    async createReminder(tripId, userId, reminder) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO trip_reminders (
+                    trip_id, user_id, booking_id, title, reminder_date, type, notes,
+                    recurrence, recurrence_until, created_at
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+            `, [
+                tripId,
+                userId,
+                reminder.bookingId || null,
+                reminder.title,
+                reminder.reminderDate,
+                reminder.type || 'general',
+                reminder.notes || null,
+                reminder.recurrence || 'none',
+                reminder.recurrenceUntil || null
+            ]);
+
+            return Number(result.insertId);
+        } catch (error) {
+            console.error('Create reminder error:', error);
+            throw error;
+        }
+    }
+
+    async getTripReminders(tripId, { includeDone = false } = {}) {
+        try {
+            return await this.pool.query(`
+                SELECT r.*, b.title as booking_title, u.name as created_by_name
+                FROM trip_reminders r
+                LEFT JOIN bookings b ON r.booking_id = b.id
+                LEFT JOIN users u ON r.user_id = u.id
+                WHERE r.trip_id = ? ${includeDone ? '' : "AND r.status = 'active'"}
+                ORDER BY r.status ASC, COALESCE(r.snoozed_until, r.reminder_date) ASC
+            `, [tripId]);
+        } catch (error) {
+            console.error('Get trip reminders error:', error);
+            throw error;
+        }
+    }
+
+    async getReminderById(reminderId, tripId) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT r.*, b.title as booking_title, u.name as created_by_name
+                FROM trip_reminders r
+                LEFT JOIN bookings b ON r.booking_id = b.id
+                LEFT JOIN users u ON r.user_id = u.id
+                WHERE r.id = ? AND r.trip_id = ?
+            `, [reminderId, tripId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Get reminder error:', error);
+            throw error;
+        }
+    }
+
+    async updateReminder(reminderId, tripId, updates) {
+        try {
+            const allowedFields = [
+                'title', 'reminder_date', 'type', 'notes', 'booking_id', 'recurrence',
+                'recurrence_until', 'status', 'snoozed_until', 'last_notified_at', 'completed_at'
+            ];
+
+            const updateFields = [];
+            const updateValues = [];
+            Object.keys(updates).forEach(key => {
+                if (updates[key] !== undefined && allowedFields.includes(key)) {
+                    updateFields.push(`${key} = ?`);
+                    updateValues.push(updates[key]);
+                }
+            });
+
+            if (updateFields.length > 0) {
+                updateValues.push(reminderId, tripId);
+                await this.pool.query(`
+                    UPDATE trip_reminders
+                    SET ${updateFields.join(', ')}
+                    WHERE id = ? AND trip_id = ?
+                `, updateValues);
+            }
+
+            return await this.getReminderById(reminderId, tripId);
+        } catch (error) {
+            console.error('Update reminder error:', error);
+            throw error;
+        }
+    }
+
+    async deleteReminder(reminderId, tripId) {
+        try {
+            const result = await this.pool.query(
+                'DELETE FROM trip_reminders WHERE id = ? AND trip_id = ?',
+                [reminderId, tripId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Delete reminder error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Active reminders that may be due. reminder_date is a wall clock in the
+     * trip's zone, so this over-selects by a day and the scheduler decides.
+     */
+    async getDueReminderCandidates() {
+        try {
+            return await this.pool.query(`
+                SELECT r.*, t.title as trip_title, t.timezone as trip_timezone,
+                       b.title as booking_title
+                FROM trip_reminders r
+                INNER JOIN trips t ON r.trip_id = t.id
+                LEFT JOIN bookings b ON r.booking_id = b.id
+                WHERE r.status = 'active'
+                  AND r.user_id IS NOT NULL
+                  AND COALESCE(r.snoozed_until, r.reminder_date) <= DATE_ADD(NOW(), INTERVAL 1 DAY)
+                ORDER BY r.reminder_date ASC
+            `);
+        } catch (error) {
+            console.error('Get due reminders error:', error);
+            throw error;
+        }
+    }
+
+    // ===================================
+    // TRIP BUDGETS
+    // ===================================
+
+    async getTripBudgets(tripId) {
+        try {
+            return await this.pool.query(
+                'SELECT category, amount, alert_level, alerted_at FROM trip_budgets WHERE trip_id = ? ORDER BY category',
+                [tripId]
+            );
+        } catch (error) {
+            console.error('Get trip budgets error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a validated budget update: the overall trip budget, the alert
+     * threshold and per-category amounts (null deletes a category budget).
+     */
+    async updateTripBudget(tripId, { total, alertPercent, categories = {} }) {
+        const conn = await this.pool.getConnection();
+        try {
+            await conn.beginTransaction();
+
+            if (total !== undefined) {
+                await conn.query('UPDATE trips SET budget = ?, updated_at = NOW() WHERE id = ?', [total, tripId]);
+            }
+            if (alertPercent !== undefined) {
+                await conn.query('UPDATE trips SET budget_alert_percent = ?, updated_at = NOW() WHERE id = ?', [alertPercent, tripId]);
+            }
+
+            for (const [category, amount] of Object.entries(categories)) {
+                if (amount === null) {
+                    await conn.query('DELETE FROM trip_budgets WHERE trip_id = ? AND category = ?', [tripId, category]);
+                } else {
+                    await conn.query(`
+                        INSERT INTO trip_budgets (trip_id, category, amount)
+                        VALUES (?, ?, ?)
+                        ON DUPLICATE KEY UPDATE amount = VALUES(amount)
+                    `, [tripId, category, amount]);
+                }
+            }
+
+            await conn.commit();
+        } catch (error) {
+            await conn.rollback();
+            console.error('Update trip budget error:', error);
+            throw error;
+        } finally {
+            conn.release();
+        }
+    }
+
+    // Everything that counts as spend on a trip, in its original currency
+    async getTripSpendItems(tripId) {
+        try {
+            return await this.pool.query(`
+                SELECT 'booking' as source, booking_type as category, cost as amount, currency,
+                       COALESCE(booking_date, created_at) as date
+                FROM bookings
+                WHERE trip_id = ? AND status != 'cancelled' AND cost IS NOT NULL
+                UNION ALL
+                SELECT 'expense' as source, category, amount, currency,
+                       COALESCE(expense_date, created_at) as date
+                FROM expenses
+                WHERE trip_id = ?
+            `, [tripId, tripId]);
+        } catch (error) {
+            console.error('Get trip spend items error:', error);
+            throw error;
+        }
+    }
+
+    async setBudgetAlertLevel(tripId, category, level) {
+        try {
+            await this.pool.query(`
+                UPDATE trip_budgets
+                SET alert_level = ?, alerted_at = IF(? IS NULL, alerted_at, NOW())
+                WHERE trip_id = ? AND category = ?
+            `, [level, level, tripId, category]);
+        } catch (error) {
+            console.error('Set budget alert level error:', error);
+            throw error;
+        }
+    }
+
+    // Trips with category budgets that haven't finished yet
+    async getBudgetAlertCandidates() {
+        try {
+            return await this.pool.query(`
+                SELECT t.id, t.user_id, t.title, t.start_date, t.end_date, t.budget, t.timezone,
+                       t.budget_alert_percent,
+                       COALESCE(t.currency, owner.home_currency, 'USD') as currency
+                FROM trips t
+                INNER JOIN users owner ON owner.id = t.user_id
+                WHERE EXISTS (SELECT 1 FROM trip_budgets tb WHERE tb.trip_id = t.id)
+                  AND (t.end_date IS NULL OR t.end_date >= DATE_SUB(CURDATE(), INTERVAL 1 DAY))
+            `);
+        } catch (error) {
+            console.error('Get budget alert candidates error:', error);
+            throw error;
+        }
+    }
+
+    // ===================================
+    // EXPENSE SPLITS & SETTLEMENTS
+    // ===================================
+
+    // Trip members and named guests, keyed the way SplitService expects
+    async getTripParticipants(tripId) {
+        try {
+            const [members, guests] = await Promise.all([
+                this.getTripMembers(tripId),
+                this.getTripGuests(tripId)
+            ]);
+
+            return [
+                ...members.map(member => ({
+                    participant: `user:${member.userId}`,
+                    userId: member.userId,
+                    guestId: null,
+                    name: member.name,
+                    guest: false
+                })),
+                ...guests.map(guest => ({
+                    participant: `guest:${guest.id}`,
+                    userId: null,
+                    guestId: guest.id,
+                    name: guest.name,
+                    guest: true
+                }))
+            ];
+        } catch (error) {
+            console.error('Get trip participants error:', error);
+            throw error;
+        }
+    }
+
+    async getTripGuests(tripId) {
+        try {
+            return await this.pool.query('SELECT id, name, created_at FROM trip_guests WHERE trip_id = ? ORDER BY name', [tripId]);
+        } catch (error) {
+            console.error('Get trip guests error:', error);
+            throw error;
+        }
+    }
+
+    async createTripGuest(tripId, name, createdBy) {
+        try {
+            const result = await this.pool.query(
+                'INSERT INTO trip_guests (trip_id, name, created_by) VALUES (?, ?, ?)',
+                [tripId, name, createdBy]
+            );
+            return Number(result.insertId);
+        } catch (error) {
+            console.error('Create trip guest error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a guest nobody's expenses or payments refer to. Returns
+     * 'deleted', 'in_use' or 'not_found'.
+     */
+    async deleteTripGuest(tripId, guestId) {
+        try {
+            const [usage] = await this.pool.query(`
+                SELECT
+                    (SELECT COUNT(*) FROM expenses WHERE paid_by_guest_id = ?) +
+                    (SELECT COUNT(*) FROM expense_splits WHERE guest_id = ?) +
+                    (SELECT COUNT(*) FROM settlements WHERE from_guest_id = ? OR to_guest_id = ?) as refs
+            `, [guestId, guestId, guestId, guestId]);
+            if (Number(usage.refs) > 0) return 'in_use';
+
+            const result = await this.pool.query('DELETE FROM trip_guests WHERE id = ? AND trip_id = ?', [guestId, tripId]);
+            return result.affectedRows > 0 ? 'deleted' : 'not_found';
+        } catch (error) {
+            console.error('Delete trip guest error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace who paid an expense and how it is split. `parts` come from
+     * SplitService.validateSplit; an empty list makes it unsplit.
+     */
+    async setExpenseSplit(expenseId, { paidBy, method, parts }) {
+        const conn = await this.pool.getConnection();
+        try {
+            await conn.beginTransaction();
+
+            await conn.query(`
+                UPDATE expenses SET paid_by_user_id = ?, paid_by_guest_id = ?, split_method = ?
+                WHERE id = ?
+            `, [paidBy.userId, paidBy.guestId, parts.length ? method : 'none', expenseId]);
+            await conn.query('DELETE FROM expense_splits WHERE expense_id = ?', [expenseId]);
+
+            if (parts.length) {
+                await conn.batch(
+                    'INSERT INTO expense_splits (expense_id, user_id, guest_id, shares, amount) VALUES (?, ?, ?, ?, ?)',
+                    parts.map(part => [expenseId, part.userId, part.guestId, part.shares, part.amount])
+                );
+            }
+
+            await conn.commit();
+        } catch (error) {
+            await conn.rollback();
+            console.error('Set expense split error:', error);
+            throw error;
+        } finally {
+            conn.release();
+        }
+    }
+
+    // Split parts for a set of expenses, grouped by expense id
+    async getExpenseSplits(expenseIds) {
+        try {
+            if (expenseIds.length === 0) return {};
+
+            const rows = await this.pool.query(`
+                SELECT s.expense_id, s.user_id, s.guest_id, s.shares, s.amount,
+                       COALESCE(u.name, g.name) as name
+                FROM expense_splits s
+                LEFT JOIN users u ON u.id = s.user_id
+                LEFT JOIN trip_guests g ON g.id = s.guest_id
+                WHERE s.expense_id IN (?)
+                ORDER BY s.id
+            `, [expenseIds]);
+
+            const grouped = {};
+            for (const row of rows) {
+                (grouped[row.expense_id] = grouped[row.expense_id] || []).push({
+                    participant: row.user_id ? `user:${row.user_id}` : `guest:${row.guest_id}`,
+                    name: row.name,
+                    shares: row.shares !== null ? parseFloat(row.shares) : null,
+                    amount: parseFloat(row.amount)
+                });
+            }
+            return grouped;
+        } catch (error) {
+            console.error('Get expense splits error:', error);
+            throw error;
+        }
+    }
+
+    async getTripSplitExpenses(tripId) {
+        try {
+            const expenses = await this.pool.query(`
+                SELECT e.id, e.amount, e.currency, COALESCE(e.expense_date, e.created_at) as date,
+                       e.paid_by_user_id, e.paid_by_guest_id,
+                       COALESCE(u.name, g.name) as paid_by_name
+                FROM expenses e
+                LEFT JOIN users u ON u.id = e.paid_by_user_id
+                LEFT JOIN trip_guests g ON g.id = e.paid_by_guest_id
+                WHERE e.trip_id = ? AND e.split_method != 'none'
+                  AND (e.paid_by_user_id IS NOT NULL OR e.paid_by_guest_id IS NOT NULL)
+            `, [tripId]);
+
+            const splits = await this.getExpenseSplits(expenses.map(expense => expense.id));
+            return expenses.map(expense => ({
+                id: expense.id,
+                amount: expense.amount,
+                currency: expense.currency || 'USD',
+                date: expense.date,
+                paidBy: expense.paid_by_user_id ? `user:${expense.paid_by_user_id}` : `guest:${expense.paid_by_guest_id}`,
+                paidByName: expense.paid_by_name,
+                splits: splits[expense.id] || []
+            }));
+        } catch (error) {
+            console.error('Get trip split expenses error:', error);
+            throw error;
+        }
+    }
+
+    async createSettlement(tripId, createdBy, settlement) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO settlements (trip_id, from_user_id, from_guest_id, to_user_id, to_guest_id,
+                                         amount, currency, settled_on, note, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                tripId,
+                settlement.from.userId,
+                settlement.from.guestId,
+                settlement.to.userId,
+                settlement.to.guestId,
+                settlement.amount,
+                settlement.currency,
+                settlement.date,
+                settlement.note || null,
+                createdBy
+            ]);
+            return Number(result.insertId);
+        } catch (error) {
+            console.error('Create settlement error:', error);
+            throw error;
+        }
+    }
+
+    async getTripSettlements(tripId) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT s.*,
+                       COALESCE(fu.name, fg.name) as from_name,
+                       COALESCE(tu.name, tg.name) as to_name,
+                       cu.name as created_by_name
+                FROM settlements s
+                LEFT JOIN users fu ON fu.id = s.from_user_id
+                LEFT JOIN trip_guests fg ON fg.id = s.from_guest_id
+                LEFT JOIN users tu ON tu.id = s.to_user_id
+                LEFT JOIN trip_guests tg ON tg.id = s.to_guest_id
+                LEFT JOIN users cu ON cu.id = s.created_by
+                WHERE s.trip_id = ?
+                ORDER BY s.settled_on DESC, s.id DESC
+            `, [tripId]);
+
+            return rows.map(row => ({
+                id: row.id,
+                from: row.from_user_id ? `user:${row.from_user_id}` : `guest:${row.from_guest_id}`,
+                fromName: row.from_name,
+                to: row.to_user_id ? `user:${row.to_user_id}` : `guest:${row.to_guest_id}`,
+                toName: row.to_name,
+                amount: parseFloat(row.amount),
+                currency: row.currency,
+                date: ItineraryService.normalizeDate(row.settled_on),
+                note: row.note,
+                createdBy: row.created_by_name || null,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Get trip settlements error:', error);
+            throw error;
+        }
+    }
+
+    async deleteSettlement(tripId, settlementId) {
+        try {
+            const result = await this.pool.query('DELETE FROM settlements WHERE id = ? AND trip_id = ?', [settlementId, tripId]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Delete settlement error:', error);
+            throw error;
+        }
+    }
+
+    // ===================================
+    // CURRENCIES & EXCHANGE RATES
+    // ===================================
+
+    async getUserHomeCurrency(userId) {
+        try {
+            const rows = await this.pool.query('SELECT home_currency FROM users WHERE id = ?', [userId]);
+            return rows[0]?.home_currency || 'USD';
+        } catch (error) {
+            console.error('Get home currency error:', error);
+            throw error;
+        }
+    }
+
+    async setUserHomeCurrency(userId, currency) {
+        try {
+            await this.pool.query('UPDATE users SET home_currency = ? WHERE id = ?', [currency, userId]);
+            return currency;
+        } catch (error) {
+            console.error('Set home currency error:', error);
+            throw error;
+        }
+    }
+
+    async setTripCurrency(tripId, currency) {
+        try {
+            await this.pool.query('UPDATE trips SET currency = ?, updated_at = NOW() WHERE id = ?', [currency, tripId]);
+            return currency;
+        } catch (error) {
+            console.error('Set trip currency error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Most recent stored rate for base -> quote on or up to `maxAgeDays`
+     * before `date`. Falls back to the inverse of a stored quote -> base rate.
+     */
+    async getStoredRate(base, quote, date, maxAgeDays = 7) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT base, rate, rate_date, source
+                FROM exchange_rates
+                WHERE ((base = ? AND quote = ?) OR (base = ? AND quote = ?))
+                AND rate_date <= ? AND rate_date >= DATE_SUB(?, INTERVAL ? DAY)
+                ORDER BY rate_date DESC, base = ? DESC
+                LIMIT 1
+            `, [base, quote, quote, base, date, date, maxAgeDays, base]);
+
+            const row = rows[0];
+            if (!row) return null;
+
+            const rate = parseFloat(row.rate);
+            return {
+                rate: row.base === base ? rate : 1 / rate,
+                date: ItineraryService.normalizeDate(row.rate_date),
+                source: row.source
+            };
+        } catch (error) {
+            console.error('Get stored rate error:', error);
+            throw error;
+        }
+    }
+
+    async saveRates(base, date, rates, source) {
+        try {
+            const entries = Object.entries(rates).filter(([quote, rate]) => quote !== base && rate > 0);
+            if (entries.length === 0) return 0;
+
+            await this.pool.batch(`
+                INSERT INTO exchange_rates (base, quote, rate, rate_date, source)
+                VALUES (?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE rate = VALUES(rate), source = VALUES(source)
+            `, entries.map(([quote, rate]) => [base, quote, rate, date, source]));
+
+            return entries.length;
+        } catch (error) {
+            console.error('Save rates error:', error);
+            throw error;
+        }
+    }
+
+    // ===================================
+    // PUBLIC SHARE LINKS
+    // ===================================
+
+    async createShareLink(tripId, createdBy, { expiresInDays = null } = {}) {
+        try {
+            const token = crypto.randomBytes(24).toString('hex');
+            const expiresAt = expiresInDays
+                ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+                : null;
+
+            const result = await this.pool.query(`
+                INSERT INTO trip_share_links (trip_id, token, created_by, expires_at)
+                VALUES (?, ?, ?, ?)
+            `, [tripId, token, createdBy, expiresAt]);
+
+            return { id: Number(result.insertId), tripId: Number(tripId), token, expiresAt, viewCount: 0 };
+        } catch (error) {
+            console.error('Create share link error:', error);
+            throw error;
+        }
+    }
+
+    async getTripShareLinks(tripId) {
+        try {
+            return await this.pool.query(`
+                SELECT id, trip_id, token, created_by, expires_at, view_count, last_viewed_at, created_at
+                FROM trip_share_links
+                WHERE trip_id = ? AND revoked_at IS NULL
+                  AND (expires_at IS NULL OR expires_at > NOW())
+                ORDER BY created_at DESC
+            `, [tripId]);
+        } catch (error) {
+            console.error('Get share links error:', error);
+            throw error;
+        }
+    }
+
+    async revokeShareLink(tripId, linkId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE trip_share_links
+                SET revoked_at = NOW()
+                WHERE id = ? AND trip_id = ? AND revoked_at IS NULL
+            `, [linkId, tripId]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Revoke share link error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve a public share token to the trip and its bookings. No user
+     * check here - callers must redact before returning anything.
+     */
+    async getSharedTrip(token) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT l.id as link_id, l.expires_at as link_expires_at,
+                       t.id, t.user_id, t.title, t.destination, t.start_date, t.end_date,
+                       t.duration, t.itinerary, u.name as owner_name,
+                CASE
+                    WHEN t.start_date IS NULL THEN 'planning'
+                    WHEN t.start_date > NOW() THEN 'upcoming'
+                    WHEN t.start_date <= NOW() AND t.end_date >= NOW() THEN 'active'
+                    ELSE 'completed'
+                END as status
+                FROM trip_share_links l
+                JOIN trips t ON t.id = l.trip_id
+                LEFT JOIN users u ON u.id = t.user_id
+                WHERE l.token = ? AND l.revoked_at IS NULL
+                  AND (l.expires_at IS NULL OR l.expires_at > NOW())
+            `, [token]);
+
+            const trip = rows[0];
+            if (!trip) return null;
+
+            await this.pool.query(`
+                UPDATE trip_share_links
+                SET view_count = view_count + 1, last_viewed_at = NOW()
+                WHERE id = ?
+            `, [trip.link_id]);
+
+            const bookings = await this.pool.query(`
+                SELECT * FROM bookings
+                WHERE trip_id = ? AND status != 'cancelled'
+                ORDER BY booking_date ASC, booking_time ASC
+            `, [trip.id]);
+
+            return {
+                trip: { ...trip, itinerary: this.parseItinerary(trip) },
+                bookings
+            };
+        } catch (error) {
+            console.error('Get shared trip error:', error);
+            throw error;
+        }
+    }
+
+    async saveConversation(userId, userMessage, aiResponse, context, model, responseTime, threadId = null) {
+        try {
+            if (!this.pool) {
+                console.warn('Database not initialized, skipping conversation save');
+                return;
+            }
+
+            await this.pool.query(`
+                INSERT INTO ai_conversations
+                (user_id, thread_id, user_message, ai_response, context, model_used, response_time_ms, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+            `, [
+                userId,
+                threadId,
+                userMessage,
+                // ai_response is a JSON column, so the text has to be encoded
+                JSON.stringify(aiResponse),
+                JSON.stringify(context || {}),
+                model || 'unknown',
+                responseTime || 0
+            ]);
+
+            if (threadId) {
+                // Keep recently used threads at the top of the list
+                await this.pool.query('UPDATE ai_threads SET updated_at = NOW() WHERE id = ?', [threadId]);
+            }
+
+            console.log('Conversation saved for user:', userId);
+        } catch (error) {
+            console.error('Save conversation error (non-blocking):', error.message);
+        }
+    }
+
+    // ===================================
+    // AI CONVERSATION THREADS
+    // ===================================
+
+    async createThread(userId, { title, tripId } = {}) {
+        try {
+            if (tripId) {
+                const trip = await this.getTripById(tripId, userId);
+                if (!trip) {
+                    throw new Error('Trip not found');
+                }
+            }
+
+            const result = await this.pool.query(`
+                INSERT INTO ai_threads (user_id, trip_id, title)
+                VALUES (?, ?, ?)
+            `, [userId, tripId || null, (title || 'New conversation').substring(0, 255)]);
+
+            return this.getThreadById(result.insertId, userId);
+        } catch (error) {
+            console.error('Create thread error:', error);
+            throw error;
+        }
+    }
+
+    async getUserThreads(userId, { tripId, limit = 50 } = {}) {
+        try {
+            let query = `
+                SELECT t.*, tr.destination AS trip_destination,
+                       COUNT(c.id) AS message_count,
+                       MAX(c.created_at) AS last_message_at
+                FROM ai_threads t
+                LEFT JOIN trips tr ON t.trip_id = tr.id
+                LEFT JOIN ai_conversations c ON c.thread_id = t.id
+                WHERE t.user_id = ?
+            `;
+            const params = [userId];
+
+            if (tripId) {
+                query += ' AND t.trip_id = ?';
+                params.push(tripId);
+            }
+
+            query += ' GROUP BY t.id ORDER BY t.updated_at DESC LIMIT ?';
+            params.push(parseInt(limit));
+
+            const threads = await this.pool.query(query, params);
+            return threads.map(thread => this.convertBigIntToNumber(thread));
+        } catch (error) {
+            console.error('Get user threads error:', error);
+            throw error;
+        }
+    }
+
+    async getThreadById(threadId, userId) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT * FROM ai_threads
+                WHERE id = ? AND user_id = ?
+            `, [threadId, userId]);
+
+            return rows[0] ? this.convertBigIntToNumber(rows[0]) : null;
+        } catch (error) {
+            console.error('Get thread error:', error);
+            throw error;
+        }
+    }
+
+    async updateThread(threadId, userId, updates) {
+        try {
+            const fieldMap = {
+                title: 'title',
+                tripId: 'trip_id',
+                summary: 'summary',
+                summarizedThrough: 'summarized_through'
+            };
+            const fields = [];
+            const values = [];
+
+            Object.entries(fieldMap).forEach(([key, column]) => {
+                if (updates[key] !== undefined) {
+                    fields.push(`${column} = ?`);
+                    values.push(key === 'title' ? String(updates[key]).substring(0, 255) : updates[key]);
+                }
+            });
+
+            if (fields.length === 0) {
+                return false;
+            }
+
+            values.push(threadId, userId);
+            const result = await this.pool.query(`
+                UPDATE ai_threads
+                SET ${fields.join(', ')}, updated_at = NOW()
+                WHERE id = ? AND user_id = ?
+            `, values);
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Update thread error:', error);
+            throw error;
+        }
+    }
+
+    async deleteThread(threadId, userId) {
+        try {
+            const result = await this.pool.query(`
+                DELETE FROM ai_threads
+                WHERE id = ? AND user_id = ?
+            `, [threadId, userId]);
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Delete thread error:', error);
+            throw error;
+        }
+    }
+
+    // Turns in chronological order. `afterId` skips turns already folded into
+    // the thread summary; `limit` keeps only the most recent ones.
+    async getThreadMessages(threadId, userId, { afterId = 0, limit = 200 } = {}) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT * FROM (
+                    SELECT c.id, c.user_message, c.ai_response, c.model_used, c.context, c.created_at
+                    FROM ai_conversations c
+                    INNER JOIN ai_threads t ON c.thread_id = t.id
+                    WHERE c.thread_id = ? AND t.user_id = ? AND c.id > ?
+                    ORDER BY c.id DESC
+                    LIMIT ?
+                ) recent
+                ORDER BY id ASC
+            `, [threadId, userId, afterId || 0, parseInt(limit)]);
+
+            return rows.map(row => ({
+                id: row.id,
+                userMessage: row.user_message,
+                aiResponse: this.safeJsonParse(row.ai_response, row.ai_response),
+                model: row.model_used,
+                cancelled: !!this.safeJsonParse(row.context, {}).cancelled,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Get thread messages error:', error);
+            throw error;
+        }
+    }
+
+    async saveUserLocation(userId, latitude, longitude, accuracy) {
+        try {
+            await this.pool.query(`
+                INSERT INTO user_locations (user_id, latitude, longitude, accuracy, recorded_at)
+                VALUES (?, ?, ?, ?, NOW())
+            `, [userId, latitude, longitude, accuracy]);
+        } catch (error) {
+            console.error('Save user location error:', error);
+        }
+    }
+    async logAnalyticsEvent(userId, eventType, eventData) {
+        try {
+            // Insert the analytics event
+            await this.pool.query(`
+                INSERT INTO analytics_events (user_id, event_type, event_data, created_at)
+                VALUES (?, ?, ?, NOW())
+            `, [userId, eventType, JSON.stringify(eventData)]);
+
+        } catch (error) {
+            // Log but don't throw - analytics shouldn't break the app
+            console.error('⚠️ Log analytics event error:', error.message);
+        }
+    }
+    async getDashboardAnalytics(userId) {
+        try {
+            const [tripStats] = await this.pool.query(`
+                SELECT
+                    COUNT(*) as total_trips,
+                    COUNT(CASE WHEN start_date IS NULL THEN 1 END) as planning_trips,
+                    COUNT(CASE WHEN start_date > NOW() THEN 1 END) as upcoming_trips,
+                    COUNT(CASE WHEN start_date <= NOW() AND end_date >= NOW() THEN 1 END) as active_trips,
+                    COUNT(CASE WHEN end_date < NOW() THEN 1 END) as completed_trips,
+                    AVG(budget) as avg_budget,
+                    SUM(budget) as total_budget
+                FROM trips 
+                WHERE user_id = ?
+            `, [userId]);
+
+            const [bookingStats] = await this.pool.query(`
+                SELECT
+                    COUNT(*) as total_bookings,
+                    COUNT(CASE WHEN b.status = 'confirmed' THEN 1 END) as confirmed_bookings,
+                    COUNT(CASE WHEN b.status = 'pending' THEN 1 END) as pending_bookings
+                FROM bookings b
+                INNER JOIN trips t ON b.trip_id = t.id
+                WHERE t.user_id = ?
+            `, [userId]);
+
+            // Booking costs and expenses are in whatever currency they were
+            // paid in; total them in the user's home currency
+            const homeCurrency = await this.getUserHomeCurrency(userId);
+            const bookingCosts = await this.pool.query(`
+                SELECT b.cost as amount, b.currency, COALESCE(b.booking_date, b.created_at) as date
+                FROM bookings b
+                INNER JOIN trips t ON b.trip_id = t.id
+                WHERE t.user_id = ? AND b.status != 'cancelled' AND b.cost IS NOT NULL
+            `, [userId]);
+            const expenseAmounts = await this.pool.query(`
+                SELECT amount, currency, COALESCE(expense_date, created_at) as date
+                FROM expenses
+                WHERE user_id = ?
+            `, [userId]);
+
+            const bookingSpend = await this.rates.sum(bookingCosts, homeCurrency);
+            const expenseSpend = await this.rates.sum(expenseAmounts, homeCurrency);
+            bookingStats.total_spent = bookingSpend.total;
+
+            const [memoryStats] = await this.pool.query(`
+                SELECT 
+                    COUNT(*) as total_memories,
+                    AVG(rating) as avg_rating,
+                    COUNT(DISTINCT DATE(memory_date)) as active_days
+                FROM memories 
+                WHERE user_id = ? AND rating IS NOT NULL
+            `, [userId]);
+
+            const recentActivity = await this.pool.query(`
+                SELECT 'memory' as type, title as activity, created_at 
+                FROM memories WHERE user_id = ?
+                UNION ALL
+                SELECT 'trip' as type, title as activity, created_at 
+                FROM trips WHERE user_id = ?
+                UNION ALL
+                SELECT 'booking' as type, b.title as activity, b.created_at 
+                FROM bookings b
+                INNER JOIN trips t ON b.trip_id = t.id
+                WHERE t.user_id = ?
+                ORDER BY created_at DESC 
+                LIMIT 10
+            `, [userId, userId, userId]);
+
+            return {
+                trips: tripStats,
+                bookings: bookingStats,
+                memories: memoryStats,
+                spending: {
+                    currency: homeCurrency,
+                    bookings: bookingSpend.total,
+                    expenses: expenseSpend.total,
+                    total: ExchangeRateService.roundMoney(bookingSpend.total + expenseSpend.total),
+                    byCurrency: ExchangeRateService.totalsByCurrency([...bookingCosts, ...expenseAmounts]),
+                    unconverted: ExchangeRateService.totalsByCurrency([...bookingSpend.unconverted, ...expenseSpend.unconverted])
+                },
+                recentActivity,
+                generatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Dashboard analytics error:', error);
+            throw error;
+        }
+    }
+    async getAnalyticsEvents(userId, filters = {}) {
+        try {
+            let query = `
+                SELECT * FROM analytics_events
+                WHERE user_id = ?
+            `;
+            let params = [userId];
+
+            if (filters.eventType) {
+                query += ` AND event_type = ?`;
+                params.push(filters.eventType);
+            }
+
+            if (filters.dateFrom) {
+                query += ` AND created_at >= ?`;
+                params.push(filters.dateFrom);
+            }
+
+            if (filters.dateTo) {
+                query += ` AND created_at <= ?`;
+                params.push(filters.dateTo);
+            }
+
+            query += ` ORDER BY created_at DESC`;
+
+            if (filters.limit) {
+                query += ` LIMIT ?`;
+                params.push(parseInt(filters.limit));
+            }
+
+            const events = await this.pool.query(query, params);
+
+            return events.map(event => ({
+                ...event,
+                event_data: this.safeJsonParse(event.event_data || '{}')
+            }));
+        } catch (error) {
+            console.error('Get analytics events error:', error);
+            return [];
+        }
+    }
+
+    // Notification methods
+    async createNotification(userId, notificationData) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO notifications (
+                    user_id, trip_id, booking_id, reminder_id, type, title, message,
+                    priority, action_url, metadata, created_at
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+            `, [
+                userId,
+                notificationData.tripId || null,
+                notificationData.bookingId || null,
+                notificationData.reminderId || null,
+                notificationData.type || 'general',
+                notificationData.title,
+                notificationData.message,
+                notificationData.priority || 'medium',
+                notificationData.actionUrl || null,
+                JSON.stringify(notificationData.metadata || {})
+            ]);
+
+            return Number(result.insertId);
+        } catch (error) {
+            console.error('Create notification error:', error);
+            throw error;
+        }
+    }
+
+    async getUserNotifications(userId, limit = 10) {
+        try {
+            const notifications = await this.pool.query(`
                 SELECT n.*, t.title as trip_title, b.title as booking_title
                 FROM notifications n
                 LEFT JOIN trips t ON n.trip_id = t.id
@@ -1007,6 +2023,296 @@ class DatabaseService {
         }
     }
 
+    // ===================================
+    // LOGIN SESSIONS
+    // ===================================
+
+    async createSession(userId, { tokenHash, device, userAgent, ipAddress, expiresAt }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO user_sessions (user_id, refresh_token_hash, device, user_agent, ip_address, last_used_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, NOW(), ?)
+            `, [userId, tokenHash, device, userAgent, ipAddress, expiresAt]);
+            return Number(result.insertId);
+        } catch (error) {
+            console.error('Create session error:', error);
+            throw error;
+        }
+    }
+
+    // A live session whose current or previous refresh token has this hash
+    async getSessionByTokenHash(tokenHash) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT * FROM user_sessions
+                WHERE (refresh_token_hash = ? OR previous_token_hash = ?)
+                  AND revoked_at IS NULL AND expires_at > NOW()
+            `, [tokenHash, tokenHash]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Get session error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a session's refresh token. Returns false when the token was
+     * already rotated by a concurrent request.
+     */
+    async rotateSessionToken(sessionId, currentHash, nextHash, { expiresAt, ipAddress }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE user_sessions
+                SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+                    expires_at = ?, ip_address = ?, last_used_at = NOW()
+                WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+            `, [nextHash, expiresAt, ipAddress, sessionId, currentHash]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Rotate session token error:', error);
+            throw error;
+        }
+    }
+
+    async isSessionActive(sessionId, userId) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT id FROM user_sessions
+                WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+            `, [sessionId, userId]);
+            return rows.length > 0;
+        } catch (error) {
+            console.error('Check session error:', error);
+            throw error;
+        }
+    }
+
+    async getUserSessions(userId) {
+        try {
+            return await this.pool.query(`
+                SELECT id, device, user_agent, ip_address, created_at, last_used_at, expires_at
+                FROM user_sessions
+                WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+                ORDER BY last_used_at DESC
+            `, [userId]);
+        } catch (error) {
+            console.error('Get user sessions error:', error);
+            throw error;
+        }
+    }
+
+    async revokeSession(userId, sessionId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE user_sessions SET revoked_at = NOW()
+                WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+            `, [sessionId, userId]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            throw error;
+        }
+    }
+
+    // Revoke every live session of a user; returns the revoked session ids
+    async revokeUserSessions(userId) {
+        try {
+            const rows = await this.pool.query(
+                'SELECT id FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+            if (rows.length === 0) return [];
+
+            await this.pool.query(
+                'UPDATE user_sessions SET revoked_at = NOW() WHERE id IN (?)',
+                [rows.map(row => row.id)]
+            );
+            return rows.map(row => row.id);
+        } catch (error) {
+            console.error('Revoke user sessions error:', error);
+            throw error;
+        }
+    }
+
+    // ===================================
+    // ACCOUNT TOKENS
+    // ===================================
+
+    /**
+     * Store a verification or reset token. Earlier unused tokens of the same
+     * purpose are spent, so only the newest link in the user's inbox works.
+     */
+    async createUserToken(userId, purpose, tokenHash, expiresAt) {
+        try {
+            await this.pool.query(`
+                UPDATE user_tokens SET used_at = NOW()
+                WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+            `, [userId, purpose]);
+
+            const result = await this.pool.query(`
+                INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+                VALUES (?, ?, ?, ?)
+            `, [userId, purpose, tokenHash, expiresAt]);
+            return Number(result.insertId);
+        } catch (error) {
+            console.error('Create user token error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Spend a token. Returns the user id it was issued to, or null when it is
+     * unknown, expired or already used; the update guards against two
+     * requests spending the same token.
+     */
+    async consumeUserToken(tokenHash, purpose) {
+        try {
+            const rows = await this.pool.query(`
+                SELECT id, user_id FROM user_tokens
+                WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()
+            `, [tokenHash, purpose]);
+            if (rows.length === 0) return null;
+
+            const result = await this.pool.query(
+                'UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+                [rows[0].id]
+            );
+            return result.affectedRows > 0 ? rows[0].user_id : null;
+        } catch (error) {
+            console.error('Consume user token error:', error);
+            throw error;
+        }
+    }
+
+    async markEmailVerified(userId) {
+        try {
+            await this.pool.query(
+                'UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email_verified_at IS NULL',
+                [userId]
+            );
+        } catch (error) {
+            console.error('Mark email verified error:', error);
+            throw error;
+        }
+    }
+
+    async updatePasswordHash(userId, passwordHash) {
+        try {
+            await this.pool.query('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, userId]);
+        } catch (error) {
+            console.error('Update password error:', error);
+            throw error;
+        }
+    }
+
+    // ===================================
+    // ACCOUNT DATA (EXPORT & DELETION)
+    // ===================================
+
+    /**
+     * Everything stored for a user, one array per export file. JSON columns
+     * are parsed; the users row still carries its secrets for the caller to
+     * drop.
+     */
+    async getAccountData(userId) {
+        const json = (rows, columns) => rows.map(row => {
+            const parsed = { ...row };
+            columns.forEach(column => { parsed[column] = this.safeJsonParse(row[column]); });
+            return parsed;
+        });
+
+        try {
+            const query = (sql) => this.pool.query(sql, [userId]);
+            const [users, trips, memberships, bookings, memories, expenses, threads, messages, locations, notifications] = await Promise.all([
+                query('SELECT * FROM users WHERE id = ?'),
+                query('SELECT * FROM trips WHERE user_id = ? ORDER BY created_at'),
+                query(`
+                    SELECT tm.trip_id, t.title, t.destination, tm.role, tm.created_at
+                    FROM trip_members tm
+                    INNER JOIN trips t ON t.id = tm.trip_id
+                    WHERE tm.user_id = ?
+                    ORDER BY tm.created_at
+                `),
+                query('SELECT * FROM bookings WHERE user_id = ? ORDER BY created_at'),
+                query('SELECT * FROM memories WHERE user_id = ? ORDER BY created_at'),
+                query('SELECT * FROM expenses WHERE user_id = ? ORDER BY created_at'),
+                query('SELECT * FROM ai_threads WHERE user_id = ? ORDER BY created_at'),
+                query('SELECT * FROM ai_conversations WHERE user_id = ? ORDER BY created_at'),
+                query('SELECT * FROM user_locations WHERE user_id = ? ORDER BY recorded_at'),
+                query('SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at')
+            ]);
+
+            return {
+                user: json(users, ['preferences', 'dietary_restrictions', 'accessibility_needs', 'languages', 'preferred_airlines'])[0] || null,
+                trips: json(trips, ['interests', 'itinerary']),
+                memberships,
+                bookings,
+                memories: json(memories, ['location', 'tags', 'photos']),
+                expenses: json(expenses, ['receipt_photos']),
+                conversations: { threads, messages: json(messages, ['ai_response', 'context']) },
+                locations,
+                notifications: json(notifications, ['metadata'])
+            };
+        } catch (error) {
+            console.error('Get account data error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a user and everything that goes with the account: their trips
+     * (with every member's bookings and expenses on them), their memories,
+     * expenses, conversations and the rest via ON DELETE CASCADE. Returns
+     * the photo records of the deleted rows so their files can be removed
+     * from storage.
+     */
+    async deleteUserAccount(userId) {
+        const conn = await this.pool.getConnection();
+        try {
+            await conn.beginTransaction();
+
+            const trips = await conn.query('SELECT id FROM trips WHERE user_id = ?', [userId]);
+            const tripIds = trips.length ? trips.map(trip => trip.id) : [0];
+
+            // Expenses logged on other people's trips stay in those trips'
+            // balances; the trip owner takes them over
+            await conn.query(`
+                UPDATE expenses e
+                INNER JOIN trips t ON t.id = e.trip_id
+                SET e.user_id = t.user_id
+                WHERE e.user_id = ? AND t.user_id <> ?
+            `, [userId, userId]);
+
+            const memories = await conn.query('SELECT photos FROM memories WHERE user_id = ?', [userId]);
+            const expenses = await conn.query(
+                'SELECT receipt_photos FROM expenses WHERE user_id = ? OR trip_id IN (?)',
+                [userId, tripIds]
+            );
+
+            // What is left are personal expenses and those on the user's own
+            // trips. They and settlements refer to trip guests, which go with
+            // the trips; remove them first so the guests can be deleted
+            await conn.query('DELETE FROM expenses WHERE user_id = ? OR trip_id IN (?)', [userId, tripIds]);
+            await conn.query('DELETE FROM settlements WHERE trip_id IN (?)', [tripIds]);
+            await conn.query('DELETE FROM trips WHERE user_id = ?', [userId]);
+            const result = await conn.query('DELETE FROM users WHERE id = ?', [userId]);
+
+            await conn.commit();
+
+            if (result.affectedRows === 0) return null;
+            return [
+                ...memories.flatMap(memory => this.safeJsonParse(memory.photos, [])),
+                ...expenses.flatMap(expense => this.safeJsonParse(expense.receipt_photos, []))
+            ];
+        } catch (error) {
+            await conn.rollback();
+            console.error('Delete user account error:', error);
+            throw error;
+        } finally {
+            conn.release();
+        }
+    }
+
     async close() {
         if (this.pool) {
             await this.pool.end();
@@ -1015,7 +2321,7 @@ class DatabaseService {
     }
 }
 
-module.exports = { DatabaseService };
+module.exports = { DatabaseService, TRIP_ROLES };
 
 
 
@@ -0,0 +1,168 @@
+// backend/services/exchangeRates.js
+// Currency conversion with historical rates. Rates come from a pluggable
+// source (services/rates) and are kept in exchange_rates, so each
+// (base, quote, day) is fetched at most once; an expense is converted with
+// the rate of its own date.
+
+const { createRateSource } = require('./rates');
+const { ItineraryService } = require('./itinerary');
+
+// ECB reference currencies, the set the default source can convert
+const SUPPORTED_CURRENCIES = [
+    'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY', 'HKD', 'NZD',
+    'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'RON', 'BGN', 'ISK', 'TRY',
+    'ILS', 'INR', 'IDR', 'KRW', 'MYR', 'PHP', 'SGD', 'THB', 'BRL', 'MXN', 'ZAR'
+];
+
+// A stored rate this many days older than the requested date still counts
+// (weekends and bank holidays have no fixing)
+const MAX_RATE_AGE_DAYS = 7;
+// Don't ask the source again for a pair that just failed
+const FAILURE_TTL_MS = 10 * 60 * 1000;
+
+class ExchangeRateService {
+    constructor(database, { source } = {}) {
+        this.db = database;
+        this.source = source || null;
+        this.cache = new Map();
+        this.failures = new Map();
+    }
+
+    getSource() {
+        if (!this.source) {
+            this.source = createRateSource(process.env.EXCHANGE_RATE_SOURCE || 'frankfurter');
+        }
+        return this.source;
+    }
+
+    static normalizeCurrency(value) {
+        const code = String(value || '').trim().toUpperCase();
+        return /^[A-Z]{3}$/.test(code) ? code : null;
+    }
+
+    static isSupported(value) {
+        return SUPPORTED_CURRENCIES.includes(this.normalizeCurrency(value));
+    }
+
+    static roundMoney(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // Original amounts per currency, largest first
+    static totalsByCurrency(items) {
+        const totals = {};
+        for (const item of items) {
+            const currency = this.normalizeCurrency(item.currency) || 'USD';
+            totals[currency] = (totals[currency] || 0) + (parseFloat(item.amount) || 0);
+        }
+        return Object.entries(totals)
+            .map(([currency, amount]) => ({ currency, amount: this.roundMoney(amount) }))
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    // No rates exist for the future; use today's
+    static rateDay(date) {
+        const today = ItineraryService.formatLocalDate(new Date());
+        const day = ItineraryService.normalizeDate(date) || today;
+        return day > today ? today : day;
+    }
+
+    /**
+     * Rate to multiply an amount in `from` by to get `to`, as of `date`.
+     * Returns { rate, date, source } or null when no rate can be found.
+     */
+    async getRate(from, to, date) {
+        const base = ExchangeRateService.normalizeCurrency(from);
+        const quote = ExchangeRateService.normalizeCurrency(to);
+        if (!base || !quote) return null;
+
+        const day = ExchangeRateService.rateDay(date);
+        if (base === quote) return { rate: 1, date: day, source: 'identity' };
+
+        const key = `${base}:${quote}:${day}`;
+        if (!this.cache.has(key)) {
+            // Cache the promise so concurrent conversions share one lookup;
+            // misses and failures are dropped so the next call tries again
+            const lookup = this.lookupRate(base, quote, day).then(result => {
+                if (!result) this.cache.delete(key);
+                return result;
+            }, error => {
+                this.cache.delete(key);
+                throw error;
+            });
+            this.cache.set(key, lookup);
+        }
+        return this.cache.get(key);
+    }
+
+    async lookupRate(base, quote, day) {
+        const stored = await this.db.getStoredRate(base, quote, day, MAX_RATE_AGE_DAYS);
+        if (stored) return stored;
+
+        const failureKey = `${base}:${day}`;
+        if (this.failures.get(failureKey) > Date.now()) return null;
+
+        try {
+            const source = this.getSource();
+            const fetched = await source.getRates(base, day);
+            if (fetched && Object.keys(fetched.rates).length > 0) {
+                await this.db.saveRates(base, fetched.date, fetched.rates, source.name);
+                if (fetched.rates[quote]) {
+                    return { rate: Number(fetched.rates[quote]), date: fetched.date, source: source.name };
+                }
+            }
+        } catch (error) {
+            console.error(`Exchange rate lookup ${base}->${quote} (${day}) error:`, error.message);
+        }
+
+        this.failures.set(failureKey, Date.now() + FAILURE_TTL_MS);
+        return null;
+    }
+
+    /**
+     * Convert one amount. Returns { amount, currency, rate, rateDate } or
+     * null when the rate is unknown.
+     */
+    async convert(amount, from, to, date) {
+        const value = parseFloat(amount);
+        if (!Number.isFinite(value)) return null;
+
+        const rate = await this.getRate(from, to, date);
+        if (!rate) return null;
+
+        return {
+            amount: ExchangeRateService.roundMoney(value * rate.rate),
+            currency: ExchangeRateService.normalizeCurrency(to),
+            rate: rate.rate,
+            rateDate: rate.date
+        };
+    }
+
+    /**
+     * Total of [{ amount, currency, date }] in `to`. Amounts without a rate
+     * are left out of the total and listed in `unconverted` per currency.
+     */
+    async sum(items, to) {
+        const converted = await Promise.all(items.map(item =>
+            this.convert(item.amount, item.currency || 'USD', to, item.date)
+        ));
+
+        let total = 0;
+        const unconverted = [];
+        converted.forEach((result, index) => {
+            if (result) {
+                total += result.amount;
+            } else {
+                unconverted.push(items[index]);
+            }
+        });
+
+        return {
+            total: ExchangeRateService.roundMoney(total),
+            currency: ExchangeRateService.normalizeCurrency(to),
+            unconverted: ExchangeRateService.totalsByCurrency(unconverted)
+        };
+    }
+}
+
+module.exports = { ExchangeRateService, SUPPORTED_CURRENCIES };
@@ -0,0 +1,14 @@
+// backend/services/html.js
+// Escaping for values interpolated into server-rendered HTML (scrapbook
+// exports, account emails).
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = { escapeHtml };
@@ -0,0 +1,107 @@
+// backend/services/images.js
+// Derivatives of uploaded photos: a square thumbnail for grids and a medium
+// size for viewing, both WebP, written next to the original before it is
+// handed to storage.
+// The original is rotated upright once so every consumer (browser, PDF
+// export, AI vision) sees the same orientation.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const DERIVATIVES = {
+    thumb: { width: 320, height: 320, fit: 'cover', quality: 70 },
+    medium: { width: 1280, height: 1280, fit: 'inside', quality: 80 }
+};
+const DERIVATIVE_FORMAT = 'webp';
+// Matches "<name>-thumb.webp" / "<name>-medium.webp"
+const DERIVATIVE_PATTERN = new RegExp(`-(${Object.keys(DERIVATIVES).join('|')})\\.${DERIVATIVE_FORMAT}$`);
+
+// Formats sharp can re-encode the corrected original in
+const REWRITABLE_FORMATS = ['jpeg', 'png', 'webp'];
+
+class ImageService {
+    static derivativeName(filename, size) {
+        const base = path.basename(filename, path.extname(filename));
+        return `${base}-${size}.${DERIVATIVE_FORMAT}`;
+    }
+
+    static isDerivative(filename) {
+        return DERIVATIVE_PATTERN.test(filename);
+    }
+
+    // Photos stored before derivatives existed, or whose processing failed
+    static needsDerivatives(photo) {
+        return Object.keys(DERIVATIVES).some(size => !photo.derivatives?.[size]);
+    }
+
+    // Derivative files of a photo record, for cleanup
+    static derivativeFiles(photo) {
+        return Object.values(photo.derivatives || {}).map(derivative => derivative.filename).filter(Boolean);
+    }
+
+    /**
+     * Rotate the original upright according to its EXIF orientation.
+     * Other metadata is kept (stripping is PhotoMetadataService's job).
+     * Returns true when the file was rewritten.
+     */
+    static async correctOrientation(filePath) {
+        const metadata = await sharp(filePath).metadata();
+        if (!metadata.orientation || metadata.orientation === 1 || (metadata.pages || 1) > 1) {
+            return false;
+        }
+        if (!REWRITABLE_FORMATS.includes(metadata.format)) {
+            return false;
+        }
+
+        const rotated = await sharp(filePath)
+            .rotate()
+            .keepMetadata()
+            .toFormat(metadata.format, metadata.format === 'jpeg' ? { quality: 90, mozjpeg: true } : {})
+            .toBuffer();
+        await fs.promises.writeFile(filePath, rotated);
+        return true;
+    }
+
+    static async createDerivative(filePath, size) {
+        const { width, height, fit, quality } = DERIVATIVES[size];
+        const name = this.derivativeName(filePath, size);
+
+        // Metadata is not copied into derivatives
+        const info = await sharp(filePath)
+            .rotate()
+            .resize({ width, height, fit, withoutEnlargement: true })
+            .toFormat(DERIVATIVE_FORMAT, { quality })
+            .toFile(path.join(path.dirname(filePath), name));
+
+        return {
+            filename: name,
+            width: info.width,
+            height: info.height,
+            size: info.size,
+            format: DERIVATIVE_FORMAT
+        };
+    }
+
+    /**
+     * Correct the orientation of a local file and write its derivatives into
+     * the same directory. Returns { rotated, derivatives }; a file sharp
+     * can't read gives { rotated: false, derivatives: {} } so the upload
+     * still succeeds.
+     */
+    static async process(filePath) {
+        try {
+            const rotated = await this.correctOrientation(filePath);
+            const derivatives = {};
+            for (const size of Object.keys(DERIVATIVES)) {
+                derivatives[size] = await this.createDerivative(filePath, size);
+            }
+            return { rotated, derivatives };
+        } catch (error) {
+            console.warn(`Image processing failed for ${path.basename(filePath)}:`, error.message);
+            return { rotated: false, derivatives: {} };
+        }
+    }
+}
+
+module.exports = { ImageService, DERIVATIVES, DERIVATIVE_FORMAT };
@@ -0,0 +1,810 @@
+const Joi = require('joi');
+
+const ITINERARY_VERSION = 1;
+const ITEM_CATEGORIES = ['activity', 'meal', 'transport', 'lodging', 'free_time', 'other'];
+const ITEM_STATUSES = ['upcoming', 'current', 'completed', 'skipped'];
+
+// ===================================
+// SCHEMA
+// ===================================
+
+const timeSchema = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+const costSchema = Joi.object({
+    amount: Joi.number().min(0).required(),
+    currency: Joi.string().uppercase().length(3).default('USD')
+});
+
+const placeSchema = Joi.object({
+    name: Joi.string().trim().max(255).required(),
+    address: Joi.string().trim().max(500).allow('', null).default(null),
+    placeId: Joi.string().max(255).allow(null).default(null),
+    coordinates: Joi.object({
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required()
+    }).allow(null).default(null)
+});
+
+const itemSchema = Joi.object({
+    id: Joi.string().max(64).required(),
+    startTime: timeSchema.allow(null).default(null),
+    endTime: timeSchema.allow(null).default(null),
+    title: Joi.string().trim().max(500).required(),
+    description: Joi.string().trim().max(2000).allow('', null).default(null),
+    category: Joi.string().valid(...ITEM_CATEGORIES).default('activity'),
+    cost: costSchema.allow(null).default(null),
+    place: placeSchema.allow(null).default(null),
+    notes: Joi.string().trim().max(2000).allow('', null).default(null),
+    status: Joi.string().valid(...ITEM_STATUSES).default('upcoming')
+});
+
+const daySchema = Joi.object({
+    dayNumber: Joi.number().integer().min(1).required(),
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null).default(null),
+    title: Joi.string().trim().max(255).default('Exploration Day'),
+    summary: Joi.string().trim().max(2000).allow('', null).default(null),
+    items: Joi.array().items(itemSchema).default([]),
+    estimatedCost: Joi.number().min(0).default(0)
+});
+
+const itinerarySchema = Joi.object({
+    version: Joi.number().valid(ITINERARY_VERSION).default(ITINERARY_VERSION),
+    destination: Joi.string().trim().max(255).allow('', null).default(null),
+    summary: Joi.string().trim().max(4000).allow('', null).default(null),
+    currency: Joi.string().uppercase().length(3).default('USD'),
+    days: Joi.array().items(daySchema).unique('dayNumber').default([]),
+    tips: Joi.array().items(Joi.string().trim().max(1000)).default([]),
+    totalEstimatedCost: Joi.number().min(0).default(0),
+    source: Joi.string().valid('ai', 'fallback', 'migrated', 'manual').default('manual'),
+    model: Joi.string().max(100).allow(null).default(null),
+    generatedAt: Joi.string().isoDate().allow(null).default(null)
+});
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true, convert: true };
+
+// Rounds of dropping invalid fields before salvage gives up; each round can
+// move up one level (a bad latitude, then the coordinates without it)
+const MAX_SALVAGE_ROUNDS = 6;
+
+// Category names used by older clients (companion schedule panel)
+const CATEGORY_ALIASES = {
+    dining: 'meal',
+    food: 'meal',
+    accommodation: 'lodging',
+    hotel: 'lodging',
+    flight: 'transport',
+    sightseeing: 'activity'
+};
+
+// Default slot times used when converting free text that only names a part of day
+const SECTION_SLOTS = [
+    { pattern: /^breakfast/i, startTime: '08:00', category: 'meal' },
+    { pattern: /^morning/i, startTime: '09:00', category: 'activity' },
+    { pattern: /^lunch/i, startTime: '12:00', category: 'meal' },
+    { pattern: /^afternoon/i, startTime: '13:00', category: 'activity' },
+    { pattern: /^dinner/i, startTime: '19:00', category: 'meal' },
+    { pattern: /^evening|^night/i, startTime: '20:00', category: 'activity' },
+    { pattern: /^(transportation|transport)/i, startTime: null, category: 'transport' },
+    { pattern: /^(accommodation|hotel|lodging)/i, startTime: null, category: 'lodging' }
+];
+
+/**
+ * Structured itinerary model shared by the AI generator, the trip routes
+ * and the legacy-text migration.
+ */
+class ItineraryService {
+    static get schema() {
+        return itinerarySchema;
+    }
+
+    static get daySchema() {
+        return daySchema;
+    }
+
+    /**
+     * Validate an itinerary against the schema.
+     * Returns { value, errors } where errors is null when the itinerary is valid.
+     */
+    static validate(itinerary) {
+        const { value, error } = itinerarySchema.validate(itinerary, VALIDATION_OPTIONS);
+        if (error) {
+            return {
+                value: null,
+                errors: error.details.map(detail => ({
+                    path: detail.path.join('.'),
+                    message: detail.message
+                }))
+            };
+        }
+        return { value: this.recalculate(value), errors: null };
+    }
+
+    static isStructured(itinerary) {
+        return !!itinerary && typeof itinerary === 'object' && Array.isArray(itinerary.days);
+    }
+
+    static empty(meta = {}) {
+        return this.validate({ ...meta, days: [] }).value;
+    }
+
+    /**
+     * Pull a JSON object out of an AI response, tolerating code fences and
+     * prose around it. Returns null if nothing parseable is found.
+     */
+    static extractJson(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        const candidate = fenced ? fenced[1] : text;
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+
+        const json = candidate.slice(start, end + 1);
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            // Trailing commas are the most common LLM JSON mistake
+            try {
+                return JSON.parse(json.replace(/,\s*([}\]])/g, '$1'));
+            } catch (retryError) {
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Coerce loosely-shaped itinerary data (as models tend to produce it) into
+     * the schema shape. Never throws; the result still has to be validated.
+     */
+    static repair(raw, meta = {}) {
+        let source = raw;
+        if (Array.isArray(source)) {
+            source = { days: source };
+        }
+        if (!source || typeof source !== 'object') {
+            source = {};
+        }
+
+        const currency = this.normalizeCurrency(source.currency || meta.currency);
+        const rawDays = Array.isArray(source.days)
+            ? source.days
+            : Array.isArray(source.itinerary) ? source.itinerary : [];
+
+        const days = rawDays
+            .filter(day => day && typeof day === 'object')
+            .map((day, index) => this.repairDay(day, index + 1, currency));
+
+        // Renumber so day numbers are unique and sequential
+        days.sort((a, b) => a.dayNumber - b.dayNumber);
+        days.forEach((day, index) => {
+            day.dayNumber = index + 1;
+            day.items.forEach((item, itemIndex) => {
+                item.id = this.itemId(day.dayNumber, itemIndex);
+            });
+        });
+
+        return {
+            version: ITINERARY_VERSION,
+            destination: this.cleanString(source.destination) || meta.destination || null,
+            summary: this.cleanString(source.summary || source.overview),
+            currency,
+            days,
+            tips: (Array.isArray(source.tips) ? source.tips : [])
+                .map(tip => this.cleanString(typeof tip === 'string' ? tip : tip?.text))
+                .filter(Boolean),
+            source: meta.source || source.source || 'manual',
+            model: meta.model || source.model || null,
+            generatedAt: meta.generatedAt || source.generatedAt || null
+        };
+    }
+
+    /**
+     * Drop what still fails validation after repair: an invalid optional
+     * field falls back to its default, and an object missing a required
+     * field (an item without a title, coordinates without a latitude) is
+     * removed from its parent. Returns null if the itinerary can't be saved
+     * that way.
+     */
+    static salvage(itinerary) {
+        const copy = JSON.parse(JSON.stringify(itinerary));
+
+        for (let round = 0; round < MAX_SALVAGE_ROUNDS; round++) {
+            const { value, error } = itinerarySchema.validate(copy, VALIDATION_OPTIONS);
+            if (!error) return this.recalculate(value);
+
+            for (const detail of error.details) {
+                const path = detail.type === 'any.required' ? detail.path.slice(0, -1) : detail.path;
+                if (path.length === 0) return null;
+
+                const parent = path.slice(0, -1).reduce((node, key) => node?.[key], copy);
+                if (!parent || typeof parent !== 'object') continue;
+                const key = path[path.length - 1];
+                if (Array.isArray(parent)) {
+                    // Spliced out after the round so the other paths stay valid
+                    parent[key] = undefined;
+                } else {
+                    delete parent[key];
+                }
+            }
+            this.compact(copy);
+        }
+        return null;
+    }
+
+    // Remove the array entries salvage() dropped
+    static compact(node) {
+        if (Array.isArray(node)) {
+            for (let index = node.length - 1; index >= 0; index--) {
+                if (node[index] === undefined) node.splice(index, 1);
+            }
+        }
+        if (node && typeof node === 'object') {
+            Object.values(node).forEach(child => this.compact(child));
+        }
+    }
+
+    static repairDay(day, fallbackNumber, currency) {
+        const rawItems = day.items || day.activities || day.schedule || [];
+        const items = (Array.isArray(rawItems) ? rawItems : [])
+            .map(item => this.repairItem(item, currency))
+            .filter(Boolean);
+
+        items.sort((a, b) => {
+            if (!a.startTime) return b.startTime ? 1 : 0;
+            if (!b.startTime) return -1;
+            return a.startTime.localeCompare(b.startTime);
+        });
+
+        const dayNumber = parseInt(day.dayNumber ?? day.day ?? day.number, 10);
+
+        return {
+            dayNumber: Number.isInteger(dayNumber) && dayNumber > 0 ? dayNumber : fallbackNumber,
+            date: this.normalizeDate(day.date),
+            title: this.cleanString(day.title || day.theme) || 'Exploration Day',
+            summary: this.cleanString(day.summary || day.description),
+            items
+        };
+    }
+
+    static repairItem(item, currency) {
+        if (typeof item === 'string') {
+            item = { title: item };
+        }
+        if (!item || typeof item !== 'object') return null;
+
+        const title = this.cleanString(item.title || item.name || item.activity);
+        if (!title) return null;
+
+        let { startTime, endTime } = this.parseTimeRange(item.time);
+        startTime = this.normalizeTime(item.startTime) || startTime;
+        endTime = this.normalizeTime(item.endTime) || endTime || this.endTimeFromDuration(startTime, item.duration);
+
+        const requested = item.category || item.type;
+        const category = ITEM_CATEGORIES.includes(requested)
+            ? requested
+            : CATEGORY_ALIASES[requested] || this.guessCategory(title);
+
+        return {
+            id: item.id !== undefined ? String(item.id) : null,
+            startTime,
+            endTime,
+            title: title.slice(0, 500),
+            description: this.cleanString(item.description || item.details),
+            category,
+            cost: this.normalizeCost(item.cost ?? item.price ?? item.estimatedCost, currency),
+            place: this.normalizePlace(item.place || item.location || item.venue, item),
+            notes: this.cleanString(item.notes || item.tips),
+            status: ITEM_STATUSES.includes(item.status) ? item.status : 'upcoming'
+        };
+    }
+
+    /**
+     * Recompute derived totals. Day and trip totals are never trusted from input.
+     */
+    static recalculate(itinerary) {
+        let total = 0;
+        itinerary.days.forEach(day => {
+            day.estimatedCost = this.roundMoney(
+                day.items.reduce((sum, item) => sum + (item.cost ? item.cost.amount : 0), 0)
+            );
+            total += day.estimatedCost;
+        });
+        itinerary.days.sort((a, b) => a.dayNumber - b.dayNumber);
+        itinerary.totalEstimatedCost = this.roundMoney(total);
+        return itinerary;
+    }
+
+    /**
+     * Read path: turn whatever is stored in trips.itinerary into a structured
+     * itinerary. Handles the legacy { itinerary: "markdown" } blob, raw
+     * markdown strings, and the old day_N schedule keys.
+     */
+    static normalize(stored, meta = {}) {
+        let value = stored;
+
+        if (typeof value === 'string') {
+            const trimmed = value.trim();
+            if (trimmed.startsWith('{')) {
+                try {
+                    value = JSON.parse(trimmed);
+                } catch (error) {
+                    return this.fromText(value, meta);
+                }
+            } else {
+                return this.fromText(value, meta);
+            }
+        }
+
+        if (!value || typeof value !== 'object') {
+            return this.empty(meta);
+        }
+
+        if (this.isStructured(value)) {
+            const { value: valid } = this.validate(value);
+            if (valid) return valid;
+
+            // Never hand back an empty itinerary here: the next save would
+            // overwrite the stored days with it
+            const repaired = this.repair(value, meta);
+            const { value: fixed, errors } = this.validate(repaired);
+            if (fixed) return fixed;
+
+            console.warn('⚠️ Stored itinerary failed validation, dropping invalid fields:', errors);
+            return this.salvage(repaired) || repaired;
+        }
+
+        if (typeof value.itinerary === 'string') {
+            const converted = this.fromText(value.itinerary, {
+                ...meta,
+                model: value.model,
+                generatedAt: value.generatedAt
+            });
+            return this.mergeLegacySchedules(converted, value);
+        }
+
+        return this.mergeLegacySchedules(this.empty(meta), value);
+    }
+
+    /**
+     * Fold old companion-mode `day_N` arrays into the structured days.
+     */
+    static mergeLegacySchedules(itinerary, legacy) {
+        const keys = Object.keys(legacy).filter(key => /^day_\d+$/.test(key) && Array.isArray(legacy[key]));
+        if (keys.length === 0) return itinerary;
+
+        keys.forEach(key => {
+            const dayNumber = parseInt(key.slice(4), 10);
+            const existing = itinerary.days.find(day => day.dayNumber === dayNumber);
+            const items = legacy[key].map(item => ({
+                ...item,
+                location: typeof item.location === 'string' ? item.location : undefined
+            }));
+            if (existing) {
+                existing.items.push(...items);
+            } else {
+                itinerary.days.push({ dayNumber, title: `Day ${dayNumber}`, items });
+            }
+        });
+
+        return this.validate(this.repair(itinerary, { source: itinerary.source })).value;
+    }
+
+    /**
+     * Deterministically convert a markdown / free-text itinerary into the
+     * structured model. Used for legacy rows and for the plain-text editor.
+     */
+    static fromText(text, meta = {}) {
+        const days = [];
+        let currentDay = null;
+        let slot = null;
+        let lastItem = null;
+        const preamble = [];
+
+        (text || '').split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || /^-{3,}$/.test(line)) return;
+
+            const dayMatch = line.match(/^#*\s*\*{0,2}\s*Day\s+(\d+)\s*[:\-–]?\s*(.*?)\s*\*{0,2}\s*$/i);
+            if (dayMatch) {
+                currentDay = {
+                    dayNumber: parseInt(dayMatch[1], 10),
+                    title: dayMatch[2].replace(/[*#]/g, '').trim() || 'Exploration Day',
+                    items: []
+                };
+                days.push(currentDay);
+                slot = null;
+                lastItem = null;
+                return;
+            }
+
+            const clean = line
+                .replace(/^#+\s*/, '')
+                .replace(/^[*+\-•]\s*/, '')
+                .replace(/^\d+\.\s*/, '')
+                .replace(/\*\*(.*?)\*\*/g, '$1')
+                .replace(/^\*+|\*+$/g, '')
+                .trim();
+            if (!clean) return;
+
+            if (!currentDay) {
+                preamble.push(clean);
+                return;
+            }
+
+            // Section header such as "Morning Activity (9 AM - 12 PM):"
+            const sectionMatch = clean.match(/^([A-Za-z ]+?)(?:\s*\(([^)]*)\))?\s*:\s*(.*)$/);
+            const sectionSlot = sectionMatch && SECTION_SLOTS.find(s => s.pattern.test(sectionMatch[1].trim()));
+            if (sectionSlot) {
+                const range = this.parseTimeRange(sectionMatch[2]);
+                slot = {
+                    startTime: range.startTime || sectionSlot.startTime,
+                    endTime: range.endTime,
+                    category: sectionSlot.category
+                };
+                lastItem = null;
+                if (sectionMatch[3]) {
+                    lastItem = this.itemFromLine(sectionMatch[3], slot);
+                    currentDay.items.push(lastItem);
+                }
+                return;
+            }
+
+            // Detail lines attach to the item they follow
+            const detailMatch = clean.match(/^(Activity|Venue|Address|Cost|Price Range|Price|Note|Notes|Tip|Duration|Location):\s*(.+)$/i);
+            if (detailMatch && lastItem) {
+                this.applyDetail(lastItem, detailMatch[1].toLowerCase(), detailMatch[2].trim());
+                return;
+            }
+            if (detailMatch && detailMatch[1].toLowerCase() === 'activity') {
+                lastItem = this.itemFromLine(detailMatch[2], slot);
+                currentDay.items.push(lastItem);
+                return;
+            }
+
+            if (clean.length <= 3) return;
+            lastItem = this.itemFromLine(clean, slot);
+            currentDay.items.push(lastItem);
+        });
+
+        const itinerary = this.repair({
+            days,
+            summary: preamble.slice(0, 3).join(' ') || null
+        }, { source: 'migrated', ...meta });
+
+        // Text with no day headers at all becomes a single day
+        if (itinerary.days.length === 0 && preamble.length > 0) {
+            itinerary.days = [this.repairDay({
+                dayNumber: 1,
+                title: 'Full Itinerary',
+                items: preamble.filter(line => line.length > 10).map(line => this.itemFromLine(line, null))
+            }, 1, itinerary.currency)];
+            itinerary.days[0].items.forEach((item, index) => {
+                item.id = this.itemId(1, index);
+            });
+            itinerary.summary = null;
+        }
+
+        return this.validate(itinerary).value || this.empty(meta);
+    }
+
+    static itemFromLine(line, slot) {
+        let text = line.trim();
+        const item = { category: slot?.category };
+
+        // Leading time range written by toText(), e.g. "09:00-11:00 Louvre"
+        const timeMatch = text.match(/^(\d{1,2}(?::\d{2})?\s*(?:[AaPp][Mm])?)(?:\s*[-–]\s*(\d{1,2}(?::\d{2})?\s*(?:[AaPp][Mm])?))?\s+(.+)$/);
+        if (timeMatch && /[:ap]/i.test(timeMatch[1])) {
+            item.startTime = this.normalizeTime(timeMatch[1]);
+            item.endTime = this.normalizeTime(timeMatch[2]);
+            text = timeMatch[3];
+        } else if (slot) {
+            item.startTime = slot.startTime;
+            item.endTime = slot.endTime;
+        }
+
+        const placeMatch = text.match(/^(.*?)\s+@\s+(.+)$/);
+        if (placeMatch) {
+            item.place = { name: placeMatch[2].trim() };
+            text = placeMatch[1];
+        }
+
+        const costMatch = text.match(/\$\s?(\d+(?:,\d{3})*(?:\.\d{1,2})?)/);
+        if (costMatch) {
+            item.cost = parseFloat(costMatch[1].replace(/,/g, ''));
+            text = text.replace(/\s*\(?\s*(?:~|approx\.?\s*)?\$\s?\d+(?:,\d{3})*(?:\.\d{1,2})?(?:\s*[-–]\s*\$?\d+(?:\.\d{1,2})?)?\s*(?:per person|pp)?\s*\)?/i, ' ').trim();
+        }
+
+        item.title = text.replace(/\s{2,}/g, ' ').replace(/[\s,;:\-–]+$/, '') || line.trim();
+        return item;
+    }
+
+    static applyDetail(item, label, value) {
+        switch (label) {
+            case 'venue':
+            case 'location':
+                item.place = { ...(item.place || {}), name: value };
+                break;
+            case 'address':
+                item.place = { name: item.place?.name || value, address: value };
+                break;
+            case 'cost':
+            case 'price':
+            case 'price range': {
+                const amount = value.match(/(\d+(?:,\d{3})*(?:\.\d{1,2})?)/);
+                if (amount) item.cost = parseFloat(amount[1].replace(/,/g, ''));
+                break;
+            }
+            case 'activity':
+                item.description = item.description ? `${item.description} ${value}` : value;
+                break;
+            default:
+                item.notes = item.notes ? `${item.notes} ${value}` : value;
+        }
+    }
+
+    /**
+     * Render a structured itinerary as markdown. The output round-trips
+     * through fromText(), which is what the plain-text editor relies on.
+     */
+    static toText(itinerary) {
+        if (!this.isStructured(itinerary)) return '';
+
+        const lines = [];
+        if (itinerary.summary) {
+            lines.push(itinerary.summary, '');
+        }
+
+        itinerary.days.forEach(day => {
+            lines.push(`**Day ${day.dayNumber}: ${day.title}**`);
+            day.items.forEach(item => {
+                const time = item.startTime
+                    ? `${item.startTime}${item.endTime ? `-${item.endTime}` : ''} `
+                    : '';
+                const cost = item.cost ? ` ($${item.cost.amount})` : '';
+                const place = item.place?.name && item.place.name !== item.title ? ` @ ${item.place.name}` : '';
+                lines.push(`* ${time}${item.title}${cost}${place}`);
+                if (item.description) lines.push(`  Activity: ${item.description}`);
+                if (item.notes) lines.push(`  Note: ${item.notes}`);
+            });
+            lines.push('');
+        });
+
+        return lines.join('\n').trim();
+    }
+
+    /**
+     * Replace the title and items of a single day, creating it if needed.
+     */
+    static updateDay(itinerary, dayNumber, { title, items, summary }) {
+        const updated = this.normalize(itinerary);
+        const currency = updated.currency;
+        let day = updated.days.find(d => d.dayNumber === dayNumber);
+
+        if (!day) {
+            day = { dayNumber, title: title || `Day ${dayNumber}`, items: [] };
+            updated.days.push(day);
+        }
+
+        if (title !== undefined) day.title = this.cleanString(title) || day.title;
+        if (summary !== undefined) day.summary = this.cleanString(summary);
+        if (items !== undefined) {
+            const repaired = this.repairDay({ dayNumber, items }, dayNumber, currency).items;
+            day.items = this.assignItemIds(dayNumber, repaired);
+        }
+
+        return this.validate(updated);
+    }
+
+    /**
+     * Append an item to a day, keeping the day ordered by start time.
+     */
+    static addItem(itinerary, dayNumber, item) {
+        const updated = this.normalize(itinerary);
+        const day = updated.days.find(d => d.dayNumber === dayNumber);
+        const items = day ? [...day.items, item] : [item];
+        return this.updateDay(updated, dayNumber, { items });
+    }
+
+    /**
+     * Keep ids the client already knows about and mint ids for new items.
+     */
+    static assignItemIds(dayNumber, items) {
+        const used = new Set();
+        items.forEach(item => {
+            if (item.id && !used.has(item.id)) {
+                used.add(item.id);
+            } else {
+                item.id = null;
+            }
+        });
+
+        let counter = 0;
+        items.forEach(item => {
+            if (item.id) return;
+            let candidate;
+            do {
+                candidate = this.itemId(dayNumber, counter++);
+            } while (used.has(candidate));
+            used.add(candidate);
+            item.id = candidate;
+        });
+
+        return items;
+    }
+
+    /**
+     * Which itinerary day a calendar date falls on, or null before the trip
+     * starts / when the trip has no start date.
+     */
+    static dayNumberForDate(startDate, date = new Date()) {
+        const start = this.toLocalDate(startDate);
+        const target = this.toLocalDate(date);
+        if (!start || !target) return null;
+        const diffDays = Math.round((target - start) / (1000 * 60 * 60 * 24));
+        return diffDays >= 0 ? diffDays + 1 : null;
+    }
+
+    /**
+     * Fill in each day's calendar date from the trip start date.
+     */
+    static withDates(itinerary, startDate) {
+        if (!startDate || !this.isStructured(itinerary)) return itinerary;
+        const start = this.toLocalDate(startDate);
+        if (!start) return itinerary;
+
+        itinerary.days.forEach(day => {
+            const date = new Date(start);
+            date.setDate(date.getDate() + day.dayNumber - 1);
+            day.date = this.formatLocalDate(date);
+        });
+        return itinerary;
+    }
+
+    // ===================================
+    // HELPERS
+    // ===================================
+
+    static itemId(dayNumber, index) {
+        return `d${dayNumber}-${index + 1}`;
+    }
+
+    static cleanString(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        return text.length > 0 ? text : null;
+    }
+
+    static roundMoney(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    static normalizeCurrency(value) {
+        return typeof value === 'string' && /^[A-Za-z]{3}$/.test(value.trim())
+            ? value.trim().toUpperCase()
+            : 'USD';
+    }
+
+    // DATE columns come back as local-midnight Dates; bare "YYYY-MM-DD"
+    // strings would otherwise be parsed as UTC and drift a day
+    static toLocalDate(value) {
+        if (!value) return null;
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+        const date = new Date(value);
+        if (isNaN(date)) return null;
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+
+    static formatLocalDate(date) {
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    static normalizeDate(value) {
+        const date = this.toLocalDate(value);
+        return date ? this.formatLocalDate(date) : null;
+    }
+
+    /**
+     * "2 hours", "90 min", "1.5h" after a start time, capped at midnight.
+     */
+    static endTimeFromDuration(startTime, duration) {
+        if (!startTime || typeof duration !== 'string') return null;
+        const match = duration.match(/(\d+(?:\.\d+)?)\s*(h|hour|hours|hr|hrs|m|min|mins|minutes)\b/i);
+        if (!match) return null;
+
+        const minutes = Math.round(parseFloat(match[1]) * (/^h/i.test(match[2]) ? 60 : 1));
+        const [hours, mins] = startTime.split(':').map(Number);
+        const end = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+        return `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Accepts "9", "9:30", "9 AM", "09:30", "9:30pm" and returns "HH:MM".
+     */
+    static normalizeTime(value) {
+        if (!value || typeof value !== 'string') return null;
+        const match = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2] || '0', 10);
+        const meridiem = match[3]?.toLowerCase();
+
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+        if (hours > 23 || minutes > 59) return null;
+
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Parses "9 AM - 12 PM" or "09:00-10:30" into start/end times.
+     */
+    static parseTimeRange(value) {
+        if (!value || typeof value !== 'string') return { startTime: null, endTime: null };
+        const [start, end] = value.split(/\s*(?:-|–|to)\s*/i);
+
+        // "9 - 11 AM": the meridiem on the end applies to the start as well
+        const endMeridiem = end?.match(/([AaPp][Mm])\s*$/)?.[1];
+        const startValue = start && endMeridiem && !/[AaPp][Mm]/.test(start) ? `${start} ${endMeridiem}` : start;
+
+        return {
+            startTime: this.normalizeTime(startValue),
+            endTime: this.normalizeTime(end)
+        };
+    }
+
+    static normalizeCost(value, currency = 'USD') {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (typeof value === 'object') {
+            const amount = parseFloat(String(value.amount ?? '').replace(/[^0-9.]/g, ''));
+            if (isNaN(amount)) return null;
+            return { amount, currency: this.normalizeCurrency(value.currency || currency) };
+        }
+
+        const amount = parseFloat(String(value).replace(/,/g, '').replace(/[^0-9.]/g, ''));
+        return isNaN(amount) ? null : { amount, currency };
+    }
+
+    static normalizePlace(value, item = {}) {
+        if (!value) return null;
+
+        const place = typeof value === 'string' ? { name: value } : { ...value };
+        const name = this.cleanString(place.name || place.title);
+        if (!name) return null;
+
+        const lat = parseFloat(place.coordinates?.lat ?? place.lat ?? place.latitude ?? item.lat);
+        const lng = parseFloat(place.coordinates?.lng ?? place.lng ?? place.longitude ?? item.lng);
+
+        return {
+            name: name.slice(0, 255),
+            address: this.cleanString(place.address || item.address),
+            placeId: this.cleanString(place.placeId || place.place_id),
+            coordinates: !isNaN(lat) && !isNaN(lng) ? { lat, lng } : null
+        };
+    }
+
+    static guessCategory(title) {
+        if (/breakfast|lunch|dinner|brunch|restaurant|caf[eé]|food|tapas|eat/i.test(title)) return 'meal';
+        if (/train|bus|taxi|metro|flight|transfer|drive|ferry|airport/i.test(title)) return 'transport';
+        if (/hotel|check[- ]?in|check[- ]?out|hostel|accommodation/i.test(title)) return 'lodging';
+        if (/free time|rest|relax at/i.test(title)) return 'free_time';
+        return 'activity';
+    }
+}
+
+module.exports = {
+    ItineraryService,
+    ITINERARY_VERSION,
+    ITEM_CATEGORIES,
+    ITEM_STATUSES
+};
@@ -0,0 +1,173 @@
+// backend/services/llmRouter.js
+// Routes AI requests to providers by model type, walking an ordered fallback
+// chain and skipping providers that keep failing.
+//
+// Routing comes from AI_ROUTES (JSON), e.g.
+//   {"default": ["ollama", "openai"], "translation": ["openai", "ollama"], "vision": ["openai"]}
+// Without it the chain is AI_PROVIDER followed by the other real providers.
+const { PROVIDERS, createProvider } = require('./providers');
+
+class LLMRouter {
+    constructor({ providers, routes, failureThreshold = 3, cooldownMs = 60000 } = {}) {
+        this.providers = providers;
+        this.routes = routes;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.health = new Map();
+    }
+
+    static fromEnv(env = process.env) {
+        const primary = env.AI_PROVIDER || 'ollama';
+        const routes = {
+            // The stub never falls back to a real provider
+            default: primary === 'stub' ? ['stub'] : [primary, ...['ollama', 'openai'].filter(name => name !== primary)]
+        };
+
+        if (env.AI_ROUTES) {
+            try {
+                Object.assign(routes, JSON.parse(env.AI_ROUTES));
+            } catch (error) {
+                console.error('⚠️ Ignoring invalid AI_ROUTES:', error.message);
+            }
+        }
+
+        const names = new Set(Object.values(routes).flat().filter(name => PROVIDERS[name]));
+        const providers = {};
+        names.forEach(name => {
+            providers[name] = createProvider(name);
+        });
+
+        return new LLMRouter({
+            providers,
+            routes,
+            failureThreshold: parseInt(env.AI_FAILURE_THRESHOLD) || 3,
+            cooldownMs: parseInt(env.AI_FAILURE_COOLDOWN) || 60000
+        });
+    }
+
+    getHealth(name) {
+        if (!this.health.has(name)) {
+            this.health.set(name, {
+                consecutiveFailures: 0,
+                lastError: null,
+                lastFailureAt: null,
+                lastSuccessAt: null,
+                lastLatencyMs: null
+            });
+        }
+        return this.health.get(name);
+    }
+
+    isHealthy(name) {
+        const health = this.getHealth(name);
+        if (health.consecutiveFailures < this.failureThreshold) return true;
+        // Give it another chance once the cooldown has passed
+        return Date.now() - health.lastFailureAt > this.cooldownMs;
+    }
+
+    recordSuccess(name, latencyMs) {
+        const health = this.getHealth(name);
+        health.consecutiveFailures = 0;
+        health.lastSuccessAt = Date.now();
+        health.lastLatencyMs = latencyMs;
+    }
+
+    recordFailure(name, error) {
+        const health = this.getHealth(name);
+        health.consecutiveFailures++;
+        health.lastError = error.message;
+        health.lastFailureAt = Date.now();
+
+        if (health.consecutiveFailures === this.failureThreshold) {
+            console.warn(`⚠️ AI provider ${name} marked unhealthy after ${health.consecutiveFailures} failures`);
+        }
+    }
+
+    /**
+     * Providers to try for a model type, in order. Unhealthy ones move to the
+     * end of the chain rather than being dropped, so a request still has
+     * somewhere to go when everything is struggling.
+     */
+    getChain(modelType, capability = 'chat') {
+        const names = this.routes[modelType] || this.routes.default || [];
+        const usable = names
+            .map(name => this.providers[name])
+            .filter(provider => provider && provider.isConfigured() && provider.capabilities[capability]);
+
+        return [
+            ...usable.filter(provider => this.isHealthy(provider.name)),
+            ...usable.filter(provider => !this.isHealthy(provider.name))
+        ];
+    }
+
+    async chat(request, { signal, capability } = {}) {
+        return this.run('chat', request, { signal, capability });
+    }
+
+    /**
+     * Stream from the first provider that works. Once a provider has sent
+     * anything to `onToken` there is no fallback, otherwise the user would
+     * see two different answers spliced together.
+     */
+    async stream(request, { onToken = () => {}, signal } = {}) {
+        let streamed = false;
+        const handleToken = (text) => {
+            streamed = true;
+            onToken(text);
+        };
+
+        return this.run('stream', request, {
+            signal,
+            onToken: handleToken,
+            canFallback: () => !streamed
+        });
+    }
+
+    async run(method, request, { signal, onToken, capability, canFallback = () => true }) {
+        const chain = this.getChain(request.modelType, capability || (method === 'stream' ? 'stream' : 'chat'));
+        if (chain.length === 0) {
+            throw new Error(`No AI provider configured for ${request.modelType}`);
+        }
+
+        let lastError = null;
+        for (const provider of chain) {
+            const startTime = Date.now();
+            try {
+                const result = await provider[method](request, { signal, onToken });
+                this.recordSuccess(provider.name, Date.now() - startTime);
+                return { ...result, provider: provider.name };
+            } catch (error) {
+                lastError = error;
+                if (signal?.aborted) throw error;
+
+                console.error(`AI ${method} error (${provider.name}) after ${Date.now() - startTime}ms:`, error.message);
+                this.recordFailure(provider.name, error);
+
+                if (!canFallback()) throw error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * True if any provider on the chain answers its health check.
+     */
+    async isAvailable(modelType = 'chat', capability = 'chat') {
+        for (const provider of this.getChain(modelType, capability)) {
+            if (await provider.healthCheck(capability)) return true;
+        }
+        return false;
+    }
+
+    getStatus() {
+        return Object.values(this.providers).map(provider => ({
+            name: provider.name,
+            configured: provider.isConfigured(),
+            healthy: this.isHealthy(provider.name),
+            ...this.getHealth(provider.name)
+        }));
+    }
+}
+
+module.exports = { LLMRouter };
@@ -0,0 +1,82 @@
+// backend/services/mailer.js
+// Outgoing email. The transport is pluggable:
+//
+//   MAIL_TRANSPORT=file  each message is written as an .eml file to
+//                        MAIL_OUTBOX_DIR (default ./outbox) - development
+//                        and tests, nothing leaves the machine
+//   MAIL_TRANSPORT=smtp  SMTP_HOST/SMTP_PORT; a local catcher such as
+//                        Mailpit or MailHog on port 1025 works too
+//
+// Anything with an async send(message) method can be passed as a transport.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+class FileTransport {
+    constructor({ dir = path.resolve('outbox') } = {}) {
+        this.name = 'file';
+        this.dir = dir;
+        // Builds the MIME message without sending it anywhere
+        this.builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    async send(message) {
+        const info = await this.builder.sendMail(message);
+        const recipient = String(message.to).replace(/[^\w.@-]/g, '_');
+        const file = path.join(this.dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${recipient}.eml`);
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(file, info.message);
+        return { id: info.messageId, path: file };
+    }
+}
+
+class SmtpTransport {
+    constructor({ host = 'localhost', port = 1025, secure = false, user, pass } = {}) {
+        this.name = 'smtp';
+        this.transporter = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            ...(user && { auth: { user, pass } })
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { id: info.messageId };
+    }
+}
+
+class Mailer {
+    constructor({ transport = new FileTransport(), from = 'TravelMind <no-reply@travelmind.ai>' } = {}) {
+        this.transport = transport;
+        this.from = from;
+    }
+
+    /**
+     * Send { to, subject, text, html }. Returns what the transport reports
+     * ({ id } and, for the file outbox, the file path).
+     */
+    async send(message) {
+        return this.transport.send({ from: this.from, ...message });
+    }
+}
+
+function createMailer(env = process.env) {
+    const transport = env.MAIL_TRANSPORT === 'smtp'
+        ? new SmtpTransport({
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT) || 1025,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASSWORD
+        })
+        : new FileTransport({ dir: path.resolve(env.MAIL_OUTBOX_DIR || 'outbox') });
+
+    return new Mailer({ transport, from: env.MAIL_FROM || undefined });
+}
+
+module.exports = { Mailer, FileTransport, SmtpTransport, createMailer };
@@ -1,88 +1,303 @@
+// backend/services/memory.js
+// Travel memories: create, edit, search (full text, tags, distance) and the
+// story and statistics built from them.
+
+const Joi = require('joi');
 const { DatabaseService } = require('./database');
 
+const MEMORY_TYPES = ['experience', 'photo', 'note', 'recommendation'];
+const MAX_TAGS = 20;
+const EARTH_RADIUS_KM = 6371;
+const MAX_RADIUS_KM = 20000;
+
+const locationSchema = Joi.object({
+    name: Joi.string().trim().max(255).allow(''),
+    address: Joi.string().trim().max(500).allow(''),
+    lat: Joi.number().min(-90).max(90),
+    lng: Joi.number().min(-180).max(180)
+}).and('lat', 'lng');
+
+// Both forms post this shape; the companion form uses memoryType/memoryDate
+const memorySchema = Joi.object({
+    tripId: Joi.number().integer().positive().allow(null),
+    type: Joi.string().valid(...MEMORY_TYPES),
+    title: Joi.string().trim().min(1).max(255),
+    description: Joi.string().trim().max(5000).allow('', null),
+    notes: Joi.string().trim().max(5000).allow('', null),
+    location: locationSchema.allow(null),
+    rating: Joi.number().integer().min(1).max(5).allow(null),
+    tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(MAX_TAGS),
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+})
+    .rename('memoryType', 'type', { ignoreUndefined: true, override: true })
+    .rename('memoryDate', 'date', { ignoreUndefined: true, override: true });
+
+const memoryCreateSchema = memorySchema.fork(['title'], field => field.required());
+// Edits: any of the fields, at least one
+const memoryUpdateSchema = memorySchema.min(1);
+
+// Coordinates stored inside the location JSON
+const LAT_SQL = `CAST(JSON_UNQUOTE(JSON_EXTRACT(m.location, '$.lat')) AS DECIMAL(10,7))`;
+const LNG_SQL = `CAST(JSON_UNQUOTE(JSON_EXTRACT(m.location, '$.lng')) AS DECIMAL(10,7))`;
+
 class MemoryService {
-    static async createMemory(userId, memoryData) {
+    static async withDatabase(fn) {
+        const database = new DatabaseService();
+        await database.initialize();
         try {
-            const database = new DatabaseService();
-            await database.initialize();
+            return await fn(database);
+        } finally {
+            await database.close();
+        }
+    }
 
-            const result = await database.pool.query(`
-                INSERT INTO memories (user_id, trip_id, memory_type, title, description, location, 
-                                     photos, notes, rating, tags, memory_date, created_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
-            `, [
-                userId,
-                memoryData.tripId || null,
-                memoryData.type || 'experience',
-                memoryData.title,
-                memoryData.description,
-                JSON.stringify(memoryData.location || {}),
-                JSON.stringify(memoryData.photos || []),
-                memoryData.notes,
-                memoryData.rating || null,
-                JSON.stringify(memoryData.tags || []),
-                memoryData.date || new Date()
-            ]);
+    /**
+     * Multipart forms send everything as strings: tags and location arrive
+     * as JSON (tags also as "a, b"), and empty fields as ''.
+     */
+    static fromForm(body = {}) {
+        const input = { ...body };
+
+        ['tags', 'location'].forEach(field => {
+            if (typeof input[field] === 'string') {
+                const text = input[field].trim();
+                try {
+                    input[field] = text ? JSON.parse(text) : null;
+                } catch (error) {
+                    input[field] = field === 'tags' ? text.split(',') : input[field];
+                }
+            }
+        });
+        ['tripId', 'rating', 'location'].forEach(field => {
+            if (input[field] === '') input[field] = null;
+        });
+        if (input.tags === null) input.tags = [];
 
-            await database.close();
-            return result.insertId;
+        return input;
+    }
+
+    static get schema() {
+        return memoryCreateSchema;
+    }
+
+    static get updateSchema() {
+        return memoryUpdateSchema;
+    }
+
+    // Memory fields from a body that passed one of the schemas; the schema
+    // lower-cases tags, this drops the duplicates that leaves
+    static normalize(input) {
+        const value = { ...input };
+        if (value.tags) {
+            value.tags = [...new Set(value.tags)];
+        }
+        return value;
+    }
+
+    // "tokyo night market" -> "+tokyo* +night* +market*" (every word, prefix match)
+    static toSearchQuery(text) {
+        return String(text || '')
+            .replace(/[+\-<>()~*"@]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .slice(0, 10)
+            .map(word => `+${word}*`)
+            .join(' ');
+    }
+
+    static toMemory(row, database) {
+        const memory = {
+            ...row,
+            location: database.safeJsonParse(row.location, {}),
+            photos: database.safeJsonParse(row.photos, []),
+            tags: database.safeJsonParse(row.tags, [])
+        };
+        if (row.distance_km !== undefined && row.distance_km !== null) {
+            memory.distance_km = Math.round(Number(row.distance_km) * 10) / 10;
+        }
+        return memory;
+    }
+
+    static async createMemory(userId, memoryData) {
+        try {
+            return await this.withDatabase(async (database) => {
+                const result = await database.pool.query(`
+                    INSERT INTO memories (user_id, trip_id, memory_type, title, description, location,
+                                         photos, notes, rating, tags, memory_date, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+                `, [
+                    userId,
+                    memoryData.tripId || null,
+                    memoryData.type || 'experience',
+                    memoryData.title,
+                    memoryData.description || null,
+                    JSON.stringify(memoryData.location || {}),
+                    JSON.stringify(memoryData.photos || []),
+                    memoryData.notes || null,
+                    memoryData.rating || null,
+                    JSON.stringify(memoryData.tags || []),
+                    memoryData.date || new Date()
+                ]);
+
+                return result.insertId;
+            });
         } catch (error) {
             console.error('Memory creation error:', error);
             throw error;
         }
     }
 
+    /**
+     * Filters: tripId, type, dateFrom, dateTo, limit, plus
+     * - q: full-text search over title, description and notes (best match first)
+     * - tags: memories carrying every one of these tags
+     * - near: { lat, lng, radiusKm } - memories within radiusKm, with distance_km
+     */
     static async getUserMemories(userId, filters = {}) {
         try {
-            const database = new DatabaseService();
-            await database.initialize();
-
-            let query = `
-                SELECT m.*, t.title as trip_title, t.destination 
-                FROM memories m 
-                LEFT JOIN trips t ON m.trip_id = t.id 
-                WHERE m.user_id = ?
-            `;
-            let params = [userId];
-
-            if (filters.tripId) {
-                query += ` AND m.trip_id = ?`;
-                params.push(filters.tripId);
-            }
-
-            if (filters.type) {
-                query += ` AND m.memory_type = ?`;
-                params.push(filters.type);
-            }
-
-            if (filters.dateFrom) {
-                query += ` AND m.memory_date >= ?`;
-                params.push(filters.dateFrom);
-            }
+            return await this.withDatabase(async (database) => {
+                const columns = ['m.*', 't.title as trip_title', 't.destination'];
+                const selectParams = [];
+                let query = `
+                    FROM memories m
+                    LEFT JOIN trips t ON m.trip_id = t.id
+                    WHERE m.user_id = ?
+                `;
+                const params = [userId];
+                const order = [];
+
+                if (filters.tripId) {
+                    query += ` AND m.trip_id = ?`;
+                    params.push(filters.tripId);
+                }
+
+                if (filters.type) {
+                    query += ` AND m.memory_type = ?`;
+                    params.push(filters.type);
+                }
+
+                if (filters.dateFrom) {
+                    query += ` AND m.memory_date >= ?`;
+                    params.push(filters.dateFrom);
+                }
+
+                if (filters.dateTo) {
+                    query += ` AND m.memory_date <= ?`;
+                    params.push(filters.dateTo);
+                }
+
+                const search = this.toSearchQuery(filters.q);
+                if (search) {
+                    columns.push('MATCH(m.title, m.description, m.notes) AGAINST (? IN BOOLEAN MODE) as relevance');
+                    selectParams.push(search);
+                    query += ` AND MATCH(m.title, m.description, m.notes) AGAINST (? IN BOOLEAN MODE)`;
+                    params.push(search);
+                    order.push('relevance DESC');
+                }
+
+                (filters.tags || []).forEach(tag => {
+                    query += ` AND JSON_CONTAINS(m.tags, ?)`;
+                    params.push(JSON.stringify(tag));
+                });
+
+                // Last: the distance condition is a HAVING on the computed column
+                if (filters.near) {
+                    const { lat, lng, radiusKm } = filters.near;
+                    columns.push(`(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+                        POW(SIN(RADIANS(${LAT_SQL} - ?) / 2), 2) +
+                        COS(RADIANS(?)) * COS(RADIANS(${LAT_SQL})) * POW(SIN(RADIANS(${LNG_SQL} - ?) / 2), 2)
+                    ))) as distance_km`);
+                    selectParams.push(lat, lat, lng);
+                    query += ` AND JSON_EXTRACT(m.location, '$.lat') IS NOT NULL HAVING distance_km <= ?`;
+                    params.push(radiusKm);
+                    order.push('distance_km ASC');
+                }
+
+                query = `SELECT ${columns.join(', ')} ${query} ORDER BY ${[...order, 'm.memory_date DESC'].join(', ')}`;
+
+                if (filters.limit) {
+                    query += ` LIMIT ?`;
+                    params.push(filters.limit);
+                }
+
+                const memories = await database.pool.query(query, [...selectParams, ...params]);
+                return memories.map(memory => this.toMemory(memory, database));
+            });
+        } catch (error) {
+            console.error('Get memories error:', error);
+            throw error;
+        }
+    }
 
-            if (filters.dateTo) {
-                query += ` AND m.memory_date <= ?`;
-                params.push(filters.dateTo);
-            }
+    static async getMemory(userId, memoryId) {
+        try {
+            return await this.withDatabase(async (database) => {
+                const rows = await database.pool.query(`
+                    SELECT m.*, t.title as trip_title, t.destination
+                    FROM memories m
+                    LEFT JOIN trips t ON m.trip_id = t.id
+                    WHERE m.id = ? AND m.user_id = ?
+                `, [memoryId, userId]);
+
+                return rows[0] ? this.toMemory(rows[0], database) : null;
+            });
+        } catch (error) {
+            console.error('Get memory error:', error);
+            throw error;
+        }
+    }
 
-            query += ` ORDER BY m.memory_date DESC`;
+    /**
+     * Apply validated changes. Returns the updated memory, or null if the
+     * user has no such memory.
+     */
+    static async updateMemory(userId, memoryId, changes) {
+        const columns = {
+            tripId: ['trip_id', value => value || null],
+            type: ['memory_type', value => value],
+            title: ['title', value => value],
+            description: ['description', value => value || null],
+            notes: ['notes', value => value || null],
+            location: ['location', value => JSON.stringify(value || {})],
+            rating: ['rating', value => value || null],
+            tags: ['tags', value => JSON.stringify(value)],
+            date: ['memory_date', value => value],
+            photos: ['photos', value => JSON.stringify(value)]
+        };
+        const fields = Object.keys(changes).filter(key => columns[key]);
 
-            if (filters.limit) {
-                query += ` LIMIT ?`;
-                params.push(filters.limit);
+        try {
+            if (fields.length > 0) {
+                const result = await this.withDatabase(database => database.pool.query(
+                    `UPDATE memories SET ${fields.map(key => `${columns[key][0]} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+                    [...fields.map(key => columns[key][1](changes[key])), memoryId, userId]
+                ));
+                if (result.affectedRows === 0) return null;
             }
 
-            const memories = await database.pool.query(query, params);
-            await database.close();
+            return await this.getMemory(userId, memoryId);
+        } catch (error) {
+            console.error('Update memory error:', error);
+            throw error;
+        }
+    }
 
-            return memories.map(memory => ({
-                ...memory,
-                location: JSON.parse(memory.location || '{}'),
-                photos: JSON.parse(memory.photos || '[]'),
-                tags: JSON.parse(memory.tags || '[]')
-            }));
+    /**
+     * Delete a memory. Returns the deleted memory (so its photos can be
+     * cleaned up), or null if the user has no such memory.
+     */
+    static async deleteMemory(userId, memoryId) {
+        try {
+            const memory = await this.getMemory(userId, memoryId);
+            if (!memory) return null;
+
+            await this.withDatabase(database => database.pool.query(
+                'DELETE FROM memories WHERE id = ? AND user_id = ?',
+                [memoryId, userId]
+            ));
+            return memory;
         } catch (error) {
-            console.error('Get memories error:', error);
+            console.error('Delete memory error:', error);
             throw error;
         }
     }
@@ -201,7 +416,7 @@ Length: 300-500 words.`;
             await database.initialize();
 
             await database.pool.query(`
-                INSERT INTO user_locations (user_id, latitude, longitude, accuracy, created_at)
+                INSERT INTO user_locations (user_id, latitude, longitude, accuracy, recorded_at)
                 VALUES (?, ?, ?, ?, NOW())
             `, [userId, latitude, longitude, accuracy]);
 
@@ -243,4 +458,4 @@ Length: 300-500 words.`;
     }
 }
 
-module.exports = { MemoryService };
+module.exports = { MemoryService, MEMORY_TYPES, MAX_RADIUS_KM };
@@ -0,0 +1,167 @@
+// backend/services/migrations.js
+// Versioned schema migrations. Each file in backend/migrations is named
+// <version>_<name>.js and exports async up(db) / down(db); applied versions
+// are tracked in schema_migrations.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_NAME = 'travelmind_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+class MigrationService {
+    constructor(database, { directory = MIGRATIONS_DIR, log = console.log } = {}) {
+        this.db = database;
+        this.directory = directory;
+        this.log = log;
+    }
+
+    /**
+     * Migration files on disk, oldest first.
+     */
+    loadMigrations() {
+        const files = fs.readdirSync(this.directory)
+            .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+            .sort();
+
+        const seen = new Set();
+        return files.map(file => {
+            const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+            if (seen.has(version)) {
+                throw new Error(`Duplicate migration version ${version} (${file})`);
+            }
+            seen.add(version);
+
+            const migration = require(path.join(this.directory, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { version, name, file, ...migration };
+        });
+    }
+
+    async ensureTable(conn) {
+        await conn.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version VARCHAR(32) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                batch INT NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    }
+
+    async getApplied(conn) {
+        return conn.query('SELECT version, name, batch, applied_at FROM schema_migrations ORDER BY version ASC');
+    }
+
+    /**
+     * Run fn on a dedicated connection while holding a named lock, so two
+     * servers starting at once can't apply the same migration twice.
+     */
+    async withLock(fn) {
+        if (!this.db.pool) {
+            throw new Error('Database connection not initialized');
+        }
+
+        const conn = await this.db.pool.getConnection();
+        try {
+            const [lock] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+            if (Number(lock.acquired) !== 1) {
+                throw new Error('Timed out waiting for the migration lock');
+            }
+
+            try {
+                await this.ensureTable(conn);
+                return await fn(conn);
+            } finally {
+                await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+            }
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Every known migration with its applied state.
+     */
+    async status() {
+        const migrations = this.loadMigrations();
+        return this.withLock(async (conn) => {
+            const applied = new Map((await this.getApplied(conn)).map(row => [row.version, row]));
+            const known = new Set(migrations.map(m => m.version));
+
+            const rows = migrations.map(m => ({
+                version: m.version,
+                name: m.name,
+                applied: applied.has(m.version),
+                batch: applied.get(m.version)?.batch || null,
+                appliedAt: applied.get(m.version)?.applied_at || null
+            }));
+
+            // Applied versions whose files are gone still show up so they can be noticed
+            for (const [version, row] of applied) {
+                if (!known.has(version)) {
+                    rows.push({ version, name: row.name, applied: true, batch: row.batch, appliedAt: row.applied_at, missing: true });
+                }
+            }
+
+            return rows.sort((a, b) => a.version.localeCompare(b.version));
+        });
+    }
+
+    /**
+     * Apply pending migrations in order, optionally stopping at `to`.
+     * Returns the versions applied.
+     */
+    async up({ to = null } = {}) {
+        const migrations = this.loadMigrations();
+        return this.withLock(async (conn) => {
+            const applied = await this.getApplied(conn);
+            const done = new Set(applied.map(row => row.version));
+            const batch = applied.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+
+            const pending = migrations.filter(m => !done.has(m.version) && (!to || m.version <= to));
+            for (const migration of pending) {
+                this.log(`⬆️  Applying ${migration.file}`);
+                // MariaDB commits DDL implicitly, so a failed migration is not
+                // rolled back; it is left unrecorded and retried on the next run
+                await migration.up(conn);
+                await conn.query(
+                    'INSERT INTO schema_migrations (version, name, batch) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, batch]
+                );
+            }
+
+            return pending.map(m => m.version);
+        });
+    }
+
+    /**
+     * Revert the most recently applied migrations (one by default).
+     * Returns the versions reverted.
+     */
+    async down({ steps = 1 } = {}) {
+        const migrations = new Map(this.loadMigrations().map(m => [m.version, m]));
+        return this.withLock(async (conn) => {
+            const applied = await this.getApplied(conn);
+            const targets = steps > 0 ? applied.slice(-steps).reverse() : [];
+
+            for (const row of targets) {
+                const migration = migrations.get(row.version);
+                if (!migration) {
+                    throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+                }
+
+                this.log(`⬇️  Reverting ${migration.file}`);
+                await migration.down(conn);
+                await conn.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+            }
+
+            return targets.map(row => row.version);
+        });
+    }
+}
+
+module.exports = { MigrationService, MIGRATIONS_DIR };
@@ -3,12 +3,15 @@ const { NotificationService } = require('./notifications');
 const { FlightTrackingService } = require('./flightTracking');
 const { DatabaseService } = require('./database');
 const { getWeatherInfo } = require('./googlePlaces');
+const { ReminderService } = require('./reminders');
+const { BudgetService } = require('./budget');
 
 class NotificationScheduler {
     constructor() {
         this.notificationService = new NotificationService();
         this.flightTrackingService = new FlightTrackingService();
         this.db = new DatabaseService();
+        this.budget = new BudgetService(this.db);
         this.jobs = [];
         this.isRunning = false;
     }
@@ -41,6 +44,26 @@ class NotificationScheduler {
         });
         this.jobs.push(bookingReminderJob);
 
+        // Deliver due trip reminders every 5 minutes
+        const tripReminderJob = cron.schedule('*/5 * * * *', async () => {
+            try {
+                await this.checkTripReminders();
+            } catch (error) {
+                console.error('Trip reminder job error:', error);
+            }
+        });
+        this.jobs.push(tripReminderJob);
+
+        // Warn about category budgets running out every hour
+        const budgetAlertJob = cron.schedule('20 * * * *', async () => {
+            try {
+                await this.checkBudgetAlerts();
+            } catch (error) {
+                console.error('Budget alert job error:', error);
+            }
+        });
+        this.jobs.push(budgetAlertJob);
+
         // Check flight status every 15 minutes (for flights within 48 hours)
         const flightStatusJob = cron.schedule('*/15 * * * *', async () => {
             console.log('✈️ Running flight status check...');
@@ -71,7 +94,7 @@ class NotificationScheduler {
         this.jobs.push(cacheCleanJob);
 
         this.isRunning = true;
-        console.log('✅ Notification scheduler started with 4 jobs');
+        console.log(`✅ Notification scheduler started with ${this.jobs.length} jobs`);
     }
 
     /**
@@ -85,6 +108,89 @@ class NotificationScheduler {
         console.log('✅ Notification scheduler stopped');
     }
 
+    /**
+     * Turn due trip reminders into notifications. One-off reminders stay
+     * active until marked done; recurring ones move on to their next date.
+     */
+    async checkTripReminders(now = new Date()) {
+        try {
+            const candidates = await this.db.getDueReminderCandidates();
+            let delivered = 0;
+
+            for (const reminder of candidates) {
+                if (!ReminderService.isDue(reminder, reminder.trip_timezone, now)) {
+                    continue;
+                }
+
+                try {
+                    await this.db.createNotification(reminder.user_id, ReminderService.toNotification(reminder));
+
+                    const next = ReminderService.nextOccurrence(reminder, reminder.trip_timezone, now);
+                    await this.db.updateReminder(reminder.id, reminder.trip_id, {
+                        reminder_date: next || undefined,
+                        snoozed_until: null,
+                        last_notified_at: now
+                    });
+                    delivered++;
+                } catch (error) {
+                    console.error(`Trip reminder ${reminder.id} error:`, error);
+                }
+            }
+
+            if (delivered > 0) {
+                console.log(`🔔 Delivered ${delivered} trip reminder(s)`);
+            }
+            return delivered;
+        } catch (error) {
+            console.error('Check trip reminders error:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Notify trip members when a category budget passes the trip's alert
+     * percentage, and again when it is used up.
+     */
+    async checkBudgetAlerts(now = new Date()) {
+        try {
+            const trips = await this.db.getBudgetAlertCandidates();
+            let sent = 0;
+
+            for (const trip of trips) {
+                try {
+                    const summary = await this.budget.summarize(trip, now);
+                    const budgetRows = await this.db.getTripBudgets(trip.id);
+                    const { due, rearm } = BudgetService.alertChanges(summary, budgetRows);
+
+                    for (const category of rearm) {
+                        await this.db.setBudgetAlertLevel(trip.id, category, null);
+                    }
+                    if (due.length === 0) continue;
+
+                    const memberIds = await this.db.getTripMemberIds(trip.id);
+                    for (const alert of due) {
+                        const notification = BudgetService.toNotification(trip, summary, alert);
+                        for (const userId of memberIds) {
+                            await this.db.createNotification(userId, notification);
+                        }
+                        await this.db.setBudgetAlertLevel(trip.id, alert.category, alert.level);
+                        sent++;
+                    }
+                } catch (error) {
+                    console.error(`Budget alerts for trip ${trip.id} error:`, error);
+                }
+            }
+
+            if (sent > 0) {
+                console.log(`💰 Sent ${sent} budget alert(s)`);
+            }
+            return sent;
+        } catch (error) {
+            console.error('Check budget alerts error:', error);
+            return 0;
+        }
+    }
+
     /**
      * Check flight statuses for upcoming flights
      */
@@ -335,6 +441,12 @@ class NotificationScheduler {
             case 'bookingReminders':
                 await this.notificationService.checkBookingReminders();
                 break;
+            case 'tripReminders':
+                await this.checkTripReminders();
+                break;
+            case 'budgetAlerts':
+                await this.checkBudgetAlerts();
+                break;
             case 'flightStatus':
                 await this.checkFlightStatuses();
                 break;
@@ -1,149 +1,156 @@
 // backend/services/ai.js
-class OllamaService {
-    constructor() {
-        this.provider = process.env.AI_PROVIDER || 'ollama'; // 'ollama' or 'openai'
-        this.ollamaUrl = process.env.OLLAMA_BASE_URL || 'https://chat.drstang.xyz/ollama';
-        this.openaiKey = process.env.OPENAI_API_KEY;
-        this.timeout = parseInt(process.env.AI_TIMEOUT) || 60000; // 60 seconds default
+const { ItineraryService, ITEM_CATEGORIES } = require('./itinerary');
+const { LLMRouter } = require('./llmRouter');
+
+const ITINERARY_JSON_EXAMPLE = `{
+  "summary": "One or two sentences about the trip",
+  "currency": "USD",
+  "days": [
+    {
+      "dayNumber": 1,
+      "title": "Arrival and Old Town",
+      "summary": "Short description of the day",
+      "items": [
+        {
+          "startTime": "09:00",
+          "endTime": "11:30",
+          "title": "Guided tour of the Old Town",
+          "description": "What to see and why",
+          "category": "activity",
+          "cost": { "amount": 25, "currency": "USD" },
+          "place": {
+            "name": "Old Town Square",
+            "address": "Staromestske nam., Prague",
+            "coordinates": { "lat": 50.0875, "lng": 14.4213 }
+          },
+          "notes": "Book ahead in summer"
+        }
+      ]
     }
+  ],
+  "tips": ["Practical tip"]
+}`;
 
-    async chat(message, context = {}, modelType = 'chat') {
-        const startTime = Date.now();
+// Tool call rounds per message before the model must answer
+const MAX_TOOL_ROUNDS = 4;
 
-        try {
-            if (this.provider === 'openai') {
-                return await this.chatOpenAI(message, context, modelType);
-            } else {
-                return await this.chatOllama(message, context, modelType);
-            }
-        } catch (error) {
-            const elapsed = Date.now() - startTime;
-            console.error(`AI chat error (${this.provider}) after ${elapsed}ms:`, error.message);
-
-            // If Ollama times out, try OpenAI as fallback
-            if (this.provider === 'ollama' && elapsed > 30000 && this.openaiKey) {
-                console.log('⚠️ Ollama timeout, falling back to OpenAI...');
-                return await this.chatOpenAI(message, context, modelType);
-            }
-
-            throw error;
-        }
+class OllamaService {
+    constructor({ router } = {}) {
+        this.router = router || LLMRouter.fromEnv();
     }
 
-    async chatOpenAI(message, context = {}, modelType = 'chat') {
-        if (!this.openaiKey) {
-            throw new Error('OpenAI API key not configured');
-        }
+    /**
+     * Provider-neutral request for the router (see services/providers).
+     */
+    buildRequest(message, context, modelType) {
+        return {
+            modelType,
+            messages: this.buildMessages(message, context, modelType),
+            temperature: this.getTemperatureForType(modelType),
+            // Structured itineraries are considerably longer than chat replies
+            maxTokens: modelType === 'planning' ? 4000 : 2000
+        };
+    }
 
-        const prompt = this.buildContextPrompt(message, context, modelType);
+    async chat(message, context = {}, modelType = 'chat') {
+        const startTime = Date.now();
+        const response = await this.router.chat(this.buildRequest(message, context, modelType));
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        return {
+            message: response.message,
+            model: response.model,
+            provider: response.provider,
+            tokens: response.tokens,
+            responseTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        };
+    }
 
-        try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.openaiKey}`
-                },
-                body: JSON.stringify({
-                    model: 'gpt-4o-mini',
-                    messages: [
-                        { role: 'system', content: this.getSystemPrompt(modelType) },
-                        { role: 'user', content: prompt }
-                    ],
-                    temperature: this.getTemperatureForType(modelType),
-                    max_tokens: 2000
-                }),
-                signal: controller.signal
+    /**
+     * Stream a chat response token by token.
+     *
+     * `onToken(text)` is called for every partial chunk. Passing an AbortSignal
+     * lets the caller cancel; the partial text generated so far is returned
+     * with `cancelled: true` instead of throwing. With `tools` (see
+     * AIToolService.forContext) the model may call tools between rounds.
+     */
+    async chatStream(message, context = {}, modelType = 'chat', { onToken = () => {}, signal, tools = null } = {}) {
+        const startTime = Date.now();
+        const request = this.buildRequest(message, context, modelType);
+        const toolLog = { toolCalls: [], pendingActions: [] };
+        let text = '';
+        let tokens = 0;
+        let response = null;
+
+        for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+            // The last round offers no tools so the model has to answer
+            request.tools = tools && round < MAX_TOOL_ROUNDS ? tools.definitions : null;
+            let roundText = '';
+
+            response = await this.router.stream(request, {
+                signal,
+                onToken: (chunk) => {
+                    // Separate text from an earlier round (e.g. "Let me check...")
+                    const output = !roundText && text ? `\n\n${chunk}` : chunk;
+                    roundText += chunk;
+                    text += output;
+                    onToken(output);
+                }
             });
-
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error('OpenAI API error details:', {
-                    status: response.status,
-                    error: errorData,
-                    model: 'gpt-4o-mini'
+            tokens += response.tokens || 0;
+
+            if (response.cancelled || !tools || !response.toolCalls?.length) break;
+
+            request.messages.push({ role: 'assistant', content: roundText, toolCalls: response.toolCalls });
+            for (const call of response.toolCalls) {
+                const outcome = await this.runTool(tools, call, toolLog);
+                request.messages.push({
+                    role: 'tool',
+                    toolCallId: call.id,
+                    name: call.name,
+                    content: JSON.stringify(outcome)
                 });
-                throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown'}`);
             }
-
-            const data = await response.json();
-            return {
-                message: data.choices[0].message.content,
-                model: 'gpt-4o-mini',
-                tokens: data.usage.total_tokens,
-                responseTime: Date.now() - Date.now(),
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('OpenAI request timeout');
-            }
-            throw error;
         }
-    }
 
-    async chatOllama(message, context = {}, modelType = 'chat') {
-        const model = this.getOllamaModel(modelType);
-        const prompt = this.buildContextPrompt(message, context, modelType);
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        return {
+            message: text,
+            model: response.model,
+            provider: response.provider,
+            tokens,
+            responseTime: Date.now() - startTime,
+            timestamp: new Date().toISOString(),
+            cancelled: !!response.cancelled,
+            ...toolLog
+        };
+    }
 
+    /**
+     * Run one tool call and record it. Write tools come back as pending
+     * actions that the user still has to confirm.
+     */
+    async runTool(tools, call, toolLog) {
+        let args;
         try {
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: model,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: this.getTemperatureForType(modelType),
-                        top_p: 0.9,
-                        top_k: 40,
-                        num_ctx: 4096
-                    }
-                }),
-                signal: controller.signal
-            });
-
-            clearTimeout(timeoutId);
+            args = typeof call.arguments === 'string' ? JSON.parse(call.arguments || '{}') : (call.arguments || {});
+        } catch (error) {
+            return { status: 'error', error: 'Tool arguments were not valid JSON' };
+        }
 
-            if (!response.ok) {
-                throw new Error(`Ollama API error: ${response.status}`);
-            }
+        console.log(`🔧 AI tool call: ${call.name}`, JSON.stringify(args));
+        const outcome = await tools.run(call.name, args);
+        toolLog.toolCalls.push({ name: call.name, arguments: args, status: outcome.status });
 
-            const data = await response.json();
+        if (outcome.status === 'confirmation_required') {
+            toolLog.pendingActions.push(outcome.action);
             return {
-                message: data.response,
-                model: model,
-                tokens: data.eval_count || 0,
-                responseTime: data.total_duration || 0,
-                timestamp: new Date().toISOString()
+                status: 'awaiting_user_confirmation',
+                summary: outcome.action.summary,
+                instructions: 'Tell the user what you prepared and that they need to confirm it. Do not say it is done.'
             };
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Ollama request timeout');
-            }
-            throw error;
         }
-    }
 
-    getOllamaModel(modelType) {
-        const models = {
-            chat: process.env.OLLAMA_CHAT_MODEL || 'llama2',
-            planning: process.env.OLLAMA_PLANNING_MODEL || 'llama2',
-            translation: process.env.OLLAMA_TRANSLATION_MODEL || 'mistral',
-            analysis: process.env.OLLAMA_ANALYSIS_MODEL || 'llama2'
-        };
-        return models[modelType] || models.chat;
+        return outcome;
     }
 
     getSystemPrompt(modelType) {
@@ -168,11 +175,33 @@ ${context.weather ? `- Weather: ${JSON.stringify(context.weather)}` : ''}
 ${context.userPreferences ? `- Preferences: ${Array.isArray(context.userPreferences) ? context.userPreferences.join(', ') : context.userPreferences}` : ''}
 ${context.budget ? `- Budget: $${context.budget}` : ''}
 ${context.travelStyle ? `- Travel style: ${context.travelStyle}` : ''}
+${context.profileNotes?.length ? context.profileNotes.join('\n') : ''}
+${context.currentTrip?.destination ? `- Current trip: ${context.currentTrip.destination}${context.currentTrip.start_date ? ` (from ${context.currentTrip.start_date})` : ''}` : ''}
 `;
 
         return `${systemPrompt}\n\n${contextInfo}\n\nUser message: ${message}\n\nResponse:`;
     }
 
+    /**
+     * Chat messages with earlier turns replayed as real user/assistant
+     * messages rather than flattened into the prompt.
+     */
+    buildMessages(message, context, modelType) {
+        const { history, ...rest } = context;
+        const messages = [{ role: 'system', content: this.getSystemPrompt(modelType) }];
+
+        if (history?.summary) {
+            messages.push({ role: 'system', content: `Summary of the earlier conversation: ${history.summary}` });
+        }
+        (history?.turns || []).forEach(turn => {
+            messages.push({ role: 'user', content: turn.user });
+            messages.push({ role: 'assistant', content: turn.assistant });
+        });
+
+        messages.push({ role: 'user', content: this.buildContextPrompt(message, rest, modelType) });
+        return messages;
+    }
+
     getTemperatureForType(modelType) {
         const temperatures = {
             planning: 0.3,
@@ -184,21 +213,18 @@ ${context.travelStyle ? `- Travel style: ${context.travelStyle}` : ''}
     }
 
     async healthCheck() {
-        if (this.provider === 'openai') {
-            return !!this.openaiKey;
-        }
+        return this.router.isAvailable('chat');
+    }
 
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`, {
-                signal: AbortSignal.timeout(5000)
-            });
-            return response.ok;
-        } catch (error) {
-            return false;
-        }
+    getProviderStatus() {
+        return this.router.getStatus();
     }
 
-    async generateDetailedItinerary(tripData, userPreferences = []) {
+    /**
+     * `profileNotes` are the traveller's profile lines
+     * (ProfileService.promptLines): pace, dietary and accessibility needs.
+     */
+    async generateDetailedItinerary(tripData, userPreferences = [], profileNotes = []) {
         const context = {
             mode: 'planning',
             userPreferences,
@@ -211,25 +237,72 @@ ${context.travelStyle ? `- Travel style: ${context.travelStyle}` : ''}
 Requirements:
 - Budget: $${tripData.budget} total
 - Travel style: ${tripData.travelStyle || 'Moderate'}
-- Interests: ${tripData.interests?.join(', ') || 'General tourism'}
+- Interests: ${tripData.interests?.join(', ') || 'General tourism'}${profileNotes.length ? `\n${profileNotes.join('\n')}` : ''}
 
-For each day, provide:
-1. Morning activity (9 AM - 12 PM) with estimated cost
-2. Lunch recommendation with price range
-3. Afternoon activity (1 PM - 5 PM) with estimated cost
-4. Dinner recommendation with price range
-5. Evening activity or rest (6 PM - 10 PM)
-6. Total daily budget breakdown
-7. Transportation tips and costs
+For each day include a morning activity, lunch, an afternoon activity, dinner and an
+evening activity, plus transport between them where it matters. Use specific venue
+names and addresses, and give an estimated cost in USD for every item.
 
-Include specific venue names, addresses, and booking recommendations where possible.`;
+Respond with ONLY a JSON object, no markdown, matching this shape:
+${ITINERARY_JSON_EXAMPLE}
+
+Rules:
+- "days" must contain exactly ${tripData.duration} entries numbered from 1.
+- "startTime" and "endTime" use 24-hour "HH:MM".
+- "category" is one of: ${ITEM_CATEGORIES.join(', ')}.
+- "cost" is null for free items.
+- Include "coordinates" only when you are confident of them, otherwise null.`;
 
         const response = await this.chat(prompt, context, 'planning');
-        return {
-            itinerary: response.message,
+        const meta = {
+            destination: tripData.destination,
+            source: 'ai',
             model: response.model,
             generatedAt: response.timestamp
         };
+
+        const itinerary = await this.parseItineraryResponse(response.message, meta, context);
+        return ItineraryService.withDates(itinerary, tripData.startDate);
+    }
+
+    /**
+     * Validate the model output against the itinerary schema, asking the model
+     * to fix it once before falling back to deterministic text conversion.
+     */
+    async parseItineraryResponse(message, meta, context) {
+        const parsed = ItineraryService.extractJson(message);
+
+        if (parsed) {
+            const { value, errors } = ItineraryService.validate(ItineraryService.repair(parsed, meta));
+            if (value && value.days.length > 0) {
+                return value;
+            }
+            console.warn('⚠️ Itinerary failed validation:', errors || 'no days');
+
+            try {
+                const repairPrompt = `The following itinerary JSON does not match the required schema.
+Errors: ${JSON.stringify(errors || [{ message: 'days must not be empty' }])}
+
+Return ONLY the corrected JSON object with the same content, matching this shape:
+${ITINERARY_JSON_EXAMPLE}
+
+JSON to fix:
+${JSON.stringify(parsed).slice(0, 12000)}`;
+
+                const repaired = await this.chat(repairPrompt, context, 'planning');
+                const repairedJson = ItineraryService.extractJson(repaired.message);
+                const retry = ItineraryService.validate(ItineraryService.repair(repairedJson, meta));
+                if (retry.value && retry.value.days.length > 0) {
+                    return retry.value;
+                }
+            } catch (error) {
+                console.error('Itinerary repair request failed:', error.message);
+            }
+        }
+
+        // The model ignored the JSON instruction; salvage the prose
+        console.warn('⚠️ Falling back to text conversion for itinerary');
+        return ItineraryService.fromText(message, meta);
     }
 
     async translateWithContext(text, targetLanguage, sourceLanguage = 'auto', context = {}) {
@@ -256,139 +329,40 @@ Provide only the translation, without explanations or additional text.`;
         };
     }
     // ===================================
-// ADD THESE METHODS TO OllamaService CLASS IN ollama.js
-// Add after the generateDetailedItinerary method
-// ===================================
-
-    async identifyPhoto(imagePath, location = null) {
-        const fs = require('fs');
-
-        try {
-            // Try vision model first if available
-            if (this.provider === 'openai' && this.openaiKey) {
-                return await this.identifyPhotoOpenAI(imagePath, location);
-            } else {
-                return await this.identifyPhotoOllama(imagePath, location);
-            }
-        } catch (error) {
-            console.error('Photo identification error:', error.message);
+    // PHOTO IDENTIFICATION
+    // ===================================
 
-            // Fallback to basic analysis
-            return {
-                name: 'Photo Analysis',
-                description: 'Unable to perform detailed image analysis. Vision model not available.',
-                landmarks: [],
-                confidence: 0.3,
-                method: 'fallback'
-            };
-        }
+    /**
+     * Identify a landmark in a photo with whichever vision-capable provider
+     * the router picks. Throws if none is available so callers can fall back.
+     */
+    async identifyPhoto(imagePath, location = null, prompt = null) {
+        const response = await this.analyzeImage(imagePath, prompt || this.getPhotoPrompt(location));
+        return this.parsePhotoIdentification(response.message, `${response.provider}-vision`);
     }
 
-    async identifyPhotoOpenAI(imagePath, location) {
+    /**
+     * Send one image (a file path or a Buffer) and a prompt to the vision
+     * providers. Returns the raw router response.
+     */
+    async analyzeImage(image, prompt, { temperature = 0.3, maxTokens = 500 } = {}) {
         const fs = require('fs');
 
-        if (!this.openaiKey) {
-            throw new Error('OpenAI API key not configured');
-        }
-
-        // Read image as base64
-        const imageBuffer = await fs.promises.readFile(imagePath);
-        const imageBase64 = imageBuffer.toString('base64');
-
-        const prompt = `Analyze this travel photo and identify landmarks or locations. ${location ? `Photo taken near: ${location.lat}, ${location.lng}` : ''}
-
-Please provide:
-1. The name of the landmark or location
-2. A detailed description
-3. Any notable features or landmarks visible
-4. Your confidence in the identification (0.0 to 1.0)
-
-Format:
-NAME: [name]
-DESCRIPTION: [description]
-LANDMARKS: [comma-separated list]
-CONFIDENCE: [0.0-1.0]`;
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-        try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.openaiKey}`
-                },
-                body: JSON.stringify({
-                    model: 'gpt-4o-mini',
-                    messages: [
-                        {
-                            role: 'user',
-                            content: [
-                                { type: 'text', text: prompt },
-                                {
-                                    type: 'image_url',
-                                    image_url: {
-                                        url: `data:image/jpeg;base64,${imageBase64}`
-                                    }
-                                }
-                            ]
-                        }
-                    ],
-                    max_tokens: 500,
-                    temperature: 0.3
-                }),
-                signal: controller.signal
-            });
-
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`OpenAI Vision API error: ${errorData.error?.message}`);
-            }
-
-            const data = await response.json();
-            return this.parsePhotoIdentification(data.choices[0].message.content, 'openai-vision');
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
-        }
+        const imageBuffer = Buffer.isBuffer(image) ? image : await fs.promises.readFile(image);
+        return this.router.chat({
+            modelType: 'vision',
+            messages: [{
+                role: 'user',
+                content: prompt,
+                images: [imageBuffer.toString('base64')]
+            }],
+            temperature,
+            maxTokens
+        }, { capability: 'vision' });
     }
 
-    async identifyPhotoOllama(imagePath, location) {
-        const fs = require('fs');
-
-        // Check if vision model is available
-        try {
-            const tagsResponse = await fetch(`${this.ollamaUrl}/api/tags`, {
-                signal: AbortSignal.timeout(5000)
-            });
-
-            if (!tagsResponse.ok) {
-                throw new Error('Ollama not available');
-            }
-
-            const tagsData = await tagsResponse.json();
-            const hasVision = tagsData.models?.some(m =>
-                m.name.includes('llava') ||
-                m.name.includes('bakllava') ||
-                m.name.includes('vision')
-            );
-
-            if (!hasVision) {
-                throw new Error('No vision model available in Ollama');
-            }
-        } catch (error) {
-            console.error('Vision model check failed:', error.message);
-            throw new Error('Ollama vision model not available. Install with: ollama pull llava');
-        }
-
-        // Read image as base64
-        const imageBuffer = await fs.promises.readFile(imagePath);
-        const imageBase64 = imageBuffer.toString('base64');
-
-        const prompt = `Analyze this travel photo and identify landmarks or locations. ${location ? `Photo taken near: ${location.lat}, ${location.lng}` : ''}
+    getPhotoPrompt(location) {
+        return `Analyze this travel photo and identify landmarks or locations. ${location ? `Photo taken near: ${location.lat}, ${location.lng}` : ''}
 
 Please provide:
 1. The name of the landmark or location
@@ -401,43 +375,6 @@ NAME: [name]
 DESCRIPTION: [description]
 LANDMARKS: [comma-separated list]
 CONFIDENCE: [0.0-1.0]`;
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 60000); // Vision needs more time
-
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: 'llava',
-                    prompt: prompt,
-                    images: [imageBase64],
-                    stream: false,
-                    options: {
-                        temperature: 0.3,
-                        top_p: 0.9,
-                        num_ctx: 4096
-                    }
-                }),
-                signal: controller.signal
-            });
-
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`Ollama vision API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return this.parsePhotoIdentification(data.response, 'ollama-vision');
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Photo identification timeout');
-            }
-            throw error;
-        }
     }
 
     parsePhotoIdentification(aiResponse, method) {
@@ -484,26 +421,7 @@ CONFIDENCE: [0.0-1.0]`;
     }
 
     async checkVisionAvailability() {
-        if (this.provider === 'openai') {
-            return !!this.openaiKey;
-        }
-
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`, {
-                signal: AbortSignal.timeout(5000)
-            });
-
-            if (!response.ok) return false;
-
-            const data = await response.json();
-            return data.models?.some(m =>
-                m.name.includes('llava') ||
-                m.name.includes('bakllava') ||
-                m.name.includes('vision')
-            );
-        } catch (error) {
-            return false;
-        }
+        return this.router.isAvailable('vision', 'vision');
     }
 }
 
@@ -0,0 +1,234 @@
+// backend/services/photoMetadata.js
+// EXIF metadata of uploaded photos: capture time, GPS position, orientation
+// and camera, read once at upload time. Can also strip metadata from the
+// stored copy (the one clients download) so GPS positions and camera
+// serials don't leak; the orientation is kept so photos still display
+// upright.
+
+const fs = require('fs');
+const exifr = require('exifr');
+
+const JPEG_SOI = 0xd8;
+const JPEG_SOS = 0xda;
+const JPEG_APP1 = 0xe1;
+const JPEG_APP13 = 0xed;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Text chunks can carry XMP and other metadata
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+// VP8X feature flags announcing the EXIF and XMP chunks
+const WEBP_METADATA_FLAGS = 0x08 | 0x04;
+
+const EXIF_OPTIONS = {
+    tiff: true,
+    exif: true,
+    gps: true,
+    ifd1: false,
+    interop: false,
+    xmp: false,
+    icc: false,
+    iptc: false,
+    jfif: false,
+    ihdr: false,
+    reviveValues: false,
+    translateValues: false,
+    translateKeys: true,
+    silentErrors: true
+};
+
+class PhotoMetadataService {
+    // "2025:06:02 14:03:11" (+ "+09:00") -> "2025-06-02T14:03:11+09:00"
+    static parseExifDate(value, offset = null) {
+        const match = String(value || '').match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute, second] = match;
+        const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+        if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day) || Number(year) < 1900) {
+            return null;
+        }
+
+        const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+        return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+    }
+
+    static normalize(tags) {
+        if (!tags) return null;
+
+        const takenAt = this.parseExifDate(tags.DateTimeOriginal || tags.CreateDate || tags.ModifyDate, tags.OffsetTimeOriginal);
+        const lat = Number(tags.latitude);
+        const lng = Number(tags.longitude);
+        // 0,0 is what cameras without a fix tend to write
+        const hasPosition = Number.isFinite(lat) && Number.isFinite(lng)
+            && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && !(lat === 0 && lng === 0);
+        const orientation = Number.isInteger(tags.Orientation) && tags.Orientation >= 1 && tags.Orientation <= 8
+            ? tags.Orientation
+            : null;
+
+        const make = String(tags.Make || '').trim();
+        const model = String(tags.Model || '').trim();
+        const camera = (model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`).trim() || null;
+
+        const metadata = {
+            takenAt,
+            takenDate: takenAt ? takenAt.slice(0, 10) : null,
+            lat: hasPosition ? Math.round(lat * 1e6) / 1e6 : null,
+            lng: hasPosition ? Math.round(lng * 1e6) / 1e6 : null,
+            orientation,
+            camera
+        };
+        return Object.values(metadata).some(value => value !== null) ? metadata : null;
+    }
+
+    /**
+     * Read the metadata of a photo (path or Buffer). Returns null when the
+     * file has none or can't be parsed - uploads never fail because of EXIF.
+     */
+    static async extract(file) {
+        try {
+            return this.normalize(await exifr.parse(file, EXIF_OPTIONS));
+        } catch (error) {
+            console.warn('EXIF extraction failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Defaults a memory can take from its photos: the earliest capture
+     * date and the first GPS position.
+     */
+    static memoryDefaults(photos) {
+        const metadata = photos.map(photo => photo.exif).filter(Boolean);
+        const dates = metadata.map(exif => exif.takenDate).filter(Boolean).sort();
+        const positioned = metadata.find(exif => exif.lat !== null);
+
+        return {
+            date: dates[0] || null,
+            location: positioned ? { lat: positioned.lat, lng: positioned.lng } : null
+        };
+    }
+
+    // ===================================
+    // STRIPPING
+    // ===================================
+
+    // Smallest APP1 Exif segment that only records the orientation
+    static orientationSegment(orientation) {
+        const tiff = Buffer.alloc(26);
+        tiff.write('MM', 0, 'ascii');
+        tiff.writeUInt16BE(42, 2);
+        tiff.writeUInt32BE(8, 4); // IFD0 right after the header
+        tiff.writeUInt16BE(1, 8); // one entry
+        tiff.writeUInt16BE(0x0112, 10); // Orientation
+        tiff.writeUInt16BE(3, 12); // SHORT
+        tiff.writeUInt32BE(1, 14);
+        tiff.writeUInt16BE(orientation, 18);
+        tiff.writeUInt32BE(0, 22); // no next IFD
+
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(0xff00 | JPEG_APP1, 0);
+        header.writeUInt16BE(2 + 6 + tiff.length, 2);
+        return Buffer.concat([header, Buffer.from('Exif\0\0', 'binary'), tiff]);
+    }
+
+    // Drop APP1 (Exif, XMP) and APP13 (IPTC) segments; keep JFIF and ICC
+    static stripJpeg(buffer, orientation = null) {
+        const parts = [buffer.subarray(0, 2)];
+        let offset = 2;
+        let inserted = false;
+
+        while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+            const marker = buffer[offset + 1];
+            if (marker === JPEG_SOS) break;
+
+            const length = buffer.readUInt16BE(offset + 2);
+            const segment = buffer.subarray(offset, offset + 2 + length);
+            const isApp0 = marker === 0xe0;
+
+            if (!inserted && !isApp0) {
+                if (orientation && orientation !== 1) parts.push(this.orientationSegment(orientation));
+                inserted = true;
+            }
+            if (marker !== JPEG_APP1 && marker !== JPEG_APP13) {
+                parts.push(segment);
+            }
+            offset += 2 + length;
+        }
+
+        if (!inserted && orientation && orientation !== 1) {
+            parts.push(this.orientationSegment(orientation));
+        }
+        parts.push(buffer.subarray(offset));
+        return Buffer.concat(parts);
+    }
+
+    static stripPng(buffer) {
+        const parts = [buffer.subarray(0, 8)];
+        let offset = 8;
+
+        while (offset + 12 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            const end = offset + 12 + length;
+            if (!PNG_METADATA_CHUNKS.includes(type)) {
+                parts.push(buffer.subarray(offset, end));
+            }
+            offset = end;
+        }
+
+        return Buffer.concat(parts);
+    }
+
+    static stripWebp(buffer) {
+        const parts = [];
+        let offset = 12;
+
+        while (offset + 8 <= buffer.length) {
+            const type = buffer.toString('ascii', offset, offset + 4);
+            const length = buffer.readUInt32LE(offset + 4);
+            const end = offset + 8 + length + (length % 2);
+            if (!WEBP_METADATA_CHUNKS.includes(type)) {
+                const chunk = Buffer.from(buffer.subarray(offset, end));
+                if (type === 'VP8X') {
+                    chunk[8] &= ~WEBP_METADATA_FLAGS;
+                }
+                parts.push(chunk);
+            }
+            offset = end;
+        }
+
+        const body = Buffer.concat(parts);
+        const header = Buffer.from(buffer.subarray(0, 12));
+        header.writeUInt32LE(4 + body.length, 4);
+        return Buffer.concat([header, body]);
+    }
+
+    /**
+     * Copy of the image without metadata. Formats other than JPEG, PNG and
+     * WebP come back unchanged.
+     */
+    static strip(buffer, orientation = null) {
+        if (buffer[0] === 0xff && buffer[1] === JPEG_SOI) {
+            return this.stripJpeg(buffer, orientation);
+        }
+        if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+            return this.stripPng(buffer);
+        }
+        if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+            return this.stripWebp(buffer);
+        }
+        return buffer;
+    }
+
+    // Strip a file in place; returns its new size
+    static async stripFile(filePath, orientation = null) {
+        const original = await fs.promises.readFile(filePath);
+        const stripped = this.strip(original, orientation);
+        if (stripped !== original) {
+            await fs.promises.writeFile(filePath, stripped);
+        }
+        return stripped.length;
+    }
+}
+
+module.exports = { PhotoMetadataService };
@@ -0,0 +1,195 @@
+// backend/services/profile.js
+// A user's travel profile: interests, budget level, pace, dietary and
+// accessibility needs, home airport and currency, languages and preferred
+// airlines. Read from the users row; fed into AI prompts and used as
+// defaults for places and flight searches.
+
+const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('./exchangeRates');
+
+const DIETARY_RESTRICTIONS = [
+    'vegetarian', 'vegan', 'pescatarian', 'halal', 'kosher',
+    'gluten_free', 'dairy_free', 'nut_free', 'shellfish_free'
+];
+const ACCESSIBILITY_NEEDS = ['wheelchair', 'step_free', 'limited_walking', 'low_vision', 'hearing', 'service_animal'];
+const PACES = ['relaxed', 'moderate', 'packed'];
+const BUDGET_LEVELS = ['budget', 'moderate', 'luxury'];
+
+const DEFAULT_INTERESTS = ['sightseeing', 'food', 'culture'];
+
+const profileSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(255),
+    interests: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).unique(),
+    budgetLevel: Joi.string().valid(...BUDGET_LEVELS),
+    pace: Joi.string().valid(...PACES).allow(null),
+    dietaryRestrictions: Joi.array().items(Joi.string().valid(...DIETARY_RESTRICTIONS)).unique(),
+    accessibilityNeeds: Joi.array().items(Joi.string().valid(...ACCESSIBILITY_NEEDS)).unique(),
+    // IATA airport code
+    homeAirport: Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/).allow(null),
+    homeCurrency: Joi.string().trim().uppercase().valid(...SUPPORTED_CURRENCIES),
+    // Language tags such as "en" or "pt-BR"
+    languages: Joi.array().items(Joi.string().trim().pattern(/^[a-z]{2,3}(-[A-Z]{2})?$/)).max(10).unique(),
+    // IATA airline codes
+    preferredAirlines: Joi.array().items(Joi.string().trim().uppercase().pattern(/^[A-Z0-9]{2}$/)).max(10).unique()
+}).min(1);
+
+// Profile field -> users column
+const COLUMNS = {
+    name: 'name',
+    interests: 'preferences',
+    budgetLevel: 'travel_style',
+    pace: 'pace',
+    dietaryRestrictions: 'dietary_restrictions',
+    accessibilityNeeds: 'accessibility_needs',
+    homeAirport: 'home_airport',
+    homeCurrency: 'home_currency',
+    languages: 'languages',
+    preferredAirlines: 'preferred_airlines'
+};
+
+// Google/Foursquare price levels (0-4) a budget level tops out at
+const MAX_PRICE_LEVEL = { budget: 2, moderate: 3 };
+const FOOD_PLACE_TYPES = ['restaurant', 'cafe', 'bakery', 'meal_takeaway', 'meal_delivery', 'food'];
+
+const label = (value) => value.replace(/_/g, ' ');
+
+const parseList = (value, fallback = []) => {
+    if (Array.isArray(value)) return value;
+    if (!value) return fallback;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : fallback;
+    } catch {
+        return fallback;
+    }
+};
+
+class ProfileService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    // Body of PATCH /api/me: any subset of the profile fields
+    static get schema() {
+        return profileSchema;
+    }
+
+    // Profile of a users row
+    static fromUser(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            emailVerified: !!user.email_verified_at,
+            interests: parseList(user.preferences, DEFAULT_INTERESTS),
+            budgetLevel: user.travel_style || 'moderate',
+            pace: user.pace || null,
+            dietaryRestrictions: parseList(user.dietary_restrictions),
+            accessibilityNeeds: parseList(user.accessibility_needs),
+            homeAirport: user.home_airport || null,
+            homeCurrency: user.home_currency || 'USD',
+            languages: parseList(user.languages),
+            preferredAirlines: parseList(user.preferred_airlines)
+        };
+    }
+
+    // Validated profile fields as users columns, lists as JSON
+    static toColumns(value) {
+        const columns = {};
+        for (const [field, column] of Object.entries(COLUMNS)) {
+            if (value[field] === undefined) continue;
+            columns[column] = Array.isArray(value[field]) ? JSON.stringify(value[field]) : value[field];
+        }
+        return columns;
+    }
+
+    /**
+     * Profile lines for an AI prompt, one "- Label: value" per field that is
+     * set. Interests and budget level are left to the callers that already
+     * mention them.
+     */
+    static promptLines(profile) {
+        if (!profile) return [];
+
+        const lines = [];
+        if (profile.pace) lines.push(`- Preferred pace: ${profile.pace}`);
+        if (profile.dietaryRestrictions?.length) {
+            lines.push(`- Dietary restrictions: ${profile.dietaryRestrictions.map(label).join(', ')}`);
+        }
+        if (profile.accessibilityNeeds?.length) {
+            lines.push(`- Accessibility needs: ${profile.accessibilityNeeds.map(label).join(', ')}`);
+        }
+        if (profile.languages?.length) lines.push(`- Speaks: ${profile.languages.join(', ')}`);
+        if (profile.homeAirport) lines.push(`- Home airport: ${profile.homeAirport}`);
+        if (profile.preferredAirlines?.length) lines.push(`- Preferred airlines: ${profile.preferredAirlines.join(', ')}`);
+        return lines;
+    }
+
+    /**
+     * Places search options with the profile filled in where the request
+     * left them open: a price ceiling for the budget level and, for food
+     * places, the dietary restriction as search keyword.
+     */
+    static placeOptions(profile, type, options = {}) {
+        if (!profile) return options;
+
+        const filled = { ...options };
+        const maxPrice = MAX_PRICE_LEVEL[profile.budgetLevel];
+        if (!filled.maxprice && maxPrice) {
+            filled.maxprice = maxPrice;
+        }
+        if (!filled.keyword && FOOD_PLACE_TYPES.includes(type) && profile.dietaryRestrictions.length) {
+            filled.keyword = label(profile.dietaryRestrictions[0]);
+        }
+        return filled;
+    }
+
+    // Drop places above the profile's price ceiling (unpriced places stay)
+    static filterPlaces(profile, places) {
+        const maxPrice = profile && MAX_PRICE_LEVEL[profile.budgetLevel];
+        if (!maxPrice) return places;
+        return places.filter(place => place.priceLevel == null || place.priceLevel <= maxPrice);
+    }
+
+    // Flight search defaults: depart from home, price in the home currency
+    static flightDefaults(profile) {
+        return {
+            origin: profile.homeAirport || undefined,
+            currencyCode: profile.homeCurrency
+        };
+    }
+
+    /**
+     * Flag offers flown entirely by preferred airlines and list them first,
+     * keeping the search order otherwise. Other airlines aren't hidden.
+     */
+    static preferAirlines(profile, offers) {
+        if (!profile?.preferredAirlines.length) return offers;
+
+        const preferred = new Set(profile.preferredAirlines);
+        const flagged = offers.map(offer => ({
+            ...offer,
+            preferredAirline: offer.itineraries.every(itinerary =>
+                itinerary.segments.every(segment => preferred.has(segment.carrierCode)))
+        }));
+        return [...flagged.filter(offer => offer.preferredAirline), ...flagged.filter(offer => !offer.preferredAirline)];
+    }
+
+    async get(userId) {
+        const user = await this.db.getUserById(userId);
+        return user ? ProfileService.fromUser(user) : null;
+    }
+
+    async update(userId, value) {
+        await this.db.updateUserProfile(userId, ProfileService.toColumns(value));
+        return this.get(userId);
+    }
+}
+
+module.exports = {
+    ProfileService,
+    DIETARY_RESTRICTIONS,
+    ACCESSIBILITY_NEEDS,
+    PACES,
+    BUDGET_LEVELS
+};
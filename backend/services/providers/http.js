@@ -0,0 +1,108 @@
+// backend/services/providers/http.js
+// Request helpers shared by the HTTP-based LLM providers.
+
+/**
+ * POST JSON and return the parsed response. Aborts after `timeout` ms or
+ * when the caller's `signal` fires.
+ */
+async function postJson(url, { headers, body, signal, timeout, label }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            throw new Error(`${label} API error: ${response.status} ${errorText.substring(0, 200)}`.trim());
+        }
+
+        return await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(timedOut ? `${label} request timeout` : `${label} request cancelled`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * POST a streaming request and feed each non-empty line to `onLine`.
+ * The timeout is reset whenever data arrives so long answers are not cut
+ * off. Resolves to true if the caller aborted via `signal`.
+ */
+async function readStream(url, { headers, body, signal, timeout, label }, onLine) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timeoutId = null;
+    const resetTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+    };
+    const onAbort = () => controller.abort();
+
+    if (signal?.aborted) return true;
+    signal?.addEventListener('abort', onAbort);
+    resetTimeout();
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            throw new Error(`${label} API error: ${response.status} ${errorText.substring(0, 200)}`.trim());
+        }
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of response.body) {
+            resetTimeout();
+            buffer += decoder.decode(chunk, { stream: true });
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.map(line => line.trim()).filter(Boolean).forEach(onLine);
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) onLine(buffer.trim());
+
+        return false;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            if (timedOut) throw new Error(`${label} request timeout`);
+            return true;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+        // Release the connection if we bailed out part way through
+        controller.abort();
+    }
+}
+
+module.exports = { postJson, readStream };
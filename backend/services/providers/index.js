@@ -0,0 +1,33 @@
+// backend/services/providers/index.js
+// LLM provider registry.
+//
+// Every provider implements the same interface:
+//   name, capabilities { chat, stream, vision, tools }
+//   isConfigured()                        -> boolean
+//   chat(request, { signal })             -> { message, model, tokens, toolCalls }
+//   stream(request, { onToken, signal })  -> { message, model, tokens, toolCalls, cancelled }
+//   healthCheck(capability?)              -> Promise<boolean>
+//
+// request = { modelType, messages, temperature, maxTokens, tools }
+// messages use roles system/user/assistant/tool; user messages may carry
+// `images` (base64), assistant messages `toolCalls` [{ id, name, arguments }]
+// and tool messages `toolCallId`, `name` and a JSON string `content`.
+const { OpenAIProvider } = require('./openai');
+const { OllamaProvider } = require('./ollama');
+const { StubProvider } = require('./stub');
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    ollama: OllamaProvider,
+    stub: StubProvider
+};
+
+function createProvider(name, options = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown AI provider: ${name}`);
+    }
+    return new Provider(options);
+}
+
+module.exports = { PROVIDERS, createProvider };
@@ -0,0 +1,204 @@
+// backend/services/providers/ollama.js
+// Ollama /api/chat. Ollama has no reliable native function calling across
+// models, so tools are offered in the prompt and the model answers with a
+// bare JSON object to call one.
+const { postJson, readStream } = require('./http');
+
+const VISION_MODEL_PATTERN = /llava|bakllava|vision/;
+
+class OllamaProvider {
+    constructor(options = {}) {
+        this.name = 'ollama';
+        this.baseUrl = options.baseUrl || process.env.OLLAMA_BASE_URL || 'https://chat.drstang.xyz/ollama';
+        this.timeout = options.timeout || parseInt(process.env.AI_TIMEOUT) || 60000;
+        this.models = {
+            default: process.env.OLLAMA_CHAT_MODEL || 'llama2',
+            planning: process.env.OLLAMA_PLANNING_MODEL || 'llama2',
+            translation: process.env.OLLAMA_TRANSLATION_MODEL || 'mistral',
+            analysis: process.env.OLLAMA_ANALYSIS_MODEL || 'llama2',
+            vision: process.env.OLLAMA_VISION_MODEL || 'llava',
+            ...options.models
+        };
+        this.capabilities = { chat: true, stream: true, vision: true, tools: false };
+    }
+
+    isConfigured() {
+        return !!this.baseUrl;
+    }
+
+    getModel(modelType) {
+        return this.models[modelType] || this.models.default;
+    }
+
+    /**
+     * Convert provider-neutral messages to Ollama chat messages, turning tool
+     * definitions, calls and results into plain text.
+     */
+    toApiMessages(request) {
+        const messages = [];
+        const usedTools = request.messages.some(message => message.role === 'tool');
+
+        request.messages.forEach(message => {
+            if (message.role === 'tool') {
+                messages.push({ role: 'user', content: `Tool result (${message.name}): ${message.content}` });
+            } else if (message.toolCalls?.length) {
+                const call = message.toolCalls[0];
+                messages.push({ role: 'assistant', content: JSON.stringify({ tool: call.name, arguments: call.arguments }) });
+            } else {
+                messages.push({
+                    role: message.role,
+                    content: message.content,
+                    ...(message.images?.length && { images: message.images })
+                });
+            }
+        });
+
+        if (request.tools?.length) {
+            messages.splice(1, 0, { role: 'system', content: this.formatToolInstructions(request.tools) });
+        } else if (usedTools) {
+            messages.push({ role: 'system', content: 'Answer the user now using the tool results above. Do not call any more tools.' });
+        }
+
+        return messages;
+    }
+
+    formatToolInstructions(tools) {
+        const list = tools.map(tool => {
+            const required = tool.parameters.required || [];
+            const params = Object.entries(tool.parameters.properties || {})
+                .map(([key, spec]) => `${key}${required.includes(key) ? '' : '?'}: ${spec.type}`)
+                .join(', ');
+            return `- ${tool.name}(${params})${tool.write ? ' [needs user confirmation]' : ''}: ${tool.description}`;
+        }).join('\n');
+
+        return `You can use tools to look up or change the user's trips. To call a tool, reply with ONLY a JSON object and nothing else:
+{"tool": "<tool name>", "arguments": { ... }}
+You will get the result back and can then call another tool or answer the user in plain text.
+Never guess information a tool can provide. Tools marked [needs user confirmation] only run after the user confirms.
+
+Available tools:
+${list}`;
+    }
+
+    parseToolCall(text) {
+        const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+        try {
+            const parsed = JSON.parse(cleaned);
+            if (parsed && typeof parsed.tool === 'string') {
+                return { id: `call_${Date.now()}`, name: parsed.tool, arguments: parsed.arguments || {} };
+            }
+        } catch (error) {
+            // Not JSON - treated as a normal answer
+        }
+        return null;
+    }
+
+    buildBody(request, stream) {
+        return {
+            model: this.getModel(request.modelType),
+            messages: this.toApiMessages(request),
+            stream,
+            options: {
+                temperature: request.temperature,
+                top_p: 0.9,
+                top_k: 40,
+                num_ctx: 4096
+            }
+        };
+    }
+
+    async chat(request, { signal } = {}) {
+        const data = await postJson(`${this.baseUrl}/api/chat`, {
+            headers: { 'Content-Type': 'application/json' },
+            body: this.buildBody(request, false),
+            signal,
+            timeout: this.timeout,
+            label: 'Ollama'
+        });
+
+        const text = data.message?.content || '';
+        const call = request.tools?.length ? this.parseToolCall(text) : null;
+        return {
+            message: call ? '' : text,
+            model: this.getModel(request.modelType),
+            tokens: data.eval_count || 0,
+            toolCalls: call ? [call] : []
+        };
+    }
+
+    async stream(request, { onToken = () => {}, signal } = {}) {
+        const offerTools = request.tools?.length > 0;
+
+        // A reply that opens with "{" may be a tool call, so hold it back
+        // until the stream ends; anything else streams straight through
+        let text = '';
+        let mode = null;
+        let tokens = 0;
+
+        const cancelled = await readStream(`${this.baseUrl}/api/chat`, {
+            headers: { 'Content-Type': 'application/json' },
+            body: this.buildBody(request, true),
+            signal,
+            timeout: this.timeout,
+            label: 'Ollama'
+        }, (line) => {
+            // Newline-delimited JSON, the last object has done: true
+            const data = JSON.parse(line);
+            if (data.error) {
+                throw new Error(`Ollama API error: ${data.error}`);
+            }
+            const chunk = data.message?.content;
+            if (chunk) {
+                text += chunk;
+                if (mode === 'text') {
+                    onToken(chunk);
+                } else if (mode === null && text.trim()) {
+                    mode = offerTools && /^(\{|```)/.test(text.trim()) ? 'tool' : 'text';
+                    if (mode === 'text') onToken(text.trimStart());
+                }
+            }
+            if (data.done) {
+                tokens = data.eval_count || 0;
+            }
+        });
+
+        const result = { message: text.trim(), model: this.getModel(request.modelType), tokens, cancelled, toolCalls: [] };
+        if (cancelled || mode !== 'tool') {
+            return result;
+        }
+
+        const call = this.parseToolCall(text);
+        if (call) {
+            return { ...result, message: '', toolCalls: [call] };
+        }
+
+        // Looked like JSON but wasn't a tool call - it's the answer
+        onToken(result.message);
+        return result;
+    }
+
+    async listModels() {
+        const response = await fetch(`${this.baseUrl}/api/tags`, {
+            signal: AbortSignal.timeout(5000)
+        });
+        if (!response.ok) {
+            throw new Error(`Ollama API error: ${response.status}`);
+        }
+        const data = await response.json();
+        return (data.models || []).map(model => model.name);
+    }
+
+    /**
+     * `capability: 'vision'` also requires a vision model to be pulled.
+     */
+    async healthCheck(capability) {
+        try {
+            const models = await this.listModels();
+            return capability === 'vision' ? models.some(name => VISION_MODEL_PATTERN.test(name)) : true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = { OllamaProvider };
@@ -0,0 +1,167 @@
+// backend/services/providers/openai.js
+// OpenAI chat completions: chat, streaming, vision and native tool calls.
+const { postJson, readStream } = require('./http');
+
+class OpenAIProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.baseUrl = options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+        this.timeout = options.timeout || parseInt(process.env.AI_TIMEOUT) || 60000;
+        this.models = {
+            default: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            vision: process.env.OPENAI_VISION_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            ...options.models
+        };
+        this.capabilities = { chat: true, stream: true, vision: true, tools: true };
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    getModel(modelType) {
+        return this.models[modelType] || this.models.default;
+    }
+
+    get headers() {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.apiKey}`
+        };
+    }
+
+    /**
+     * Convert provider-neutral messages to the chat completions format.
+     */
+    toApiMessages(messages) {
+        return messages.map(message => {
+            if (message.role === 'tool') {
+                return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+            }
+            if (message.toolCalls?.length) {
+                return {
+                    role: 'assistant',
+                    content: message.content || null,
+                    tool_calls: message.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: {
+                            name: call.name,
+                            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+                        }
+                    }))
+                };
+            }
+            if (message.images?.length) {
+                return {
+                    role: message.role,
+                    content: [
+                        { type: 'text', text: message.content },
+                        ...message.images.map(image => ({
+                            type: 'image_url',
+                            image_url: { url: `data:image/jpeg;base64,${image}` }
+                        }))
+                    ]
+                };
+            }
+            return { role: message.role, content: message.content };
+        });
+    }
+
+    buildBody(request, stream) {
+        return {
+            model: this.getModel(request.modelType),
+            messages: this.toApiMessages(request.messages),
+            temperature: request.temperature,
+            max_tokens: request.maxTokens,
+            ...(stream && { stream: true, stream_options: { include_usage: true } }),
+            ...(request.tools?.length && {
+                tools: request.tools.map(({ name, description, parameters }) => ({
+                    type: 'function',
+                    function: { name, description, parameters }
+                }))
+            })
+        };
+    }
+
+    async chat(request, { signal } = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('OpenAI API key not configured');
+        }
+
+        const data = await postJson(`${this.baseUrl}/chat/completions`, {
+            headers: this.headers,
+            body: this.buildBody(request, false),
+            signal,
+            timeout: this.timeout,
+            label: 'OpenAI'
+        });
+
+        const reply = data.choices[0].message;
+        return {
+            message: reply.content || '',
+            model: data.model || this.getModel(request.modelType),
+            tokens: data.usage?.total_tokens || 0,
+            toolCalls: (reply.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: call.function.arguments
+            }))
+        };
+    }
+
+    async stream(request, { onToken = () => {}, signal } = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('OpenAI API key not configured');
+        }
+
+        const calls = [];
+        let message = '';
+        let tokens = 0;
+
+        const cancelled = await readStream(`${this.baseUrl}/chat/completions`, {
+            headers: this.headers,
+            body: this.buildBody(request, true),
+            signal,
+            timeout: this.timeout,
+            label: 'OpenAI'
+        }, (line) => {
+            // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+            if (!line.startsWith('data:')) return;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return;
+
+            const data = JSON.parse(payload);
+            const delta = data.choices?.[0]?.delta;
+            if (delta?.content) {
+                message += delta.content;
+                onToken(delta.content);
+            }
+            // Tool calls arrive in fragments keyed by index
+            (delta?.tool_calls || []).forEach(call => {
+                const entry = calls[call.index] || (calls[call.index] = { id: '', name: '', arguments: '' });
+                if (call.id) entry.id = call.id;
+                if (call.function?.name) entry.name += call.function.name;
+                if (call.function?.arguments) entry.arguments += call.function.arguments;
+            });
+            if (data.usage) {
+                tokens = data.usage.total_tokens;
+            }
+        });
+
+        return {
+            message,
+            model: this.getModel(request.modelType),
+            tokens,
+            cancelled,
+            toolCalls: cancelled ? [] : calls.filter(Boolean)
+        };
+    }
+
+    async healthCheck() {
+        return this.isConfigured();
+    }
+}
+
+module.exports = { OpenAIProvider };
@@ -0,0 +1,142 @@
+// backend/services/providers/stub.js
+// Deterministic offline provider. Replies come from JSON fixtures so the
+// itinerary, translation and photo flows can run without a model server.
+//
+// Fixture files (AI_STUB_FIXTURES, default backend/fixtures/ai/*.json):
+//   {
+//     "modelTypes": ["translation"],
+//     "responses": [
+//       { "match": "Text to translate: \"(.*)\"", "message": "[stub] $1" },
+//       { "json": { ... } }
+//     ]
+//   }
+// The first response whose `match` regex finds the last user message wins;
+// one without `match` is the default. `$1`... insert capture groups.
+//
+// A JSON response can size an array from the request:
+//   "repeat": { "field": "days", "count": "$1", "number": "dayNumber" }
+// cycles through the fixture's `days` until there are `count` of them and
+// numbers them from 1 in `dayNumber`.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'ai');
+
+class StubProvider {
+    constructor(options = {}) {
+        this.name = 'stub';
+        this.fixturesDir = options.fixturesDir || process.env.AI_STUB_FIXTURES || DEFAULT_FIXTURES_DIR;
+        this.delay = options.delay ?? (parseInt(process.env.AI_STUB_DELAY) || 0);
+        this.fixtures = null;
+        this.capabilities = { chat: true, stream: true, vision: true, tools: false };
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    loadFixtures() {
+        if (this.fixtures) return this.fixtures;
+
+        const files = fs.existsSync(this.fixturesDir)
+            ? fs.readdirSync(this.fixturesDir).filter(file => file.endsWith('.json')).sort()
+            : [];
+
+        this.fixtures = files.map(file => {
+            const fixture = JSON.parse(fs.readFileSync(path.join(this.fixturesDir, file), 'utf8'));
+            return {
+                file,
+                modelTypes: fixture.modelTypes || ['*'],
+                responses: (fixture.responses || []).map(response => ({
+                    ...response,
+                    pattern: response.match ? new RegExp(response.match, 'i') : null
+                }))
+            };
+        });
+
+        return this.fixtures;
+    }
+
+    /**
+     * Pick the reply for a request: fixtures for the exact model type are
+     * tried before wildcard ones.
+     */
+    resolve(request) {
+        const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+        const input = lastUser?.content || '';
+        const fixtures = this.loadFixtures();
+        const candidates = [
+            ...fixtures.filter(fixture => fixture.modelTypes.includes(request.modelType)),
+            ...fixtures.filter(fixture => fixture.modelTypes.includes('*'))
+        ];
+
+        for (const fixture of candidates) {
+            for (const response of fixture.responses) {
+                const match = response.pattern ? input.match(response.pattern) : [input];
+                if (!match) continue;
+
+                // Captures inserted into JSON fixtures have to stay valid JSON
+                const fill = (template, isJson) => template.replace(/\$(\d)/g, (_, index) => {
+                    const value = match[index] || '';
+                    return isJson ? JSON.stringify(value).slice(1, -1) : value;
+                });
+
+                if (response.json === undefined) {
+                    return fill(response.message, false);
+                }
+                const json = JSON.parse(fill(JSON.stringify(response.json), true));
+                if (response.repeat) {
+                    this.repeat(json, response.repeat, parseInt(fill(String(response.repeat.count), false), 10));
+                }
+                return JSON.stringify(json, null, 2);
+            }
+        }
+
+        return `Stub reply (${request.modelType}): ${input.substring(0, 80)}`;
+    }
+
+    repeat(json, { field, number }, count) {
+        const templates = json[field];
+        if (!Array.isArray(templates) || templates.length === 0 || !(count > 0)) return;
+
+        json[field] = Array.from({ length: count }, (_, index) => ({
+            ...structuredClone(templates[index % templates.length]),
+            ...(number && { [number]: index + 1 })
+        }));
+    }
+
+    async chat(request) {
+        const message = this.resolve(request);
+        return {
+            message,
+            model: `stub-${request.modelType}`,
+            tokens: Math.ceil(message.length / 4),
+            toolCalls: []
+        };
+    }
+
+    async stream(request, { onToken = () => {}, signal } = {}) {
+        const reply = await this.chat(request);
+        const chunks = reply.message.match(/\S+\s*|\s+/g) || [];
+        let message = '';
+
+        for (const chunk of chunks) {
+            if (signal?.aborted) {
+                return { ...reply, message, cancelled: true };
+            }
+            if (this.delay) {
+                await new Promise(resolve => setTimeout(resolve, this.delay));
+            }
+            message += chunk;
+            onToken(chunk);
+        }
+
+        return { ...reply, cancelled: false };
+    }
+
+    async healthCheck() {
+        return true;
+    }
+}
+
+module.exports = { StubProvider };
@@ -0,0 +1,104 @@
+// backend/services/rates/file.js
+// Offline rates from a local CSV or JSON file (EXCHANGE_RATE_FILE).
+//
+// CSV, one rate per line ('#' starts a comment):
+//   date,base,quote,rate
+//   2026-01-02,USD,EUR,0.9112
+//
+// JSON, either the same rows as objects or rates per date for one base:
+//   { "base": "USD", "rates": { "2026-01-02": { "EUR": 0.9112 } } }
+//
+// Pairs the file doesn't list directly are derived through the inverse or a
+// shared currency, so a file with USD-based rates also converts EUR to GBP.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'fixtures', 'rates', 'sample-rates.csv');
+
+class FileRateSource {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.file = options.file || process.env.EXCHANGE_RATE_FILE || DEFAULT_FILE;
+        this.rows = null;
+    }
+
+    loadRows() {
+        if (this.rows) return this.rows;
+
+        const content = fs.readFileSync(this.file, 'utf8');
+        const rows = this.file.toLowerCase().endsWith('.json')
+            ? FileRateSource.parseJson(JSON.parse(content))
+            : FileRateSource.parseCsv(content);
+
+        this.rows = rows.filter(row =>
+            /^\d{4}-\d{2}-\d{2}$/.test(row.date) && /^[A-Z]{3}$/.test(row.base) &&
+            /^[A-Z]{3}$/.test(row.quote) && row.rate > 0
+        );
+        return this.rows;
+    }
+
+    static parseCsv(content) {
+        return content.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#') && !/^date\s*,/i.test(line))
+            .map(line => {
+                const [date, base, quote, rate] = line.split(',').map(value => value.trim());
+                return { date, base: base.toUpperCase(), quote: quote.toUpperCase(), rate: parseFloat(rate) };
+            });
+    }
+
+    static parseJson(data) {
+        if (Array.isArray(data)) {
+            return data.map(row => ({
+                date: row.date,
+                base: String(row.base || '').toUpperCase(),
+                quote: String(row.quote || '').toUpperCase(),
+                rate: parseFloat(row.rate)
+            }));
+        }
+
+        const base = String(data.base || '').toUpperCase();
+        return Object.entries(data.rates || {}).flatMap(([date, rates]) =>
+            Object.entries(rates).map(([quote, rate]) => ({ date, base, quote: quote.toUpperCase(), rate: parseFloat(rate) }))
+        );
+    }
+
+    async getRates(base, date) {
+        const rows = this.loadRows();
+        const day = rows
+            .map(row => row.date)
+            .filter(rowDate => rowDate <= date)
+            .sort()
+            .pop();
+        if (!day) return null;
+
+        // Walk the rate graph for that day outwards from `base`
+        const edges = new Map();
+        const addEdge = (from, to, rate) => {
+            if (!edges.has(from)) edges.set(from, []);
+            edges.get(from).push([to, rate]);
+        };
+        rows.filter(row => row.date === day).forEach(row => {
+            addEdge(row.base, row.quote, row.rate);
+            addEdge(row.quote, row.base, 1 / row.rate);
+        });
+        if (!edges.has(base)) return null;
+
+        const rates = {};
+        const queue = [[base, 1]];
+        const seen = new Set([base]);
+        while (queue.length > 0) {
+            const [currency, rate] = queue.shift();
+            for (const [next, edgeRate] of edges.get(currency) || []) {
+                if (seen.has(next)) continue;
+                seen.add(next);
+                rates[next] = rate * edgeRate;
+                queue.push([next, rate * edgeRate]);
+            }
+        }
+
+        return { base, date: day, rates };
+    }
+}
+
+module.exports = { FileRateSource };
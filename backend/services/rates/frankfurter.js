@@ -0,0 +1,31 @@
+// backend/services/rates/frankfurter.js
+// Daily reference rates (European Central Bank) from the Frankfurter API.
+// Free, no key, history back to 1999.
+
+const DEFAULT_BASE_URL = 'https://api.frankfurter.app';
+
+class FrankfurterRateSource {
+    constructor(options = {}) {
+        this.name = 'frankfurter';
+        this.baseUrl = (options.baseUrl || process.env.EXCHANGE_RATE_API_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+        this.timeout = options.timeout || 8000;
+    }
+
+    async getRates(base, date) {
+        const url = `${this.baseUrl}/${date}?from=${encodeURIComponent(base)}`;
+        const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+
+        // Unsupported currency or a date before the series starts
+        if (response.status === 404 || response.status === 422) return null;
+        if (!response.ok) {
+            throw new Error(`Frankfurter API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data?.rates) return null;
+
+        return { base: data.base, date: data.date, rates: data.rates };
+    }
+}
+
+module.exports = { FrankfurterRateSource };
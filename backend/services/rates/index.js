@@ -0,0 +1,26 @@
+// backend/services/rates/index.js
+// Exchange rate source registry.
+//
+// Every source implements:
+//   name
+//   getRates(base, date) -> { base, date, rates: { EUR: 0.92, ... } } | null
+//
+// `date` is YYYY-MM-DD; a source may answer with the closest earlier date it
+// has (weekends, holidays) and says so in the returned `date`.
+const { FileRateSource } = require('./file');
+const { FrankfurterRateSource } = require('./frankfurter');
+
+const RATE_SOURCES = {
+    file: FileRateSource,
+    frankfurter: FrankfurterRateSource
+};
+
+function createRateSource(name, options = {}) {
+    const Source = RATE_SOURCES[name];
+    if (!Source) {
+        throw new Error(`Unknown exchange rate source: ${name}`);
+    }
+    return new Source(options);
+}
+
+module.exports = { RATE_SOURCES, createRateSource };
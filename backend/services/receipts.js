@@ -0,0 +1,201 @@
+// backend/services/receipts.js
+// Reads a receipt photo with the vision providers and turns it into expense
+// fields (merchant, total, currency, date, category). Nothing is saved here -
+// the fields pre-fill the Add Expense form and the user confirms them. Each
+// field carries a confidence; weak ones are listed in `needsReview`.
+
+const { ItineraryService } = require('./itinerary');
+const { ExchangeRateService } = require('./exchangeRates');
+
+// Same values as the Add Expense category picker
+const RECEIPT_CATEGORIES = ['general', 'food', 'transport', 'accommodation', 'entertainment', 'shopping', 'other'];
+const RECEIPT_FIELDS = ['merchant', 'total', 'currency', 'date', 'category'];
+// Fields the model is less sure about than this are flagged for review
+const REVIEW_THRESHOLD = 0.7;
+const DEFAULT_CONFIDENCE = 0.5;
+
+// Symbols that name a single currency; "$" alone is a guess
+const CURRENCY_SYMBOLS = {
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₹': 'INR',
+    '₩': 'KRW',
+    '฿': 'THB',
+    '₺': 'TRY',
+    '₪': 'ILS',
+    '$': 'USD'
+};
+
+const RECEIPT_EXAMPLE = `{
+  "merchant": "Café Central",
+  "total": 23.80,
+  "currency": "EUR",
+  "date": "2025-06-03",
+  "category": "food",
+  "confidence": { "merchant": 0.95, "total": 0.9, "currency": 0.8, "date": 0.6, "category": 0.85 }
+}`;
+
+class ReceiptService {
+    constructor({ ai } = {}) {
+        this.ai = ai;
+    }
+
+    static getPrompt() {
+        return `This photo shows a receipt or bill. Read it and extract the expense.
+
+Respond with ONLY a JSON object, no markdown, matching this shape:
+${RECEIPT_EXAMPLE}
+
+Rules:
+- "merchant" is the shop, restaurant or company name as printed.
+- "total" is the final amount paid (after tax and tip) as a number without currency symbols.
+- "currency" is an ISO 4217 code. Infer it from symbols, the country or the language only if the receipt does not print it.
+- "date" is the purchase date as "YYYY-MM-DD".
+- "category" is one of: ${RECEIPT_CATEGORIES.join(', ')}. Hotels are "accommodation", taxis, fuel and tickets for travel are "transport".
+- "confidence" gives 0.0-1.0 per field: how sure you are the value is printed on the receipt and read correctly.
+- Use null for anything you cannot read. Never invent a total.`;
+    }
+
+    // "1.234,50", "1,234.50", "€ 23,80" -> number
+    static parseAmount(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) && value > 0 ? ExchangeRateService.roundMoney(value) : null;
+        }
+
+        let text = String(value ?? '').replace(/[^\d.,]/g, '');
+        if (!text) return null;
+
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+        if (lastComma !== -1 && lastDot !== -1) {
+            // Whichever separator comes last is the decimal one
+            text = lastComma > lastDot
+                ? text.replace(/\./g, '').replace(',', '.')
+                : text.replace(/,/g, '');
+        } else if (lastComma !== -1) {
+            text = /,\d{1,2}$/.test(text) ? text.replace(/,(?=\d{1,2}$)/, '.').replace(/,/g, '') : text.replace(/,/g, '');
+        }
+
+        const amount = Number(text);
+        return Number.isFinite(amount) && amount > 0 ? ExchangeRateService.roundMoney(amount) : null;
+    }
+
+    // ISO code or symbol -> { code, guessed }
+    static parseCurrency(value) {
+        const code = ExchangeRateService.normalizeCurrency(value);
+        if (code && ExchangeRateService.isSupported(code)) {
+            return { code, guessed: false };
+        }
+
+        const symbol = Object.keys(CURRENCY_SYMBOLS).find(key => String(value || '').includes(key));
+        return symbol ? { code: CURRENCY_SYMBOLS[symbol], guessed: symbol === '$' } : { code: null, guessed: false };
+    }
+
+    /**
+     * YYYY-MM-DD, or a day/month/year date where the order is unambiguous.
+     * `ambiguous` is set when day and month could be swapped.
+     */
+    static parseDate(value) {
+        const text = String(value || '').trim();
+        let year, month, day;
+        let ambiguous = false;
+
+        const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        const numeric = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/);
+        if (iso) {
+            [year, month, day] = iso.slice(1).map(Number);
+        } else if (numeric) {
+            const [first, second, rawYear] = numeric.slice(1).map(Number);
+            year = rawYear < 100 ? 2000 + rawYear : rawYear;
+            // Most receipts outside the US print the day first
+            [day, month] = second > 12 ? [second, first] : [first, second];
+            ambiguous = first <= 12 && second <= 12 && first !== second;
+        } else {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return { date: date.toISOString().slice(0, 10), ambiguous };
+    }
+
+    static parseConfidence(value) {
+        const confidence = Number(value);
+        return Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : DEFAULT_CONFIDENCE;
+    }
+
+    /**
+     * Model output -> expense fields. Confidence is lowered where the value
+     * had to be repaired or guessed, and is 0 for fields that are missing.
+     */
+    static normalize(raw, now = new Date()) {
+        const reported = raw?.confidence && typeof raw.confidence === 'object' ? raw.confidence : {};
+        const confidence = Object.fromEntries(RECEIPT_FIELDS.map(field => [field, this.parseConfidence(reported[field])]));
+        const cap = (field, max) => { confidence[field] = Math.min(confidence[field], max); };
+
+        const merchant = typeof raw?.merchant === 'string' && raw.merchant.trim()
+            ? raw.merchant.trim().slice(0, 255)
+            : null;
+
+        const total = this.parseAmount(raw?.total);
+
+        const currency = this.parseCurrency(raw?.currency);
+        if (currency.guessed) cap('currency', 0.5);
+
+        const parsedDate = this.parseDate(raw?.date);
+        if (parsedDate?.ambiguous) cap('date', 0.5);
+        // A receipt from more than a day in the future was misread
+        const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        if (parsedDate && parsedDate.date > tomorrow) cap('date', 0.3);
+
+        const category = RECEIPT_CATEGORIES.includes(raw?.category) ? raw.category : null;
+
+        const fields = {
+            merchant,
+            total,
+            currency: currency.code,
+            date: parsedDate ? parsedDate.date : null,
+            category
+        };
+        RECEIPT_FIELDS.forEach(field => {
+            if (fields[field] === null) confidence[field] = 0;
+        });
+
+        return {
+            ...fields,
+            confidence,
+            needsReview: RECEIPT_FIELDS.filter(field => confidence[field] < REVIEW_THRESHOLD)
+        };
+    }
+
+    /**
+     * Read a receipt image (file path or Buffer). Throws when no vision
+     * provider is available or the answer has no usable fields.
+     */
+    async extract(image) {
+        if (!this.ai) {
+            throw new Error('Receipt reading is not available');
+        }
+
+        const response = await this.ai.analyzeImage(image, ReceiptService.getPrompt(), {
+            temperature: 0.1,
+            maxTokens: 400
+        });
+        const parsed = ItineraryService.extractJson(response.message);
+        if (!parsed) {
+            throw new Error('Could not read the receipt');
+        }
+
+        const result = ReceiptService.normalize(parsed);
+        if (RECEIPT_FIELDS.every(field => result[field] === null)) {
+            throw new Error('Could not read the receipt');
+        }
+
+        return { ...result, method: `${response.provider}-vision` };
+    }
+}
+
+module.exports = { ReceiptService, RECEIPT_CATEGORIES, REVIEW_THRESHOLD };
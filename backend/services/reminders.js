@@ -0,0 +1,209 @@
+// backend/services/reminders.js
+// Trip reminders: validation, when a reminder is due, and how recurring
+// reminders move on. reminder_date is a wall-clock time in the trip's time
+// zone (the server's when the trip has none), the same reading the calendar
+// export uses; snoozed_until and last_notified_at are real instants.
+
+const Joi = require('joi');
+const { CalendarService } = require('./calendar');
+const { ItineraryService } = require('./itinerary');
+
+const REMINDER_TYPES = ['general', 'booking', 'activity', 'packing', 'important'];
+const RECURRENCES = ['none', 'daily', 'weekly', 'monthly'];
+const DEFAULT_SNOOZE_MINUTES = 60;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+const wallClockSchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}[T ]([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/);
+
+const reminderFields = {
+    title: Joi.string().trim().max(255),
+    reminderDate: wallClockSchema,
+    type: Joi.string().valid(...REMINDER_TYPES),
+    notes: Joi.string().trim().max(2000).allow('', null),
+    bookingId: Joi.number().integer().positive().allow(null),
+    recurrence: Joi.string().valid(...RECURRENCES),
+    recurrenceUntil: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null, '')
+};
+
+// Older clients send `datetime` instead of `reminderDate`
+const legacyDate = ['datetime', 'reminderDate', { ignoreUndefined: true }];
+
+const reminderSchema = Joi.object({
+    ...reminderFields,
+    title: reminderFields.title.required(),
+    reminderDate: reminderFields.reminderDate.required(),
+    type: reminderFields.type.default('general'),
+    notes: reminderFields.notes.default(null),
+    bookingId: reminderFields.bookingId.default(null),
+    recurrence: reminderFields.recurrence.default('none'),
+    recurrenceUntil: reminderFields.recurrenceUntil.default(null)
+}).rename(...legacyDate);
+
+// PATCH bodies: any subset of the fields, no defaults
+const reminderUpdateSchema = Joi.object(reminderFields).rename(...legacyDate).min(1);
+
+class ReminderService {
+    static get schema() {
+        return reminderSchema;
+    }
+
+    static get updateSchema() {
+        return reminderUpdateSchema;
+    }
+
+    /**
+     * Reminder fields as stored, from a body that passed one of the schemas:
+     * the date as wall-clock time and empty strings as null.
+     */
+    static normalize(input) {
+        const value = { ...input };
+        if (value.reminderDate) {
+            value.reminderDate = this.toWallClock(value.reminderDate);
+        }
+        if (value.notes === '') {
+            value.notes = null;
+        }
+        if (value.recurrenceUntil === '') {
+            value.recurrenceUntil = null;
+        }
+        return value;
+    }
+
+    // 'YYYY-MM-DD HH:MM:SS' for a DATETIME column, from a string or a Date read back from one
+    static toWallClock(value) {
+        if (value instanceof Date) {
+            return `${ItineraryService.formatLocalDate(value)} ${CalendarService.wallClockTime(value)}:00`;
+        }
+        const [date, time] = String(value).trim().split(/[T ]/);
+        return `${date} ${time.substring(0, 5)}:00`;
+    }
+
+    /**
+     * The instant a wall-clock reminder_date happens in `timeZone`.
+     */
+    static occurrenceInstant(value, timeZone) {
+        const [date, time] = this.toWallClock(value).split(' ');
+        if (CalendarService.isValidTimeZone(timeZone)) {
+            return CalendarService.toInstant(date, time, timeZone).date;
+        }
+
+        const [year, month, day] = date.split('-').map(Number);
+        const [hour, minute] = time.split(':').map(Number);
+        return new Date(year, month - 1, day, hour, minute);
+    }
+
+    // When the reminder should next notify: the snooze wins over the scheduled time
+    static dueAt(reminder, timeZone) {
+        if (reminder.snoozed_until) {
+            return new Date(reminder.snoozed_until);
+        }
+        return this.occurrenceInstant(reminder.reminder_date, timeZone);
+    }
+
+    static isDue(reminder, timeZone, now = new Date()) {
+        if (reminder.status !== 'active') return false;
+
+        const dueAt = this.dueAt(reminder, timeZone);
+        if (dueAt > now) return false;
+
+        // Already notified for this occurrence (or this snooze)
+        return !reminder.last_notified_at || new Date(reminder.last_notified_at) < dueAt;
+    }
+
+    // Wall clock one recurrence step after `value`
+    static step(value, recurrence) {
+        const [date, time] = this.toWallClock(value).split(' ');
+        const [year, month, day] = date.split('-').map(Number);
+
+        let next;
+        if (recurrence === 'daily') {
+            next = new Date(Date.UTC(year, month - 1, day + 1));
+        } else if (recurrence === 'weekly') {
+            next = new Date(Date.UTC(year, month - 1, day + 7));
+        } else {
+            // Clamp to the end of shorter months (Jan 31 -> Feb 28)
+            const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+            next = new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+        }
+
+        return `${next.toISOString().slice(0, 10)} ${time}`;
+    }
+
+    /**
+     * Next occurrence of a recurring reminder that is still in the future,
+     * or null when it doesn't recur or has run past recurrence_until.
+     */
+    static nextOccurrence(reminder, timeZone, now = new Date()) {
+        if (!reminder.recurrence || reminder.recurrence === 'none') return null;
+
+        const until = reminder.recurrence_until ? ItineraryService.normalizeDate(reminder.recurrence_until) : null;
+        let next = this.toWallClock(reminder.reminder_date);
+        do {
+            next = this.step(next, reminder.recurrence);
+            if (until && next.slice(0, 10) > until) return null;
+        } while (this.occurrenceInstant(next, timeZone) <= now);
+
+        return next;
+    }
+
+    static snoozeUntil(minutes, now = new Date()) {
+        const value = parseInt(minutes, 10);
+        const clamped = Number.isInteger(value) && value > 0
+            ? Math.min(value, MAX_SNOOZE_MINUTES)
+            : DEFAULT_SNOOZE_MINUTES;
+        return new Date(now.getTime() + clamped * 60 * 1000);
+    }
+
+    /**
+     * API shape. reminderDate stays a wall clock (YYYY-MM-DDTHH:MM) so it
+     * reads the same in every browser; dueAt is the real instant.
+     */
+    static toResponse(reminder, timeZone) {
+        const wallClock = this.toWallClock(reminder.reminder_date);
+        return {
+            id: reminder.id,
+            tripId: reminder.trip_id,
+            bookingId: reminder.booking_id || null,
+            bookingTitle: reminder.booking_title || null,
+            title: reminder.title,
+            type: reminder.type,
+            notes: reminder.notes,
+            reminderDate: wallClock.substring(0, 16).replace(' ', 'T'),
+            timezone: CalendarService.isValidTimeZone(timeZone) ? timeZone : null,
+            recurrence: reminder.recurrence,
+            recurrenceUntil: reminder.recurrence_until ? ItineraryService.normalizeDate(reminder.recurrence_until) : null,
+            status: reminder.status,
+            snoozedUntil: reminder.snoozed_until || null,
+            lastNotifiedAt: reminder.last_notified_at || null,
+            completedAt: reminder.completed_at || null,
+            dueAt: reminder.status === 'active' ? this.dueAt(reminder, timeZone) : null,
+            createdBy: reminder.created_by_name || null
+        };
+    }
+
+    /**
+     * Notification for a due reminder.
+     */
+    static toNotification(reminder) {
+        const details = [reminder.notes, reminder.booking_title && `Booking: ${reminder.booking_title}`]
+            .filter(Boolean)
+            .join(' • ');
+
+        return {
+            tripId: reminder.trip_id,
+            bookingId: reminder.booking_id || null,
+            reminderId: reminder.id,
+            type: 'trip_reminder',
+            title: `🔔 ${reminder.title}`,
+            message: details || `Reminder for your trip ${reminder.trip_title || ''}`.trim(),
+            priority: reminder.type === 'important' ? 'high' : 'medium',
+            metadata: {
+                reminderType: reminder.type,
+                reminderDate: this.toWallClock(reminder.reminder_date),
+                recurrence: reminder.recurrence
+            }
+        };
+    }
+}
+
+module.exports = { ReminderService, REMINDER_TYPES, RECURRENCES };
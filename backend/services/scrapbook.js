@@ -0,0 +1,497 @@
+// backend/services/scrapbook.js
+// Trip scrapbook: the AI travel story, the user's memories with photos and
+// ratings, a day-by-day timeline (bookings and memories) and a route map
+// drawn from memory locations. Rendered on the server, either as a single
+// self-contained HTML file (photos inlined as data URIs, map as inline SVG)
+// or as a printable PDF.
+
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { MemoryService } = require('./memory');
+const { ItineraryService } = require('./itinerary');
+const { escapeHtml } = require('./html');
+
+const MAX_PHOTOS_PER_MEMORY = 4;
+// Keeps the export a sensible size; bigger photos are left out
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const IMAGE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+// PDFKit can only place JPEG and PNG images
+const PDF_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+const BOOKING_LABELS = {
+    flight: 'Flight',
+    hotel: 'Hotel',
+    transport: 'Transport',
+    activity: 'Activity',
+    other: 'Booking'
+};
+
+const ROUTE_MAP_SIZE = { width: 640, height: 360, padding: 36 };
+
+class ScrapbookService {
+    constructor(database, storage) {
+        this.database = database;
+        this.storage = storage;
+    }
+
+    // DATE columns arrive as local-midnight Date objects
+    static toDateString(value) {
+        if (!value) return null;
+        if (value instanceof Date) {
+            return Number.isNaN(value.getTime()) ? null : ItineraryService.formatLocalDate(value);
+        }
+        const match = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+        return match ? match[0] : null;
+    }
+
+    static formatDate(date, options = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+    }
+
+    /**
+     * Group bookings and memories by day, in date order. Days are numbered
+     * from the trip start; undated memories end up in a final group with
+     * date null.
+     */
+    static timeline(trip, memories, bookings) {
+        const days = new Map();
+        const startDate = this.toDateString(trip.start_date);
+        const dayFor = (date) => {
+            if (!days.has(date)) {
+                const dayNumber = date && startDate
+                    ? Math.round((Date.parse(date) - Date.parse(startDate)) / (24 * 60 * 60 * 1000)) + 1
+                    : null;
+                days.set(date, { date, dayNumber, bookings: [], memories: [] });
+            }
+            return days.get(date);
+        };
+
+        bookings.forEach(booking => {
+            const date = this.toDateString(booking.booking_date);
+            if (date) {
+                dayFor(date).bookings.push(booking);
+            }
+        });
+        memories.forEach(memory => {
+            dayFor(this.toDateString(memory.memory_date)).memories.push(memory);
+        });
+
+        return [...days.values()].sort((a, b) => {
+            if (a.date === b.date) return 0;
+            if (!a.date) return 1;
+            if (!b.date) return -1;
+            return a.date < b.date ? -1 : 1;
+        });
+    }
+
+    // Memory locations in timeline order, without consecutive repeats
+    static routePoints(days) {
+        const points = [];
+        days.forEach(day => day.memories.forEach(memory => {
+            const lat = Number(memory.location?.lat);
+            const lng = Number(memory.location?.lng);
+            if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+
+            const last = points[points.length - 1];
+            if (last && last.lat === lat && last.lng === lng) return;
+            points.push({ lat, lng, label: memory.location?.name || memory.title });
+        }));
+        return points;
+    }
+
+    /**
+     * Fit lat/lng points into a width x height box (equirectangular, with
+     * longitude scaled by the cosine of the mean latitude). Returns x/y per
+     * point; a single point sits in the middle.
+     */
+    static projectRoute(points, { width, height, padding } = ROUTE_MAP_SIZE) {
+        if (points.length === 0) return [];
+
+        const meanLat = points.reduce((sum, point) => sum + point.lat, 0) / points.length;
+        const scaleX = Math.cos(meanLat * Math.PI / 180) || 1;
+        const xs = points.map(point => point.lng * scaleX);
+        const ys = points.map(point => -point.lat);
+
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const spanX = Math.max(...xs) - minX;
+        const spanY = Math.max(...ys) - minY;
+        const scale = Math.min(
+            spanX ? (width - 2 * padding) / spanX : Infinity,
+            spanY ? (height - 2 * padding) / spanY : Infinity
+        );
+        const usable = Number.isFinite(scale) ? scale : 0;
+        const offsetX = (width - spanX * usable) / 2;
+        const offsetY = (height - spanY * usable) / 2;
+
+        return points.map((point, index) => ({
+            ...point,
+            x: Math.round((offsetX + (xs[index] - minX) * usable) * 10) / 10,
+            y: Math.round((offsetY + (ys[index] - minY) * usable) * 10) / 10
+        }));
+    }
+
+    static routeSvg(points) {
+        const { width, height } = ROUTE_MAP_SIZE;
+        const projected = this.projectRoute(points);
+        const line = projected.map(point => `${point.x},${point.y}`).join(' ');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="route-map" role="img" aria-label="Route map">
+  <rect width="${width}" height="${height}" rx="12" fill="#eef4fb"/>
+  ${projected.length > 1 ? `<polyline points="${line}" fill="none" stroke="#2563eb" stroke-width="3" stroke-dasharray="8 6" stroke-linejoin="round"/>` : ''}
+  ${projected.map((point, index) => `<g>
+    <circle cx="${point.x}" cy="${point.y}" r="11" fill="${index === 0 ? '#16a34a' : '#2563eb'}" stroke="#fff" stroke-width="2"/>
+    <text x="${point.x}" y="${point.y + 4}" font-size="11" font-family="sans-serif" fill="#fff" text-anchor="middle">${index + 1}</text>
+  </g>`).join('\n  ')}
+</svg>`;
+    }
+
+    async loadPhoto(photo) {
+        const mime = IMAGE_TYPES[path.extname(photo?.filename || '').toLowerCase()];
+        if (!mime) return null;
+
+        if (photo.size > MAX_PHOTO_BYTES) return null;
+        try {
+            const data = await this.storage.read(photo.filename);
+            if (!data || data.length > MAX_PHOTO_BYTES) return null;
+            return { mime, data, caption: photo.originalName || null };
+        } catch (error) {
+            console.warn(`Scrapbook photo ${photo.filename} unavailable:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Collect everything for a trip's scrapbook. The story is optional: the
+     * export still works when no AI provider is reachable.
+     */
+    async build(trip, userId, { includeStory = true } = {}) {
+        const [memories, bookings] = await Promise.all([
+            MemoryService.getUserMemories(userId, { tripId: trip.id }),
+            this.database.getTripBookings(trip.id, userId)
+        ]);
+
+        for (const memory of memories) {
+            const photos = await Promise.all(
+                (memory.photos || []).slice(0, MAX_PHOTOS_PER_MEMORY).map(photo => this.loadPhoto(photo))
+            );
+            memory.images = photos.filter(Boolean);
+        }
+
+        let story = null;
+        if (includeStory && memories.length > 0) {
+            try {
+                story = (await MemoryService.generateTravelStory(userId, trip.id)).story;
+            } catch (error) {
+                console.warn('Scrapbook story unavailable:', error.message);
+            }
+        }
+
+        const days = ScrapbookService.timeline(trip, memories, bookings);
+
+        return {
+            trip: {
+                id: trip.id,
+                title: trip.title,
+                destination: trip.destination,
+                startDate: ScrapbookService.toDateString(trip.start_date),
+                endDate: ScrapbookService.toDateString(trip.end_date)
+            },
+            story,
+            days,
+            route: ScrapbookService.routePoints(days),
+            memoryCount: memories.length,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    static dayHeading(day) {
+        if (!day.date) return 'Other memories';
+        const date = this.formatDate(day.date);
+        return day.dayNumber && day.dayNumber > 0 ? `Day ${day.dayNumber} · ${date}` : date;
+    }
+
+    static bookingLine(booking) {
+        const time = booking.booking_time ? String(booking.booking_time).slice(0, 5) : null;
+        return [BOOKING_LABELS[booking.booking_type] || 'Booking', time, booking.title, booking.location]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    static dateRange(trip) {
+        if (!trip.startDate) return '';
+        const options = { month: 'long', day: 'numeric', year: 'numeric' };
+        return trip.endDate && trip.endDate !== trip.startDate
+            ? `${this.formatDate(trip.startDate, options)} – ${this.formatDate(trip.endDate, options)}`
+            : this.formatDate(trip.startDate, options);
+    }
+
+    // ===================================
+    // HTML
+    // ===================================
+
+    renderHtml(scrapbook) {
+        const esc = escapeHtml;
+        const { trip, story, days, route } = scrapbook;
+
+        const stars = (rating) => rating
+            ? `<span class="rating" title="${rating} of 5">${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}</span>`
+            : '';
+
+        const memoryHtml = (memory) => `
+      <article class="memory">
+        <h4>${esc(memory.title)} ${stars(memory.rating)}</h4>
+        ${memory.location?.name ? `<p class="place">${esc(memory.location.name)}</p>` : ''}
+        ${memory.description ? `<p>${esc(memory.description)}</p>` : ''}
+        ${memory.notes ? `<p class="notes">${esc(memory.notes)}</p>` : ''}
+        ${memory.images.length ? `<div class="photos">${memory.images.map(image => `
+          <figure><img src="data:${image.mime};base64,${image.data.toString('base64')}" alt="${esc(image.caption || memory.title)}"></figure>`).join('')}
+        </div>` : ''}
+        ${memory.tags?.length ? `<p class="tags">${memory.tags.map(tag => `#${esc(tag)}`).join(' ')}</p>` : ''}
+      </article>`;
+
+        const dayHtml = (day) => `
+    <section class="day">
+      <h3>${esc(ScrapbookService.dayHeading(day))}</h3>
+      ${day.bookings.length ? `<ul class="bookings">${day.bookings.map(booking => `<li>${esc(ScrapbookService.bookingLine(booking))}</li>`).join('')}</ul>` : ''}
+      ${day.memories.map(memoryHtml).join('')}
+    </section>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(trip.title)} – Scrapbook</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; color: #1f2937; background: #faf7f2; margin: 0; }
+  main { max-width: 820px; margin: 0 auto; padding: 48px 24px; }
+  header { text-align: center; margin-bottom: 40px; }
+  header h1 { font-size: 2.6em; margin: 0 0 8px; }
+  header p { color: #6b7280; margin: 4px 0; }
+  h2 { border-bottom: 2px solid #e5e7eb; padding-bottom: 6px; margin-top: 48px; }
+  .story p { line-height: 1.7; }
+  .route-map { width: 100%; height: auto; }
+  .route ol { columns: 2; color: #4b5563; font-size: 0.9em; }
+  .day { margin-top: 32px; break-inside: avoid-page; }
+  .day h3 { font-family: system-ui, sans-serif; color: #2563eb; margin-bottom: 8px; }
+  .bookings { font-family: system-ui, sans-serif; font-size: 0.9em; color: #4b5563; padding-left: 20px; }
+  .memory { background: #fff; border-radius: 10px; padding: 16px 20px; margin: 12px 0; box-shadow: 0 1px 3px rgba(0,0,0,0.08); break-inside: avoid; }
+  .memory h4 { margin: 0 0 6px; font-size: 1.2em; }
+  .rating { color: #f59e0b; font-size: 0.85em; margin-left: 6px; }
+  .place, .tags { font-family: system-ui, sans-serif; font-size: 0.85em; color: #6b7280; }
+  .notes { font-style: italic; color: #4b5563; }
+  .photos { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 8px; margin-top: 10px; }
+  .photos figure { margin: 0; }
+  .photos img { width: 100%; height: 180px; object-fit: cover; border-radius: 6px; }
+  footer { text-align: center; color: #9ca3af; font-size: 0.8em; margin-top: 48px; }
+  @media print {
+    body { background: #fff; }
+    main { padding: 0; }
+    .memory { box-shadow: none; border: 1px solid #e5e7eb; }
+  }
+</style>
+</head>
+<body>
+<main>
+  <header>
+    <h1>${esc(trip.title)}</h1>
+    <p>${esc(trip.destination)}</p>
+    ${trip.startDate ? `<p>${esc(ScrapbookService.dateRange(trip))}</p>` : ''}
+  </header>
+  ${story ? `
+  <section class="story">
+    <h2>Our Story</h2>
+    ${story.split(/\n\s*\n/).map(paragraph => `<p>${esc(paragraph.trim())}</p>`).join('\n    ')}
+  </section>` : ''}
+  ${route.length ? `
+  <section class="route">
+    <h2>The Route</h2>
+    ${ScrapbookService.routeSvg(route)}
+    <ol>${route.map(point => `<li>${esc(point.label)}</li>`).join('')}</ol>
+  </section>` : ''}
+  <h2>Day by Day</h2>
+  ${days.length ? days.map(dayHtml).join('') : '<p>No memories or bookings for this trip yet.</p>'}
+  <footer>Made with TravelMind.ai · ${esc(new Date(scrapbook.generatedAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }))}</footer>
+</main>
+</body>
+</html>
+`;
+    }
+
+    // ===================================
+    // PDF
+    // ===================================
+
+    static drawStar(doc, x, y, radius, filled) {
+        const points = [];
+        for (let i = 0; i < 10; i++) {
+            const r = i % 2 === 0 ? radius : radius * 0.45;
+            const angle = Math.PI / 2 + i * Math.PI / 5;
+            points.push([x + r * Math.cos(angle), y - r * Math.sin(angle)]);
+        }
+        doc.save().polygon(...points);
+        if (filled) {
+            doc.fill('#f59e0b');
+        } else {
+            doc.lineWidth(0.7).stroke('#f59e0b');
+        }
+        doc.restore();
+    }
+
+    /**
+     * Render a printable A4 PDF. Uses the built-in Helvetica and Times
+     * fonts, so text outside Latin-1 may not display. Resolves to a Buffer.
+     */
+    renderPdf(scrapbook) {
+        const { trip, story, days, route } = scrapbook;
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 56,
+            info: { Title: `${trip.title} – Scrapbook`, Creator: 'TravelMind.ai' }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        const done = new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+
+        const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const bottom = () => doc.page.height - doc.page.margins.bottom;
+        const ensureSpace = (height) => {
+            if (doc.y + height > bottom()) doc.addPage();
+        };
+        const heading = (text) => {
+            ensureSpace(60);
+            doc.moveDown(1).font('Helvetica-Bold').fontSize(18).fillColor('#111827').text(text);
+            doc.moveDown(0.5);
+        };
+
+        // Title page
+        doc.moveDown(8);
+        doc.font('Times-Bold').fontSize(34).fillColor('#111827').text(trip.title, { align: 'center' });
+        doc.moveDown(0.5);
+        doc.font('Helvetica').fontSize(14).fillColor('#6b7280').text(trip.destination || '', { align: 'center' });
+        if (trip.startDate) {
+            doc.text(ScrapbookService.dateRange(trip), { align: 'center' });
+        }
+        doc.moveDown(1).fontSize(11).text(`${scrapbook.memoryCount} memories`, { align: 'center' });
+
+        if (story) {
+            doc.addPage();
+            heading('Our Story');
+            doc.font('Times-Roman').fontSize(12).fillColor('#1f2937');
+            story.split(/\n\s*\n/).forEach(paragraph => {
+                doc.text(paragraph.trim(), { align: 'justify', lineGap: 3 });
+                doc.moveDown(0.8);
+            });
+        }
+
+        if (route.length) {
+            doc.addPage();
+            heading('The Route');
+            const scale = contentWidth / ROUTE_MAP_SIZE.width;
+            const mapHeight = ROUTE_MAP_SIZE.height * scale;
+            const originX = doc.page.margins.left;
+            const originY = doc.y;
+            const projected = ScrapbookService.projectRoute(route).map(point => ({
+                ...point,
+                x: originX + point.x * scale,
+                y: originY + point.y * scale
+            }));
+
+            doc.save().roundedRect(originX, originY, contentWidth, mapHeight, 10).fill('#eef4fb').restore();
+            if (projected.length > 1) {
+                doc.save().moveTo(projected[0].x, projected[0].y);
+                projected.slice(1).forEach(point => doc.lineTo(point.x, point.y));
+                doc.lineWidth(2).dash(6, { space: 4 }).stroke('#2563eb').undash().restore();
+            }
+            projected.forEach((point, index) => {
+                doc.save().circle(point.x, point.y, 9).fillAndStroke(index === 0 ? '#16a34a' : '#2563eb', '#ffffff').restore();
+                doc.font('Helvetica-Bold').fontSize(8).fillColor('#ffffff')
+                    .text(String(index + 1), point.x - 9, point.y - 3.5, { width: 18, align: 'center', lineBreak: false });
+            });
+
+            doc.x = originX;
+            doc.y = originY + mapHeight + 16;
+            doc.font('Helvetica').fontSize(10).fillColor('#4b5563');
+            route.forEach((point, index) => doc.text(`${index + 1}. ${point.label}`));
+        }
+
+        doc.addPage();
+        heading('Day by Day');
+        if (days.length === 0) {
+            doc.font('Helvetica').fontSize(11).fillColor('#6b7280').text('No memories or bookings for this trip yet.');
+        }
+
+        days.forEach(day => {
+            ensureSpace(80);
+            doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#2563eb').text(ScrapbookService.dayHeading(day));
+            doc.moveDown(0.3);
+            day.bookings.forEach(booking => {
+                doc.font('Helvetica').fontSize(9.5).fillColor('#4b5563').text(`•  ${ScrapbookService.bookingLine(booking)}`);
+            });
+
+            day.memories.forEach(memory => {
+                ensureSpace(60);
+                doc.moveDown(0.6).font('Times-Bold').fontSize(13).fillColor('#111827').text(memory.title, { continued: false });
+                if (memory.rating) {
+                    const y = doc.y + 5;
+                    for (let star = 0; star < 5; star++) {
+                        ScrapbookService.drawStar(doc, doc.page.margins.left + 5 + star * 13, y, 5, star < memory.rating);
+                    }
+                    doc.y = y + 9;
+                }
+                if (memory.location?.name) {
+                    doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(memory.location.name);
+                }
+                if (memory.description) {
+                    doc.moveDown(0.2).font('Times-Roman').fontSize(11).fillColor('#1f2937').text(memory.description, { lineGap: 2 });
+                }
+                if (memory.notes) {
+                    doc.moveDown(0.2).font('Times-Italic').fontSize(10.5).fillColor('#4b5563').text(memory.notes, { lineGap: 2 });
+                }
+
+                const images = memory.images.filter(image => PDF_IMAGE_TYPES.includes(image.mime));
+                if (images.length) {
+                    const gap = 8;
+                    const size = (contentWidth - gap * 2) / 3;
+                    for (let index = 0; index < images.length; index += 3) {
+                        ensureSpace(size + gap);
+                        const rowY = doc.y + gap;
+                        images.slice(index, index + 3).forEach((image, column) => {
+                            try {
+                                doc.image(image.data, doc.page.margins.left + column * (size + gap), rowY, {
+                                    fit: [size, size],
+                                    align: 'center',
+                                    valign: 'center'
+                                });
+                            } catch (error) {
+                                console.warn('Scrapbook PDF image skipped:', error.message);
+                            }
+                        });
+                        doc.x = doc.page.margins.left;
+                        doc.y = rowY + size;
+                    }
+                }
+                if (memory.tags?.length) {
+                    doc.moveDown(0.3).font('Helvetica').fontSize(9).fillColor('#6b7280')
+                        .text(memory.tags.map(tag => `#${tag}`).join('  '));
+                }
+            });
+        });
+
+        doc.end();
+        return done;
+    }
+}
+
+module.exports = { ScrapbookService };
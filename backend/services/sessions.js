@@ -0,0 +1,175 @@
+// backend/services/sessions.js
+// Login sessions. Signing in starts a session for the device and returns a
+// short-lived access token (JWT naming the session) plus an opaque refresh
+// token. Refreshing rotates the refresh token; only its hash is stored.
+// Presenting an already rotated token means it was copied, so the session is
+// revoked. Revoked sessions fail authentication immediately, whatever the
+// expiry of their access tokens.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+// Two tabs refreshing at the same moment both present the old token; the
+// loser shouldn't be mistaken for a replay
+const REUSE_GRACE_MS = 30 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BROWSERS = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\/|CriOS\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+];
+const PLATFORMS = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+];
+
+class SessionService {
+    constructor(database, {
+        secret = process.env.JWT_SECRET,
+        accessTokenTtl = process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL,
+        refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS
+    } = {}) {
+        this.db = database;
+        this.secret = secret;
+        this.accessTokenTtl = accessTokenTtl;
+        this.refreshTokenDays = refreshTokenDays;
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    // "Chrome on macOS" from a User-Agent header
+    static describeDevice(userAgent) {
+        const ua = String(userAgent || '');
+        const browser = BROWSERS.find(([pattern]) => pattern.test(ua))?.[1];
+        const platform = PLATFORMS.find(([pattern]) => pattern.test(ua))?.[1];
+
+        if (browser && platform) return `${browser} on ${platform}`;
+        return browser || platform || 'Unknown device';
+    }
+
+    // Request details stored with a session
+    static clientInfo(req) {
+        const userAgent = String(req.get('user-agent') || '').slice(0, 255);
+        return {
+            userAgent,
+            device: SessionService.describeDevice(userAgent),
+            ipAddress: String(req.ip || '').slice(0, 45)
+        };
+    }
+
+    refreshExpiry() {
+        return new Date(Date.now() + this.refreshTokenDays * DAY_MS);
+    }
+
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { id: user.id, email: user.email, name: user.name, emailVerified: !!user.email_verified_at, sid: sessionId },
+            this.secret,
+            { expiresIn: this.accessTokenTtl }
+        );
+    }
+
+    /**
+     * Sign a user in on a new device. Returns { token, refreshToken,
+     * sessionId }; `token` is the access token.
+     */
+    async start(user, client) {
+        const refreshToken = crypto.randomBytes(32).toString('hex');
+        const sessionId = await this.db.createSession(user.id, {
+            tokenHash: SessionService.hashToken(refreshToken),
+            device: client.device,
+            userAgent: client.userAgent,
+            ipAddress: client.ipAddress,
+            expiresAt: this.refreshExpiry()
+        });
+
+        return { token: this.signAccessToken(user, sessionId), refreshToken, sessionId };
+    }
+
+    /**
+     * Trade a refresh token for a new access and refresh token. Returns null
+     * when the token is unknown, expired or revoked; a replayed token also
+     * revokes its session.
+     */
+    async refresh(refreshToken, client) {
+        const tokenHash = SessionService.hashToken(refreshToken);
+        const session = await this.db.getSessionByTokenHash(tokenHash);
+        if (!session) return null;
+
+        if (session.refresh_token_hash !== tokenHash) {
+            const rotatedAt = new Date(session.last_used_at).getTime();
+            if (!(Date.now() - rotatedAt < REUSE_GRACE_MS)) {
+                console.warn(`Refresh token reuse on session ${session.id}; revoking it`);
+                await this.db.revokeSession(session.user_id, session.id);
+            }
+            return null;
+        }
+
+        const user = await this.db.getUserById(session.user_id);
+        if (!user) return null;
+
+        const nextToken = crypto.randomBytes(32).toString('hex');
+        const rotated = await this.db.rotateSessionToken(session.id, tokenHash, SessionService.hashToken(nextToken), {
+            expiresAt: this.refreshExpiry(),
+            ipAddress: client.ipAddress
+        });
+        if (!rotated) return null;
+
+        return {
+            token: this.signAccessToken(user, session.id),
+            refreshToken: nextToken,
+            sessionId: session.id,
+            userId: user.id
+        };
+    }
+
+    /**
+     * Verify an access token and that its session is still live. Returns
+     * the token payload, or null for a revoked session; jwt errors
+     * (expired, malformed) are thrown for the caller to report.
+     */
+    async authenticate(token) {
+        const decoded = jwt.verify(token, this.secret);
+        if (!decoded.sid || !await this.db.isSessionActive(decoded.sid, decoded.id)) {
+            return null;
+        }
+        return decoded;
+    }
+
+    async list(userId, currentSessionId = null) {
+        const sessions = await this.db.getUserSessions(userId);
+        return sessions.map(session => ({
+            id: session.id,
+            device: session.device,
+            userAgent: session.user_agent,
+            ipAddress: session.ip_address,
+            createdAt: session.created_at,
+            lastUsedAt: session.last_used_at,
+            expiresAt: session.expires_at,
+            current: session.id === currentSessionId
+        }));
+    }
+
+    // Sign out the session a refresh token belongs to; returns its id or null
+    async endByRefreshToken(refreshToken) {
+        const tokenHash = SessionService.hashToken(refreshToken);
+        const session = await this.db.getSessionByTokenHash(tokenHash);
+        if (!session || session.refresh_token_hash !== tokenHash) return null;
+
+        await this.db.revokeSession(session.user_id, session.id);
+        return session.id;
+    }
+}
+
+module.exports = { SessionService };
@@ -0,0 +1,67 @@
+// backend/services/sharing.js
+// Public, read-only view of a trip for share links. Everything is built from
+// an allow-list of fields, so anything new added to trips or bookings stays
+// private until it is deliberately exposed here.
+
+class ShareService {
+    /**
+     * Strip costs and private notes from an itinerary; the schedule itself
+     * (times, places, descriptions) is what the link is for.
+     */
+    static redactItinerary(itinerary) {
+        if (!itinerary) return null;
+
+        return {
+            destination: itinerary.destination,
+            summary: itinerary.summary,
+            tips: itinerary.tips || [],
+            days: (itinerary.days || []).map(day => ({
+                dayNumber: day.dayNumber,
+                date: day.date,
+                title: day.title,
+                summary: day.summary,
+                items: (day.items || []).map(item => ({
+                    id: item.id,
+                    startTime: item.startTime,
+                    endTime: item.endTime,
+                    title: item.title,
+                    description: item.description,
+                    category: item.category,
+                    place: item.place,
+                    status: item.status
+                }))
+            }))
+        };
+    }
+
+    // Confirmation numbers, costs, providers and free-form details never leave
+    static redactBooking(booking) {
+        return {
+            type: booking.booking_type,
+            title: booking.title,
+            status: booking.status,
+            date: booking.booking_date,
+            time: booking.booking_time,
+            location: booking.location,
+            flightNumber: booking.flight_number
+        };
+    }
+
+    static toPublicTrip({ trip, bookings }) {
+        return {
+            title: trip.title,
+            destination: trip.destination,
+            startDate: trip.start_date,
+            endDate: trip.end_date,
+            duration: trip.duration,
+            status: trip.status,
+            // First name only - the link may be forwarded beyond family
+            sharedBy: trip.owner_name ? trip.owner_name.split(' ')[0] : null,
+            expiresAt: trip.link_expires_at,
+            itinerary: ShareService.redactItinerary(trip.itinerary),
+            bookings: (bookings || []).map(ShareService.redactBooking)
+        };
+    }
+}
+
+module.exports = { ShareService };
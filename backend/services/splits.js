@@ -0,0 +1,247 @@
+// backend/services/splits.js
+// Shared expenses between travel companions: splitting an expense equally,
+// by shares or by exact amounts, per-trip balances in the trip currency and
+// the fewest payments that settle everyone up. A participant is a trip
+// member ("user:12") or a named guest without an account ("guest:3").
+
+const Joi = require('joi');
+const { ExchangeRateService } = require('./exchangeRates');
+
+const SPLIT_METHODS = ['equal', 'shares', 'exact'];
+
+const participantSchema = Joi.string().pattern(/^(user|guest):\d+$/);
+
+const splitSchema = Joi.object({
+    paidBy: participantSchema,
+    method: Joi.string().valid(...SPLIT_METHODS).required(),
+    participants: Joi.array().items(Joi.object({
+        participant: participantSchema.required(),
+        shares: Joi.number().positive(),
+        amount: Joi.number().min(0)
+    })).min(1).unique('participant').required()
+});
+
+const settlementSchema = Joi.object({
+    from: participantSchema.required(),
+    to: participantSchema.required().invalid(Joi.ref('from')),
+    amount: Joi.number().positive().precision(2).required(),
+    currency: Joi.string().length(3).uppercase(),
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    note: Joi.string().trim().max(255).allow('', null)
+});
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true, convert: true };
+
+const round = ExchangeRateService.roundMoney;
+const toCents = (amount) => Math.round(amount * 100);
+
+const validationErrors = (error) => error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }));
+
+class SplitService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    static get splitSchema() {
+        return splitSchema;
+    }
+
+    static get settlementSchema() {
+        return settlementSchema;
+    }
+
+    static parseParticipant(key) {
+        const [kind, id] = String(key || '').split(':');
+        const value = parseInt(id, 10);
+        if (!Number.isInteger(value)) return null;
+        if (kind === 'user') return { userId: value, guestId: null };
+        if (kind === 'guest') return { userId: null, guestId: value };
+        return null;
+    }
+
+    static participantKey(userId, guestId) {
+        if (userId) return `user:${userId}`;
+        if (guestId) return `guest:${guestId}`;
+        return null;
+    }
+
+    /**
+     * Validate a split for an expense of `amount` and work out each
+     * participant's part. Returns { value: { paidBy, method, parts }, errors }
+     * where parts are [{ participant, shares, amount }] summing to amount.
+     */
+    static validateSplit(input, amount) {
+        const body = typeof input === 'string' ? SplitService.parseJson(input) : input;
+        if (body === undefined) {
+            return { value: null, errors: [{ path: 'split', message: 'split must be valid JSON' }] };
+        }
+
+        const { value, error } = splitSchema.validate(body || {}, VALIDATION_OPTIONS);
+        if (error) {
+            return { value: null, errors: validationErrors(error) };
+        }
+
+        const total = parseFloat(amount);
+        if (!Number.isFinite(total) || total <= 0) {
+            return { value: null, errors: [{ path: 'amount', message: 'A split expense needs a positive amount' }] };
+        }
+
+        const missing = value.participants.findIndex(entry =>
+            (value.method === 'shares' && entry.shares === undefined) ||
+            (value.method === 'exact' && entry.amount === undefined)
+        );
+        if (missing !== -1) {
+            const field = value.method === 'shares' ? 'shares' : 'amount';
+            return { value: null, errors: [{ path: `participants.${missing}.${field}`, message: `"${field}" is required for a ${value.method} split` }] };
+        }
+
+        let parts;
+        if (value.method === 'exact') {
+            const sum = value.participants.reduce((acc, entry) => acc + toCents(entry.amount), 0);
+            if (sum !== toCents(total)) {
+                return {
+                    value: null,
+                    errors: [{ path: 'participants', message: `Exact amounts add up to ${(sum / 100).toFixed(2)}, not ${total.toFixed(2)}` }]
+                };
+            }
+            parts = value.participants.map(entry => ({ participant: entry.participant, shares: null, amount: round(entry.amount) }));
+        } else {
+            const weights = value.participants.map(entry => (value.method === 'shares' ? entry.shares : 1));
+            const amounts = SplitService.allocate(total, weights);
+            parts = value.participants.map((entry, index) => ({
+                participant: entry.participant,
+                shares: value.method === 'shares' ? entry.shares : null,
+                amount: amounts[index]
+            }));
+        }
+
+        return { value: { paidBy: value.paidBy || null, method: value.method, parts }, errors: null };
+    }
+
+    static parseJson(value) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Split `total` by `weights` in whole cents; leftover cents go to the
+     * largest remainders so the parts always add up exactly.
+     */
+    static allocate(total, weights) {
+        const cents = toCents(total);
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+        const exact = weights.map(weight => (cents * weight) / weightSum);
+        const parts = exact.map(Math.floor);
+
+        let leftover = cents - parts.reduce((sum, part) => sum + part, 0);
+        const order = exact
+            .map((value, index) => ({ index, remainder: value - parts[index] }))
+            .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+        for (let i = 0; leftover > 0; i = (i + 1) % order.length, leftover--) {
+            parts[order[i].index]++;
+        }
+
+        return parts.map(part => part / 100);
+    }
+
+    /**
+     * Fewest payments that bring every balance to zero: repeatedly let the
+     * biggest debtor pay the biggest creditor. Balances are { participant, net }
+     * where a positive net is owed money.
+     */
+    static settleUp(balances) {
+        const creditors = balances.filter(entry => toCents(entry.net) > 0)
+            .map(entry => ({ participant: entry.participant, cents: toCents(entry.net) }));
+        const debtors = balances.filter(entry => toCents(entry.net) < 0)
+            .map(entry => ({ participant: entry.participant, cents: -toCents(entry.net) }));
+
+        const transfers = [];
+        while (creditors.length && debtors.length) {
+            creditors.sort((a, b) => b.cents - a.cents);
+            debtors.sort((a, b) => b.cents - a.cents);
+
+            const creditor = creditors[0];
+            const debtor = debtors[0];
+            const cents = Math.min(creditor.cents, debtor.cents);
+            transfers.push({ from: debtor.participant, to: creditor.participant, amount: cents / 100 });
+
+            creditor.cents -= cents;
+            debtor.cents -= cents;
+            if (creditor.cents === 0) creditors.shift();
+            if (debtor.cents === 0) debtors.shift();
+        }
+        return transfers;
+    }
+
+    /**
+     * Running balances for a trip in its currency. Paying for a split expense
+     * or sending a settlement counts in your favour; your part of an expense
+     * or receiving a settlement counts against you.
+     */
+    async balances(trip) {
+        const currency = trip.currency || 'USD';
+        const [participants, expenses, settlements] = await Promise.all([
+            this.db.getTripParticipants(trip.id),
+            this.db.getTripSplitExpenses(trip.id),
+            this.db.getTripSettlements(trip.id)
+        ]);
+
+        const entries = new Map();
+        const entry = (key, name) => {
+            if (!entries.has(key)) {
+                entries.set(key, { participant: key, name: name || 'Former member', paid: 0, share: 0, sent: 0, received: 0 });
+            }
+            return entries.get(key);
+        };
+        participants.forEach(participant => entry(participant.participant, participant.name));
+
+        const unconverted = [];
+        for (const expense of expenses) {
+            const rate = await this.db.rates.getRate(expense.currency, currency, expense.date);
+            if (!rate) {
+                unconverted.push({ currency: expense.currency, amount: parseFloat(expense.amount) });
+                continue;
+            }
+
+            entry(expense.paidBy, expense.paidByName).paid += parseFloat(expense.amount) * rate.rate;
+            for (const split of expense.splits) {
+                entry(split.participant, split.name).share += parseFloat(split.amount) * rate.rate;
+            }
+        }
+
+        for (const settlement of settlements) {
+            const rate = await this.db.rates.getRate(settlement.currency, currency, settlement.date);
+            if (!rate) {
+                unconverted.push({ currency: settlement.currency, amount: settlement.amount });
+                continue;
+            }
+
+            entry(settlement.from, settlement.fromName).sent += settlement.amount * rate.rate;
+            entry(settlement.to, settlement.toName).received += settlement.amount * rate.rate;
+        }
+
+        const balances = [...entries.values()].map(item => ({
+            participant: item.participant,
+            name: item.name,
+            guest: item.participant.startsWith('guest:'),
+            paid: round(item.paid),
+            share: round(item.share),
+            sent: round(item.sent),
+            received: round(item.received),
+            net: round(item.paid - item.share + item.sent - item.received)
+        }));
+
+        return {
+            tripId: trip.id,
+            currency,
+            balances,
+            transfers: SplitService.settleUp(balances).map(transfer => ({ ...transfer, currency })),
+            unconverted: ExchangeRateService.totalsByCurrency(unconverted)
+        };
+    }
+}
+
+module.exports = { SplitService, SPLIT_METHODS };
@@ -0,0 +1,233 @@
+// backend/services/storage.js
+// Where uploaded files live. Records (memory photos, receipt photos) keep
+// only the storage key - the filename - and get a signed, expiring URL each
+// time they are sent to a client, so a file is reachable only by someone
+// who could load the record it belongs to.
+//
+// STORAGE_DRIVER=local keeps files under STORAGE_LOCAL_DIR and serves them
+// through GET /api/files/:key; STORAGE_DRIVER=s3 uses any S3-compatible
+// bucket (AWS, MinIO) and hands out presigned URLs.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const DEFAULT_URL_TTL = 60 * 60; // seconds
+const KEY_PATTERN = /^[\w.-]+$/;
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+class Storage {
+    constructor({ urlTtl = DEFAULT_URL_TTL } = {}) {
+        this.urlTtl = urlTtl;
+    }
+
+    static isValidKey(key) {
+        return typeof key === 'string' && KEY_PATTERN.test(key) && key !== '.' && key !== '..';
+    }
+
+    static contentType(key) {
+        return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+    }
+
+    /**
+     * Expiry rounded up to the next multiple of the TTL, so the URL of a
+     * file stays the same for a while and browsers can cache it.
+     */
+    expiresAt(now = Date.now()) {
+        const seconds = Math.floor(now / 1000) + this.urlTtl;
+        return Math.ceil(seconds / this.urlTtl) * this.urlTtl;
+    }
+
+    // Every stored file of a photo record: the original and its derivatives
+    static photoKeys(photo) {
+        return [photo.filename, ...Object.values(photo.derivatives || {}).map(derivative => derivative.filename)]
+            .filter(key => this.isValidKey(key));
+    }
+
+    /**
+     * Photo records as sent to clients: url (and each derivative's url)
+     * replaced by a signed one.
+     */
+    async signPhotos(photos) {
+        return Promise.all((photos || []).map(async photo => {
+            if (!Storage.isValidKey(photo.filename)) return photo;
+
+            const derivatives = {};
+            for (const [size, derivative] of Object.entries(photo.derivatives || {})) {
+                derivatives[size] = { ...derivative, url: await this.signedUrl(derivative.filename) };
+            }
+            return { ...photo, url: await this.signedUrl(photo.filename), derivatives };
+        }));
+    }
+
+    // Remove the files of photo records; missing files are ignored
+    async removePhotos(photos) {
+        const keys = (photos || []).flatMap(photo => Storage.photoKeys(photo));
+        await Promise.all(keys.map(key => this.remove(key).catch(error => {
+            console.warn(`Could not remove ${key} from storage:`, error.message);
+        })));
+    }
+}
+
+class LocalStorage extends Storage {
+    constructor({ root = path.resolve('uploads'), secret, urlPrefix = '/api/files', ...options } = {}) {
+        super(options);
+        if (!secret) {
+            throw new Error('Local storage needs a secret to sign file URLs');
+        }
+        this.driver = 'local';
+        this.root = root;
+        this.secret = secret;
+        this.urlPrefix = urlPrefix;
+    }
+
+    resolve(key) {
+        if (!Storage.isValidKey(key)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return path.join(this.root, key);
+    }
+
+    /**
+     * Move a local file into storage under `key`. Falls back to copying when
+     * the file is on another device (the upload temp dir usually is).
+     */
+    async putFile(key, filePath) {
+        const target = this.resolve(key);
+        await fs.promises.mkdir(this.root, { recursive: true });
+        try {
+            await fs.promises.rename(filePath, target);
+        } catch (error) {
+            if (error.code !== 'EXDEV') throw error;
+            await fs.promises.copyFile(filePath, target);
+            await fs.promises.unlink(filePath);
+        }
+    }
+
+    // File contents, or null if there is no such file
+    async read(key) {
+        try {
+            return await fs.promises.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    signature(key, expires) {
+        return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+    }
+
+    async signedUrl(key) {
+        const expires = this.expiresAt();
+        return `${this.urlPrefix}/${encodeURIComponent(key)}?expires=${expires}&signature=${this.signature(key, expires)}`;
+    }
+
+    verify(key, expires, signature) {
+        const expiry = Number(expires);
+        if (!Storage.isValidKey(key) || !Number.isInteger(expiry) || expiry * 1000 < Date.now()) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.signature(key, expiry), 'hex');
+        const given = Buffer.from(String(signature || ''), 'hex');
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+}
+
+class S3Storage extends Storage {
+    constructor({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, ...options } = {}) {
+        super(options);
+        if (!bucket) {
+            throw new Error('S3 storage needs a bucket');
+        }
+        this.driver = 's3';
+        this.bucket = bucket;
+        this.client = new S3Client({
+            region,
+            endpoint,
+            forcePathStyle,
+            ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+        });
+    }
+
+    // Upload a local file under `key` and remove the local copy
+    async putFile(key, filePath) {
+        const { size } = await fs.promises.stat(filePath);
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: size,
+            ContentType: Storage.contentType(key)
+        }));
+        await fs.promises.unlink(filePath);
+    }
+
+    async read(key) {
+        try {
+            const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+            return Buffer.from(await object.Body.transformToByteArray());
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+
+    // Signed as of the start of the window so the URL is stable within it
+    async signedUrl(key) {
+        const expiresIn = 2 * this.urlTtl;
+        const signingDate = new Date((this.expiresAt() - expiresIn) * 1000);
+        return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn, signingDate });
+    }
+}
+
+function createStorage(env = process.env) {
+    const urlTtl = parseInt(env.STORAGE_URL_TTL) || DEFAULT_URL_TTL;
+
+    if (env.STORAGE_DRIVER === 's3') {
+        return new S3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT || undefined,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+            urlTtl
+        });
+    }
+
+    return new LocalStorage({
+        root: path.resolve(env.STORAGE_LOCAL_DIR || 'uploads'),
+        secret: env.STORAGE_SIGNING_SECRET || env.JWT_SECRET,
+        urlTtl
+    });
+}
+
+module.exports = { Storage, LocalStorage, S3Storage, createStorage };
@@ -0,0 +1,92 @@
+// backend/services/validation.js
+// Request validation middleware. Each route names its entry in
+// apiSchemas.js; the request's params, query and body are checked against
+// it and replaced by the validated values (trimmed, converted, defaults
+// filled in, unknown fields dropped). Invalid requests get a 400 listing
+// every problem:
+//
+//   { success: false, error: 'Invalid request',
+//     details: [{ location: 'body', path: 'amount', message: '"amount" must be a positive number' }] }
+
+const { ROUTE_SCHEMAS, SOCKET_SCHEMAS } = require('./apiSchemas');
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true, convert: true };
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Middleware checking params, query and body against the given schemas.
+ * Multipart bodies go through `schemas.prepare` first, so the schema
+ * sees values rather than form strings.
+ */
+function validateRequest(schemas) {
+    // Object-level errors ("must contain at least one of ...") name the
+    // location rather than "value"
+    const checks = LOCATIONS
+        .filter(location => schemas[location])
+        .map(location => [location, schemas[location].label(location)]);
+
+    return (req, res, next) => {
+        const details = [];
+        const values = {};
+
+        checks.forEach(([location, schema]) => {
+            let input = req[location] || {};
+            if (location === 'body' && schemas.prepare) {
+                input = schemas.prepare(input);
+            }
+
+            const { error, value } = schema.validate(input, VALIDATION_OPTIONS);
+            if (error) {
+                error.details.forEach(detail => details.push({
+                    location,
+                    path: detail.path.join('.'),
+                    message: detail.message
+                }));
+            } else {
+                values[location] = value;
+            }
+        });
+
+        if (details.length) {
+            return res.status(400).json({ success: false, error: 'Invalid request', details });
+        }
+
+        Object.assign(req, values);
+        next();
+    };
+}
+
+/**
+ * Validation middleware of a route, by its "METHOD /path" key in
+ * apiSchemas.js. A missing entry throws while the routes are being
+ * registered, so no route can ship without a schema.
+ */
+function validate(route) {
+    const schemas = ROUTE_SCHEMAS[route];
+    if (!schemas) {
+        throw new Error(`No request schema for ${route}`);
+    }
+    return validateRequest(schemas);
+}
+
+/**
+ * Check the payload of a client socket event against its schema in
+ * apiSchemas.js. Returns { value } or, when invalid, { details } listing
+ * the problems as the 400 responses do.
+ */
+function validateSocketEvent(event, payload) {
+    const schema = SOCKET_SCHEMAS[event];
+    if (!schema) {
+        throw new Error(`No payload schema for socket event ${event}`);
+    }
+
+    const { error, value } = schema.label(event).validate(payload || {}, VALIDATION_OPTIONS);
+    if (error) {
+        return {
+            details: error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+        };
+    }
+    return { value };
+}
+
+module.exports = { validate, validateRequest, validateSocketEvent, VALIDATION_OPTIONS };
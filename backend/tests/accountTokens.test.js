@@ -0,0 +1,100 @@
+const { AccountTokenService } = require('../services/accountTokens');
+const { DatabaseService } = require('../services/database');
+
+// Answers the user_tokens queries of DatabaseService from memory
+class FakeTokenPool {
+    constructor() {
+        this.rows = [];
+    }
+
+    async query(sql, params) {
+        const statement = sql.replace(/\s+/g, ' ').trim();
+        const now = new Date();
+
+        if (statement.startsWith('UPDATE user_tokens SET used_at = NOW() WHERE user_id')) {
+            const [userId, purpose] = params;
+            const rows = this.rows.filter(row => row.user_id === userId && row.purpose === purpose && !row.used_at);
+            rows.forEach(row => { row.used_at = now; });
+            return { affectedRows: rows.length };
+        }
+        if (statement.startsWith('INSERT INTO user_tokens')) {
+            const [userId, purpose, tokenHash, expiresAt] = params;
+            this.rows.push({ id: this.rows.length + 1, user_id: userId, purpose, token_hash: tokenHash, expires_at: expiresAt, used_at: null });
+            return { insertId: this.rows.length };
+        }
+        if (statement.startsWith('SELECT id, user_id FROM user_tokens')) {
+            const [tokenHash, purpose] = params;
+            return this.rows
+                .filter(row => row.token_hash === tokenHash && row.purpose === purpose && !row.used_at && row.expires_at > now)
+                .map(({ id, user_id }) => ({ id, user_id }));
+        }
+        if (statement.startsWith('UPDATE user_tokens SET used_at = NOW() WHERE id')) {
+            const row = this.rows.find(candidate => candidate.id === params[0] && !candidate.used_at);
+            if (row) row.used_at = now;
+            return { affectedRows: row ? 1 : 0 };
+        }
+        throw new Error(`Unexpected query: ${statement}`);
+    }
+}
+
+describe('consumeUserToken', () => {
+    let tokens;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-06-01T12:00:00Z') });
+        const database = new DatabaseService();
+        database.pool = new FakeTokenPool();
+        tokens = new AccountTokenService(database, null);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('returns the user id once and null after that', async () => {
+        const { token } = await tokens.issue(7, 'reset_password');
+
+        expect(await tokens.consume(token, 'reset_password')).toBe(7);
+        expect(await tokens.consume(token, 'reset_password')).toBeNull();
+    });
+
+    test('lets only one of two concurrent requests spend a token', async () => {
+        const { token } = await tokens.issue(7, 'reset_password');
+        const results = await Promise.all([
+            tokens.consume(token, 'reset_password'),
+            tokens.consume(token, 'reset_password')
+        ]);
+
+        expect(results.sort()).toEqual([7, null]);
+    });
+
+    test('only accepts a token for the purpose it was issued for', async () => {
+        const { token } = await tokens.issue(7, 'verify_email');
+
+        expect(await tokens.consume(token, 'reset_password')).toBeNull();
+        expect(await tokens.consume(token, 'verify_email')).toBe(7);
+    });
+
+    test('rejects expired tokens', async () => {
+        const { token } = await tokens.issue(7, 'reset_password');
+
+        jest.advanceTimersByTime(61 * 60 * 1000);
+        expect(await tokens.consume(token, 'reset_password')).toBeNull();
+    });
+
+    test('spends the previous link of the same kind when a new one is issued', async () => {
+        const first = await tokens.issue(7, 'reset_password');
+        const verification = await tokens.issue(7, 'verify_email');
+        const second = await tokens.issue(7, 'reset_password');
+
+        expect(await tokens.consume(first.token, 'reset_password')).toBeNull();
+        expect(await tokens.consume(second.token, 'reset_password')).toBe(7);
+        expect(await tokens.consume(verification.token, 'verify_email')).toBe(7);
+    });
+
+    test('ignores missing and non-string tokens', async () => {
+        expect(await tokens.consume(undefined, 'reset_password')).toBeNull();
+        expect(await tokens.consume({ token: 'x' }, 'reset_password')).toBeNull();
+        expect(await tokens.consume('unknown', 'reset_password')).toBeNull();
+    });
+});
@@ -0,0 +1,75 @@
+// Itinerary, translation and photo flows run against the fixture stub
+// provider (fixtures/ai), without a model server.
+const { OllamaService } = require('../services/ollama');
+const { LLMRouter } = require('../services/llmRouter');
+
+const ai = new OllamaService({ router: LLMRouter.fromEnv({ AI_PROVIDER: 'stub' }) });
+
+describe('itinerary generation', () => {
+    test('returns a validated itinerary with the requested number of days', async () => {
+        const itinerary = await ai.generateDetailedItinerary({
+            destination: 'Lisbon',
+            duration: 3,
+            budget: 1500,
+            startDate: '2026-05-01'
+        });
+
+        expect(itinerary.source).toBe('ai');
+        expect(itinerary.destination).toBe('Lisbon');
+        expect(itinerary.model).toBe('stub-planning');
+        expect(itinerary.days.map(day => day.dayNumber)).toEqual([1, 2, 3]);
+        expect(itinerary.days.map(day => day.date)).toEqual(['2026-05-01', '2026-05-02', '2026-05-03']);
+        expect(itinerary.summary).toBe('3 easy days in Lisbon covering the main sights and local food.');
+        expect(itinerary.days[0].items[0].place.address).toBe('Lisbon');
+    });
+
+    test('totals the item costs per day and for the trip', async () => {
+        const itinerary = await ai.generateDetailedItinerary({ destination: 'Porto', duration: 2, budget: 800 });
+
+        expect(itinerary.days[0].estimatedCost).toBe(90);
+        expect(itinerary.days[1].estimatedCost).toBe(15);
+        expect(itinerary.totalEstimatedCost).toBe(105);
+    });
+
+    test('handles trips longer than the fixture by cycling its days', async () => {
+        const itinerary = await ai.generateDetailedItinerary({ destination: 'Rome', duration: 5, budget: 2000 });
+
+        expect(itinerary.days).toHaveLength(5);
+        expect(itinerary.days[4].title).toBe(itinerary.days[0].title);
+    });
+});
+
+describe('translation', () => {
+    test('translates into the target language', async () => {
+        const result = await ai.translateWithContext('Where is the train station?', 'Portuguese', 'English');
+
+        expect(result.translatedText).toBe('[Portuguese] Where is the train station?');
+        expect(result.sourceLanguage).toBe('English');
+        expect(result.targetLanguage).toBe('Portuguese');
+        expect(result.model).toBe('stub-translation');
+    });
+});
+
+describe('photo identification', () => {
+    test('parses the vision reply into a landmark', async () => {
+        const result = await ai.identifyPhoto(Buffer.from('not really a jpeg'), { lat: 50.087, lng: 14.421 });
+
+        expect(result).toEqual({
+            name: 'Old Town Square',
+            description: 'A historic square surrounded by colourful buildings and a medieval clock tower.',
+            landmarks: ['Clock tower', 'Town hall', 'Cathedral'],
+            confidence: 0.8,
+            method: 'stub-vision'
+        });
+    });
+});
+
+describe('chat fixtures', () => {
+    test('answers thread summaries and travel stories with their own fixtures', async () => {
+        const summary = await ai.chat('Summarize this conversation between a traveller and their travel assistant.', {}, 'analysis');
+        const story = await ai.chat('Create an engaging travel story based on these memories:', { mode: 'analysis' }, 'analysis');
+
+        expect(summary.message).toBe('The traveller discussed their upcoming trip with the assistant.');
+        expect(story.message).toMatch(/^Our journey began/);
+    });
+});
@@ -0,0 +1,116 @@
+const { BookingImportService, BookingImportError } = require('../services/bookingImport');
+
+const ics = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Example//EN',
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR'
+].join('\r\n');
+
+describe('parseIcs', () => {
+    test('reads a flight with a UTC start, unfolding and unescaping its text', () => {
+        const { drafts, warnings } = BookingImportService.parseIcs(ics([
+            'UID:abc-123',
+            'SUMMARY:Flight LH 1234 Frankfurt to Lisbon',
+            'DTSTART:20260601T071500Z',
+            'DTEND:20260601T100000Z',
+            'LOCATION:Frankfurt Airport\\, Terminal 1',
+            'DESCRIPTION:Booking reference: X7KQ2P\\nSeat 14C\\; window',
+            '  please',
+            'ORGANIZER;CN="Lufthansa":mailto:noreply@example.com'
+        ]));
+
+        expect(warnings).toEqual([]);
+        expect(drafts).toHaveLength(1);
+        expect(drafts[0]).toMatchObject({
+            draftId: 'abc-123',
+            source: 'ics',
+            type: 'flight',
+            title: 'Flight LH 1234 Frankfurt to Lisbon',
+            confirmationNumber: 'X7KQ2P',
+            provider: 'Lufthansa',
+            bookingDate: '2026-06-01',
+            bookingTime: '07:15',
+            endTime: '10:00',
+            timezone: 'UTC',
+            flightNumber: 'LH1234',
+            location: 'Frankfurt Airport, Terminal 1',
+            details: 'Booking reference: X7KQ2P\nSeat 14C; window please'
+        });
+    });
+
+    test('keeps IANA TZIDs and treats unknown ones as floating', () => {
+        const { drafts } = BookingImportService.parseIcs(ics(
+            ['SUMMARY:Museum tour', 'DTSTART;TZID=Europe/Lisbon:20260602T100000'],
+            ['SUMMARY:Museum tour again', 'DTSTART;TZID="W. Europe Standard Time":20260603T100000']
+        ));
+
+        expect(drafts.map(draft => [draft.type, draft.bookingTime, draft.timezone])).toEqual([
+            ['activity', '10:00', 'Europe/Lisbon'],
+            ['activity', '10:00', null]
+        ]);
+    });
+
+    test('keeps the exclusive all-day end for hotels and moves it back a day otherwise', () => {
+        const { drafts } = BookingImportService.parseIcs(ics(
+            ['SUMMARY:Hotel Central', 'DTSTART;VALUE=DATE:20260601', 'DTEND;VALUE=DATE:20260604'],
+            ['SUMMARY:Rental car pickup', 'DTSTART;VALUE=DATE:20260601', 'DTEND;VALUE=DATE:20260603']
+        ));
+
+        expect(drafts[0]).toMatchObject({ type: 'hotel', bookingDate: '2026-06-01', bookingTime: null, endDate: '2026-06-04' });
+        expect(drafts[1]).toMatchObject({ type: 'transport', endDate: '2026-06-02' });
+    });
+
+    test('drops the end date of a single all-day event', () => {
+        const { drafts } = BookingImportService.parseIcs(ics(
+            ['SUMMARY:Concert', 'DTSTART;VALUE=DATE:20260605', 'DTEND;VALUE=DATE:20260606']
+        ));
+
+        expect(drafts[0].endDate).toBeNull();
+    });
+
+    test('skips cancelled events and events without a start date with a warning', () => {
+        const { drafts, warnings } = BookingImportService.parseIcs(ics(
+            ['SUMMARY:Old dinner', 'STATUS:CANCELLED', 'DTSTART:20260601T190000'],
+            ['SUMMARY:Mystery'],
+            ['SUMMARY:Kept', 'DTSTART:20260601T190000']
+        ));
+
+        expect(drafts.map(draft => draft.title)).toEqual(['Kept']);
+        expect(warnings).toEqual(['Skipped cancelled event "Old dinner"', 'Skipped "Mystery": no start date']);
+    });
+});
+
+describe('parse', () => {
+    test('parses calendar content without the AI', async () => {
+        const service = new BookingImportService();
+        const result = await service.parse({
+            content: ics(['SUMMARY:Train to Porto', 'DTSTART:20260607T083000']),
+            filename: 'trip.ics'
+        });
+
+        expect(result.source).toBe('ics');
+        expect(result.drafts[0]).toMatchObject({ type: 'transport', bookingTime: '08:30', timezone: null });
+    });
+
+    test('rejects empty content as a 400 import error', async () => {
+        await expect(new BookingImportService().parse({ content: '  \n' }))
+            .rejects.toMatchObject({ name: 'BookingImportError', status: 400, message: 'Nothing to import' });
+    });
+
+    test('rejects text the AI reads no bookings from as a 422 import error', async () => {
+        const ai = { chat: async () => ({ message: 'Sorry, I could not find anything.', model: 'test' }) };
+        const error = await new BookingImportService({ ai }).parse({ content: 'Thanks for your order!' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(BookingImportError);
+        expect(error.status).toBe(422);
+    });
+
+    test('leaves server-side failures as plain errors', async () => {
+        const error = await new BookingImportService().parse({ content: 'Your hotel is booked.' }).catch(e => e);
+
+        expect(error).not.toBeInstanceOf(BookingImportError);
+        expect(error.message).toBe('AI extraction is not available');
+    });
+});
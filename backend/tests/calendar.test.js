@@ -0,0 +1,74 @@
+const { CalendarService } = require('../services/calendar');
+
+// RFC 5545 unfolding: a CRLF followed by one space joins the lines
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('escapeText', () => {
+    test('escapes backslashes, semicolons, commas and newlines', () => {
+        expect(CalendarService.escapeText('Dinner; then drinks, maybe\nC:\\trip'))
+            .toBe('Dinner\\; then drinks\\, maybe\\nC:\\\\trip');
+    });
+
+    test('turns CRLF into a single escaped newline', () => {
+        expect(CalendarService.escapeText('one\r\ntwo')).toBe('one\\ntwo');
+    });
+});
+
+describe('foldLine', () => {
+    test('leaves lines of up to 75 octets alone', () => {
+        const line = `SUMMARY:${'a'.repeat(67)}`;
+        expect(line).toHaveLength(75);
+        expect(CalendarService.foldLine(line)).toBe(line);
+    });
+
+    test('folds longer lines into 75-octet chunks continued after a space', () => {
+        const line = `DESCRIPTION:${'x'.repeat(200)}`;
+        const folded = CalendarService.foldLine(line);
+        const parts = folded.split('\r\n');
+
+        expect(parts.length).toBeGreaterThan(1);
+        parts.forEach((part, index) => {
+            expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75);
+            if (index > 0) expect(part.startsWith(' ')).toBe(true);
+        });
+        expect(unfold(folded)).toBe(line);
+    });
+
+    test('counts octets and never splits a multi-byte character', () => {
+        const line = `SUMMARY:${'Café in Zürich 🚆 '.repeat(8)}`;
+        const folded = CalendarService.foldLine(line);
+
+        folded.split('\r\n').forEach(part => {
+            expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75);
+            expect(part).not.toContain('�');
+        });
+        expect(unfold(folded)).toBe(line);
+    });
+});
+
+describe('build', () => {
+    const event = {
+        uid: CalendarService.uid('booking', 7),
+        allDay: true,
+        start: '20260501',
+        end: '20260502',
+        summary: 'Hotel, Lisbon; check-in',
+        description: 'Room with a view of the river. '.repeat(5).trim(),
+        status: 'CONFIRMED'
+    };
+
+    test('writes a CRLF-terminated calendar with folded, escaped lines', () => {
+        const ics = CalendarService.build({ name: 'Trip, 2026', timeZone: 'Europe/Lisbon', events: [event] });
+
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/);
+        ics.split('\r\n').forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+
+        const lines = unfold(ics).split('\r\n');
+        expect(lines).toContain('X-WR-CALNAME:Trip\\, 2026');
+        expect(lines).toContain('SUMMARY:Hotel\\, Lisbon\\; check-in');
+        expect(lines).toContain(`DESCRIPTION:${event.description}`);
+        expect(lines).toContain('UID:booking-7@travelmind.ai');
+        expect(lines).toContain('DTSTART;VALUE=DATE:20260501');
+    });
+});
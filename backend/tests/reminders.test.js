@@ -0,0 +1,53 @@
+const { ReminderService } = require('../services/reminders');
+
+describe('step', () => {
+    test('moves daily and weekly reminders across month and year ends', () => {
+        expect(ReminderService.step('2026-01-31 09:00:00', 'daily')).toBe('2026-02-01 09:00:00');
+        expect(ReminderService.step('2026-12-28 18:30:00', 'weekly')).toBe('2027-01-04 18:30:00');
+    });
+
+    test('moves monthly reminders to the same day, clamped to shorter months', () => {
+        expect(ReminderService.step('2026-03-15 08:00:00', 'monthly')).toBe('2026-04-15 08:00:00');
+        expect(ReminderService.step('2026-01-31 08:00:00', 'monthly')).toBe('2026-02-28 08:00:00');
+        expect(ReminderService.step('2028-01-31 08:00:00', 'monthly')).toBe('2028-02-29 08:00:00');
+        expect(ReminderService.step('2026-12-31 08:00:00', 'monthly')).toBe('2027-01-31 08:00:00');
+    });
+
+    test('reads ISO wall clocks and dates read back from the database', () => {
+        expect(ReminderService.step('2026-05-01T07:45', 'daily')).toBe('2026-05-02 07:45:00');
+        expect(ReminderService.step(new Date(2026, 4, 1, 7, 45), 'daily')).toBe('2026-05-02 07:45:00');
+    });
+});
+
+describe('nextOccurrence', () => {
+    const reminder = (fields) => ({ reminder_date: '2026-06-01 09:00:00', recurrence: 'daily', recurrence_until: null, ...fields });
+
+    test('is null for reminders that do not recur', () => {
+        expect(ReminderService.nextOccurrence(reminder({ recurrence: 'none' }), 'UTC')).toBeNull();
+        expect(ReminderService.nextOccurrence(reminder({ recurrence: null }), 'UTC')).toBeNull();
+    });
+
+    test('is the next step when that is still ahead', () => {
+        const now = new Date('2026-06-01T09:00:30Z');
+        expect(ReminderService.nextOccurrence(reminder(), 'UTC', now)).toBe('2026-06-02 09:00:00');
+    });
+
+    test('skips occurrences that have already passed', () => {
+        const now = new Date('2026-06-10T12:00:00Z');
+        expect(ReminderService.nextOccurrence(reminder(), 'UTC', now)).toBe('2026-06-11 09:00:00');
+        expect(ReminderService.nextOccurrence(reminder({ recurrence: 'weekly' }), 'UTC', now)).toBe('2026-06-15 09:00:00');
+    });
+
+    test('reads the wall clock in the trip time zone', () => {
+        // 09:00 in Tokyo is 00:00 UTC, so 06-11 09:00 Tokyo is already past at 06-11 01:00 UTC
+        const now = new Date('2026-06-11T01:00:00Z');
+        expect(ReminderService.nextOccurrence(reminder(), 'Asia/Tokyo', now)).toBe('2026-06-12 09:00:00');
+        expect(ReminderService.nextOccurrence(reminder(), 'UTC', now)).toBe('2026-06-11 09:00:00');
+    });
+
+    test('stops after recurrence_until, which is inclusive', () => {
+        const until = reminder({ recurrence_until: '2026-06-03' });
+        expect(ReminderService.nextOccurrence(until, 'UTC', new Date('2026-06-02T10:00:00Z'))).toBe('2026-06-03 09:00:00');
+        expect(ReminderService.nextOccurrence(until, 'UTC', new Date('2026-06-03T10:00:00Z'))).toBeNull();
+    });
+});
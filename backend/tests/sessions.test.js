@@ -0,0 +1,152 @@
+const { SessionService } = require('../services/sessions');
+
+// In-memory stand-in for the user_sessions queries of DatabaseService
+class FakeDatabase {
+    constructor() {
+        this.sessions = [];
+        this.users = new Map([[1, { id: 1, email: 'ana@example.com', name: 'Ana', email_verified_at: null }]]);
+    }
+
+    isLive(session) {
+        return !session.revoked_at && session.expires_at > new Date();
+    }
+
+    async createSession(userId, { tokenHash, device, userAgent, ipAddress, expiresAt }) {
+        const id = this.sessions.length + 1;
+        this.sessions.push({
+            id,
+            user_id: userId,
+            refresh_token_hash: tokenHash,
+            previous_token_hash: null,
+            device,
+            user_agent: userAgent,
+            ip_address: ipAddress,
+            last_used_at: new Date(),
+            expires_at: expiresAt,
+            revoked_at: null
+        });
+        return id;
+    }
+
+    async getSessionByTokenHash(tokenHash) {
+        const session = this.sessions.find(row =>
+            (row.refresh_token_hash === tokenHash || row.previous_token_hash === tokenHash) && this.isLive(row));
+        return session ? { ...session } : null;
+    }
+
+    async rotateSessionToken(sessionId, currentHash, nextHash, { expiresAt, ipAddress }) {
+        const session = this.sessions.find(row => row.id === sessionId && row.refresh_token_hash === currentHash && !row.revoked_at);
+        if (!session) return false;
+        Object.assign(session, {
+            previous_token_hash: session.refresh_token_hash,
+            refresh_token_hash: nextHash,
+            expires_at: expiresAt,
+            ip_address: ipAddress,
+            last_used_at: new Date()
+        });
+        return true;
+    }
+
+    async revokeSession(userId, sessionId) {
+        const session = this.sessions.find(row => row.id === sessionId && row.user_id === userId && !row.revoked_at);
+        if (session) session.revoked_at = new Date();
+        return !!session;
+    }
+
+    async isSessionActive(sessionId, userId) {
+        return this.sessions.some(row => row.id === sessionId && row.user_id === userId && this.isLive(row));
+    }
+
+    async getUserById(id) {
+        return this.users.get(id) || null;
+    }
+}
+
+const client = { device: 'Firefox on Linux', userAgent: 'Mozilla/5.0', ipAddress: '127.0.0.1' };
+
+describe('SessionService.refresh', () => {
+    let db;
+    let sessions;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-06-01T12:00:00Z') });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        db = new FakeDatabase();
+        sessions = new SessionService(db, { secret: 'test-secret', accessTokenTtl: '15m', refreshTokenDays: 30 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('rotates the refresh token and signs an access token for the same session', async () => {
+        const started = await sessions.start(await db.getUserById(1), client);
+        const refreshed = await sessions.refresh(started.refreshToken, client);
+
+        expect(refreshed).toMatchObject({ sessionId: started.sessionId, userId: 1 });
+        expect(refreshed.refreshToken).not.toBe(started.refreshToken);
+        expect(db.sessions[0].refresh_token_hash).toBe(SessionService.hashToken(refreshed.refreshToken));
+        expect(db.sessions[0].refresh_token_hash).not.toBe(refreshed.refreshToken);
+
+        const payload = await sessions.authenticate(refreshed.token);
+        expect(payload).toMatchObject({ id: 1, sid: started.sessionId });
+    });
+
+    test('keeps working along the chain of rotated tokens', async () => {
+        let { refreshToken } = await sessions.start(await db.getUserById(1), client);
+        for (let i = 0; i < 3; i++) {
+            jest.advanceTimersByTime(60 * 1000);
+            ({ refreshToken } = await sessions.refresh(refreshToken, client));
+        }
+
+        expect(refreshToken).toEqual(expect.any(String));
+        expect(db.sessions[0].revoked_at).toBeNull();
+    });
+
+    test('returns null for an unknown token', async () => {
+        await sessions.start(await db.getUserById(1), client);
+        expect(await sessions.refresh('not-a-token', client)).toBeNull();
+    });
+
+    test('refuses the rotated token without revoking during the grace period', async () => {
+        const started = await sessions.start(await db.getUserById(1), client);
+        const refreshed = await sessions.refresh(started.refreshToken, client);
+
+        jest.advanceTimersByTime(5 * 1000);
+        expect(await sessions.refresh(started.refreshToken, client)).toBeNull();
+        expect(db.sessions[0].revoked_at).toBeNull();
+        expect(await sessions.refresh(refreshed.refreshToken, client)).not.toBeNull();
+    });
+
+    test('revokes the session when a rotated token is replayed later', async () => {
+        const started = await sessions.start(await db.getUserById(1), client);
+        const refreshed = await sessions.refresh(started.refreshToken, client);
+
+        jest.advanceTimersByTime(60 * 1000);
+        expect(await sessions.refresh(started.refreshToken, client)).toBeNull();
+        expect(db.sessions[0].revoked_at).not.toBeNull();
+
+        // The legitimate holder is signed out too
+        expect(await sessions.refresh(refreshed.refreshToken, client)).toBeNull();
+        expect(await sessions.authenticate(refreshed.token)).toBeNull();
+    });
+
+    test('lets only one of two concurrent refreshes with the same token win', async () => {
+        const started = await sessions.start(await db.getUserById(1), client);
+        const results = await Promise.all([
+            sessions.refresh(started.refreshToken, client),
+            sessions.refresh(started.refreshToken, client)
+        ]);
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+        expect(db.sessions[0].revoked_at).toBeNull();
+    });
+
+    test('returns null once the session has expired', async () => {
+        const started = await sessions.start(await db.getUserById(1), client);
+
+        jest.advanceTimersByTime(31 * 24 * 60 * 60 * 1000);
+        expect(await sessions.refresh(started.refreshToken, client)).toBeNull();
+    });
+});
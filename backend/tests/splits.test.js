@@ -0,0 +1,72 @@
+const { SplitService } = require('../services/splits');
+
+const cents = (amounts) => Math.round(amounts.reduce((sum, amount) => sum + amount, 0) * 100);
+
+describe('allocate', () => {
+    test('splits evenly when the total divides', () => {
+        expect(SplitService.allocate(90, [1, 1, 1])).toEqual([30, 30, 30]);
+    });
+
+    test('gives leftover cents to the earliest parts on a tie', () => {
+        expect(SplitService.allocate(100, [1, 1, 1])).toEqual([33.34, 33.33, 33.33]);
+        expect(SplitService.allocate(0.05, [1, 1, 1])).toEqual([0.02, 0.02, 0.01]);
+    });
+
+    test('splits by shares and gives leftovers to the largest remainders', () => {
+        expect(SplitService.allocate(10, [2, 1, 1])).toEqual([5, 2.5, 2.5]);
+        // 1.00 by 1:2 is 0.333... and 0.666...; the larger remainder gets the cent
+        expect(SplitService.allocate(1, [1, 2])).toEqual([0.33, 0.67]);
+    });
+
+    test('always adds up to the total in cents', () => {
+        [[19.99, [1, 1, 1]], [1234.57, [3, 5, 7, 11]], [0.01, [1, 1]], [250, [0.5, 0.25, 0.25]]].forEach(([total, weights]) => {
+            const parts = SplitService.allocate(total, weights);
+            expect(parts).toHaveLength(weights.length);
+            expect(cents(parts)).toBe(Math.round(total * 100));
+        });
+    });
+});
+
+describe('settleUp', () => {
+    test('is empty when everyone is settled', () => {
+        expect(SplitService.settleUp([])).toEqual([]);
+        expect(SplitService.settleUp([{ participant: 'user:1', net: 0 }, { participant: 'guest:2', net: 0.004 }])).toEqual([]);
+    });
+
+    test('has the debtor pay the creditor', () => {
+        expect(SplitService.settleUp([
+            { participant: 'user:1', net: 25.5 },
+            { participant: 'user:2', net: -25.5 }
+        ])).toEqual([{ from: 'user:2', to: 'user:1', amount: 25.5 }]);
+    });
+
+    test('matches the biggest debtor with the biggest creditor first', () => {
+        expect(SplitService.settleUp([
+            { participant: 'user:1', net: 60 },
+            { participant: 'user:2', net: 20 },
+            { participant: 'user:3', net: -50 },
+            { participant: 'guest:4', net: -30 }
+        ])).toEqual([
+            { from: 'user:3', to: 'user:1', amount: 50 },
+            { from: 'guest:4', to: 'user:2', amount: 20 },
+            { from: 'guest:4', to: 'user:1', amount: 10 }
+        ]);
+    });
+
+    test('brings every balance to zero in cents', () => {
+        const balances = [
+            { participant: 'user:1', net: 33.34 },
+            { participant: 'user:2', net: -16.67 },
+            { participant: 'user:3', net: -16.67 }
+        ];
+        const transfers = SplitService.settleUp(balances);
+        const remaining = Object.fromEntries(balances.map(entry => [entry.participant, Math.round(entry.net * 100)]));
+        transfers.forEach(({ from, to, amount }) => {
+            remaining[from] += Math.round(amount * 100);
+            remaining[to] -= Math.round(amount * 100);
+        });
+
+        expect(transfers).toHaveLength(2);
+        expect(Object.values(remaining)).toEqual([0, 0, 0]);
+    });
+});
@@ -0,0 +1,67 @@
+const { DatabaseService } = require('../services/database');
+const { validateSocketEvent } = require('../services/validation');
+
+// Records the statements updateTrip sends
+const recordingDatabase = () => {
+    const database = new DatabaseService();
+    const queries = [];
+    database.pool = {
+        query: async (sql, params) => {
+            queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+            return { affectedRows: 1 };
+        }
+    };
+    return { database, queries };
+};
+
+describe('updateTrip', () => {
+    test('never lets an editor change the trip owner', async () => {
+        const { database, queries } = recordingDatabase();
+        await database.updateTrip(3, 9, { user_id: 9, title: 'Taken over' });
+
+        expect(queries).toHaveLength(1);
+        expect(queries[0].sql).toMatch(/^UPDATE trips SET title = \?, updated_at = NOW\(\) WHERE/);
+        expect(queries[0].sql).not.toContain('user_id = ?,');
+        expect(queries[0].params).toEqual(['Taken over', 3, 9, 9]);
+    });
+
+    test('drops unknown keys instead of writing them into the SQL', async () => {
+        const { database, queries } = recordingDatabase();
+        await database.updateTrip(3, 9, { 'status = status, user_id': 9, created_at: '2020-01-01' });
+
+        expect(queries).toEqual([]);
+    });
+
+    test('stores objects as JSON', async () => {
+        const { database, queries } = recordingDatabase();
+        await database.updateTrip(3, 9, { interests: ['food'], status: 'active' });
+
+        expect(queries[0].params).toEqual(['["food"]', 'active', 3, 9, 9]);
+    });
+});
+
+describe('trip_update socket payload', () => {
+    test('drops fields other than the editable trip details', () => {
+        const { value } = validateSocketEvent('trip_update', {
+            tripId: '3',
+            updates: { title: ' Lisbon ', user_id: 9, status: 'active' }
+        });
+
+        expect(value).toEqual({ tripId: 3, updates: { title: 'Lisbon' } });
+    });
+
+    test('rejects a payload that only tries to change the owner', () => {
+        const { value, details } = validateSocketEvent('trip_update', { tripId: 3, updates: { user_id: 9 } });
+
+        expect(value).toBeUndefined();
+        expect(details).toEqual([
+            { path: 'updates', message: '"updates" must have at least 1 key' }
+        ]);
+    });
+
+    test('rejects invalid values', () => {
+        const { details } = validateSocketEvent('trip_update', { tripId: 'x', updates: { start_date: '2026-02-30' } });
+
+        expect(details.map(detail => detail.path)).toEqual(['tripId', 'updates.start_date']);
+    });
+});
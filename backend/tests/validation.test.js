@@ -0,0 +1,120 @@
+const Joi = require('joi');
+const { validate, validateRequest } = require('../services/validation');
+
+// Runs a middleware against a fake request; resolves with the response it
+// sent, or with { next: true } when it passed the request on
+const run = (middleware, req) => new Promise(resolve => {
+    const res = {
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+        }
+    };
+    middleware(req, res, () => resolve({ next: true }));
+});
+
+describe('validateRequest', () => {
+    const middleware = validateRequest({
+        params: Joi.object({ id: Joi.number().integer().positive().required() }),
+        query: Joi.object({ limit: Joi.number().integer().max(50).default(20) }),
+        body: Joi.object({
+            title: Joi.string().trim().required(),
+            tags: Joi.array().items(Joi.string())
+        })
+    });
+
+    test('answers 400 with every problem by location and field', async () => {
+        const result = await run(middleware, {
+            params: { id: 'abc' },
+            query: { limit: '500' },
+            body: { tags: 'beach' }
+        });
+
+        expect(result).toEqual({
+            status: 400,
+            body: {
+                success: false,
+                error: 'Invalid request',
+                details: [
+                    { location: 'params', path: 'id', message: '"id" must be a number' },
+                    { location: 'query', path: 'limit', message: '"limit" must be less than or equal to 50' },
+                    { location: 'body', path: 'title', message: '"title" is required' },
+                    { location: 'body', path: 'tags', message: '"tags" must be an array' }
+                ]
+            }
+        });
+    });
+
+    test('gives nested fields a dotted path', async () => {
+        const nested = validateRequest({
+            body: Joi.object({ items: Joi.array().items(Joi.object({ name: Joi.string().required() })) })
+        });
+        const result = await run(nested, { body: { items: [{ name: 'ok' }, {}] } });
+
+        expect(result.body.details).toEqual([
+            { location: 'body', path: 'items.1.name', message: '"items[1].name" is required' }
+        ]);
+    });
+
+    test('names the location in object-level errors', async () => {
+        const atLeastOne = validateRequest({ body: Joi.object({ a: Joi.string(), b: Joi.string() }).or('a', 'b') });
+        const result = await run(atLeastOne, { body: {} });
+
+        expect(result.body.details).toEqual([
+            { location: 'body', path: '', message: '"body" must contain at least one of [a, b]' }
+        ]);
+    });
+
+    test('passes valid requests on with converted values, defaults and unknown fields dropped', async () => {
+        const req = { params: { id: '42' }, query: {}, body: { title: '  Lisbon  ', admin: true } };
+        const result = await run(middleware, req);
+
+        expect(result).toEqual({ next: true });
+        expect(req.params).toEqual({ id: 42 });
+        expect(req.query).toEqual({ limit: 20 });
+        expect(req.body).toEqual({ title: 'Lisbon' });
+    });
+
+    test('leaves the request untouched when it is rejected', async () => {
+        const req = { params: { id: '42' }, query: {}, body: {} };
+        await run(middleware, req);
+
+        expect(req.params).toEqual({ id: '42' });
+    });
+
+    test('prepares multipart bodies before checking them', async () => {
+        const form = validateRequest({
+            prepare: (body) => ({ ...body, location: JSON.parse(body.location) }),
+            body: Joi.object({ location: Joi.object({ lat: Joi.number().required() }) })
+        });
+        const req = { body: { location: '{"lat":"38.7"}' } };
+
+        expect(await run(form, req)).toEqual({ next: true });
+        expect(req.body).toEqual({ location: { lat: 38.7 } });
+    });
+});
+
+describe('validate', () => {
+    test('refuses routes without a schema', () => {
+        expect(() => validate('GET /api/nowhere')).toThrow('No request schema for GET /api/nowhere');
+    });
+
+    test('rejects expense amounts with more than 2 decimals instead of rounding them', async () => {
+        const result = await run(validate('POST /api/expenses'), { body: { title: 'Taxi', amount: '1.239' } });
+
+        expect(result.status).toBe(400);
+        expect(result.body.details).toEqual([
+            { location: 'body', path: 'amount', message: '"amount" must have no more than 2 decimal places' }
+        ]);
+    });
+
+    test('accepts expense amounts from a multipart form', async () => {
+        const req = { body: { title: 'Taxi', amount: '12.5', split: '{"method":"equal","participants":[{"participant":"user:1"}]}' } };
+
+        expect(await run(validate('POST /api/expenses'), req)).toEqual({ next: true });
+        expect(req.body).toMatchObject({ amount: 12.5, currency: 'USD', split: { method: 'equal' } });
+    });
+});
@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Mail, MailCheck, KeyRound } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+const postJson = async (path, body, token) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { 'Authorization': `Bearer ${token}` })
+    },
+    body: JSON.stringify(body || {})
+  });
+  return response.json();
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const buttonClass = 'w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-2 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-colors disabled:opacity-50';
+
+// Card used by the standalone pages opened from emailed links
+const LinkPage = ({ icon: Icon, title, children }) => (
+  <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center p-4">
+    <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8">
+      <div className="text-center mb-6">
+        <div className="w-16 h-16 bg-gradient-to-r from-blue-600 to-purple-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <Icon className="w-8 h-8 text-white" />
+        </div>
+        <h1 className="text-2xl font-bold text-gray-900">{title}</h1>
+      </div>
+      {children}
+      <a href="/" className="block text-center text-blue-600 hover:text-blue-700 text-sm mt-6">
+        Go to TravelMind.ai
+      </a>
+    </div>
+  </div>
+);
+
+// Renew this browser's session so the app sees the verified address
+// without waiting for the access token to expire
+const refreshStoredSession = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return;
+
+  try {
+    const data = await postJson('/auth/refresh', { refreshToken });
+    if (data.success) {
+      localStorage.setItem('token', data.data.token);
+      localStorage.setItem('refreshToken', data.data.refreshToken);
+    }
+  } catch (err) {
+    console.error('Session refresh error:', err);
+  }
+};
+
+// Opened from the verification email (/verify-email?token=...)
+export const VerifyEmailPage = ({ token }) => {
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState(null);
+  // The token works once; don't spend it twice when the effect re-runs
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    const verify = async () => {
+      try {
+        const data = await postJson('/auth/verify-email', { token });
+        if (data.success) {
+          await refreshStoredSession();
+          setStatus('verified');
+        } else {
+          setError(data.error);
+          setStatus('failed');
+        }
+      } catch (err) {
+        console.error('Verify email error:', err);
+        setError('Could not reach TravelMind. Please try again later.');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <LinkPage icon={MailCheck} title="Email verification">
+      {status === 'verifying' && <p className="text-center text-gray-600">Verifying your email address...</p>}
+      {status === 'verified' && <p className="text-center text-gray-700">Your email address is verified. Thanks!</p>}
+      {status === 'failed' && (
+        <p className="text-center text-red-700">
+          {error} You can request a new link from the banner in the app.
+        </p>
+      )}
+    </LinkPage>
+  );
+};
+
+// Opened from the password reset email (/reset-password?token=...)
+export const PasswordResetPage = ({ token }) => {
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmation) {
+      setError('The passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await postJson('/auth/reset-password', { token, password });
+      if (data.success) {
+        // Every session was signed out by the reset
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        setDone(true);
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError('Could not reach TravelMind. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <LinkPage icon={KeyRound} title="Choose a new password">
+      {done ? (
+        <p className="text-center text-gray-700">
+          Your password has been changed and every device was signed out. Sign in with your new password.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">New password</label>
+            <input
+              type="password"
+              required
+              minLength={8}
+              className={inputClass}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="At least 8 characters"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Repeat new password</label>
+            <input
+              type="password"
+              required
+              minLength={8}
+              className={inputClass}
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+            />
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+              <p className="text-red-700 text-sm">{error}</p>
+            </div>
+          )}
+
+          <button type="submit" disabled={loading} className={buttonClass}>
+            {loading ? 'Please wait...' : 'Change password'}
+          </button>
+        </form>
+      )}
+    </LinkPage>
+  );
+};
+
+// "Forgot password?" step of the sign-in screen
+export const ForgotPasswordForm = ({ onBack }) => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await postJson('/auth/forgot-password', { email });
+      if (data.success) {
+        setMessage(data.message);
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError('Network error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {message ? (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-3">
+          <p className="text-green-700 text-sm">{message}</p>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-600">Enter your email address and we'll send you a link to choose a new password.</p>
+          <input
+            type="email"
+            required
+            className={inputClass}
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Enter your email"
+          />
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+              <p className="text-red-700 text-sm">{error}</p>
+            </div>
+          )}
+
+          <button type="submit" disabled={loading} className={buttonClass}>
+            {loading ? 'Please wait...' : 'Send reset link'}
+          </button>
+        </form>
+      )}
+
+      <button onClick={onBack} className="w-full text-blue-600 hover:text-blue-700 text-sm">
+        Back to sign in
+      </button>
+    </div>
+  );
+};
+
+// Shown in the app until the signed-in user confirms their address
+export const VerifyEmailBanner = ({ token, email }) => {
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+
+  const resend = async () => {
+    setError(null);
+    try {
+      const data = await postJson('/auth/verify-email/resend', null, token);
+      if (data.success) {
+        setSent(true);
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      console.error('Resend verification error:', err);
+      setError('Could not send the email');
+    }
+  };
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 flex flex-wrap items-center justify-between gap-2">
+      <div className="flex items-center space-x-2 text-sm text-amber-800">
+        <Mail className="w-4 h-4 flex-shrink-0" />
+        <span>
+          {sent
+            ? `We sent a new verification link to ${email}.`
+            : `Please confirm ${email} using the link we emailed you. Trip invitations sent to this address show up once it's confirmed.`}
+        </span>
+      </div>
+      {!sent && (
+        <button onClick={resend} className="text-sm text-amber-900 underline hover:text-amber-700">
+          Resend email
+        </button>
+      )}
+      {error && <p className="w-full text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
@@ -11,111 +11,177 @@ import {
 } from 'lucide-react';
 import io from 'socket.io-client';
 import TripManager from './TripManager';
+import { PendingInvitations } from './TripMembers';
+import { BudgetSummaryCard } from './TripBudget';
+import MemoryEditModal from './MemoryEditor';
+import SessionsModal from './Sessions';
+import ProfileModal from './Profile';
+import { ForgotPasswordForm, VerifyEmailBanner } from './AccountLinks';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
 const WS_URL = import.meta.env.VITE_WS_URL || 'http://localhost:3001';
-const formatItinerary = (text) => {
-    if (!text) return '';
-
-    return text
-        // Convert **bold** to <strong>
-        .replace(/\*\*(.*?)\*\*/g, '<strong class="font-bold text-gray-900">$1</strong>')
-        // Convert * list items to bullet points
-        .replace(/^\* (.+)$/gm, '<li class="ml-4 mb-2">$1</li>')
-        // Convert + list items to bullet points
-        .replace(/^\+ (.+)$/gm, '<li class="ml-4 mb-2">$1</li>')
-        // Convert - list items to bullet points
-        .replace(/^- (.+)$/gm, '<li class="ml-4 mb-2">$1</li>')
-        // Add spacing between sections
-        .replace(/\n\n/g, '<br/><br/>');
-};
-
-// Better itinerary display component
-const FormattedItinerary = ({ text }) => {
-    if (!text) return null;
 
-    // Split by day sections
-    const sections = text.split(/(?=\*\*Day \d+)/g);
-
-    return (
-        <div className="space-y-6">
-            {sections.map((section, index) => {
-                if (!section.trim()) return null;
-
-                // Check if it's a day section
-                const isDaySection = section.match(/\*\*Day (\d+)/);
-
-                if (isDaySection) {
-                    const dayNumber = isDaySection[1];
-                    const dayContent = section.replace(/\*\*Day \d+:?\s*(.*?)\*\*/g, '').trim();
-                    const dayTitle = section.match(/\*\*Day \d+:?\s*(.*?)\*\*/)?.[1] || `Day ${dayNumber}`;
-
-                    return (
-                        <div key={index} className="bg-white border border-gray-200 rounded-lg p-6">
-                            <h3 className="text-xl font-bold text-blue-600 mb-4 flex items-center">
-                <span className="bg-blue-100 text-blue-600 rounded-full w-8 h-8 flex items-center justify-center mr-3">
-                  {dayNumber}
-                </span>
-                                {dayTitle}
-                            </h3>
-                            <div
-                                className="prose prose-sm max-w-none text-gray-700 leading-relaxed"
-                                dangerouslySetInnerHTML={{ __html: formatItinerary(dayContent) }}
-                            />
-                        </div>
-                    );
-                }
+// Until /currency answers; the server's list is authoritative
+const DEFAULT_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD'];
 
-                // Header section or other content
-                return (
-                    <div
-                        key={index}
-                        className="prose prose-lg max-w-none"
-                        dangerouslySetInnerHTML={{ __html: formatItinerary(section) }}
-                    />
-                );
-            })}
-        </div>
-    );
+const formatMoney = (amount, currency = 'USD') => {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount || 0);
+    } catch {
+        return `${currency} ${Number(amount || 0).toFixed(2)}`;
+    }
 };
 
 // ===================================
 // AUTHENTICATION HOOK
 // ===================================
+
+// Renew the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+const REFRESH_RETRY_MS = 30 * 1000;
+
+const decodeToken = (token) => {
+    try {
+        const tokenParts = token.split('.');
+        return tokenParts.length === 3 ? JSON.parse(atob(tokenParts[1])) : null;
+    } catch {
+        return null;
+    }
+};
+
+const tokenExpiry = (token) => {
+    const payload = token && decodeToken(token);
+    return payload?.exp ? payload.exp * 1000 : 0;
+};
+
 const useAuth = () => {
     const [user, setUser] = useState(null);
     const [token, setToken] = useState(localStorage.getItem('token'));
     const [loading, setLoading] = useState(true);
+    const [retryAt, setRetryAt] = useState(0);
+    // Id of the user whose profile has been fetched
+    const profileLoaded = useRef(null);
+
+    const storeSession = useCallback(({ token: accessToken, refreshToken }) => {
+        localStorage.setItem('token', accessToken);
+        if (refreshToken) {
+            localStorage.setItem('refreshToken', refreshToken);
+        }
+        setToken(accessToken);
+    }, []);
+
+    const clearSession = useCallback(() => {
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        profileLoaded.current = null;
+        setToken(null);
+        setUser(null);
+    }, []);
+
+    // Travel profile fields as the rest of the app reads them from `user`
+    const applyProfile = useCallback((profile) => {
+        setUser(prev => prev && {
+            ...prev,
+            name: profile.name,
+            preferences: profile.interests,
+            travelStyle: profile.budgetLevel,
+            homeCurrency: profile.homeCurrency,
+            profile
+        });
+    }, []);
 
     useEffect(() => {
         if (token) {
             // ✅ Decode the JWT to get user info
-            try {
-                const tokenParts = token.split('.');
-                if (tokenParts.length === 3) {
-                    const payload = JSON.parse(atob(tokenParts[1]));
-
-                    // Set user from JWT payload
-                    setUser({
-                        id: payload.id,
-                        name: payload.name,
-                        email: payload.email,
-                        preferences: payload.preferences || ['culture', 'food', 'sightseeing'],
-                        travelStyle: payload.travelStyle || 'moderate'
-                    });
-                } else {
-                    // Invalid token format, clear it
-                    localStorage.removeItem('token');
-                    setToken(null);
-                }
-            } catch (error) {
-                console.error('Token decode error:', error);
-                localStorage.removeItem('token');
-                setToken(null);
+            const payload = decodeToken(token);
+
+            // Tokens from before sessions existed can't be renewed
+            if (payload && localStorage.getItem('refreshToken')) {
+                setUser(prev => ({
+                    preferences: ['culture', 'food', 'sightseeing'],
+                    travelStyle: 'moderate',
+                    ...prev,
+                    id: payload.id,
+                    name: payload.name,
+                    email: payload.email,
+                    emailVerified: payload.emailVerified !== false
+                }));
+            } else {
+                clearSession();
             }
         }
         setLoading(false);
-    }, [token]);
+    }, [token, clearSession]);
+
+    // The token only names the user; fetch the travel profile once per sign-in
+    useEffect(() => {
+        if (!token || !user?.id || profileLoaded.current === user.id) return;
+        profileLoaded.current = user.id;
+
+        fetch(`${API_BASE_URL}/me`, { headers: { 'Authorization': `Bearer ${token}` } })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) applyProfile(data.data);
+            })
+            .catch(error => console.error('Profile load error:', error));
+    }, [token, user?.id, applyProfile]);
+
+    // Trade the refresh token for a new access token. Another tab may have
+    // done so already; its tokens are in localStorage then.
+    const refreshSession = useCallback(async () => {
+        const stored = localStorage.getItem('token');
+        if (stored && stored !== token && tokenExpiry(stored) > Date.now() + REFRESH_MARGIN_MS) {
+            setToken(stored);
+            return;
+        }
+
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+            clearSession();
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                storeSession(data.data);
+            } else if (localStorage.getItem('refreshToken') !== refreshToken) {
+                // Lost a race with another tab's refresh
+                setToken(localStorage.getItem('token'));
+            } else {
+                clearSession();
+            }
+        } catch (error) {
+            console.error('Session refresh error:', error);
+            setRetryAt(Date.now() + REFRESH_RETRY_MS);
+        }
+    }, [token, storeSession, clearSession]);
+
+    useEffect(() => {
+        if (!token) return;
+
+        const delay = Math.max(tokenExpiry(token) - REFRESH_MARGIN_MS - Date.now(), retryAt - Date.now(), 0);
+        const timer = setTimeout(refreshSession, delay);
+        return () => clearTimeout(timer);
+    }, [token, retryAt, refreshSession]);
+
+    // Follow sign-ins, refreshes and sign-outs in other tabs
+    useEffect(() => {
+        const onStorage = (event) => {
+            if (event.key === 'token') {
+                setToken(event.newValue);
+                if (!event.newValue) setUser(null);
+            }
+        };
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
+    }, []);
 
     const login = async (email, password) => {
         try {
@@ -128,12 +194,11 @@ const useAuth = () => {
             const data = await response.json();
 
             if (data.success) {
-                setToken(data.data.token);
                 setUser(data.data.user);
-                localStorage.setItem('token', data.data.token);
+                storeSession(data.data);
                 return { success: true };
             } else {
-                return { success: false, error: data.error };
+                return { success: false, error: data.details?.[0]?.message || data.error };
             }
         } catch (error) {
             return { success: false, error: 'Network error' };
@@ -151,12 +216,11 @@ const useAuth = () => {
             const data = await response.json();
 
             if (data.success) {
-                setToken(data.data.token);
                 setUser(data.data.user);
-                localStorage.setItem('token', data.data.token);
+                storeSession(data.data);
                 return { success: true };
             } else {
-                return { success: false, error: data.error };
+                return { success: false, error: data.details?.[0]?.message || data.error };
             }
         } catch (error) {
             return { success: false, error: 'Network error' };
@@ -164,12 +228,31 @@ const useAuth = () => {
     };
 
     const logout = () => {
-        setToken(null);
-        setUser(null);
-        localStorage.removeItem('token');
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (refreshToken) {
+            fetch(`${API_BASE_URL}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            }).catch(error => console.error('Logout error:', error));
+        }
+        clearSession();
+    };
+
+    // Ends every session of the account, this one included
+    const logoutEverywhere = async () => {
+        try {
+            await fetch(`${API_BASE_URL}/auth/logout-all`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+        } catch (error) {
+            console.error('Logout everywhere error:', error);
+        }
+        clearSession();
     };
 
-    return { user, token, loading, login, register, logout };
+    return { user, token, loading, login, register, logout, logoutEverywhere, applyProfile };
 };
 
 // ===================================
@@ -224,17 +307,21 @@ const useLocation = () => {
 // ===================================
 // SOCKET.IO HOOK
 // ===================================
-const useSocket = (token, setChatMessages, setNearbyPlaces) => {
+const useSocket = (token, setNearbyPlaces) => {
     const [socket, setSocket] = useState(null);
     const [connected, setConnected] = useState(false);
     const handlersAttached = useRef(false);
+    // Reconnects authenticate with the latest (refreshed) access token
+    const tokenRef = useRef(token);
+    tokenRef.current = token;
+    const signedIn = Boolean(token);
 
     useEffect(() => {
-        if (token && !socket) {
+        if (signedIn) {
             const WS_URL = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api').replace('/api', '');
 
             const newSocket = io(WS_URL, {
-                auth: { token },
+                auth: (cb) => cb({ token: tokenRef.current }),
                 transports: ['websocket', 'polling'],
                 withCredentials: true
             });
@@ -251,17 +338,6 @@ const useSocket = (token, setChatMessages, setNearbyPlaces) => {
 
             // Only attach message handlers once
             if (!handlersAttached.current) {
-                newSocket.on('ai_response', (data) => {
-                    if (setChatMessages) {
-                        setChatMessages(prev => [...prev, {
-                            type: 'ai',
-                            content: data.success ? data.data.message : data.fallback,
-                            timestamp: new Date(),
-                            model: data.data?.model
-                        }]);
-                    }
-                });
-
                 newSocket.on('location_context', (data) => {
                     if (setNearbyPlaces) {
                         setNearbyPlaces(data.nearbyRecommendations || []);
@@ -276,9 +352,11 @@ const useSocket = (token, setChatMessages, setNearbyPlaces) => {
             return () => {
                 handlersAttached.current = false;
                 newSocket.close();
+                setSocket(null);
+                setConnected(false);
             };
         }
-    }, [token]);
+    }, [signedIn]);
 
     return { socket, connected };
 };
@@ -286,17 +364,24 @@ const useSocket = (token, setChatMessages, setNearbyPlaces) => {
 // MAIN APP COMPONENT
 // ===================================
 const App = () => {
-    const { user, token, loading, login, register, logout } = useAuth();
+    const { user, token, loading, login, register, logout, logoutEverywhere, applyProfile } = useAuth();
     const { location, weather, updateLocation } = useLocation();
 
     const [currentMode, setCurrentMode] = useState('planning');
+    const [showSessions, setShowSessions] = useState(false);
+    const [showProfile, setShowProfile] = useState(false);
     const [chatOpen, setChatOpen] = useState(false);
     const [chatMessages, setChatMessages] = useState([]);
+    const [pendingRequestId, setPendingRequestId] = useState(null);
+    const [chatThreads, setChatThreads] = useState([]);
+    const [activeThreadId, setActiveThreadId] = useState(null);
     const [trips, setTrips] = useState([]);
+    const [pendingInvitations, setPendingInvitations] = useState([]);
     const [memories, setMemories] = useState([]);
     const [nearbyPlaces, setNearbyPlaces] = useState([]);
     const [currentTrip, setCurrentTrip] = useState(null);
     const [dashboardData, setDashboardData] = useState(null);
+    const [currencySettings, setCurrencySettings] = useState({ homeCurrency: 'USD', supported: DEFAULT_CURRENCIES });
     const [planningView, setPlanningView] = useState('create');
     const [selectedTrip, setSelectedTrip] = useState(null);
     const [selectedTripId, setSelectedTripId] = useState(() => {
@@ -305,7 +390,7 @@ const App = () => {
     });
     const [view, setView] = useState('create');
     const activeTrip = trips.find(t => t.status === 'active');
-    const { socket, connected } = useSocket(token, setChatMessages, setNearbyPlaces);
+    const { socket, connected } = useSocket(token, setNearbyPlaces);
 
 
     // Load initial data when user logs in
@@ -314,41 +399,131 @@ const App = () => {
             loadDashboardData();
             loadTrips();
             loadMemories();
+            loadChatThreads();
+            loadInvitations();
+            loadCurrencySettings();
         }
     }, [user, token]);
 
     // Socket event listeners
     useEffect(() => {
         if (socket) {
+            // Streamed replies: chunks grow a placeholder message that the
+            // final ai_response replaces with the complete text
+            // A new thread is created server-side for the first message
+            socket.on('ai_response_start', ({ threadId }) => {
+                if (threadId) {
+                    setActiveThreadId(current => current || threadId);
+                }
+            });
+
+            socket.on('ai_response_chunk', ({ requestId, chunk }) => {
+                setChatMessages(prev => {
+                    const index = prev.findIndex(m => m.requestId === requestId);
+                    if (index === -1) {
+                        return [...prev, {
+                            type: 'ai',
+                            content: chunk,
+                            timestamp: new Date(),
+                            requestId,
+                            streaming: true
+                        }];
+                    }
+                    const updated = [...prev];
+                    updated[index] = { ...updated[index], content: updated[index].content + chunk };
+                    return updated;
+                });
+            });
+
             socket.on('ai_response', (data) => {
-                setChatMessages(prev => [...prev, {
+                const finalMessage = {
                     type: 'ai',
                     content: data.success ? data.data.message : data.fallback,
                     timestamp: new Date(),
-                    model: data.data?.model
-                }]);
+                    model: data.data?.model,
+                    requestId: data.requestId,
+                    streaming: false,
+                    cancelled: data.cancelled,
+                    pendingActions: data.data?.pendingActions,
+                    error: !data.success
+                };
+
+                setChatMessages(prev => {
+                    const index = data.requestId ? prev.findIndex(m => m.requestId === data.requestId) : -1;
+                    if (index === -1) {
+                        return finalMessage.content ? [...prev, finalMessage] : prev;
+                    }
+                    const updated = [...prev];
+                    updated[index] = { ...updated[index], ...finalMessage, content: finalMessage.content || updated[index].content };
+                    return updated;
+                });
+                setPendingRequestId(current => (current === data.requestId ? null : current));
+                loadChatThreads();
             });
 
+            socket.on('ai_tool_result', handleToolResult);
+
             socket.on('location_context', (data) => {
                 setNearbyPlaces(data.nearbyRecommendations || []);
             });
 
             socket.on('trip_updated', (data) => {
+                const { membersChanged, bookingsChanged, expensesChanged, remindersChanged, budgetChanged, balancesChanged, removedUserId, ...updates } = data.updates;
+                if (remindersChanged) {
+                    // TripManager reloads its reminders when this changes
+                    updates.remindersUpdatedAt = Date.now();
+                }
+                if (budgetChanged || bookingsChanged || expensesChanged) {
+                    // ...and the budget summaries when this does
+                    updates.budgetUpdatedAt = Date.now();
+                }
+                if (balancesChanged || expensesChanged || membersChanged) {
+                    updates.balancesUpdatedAt = Date.now();
+                }
+
+                // Removed from a shared trip: drop it from view entirely
+                if (removedUserId && removedUserId === user?.id) {
+                    setTrips(prev => prev.filter(trip => trip.id !== data.tripId));
+                    setSelectedTrip(current => (current?.id === data.tripId ? null : current));
+                    return;
+                }
+
                 setTrips(prev => prev.map(trip =>
                     trip.id === data.tripId
-                        ? { ...trip, ...data.updates }
+                        ? { ...trip, ...updates }
                         : trip
                 ));
+                setSelectedTrip(current => (current?.id === data.tripId ? { ...current, ...updates } : current));
+
+                if (bookingsChanged || membersChanged) {
+                    loadTrips();
+                }
+            });
+
+            socket.on('trip_invitation', () => {
+                loadInvitations();
             });
 
             return () => {
+                socket.off('ai_response_start');
+                socket.off('ai_response_chunk');
                 socket.off('ai_response');
+                socket.off('ai_tool_result');
                 socket.off('location_context');
                 socket.off('trip_updated');
+                socket.off('trip_invitation');
             };
         }
     }, [socket]);
 
+    // A dropped connection ends any reply that was still streaming
+    useEffect(() => {
+        if (!connected) {
+            setPendingRequestId(null);
+            setChatMessages(prev => prev.map(m => (m.streaming ? { ...m, streaming: false } : m)));
+        }
+    }, [connected]);
+
     // Update location via socket when location changes
     useEffect(() => {
         if (socket && location) {
@@ -390,6 +565,49 @@ const App = () => {
         }
     };
 
+    const loadCurrencySettings = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/currency`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setCurrencySettings(data.data);
+            }
+        } catch (error) {
+            console.error('Currency settings load error:', error);
+        }
+    };
+
+    const updateHomeCurrency = async (currency) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/currency/home`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({ currency })
+            });
+            const data = await response.json();
+            if (data.success) {
+                setCurrencySettings(prev => ({ ...prev, homeCurrency: data.data.homeCurrency }));
+                // Trips without their own currency and the dashboard follow it
+                loadTrips();
+                loadDashboardData();
+            }
+        } catch (error) {
+            console.error('Home currency update error:', error);
+        }
+    };
+
+    const handleProfileSaved = (profile) => {
+        applyProfile(profile);
+        if (profile.homeCurrency !== currencySettings.homeCurrency) {
+            setCurrencySettings(prev => ({ ...prev, homeCurrency: profile.homeCurrency }));
+        }
+    };
+
     const loadTrips = async () => {
         try {
             console.log('🔄 Loading trips...');
@@ -481,6 +699,155 @@ const App = () => {
             ]);
         }
     };
+    // Invitations sent to this user's email, plus one opened via ?invite=<token>
+    const loadInvitations = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/invitations`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            const invitations = data.success ? data.data : [];
+
+            const params = new URLSearchParams(window.location.search);
+            const inviteToken = params.get('invite');
+            if (inviteToken && !invitations.some(invitation => invitation.token === inviteToken)) {
+                const linkResponse = await fetch(`${API_BASE_URL}/invitations/${inviteToken}`, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                const linkData = await linkResponse.json();
+                if (linkData.success) {
+                    invitations.unshift(linkData.data);
+                } else {
+                    alert(linkData.error || 'This invitation is no longer valid');
+                }
+                // Keep the link until the address is verified so it can be opened again
+                if (linkData.code === 'email_unverified') {
+                    setPendingInvitations(invitations);
+                    return;
+                }
+            }
+            if (inviteToken) {
+                params.delete('invite');
+                const query = params.toString();
+                window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+            }
+
+            setPendingInvitations(invitations);
+        } catch (error) {
+            console.error('Invitations load error:', error);
+        }
+    };
+
+    const respondToInvitation = async (invitation, accept) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/invitations/${invitation.token}/${accept ? 'accept' : 'decline'}`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            setPendingInvitations(prev => prev.filter(i => i.token !== invitation.token));
+
+            if (!data.success) {
+                alert(data.error || 'Failed to respond to invitation');
+                return;
+            }
+
+            if (accept) {
+                await loadTrips();
+                if (data.data.trip) {
+                    setCurrentMode('planning');
+                    setSelectedTripId(Number(data.data.trip.id));
+                    setSelectedTrip({ ...data.data.trip, id: Number(data.data.trip.id) });
+                    setView('itinerary');
+                }
+            }
+        } catch (error) {
+            console.error('Invitation response error:', error);
+            alert('Failed to respond to invitation');
+        }
+    };
+
+    const loadChatThreads = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/ai/threads`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setChatThreads(data.data);
+            }
+        } catch (error) {
+            console.error('Conversations load error:', error);
+        }
+    };
+
+    // Resume a thread: replace the chat panel with its stored messages
+    const openChatThread = async (threadId) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/ai/threads/${threadId}`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setActiveThreadId(threadId);
+                setChatMessages(data.data.messages.flatMap(turn => [
+                    { type: 'user', content: turn.userMessage, timestamp: new Date(turn.createdAt) },
+                    {
+                        type: 'ai',
+                        content: turn.aiResponse,
+                        timestamp: new Date(turn.createdAt),
+                        model: turn.model,
+                        cancelled: turn.cancelled
+                    }
+                ]));
+            }
+        } catch (error) {
+            console.error('Conversation load error:', error);
+        }
+    };
+
+    const startNewChatThread = () => {
+        setActiveThreadId(null);
+        setChatMessages([]);
+    };
+
+    const renameChatThread = async (threadId, title) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/ai/threads/${threadId}`, {
+                method: 'PATCH',
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ title })
+            });
+            const data = await response.json();
+            if (data.success) {
+                setChatThreads(prev => prev.map(t => (t.id === threadId ? { ...t, title: data.data.title } : t)));
+            }
+        } catch (error) {
+            console.error('Conversation rename error:', error);
+        }
+    };
+
+    const deleteChatThread = async (threadId) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/ai/threads/${threadId}`, {
+                method: 'DELETE',
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            if (response.ok) {
+                setChatThreads(prev => prev.filter(t => t.id !== threadId));
+                if (activeThreadId === threadId) {
+                    startNewChatThread();
+                }
+            }
+        } catch (error) {
+            console.error('Conversation delete error:', error);
+        }
+    };
+
     const handleViewActiveTrip = () => {
         if (activeTrip) {
             // Navigate to planning mode and show active trip
@@ -503,7 +870,11 @@ const App = () => {
         console.log('Socket exists:', !!socket);
 
         if (socket && connected) {
+            const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            setPendingRequestId(requestId);
             socket.emit('ai_chat', {
+                requestId,
+                threadId: activeThreadId,
                 message,
                 context: {
                     mode: currentMode,
@@ -527,6 +898,7 @@ const App = () => {
                         },
                         body: JSON.stringify({
                             message,
+                            threadId: activeThreadId,
                             context: {
                                 mode: currentMode,
                                 location: location,
@@ -540,11 +912,14 @@ const App = () => {
                     console.log('HTTP API response:', data);
 
                     if (data.success) {
+                        setActiveThreadId(data.data.threadId);
+                        loadChatThreads();
                         setChatMessages(prev => [...prev, {
                             type: 'ai',
                             content: data.data.message,
                             timestamp: new Date(),
-                            model: data.data.model
+                            model: data.data.model,
+                            pendingActions: data.data.pendingActions
                         }]);
                     } else {
                         setChatMessages(prev => [...prev, {
@@ -566,6 +941,62 @@ const App = () => {
             }, 500);
         }
     };
+    const cancelChatMessage = () => {
+        if (socket && pendingRequestId) {
+            socket.emit('ai_chat_cancel', { requestId: pendingRequestId });
+        }
+    };
+
+    // Writes the assistant proposes (bookings, schedule changes) wait for the
+    // user to confirm them on the message card
+    const updateToolAction = (actionId, changes) => {
+        setChatMessages(prev => prev.map(message =>
+            message.pendingActions?.some(action => action.id === actionId)
+                ? {
+                    ...message,
+                    pendingActions: message.pendingActions.map(action =>
+                        action.id === actionId ? { ...action, ...changes } : action
+                    )
+                }
+                : message
+        ));
+    };
+
+    const handleToolResult = (data) => {
+        updateToolAction(data.actionId, data.success
+            ? { state: data.status, resultMessage: data.message }
+            : { state: 'error', resultMessage: data.error });
+
+        if (data.success && data.status === 'ok') {
+            loadTrips();
+        }
+    };
+
+    const confirmToolAction = async (actionId, approved) => {
+        updateToolAction(actionId, { state: 'working' });
+
+        if (socket && connected) {
+            socket.emit('ai_tool_confirm', { actionId, approved });
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/ai/actions/${actionId}/confirm`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ approved })
+            });
+            const data = await response.json();
+            handleToolResult(data.success ? { success: true, ...data.data } : { success: false, actionId, error: data.error });
+        } catch (error) {
+            console.error('Confirm action error:', error);
+            handleToolResult({ success: false, actionId, error: 'Connection error' });
+        }
+    };
+
     // Show loading screen
     if (loading) {
         return (
@@ -595,9 +1026,49 @@ const App = () => {
                 weather={weather}
                 activeTrip={activeTrip}
                 onViewActiveTrip={handleViewActiveTrip}
+                currencySettings={currencySettings}
+                onHomeCurrencyChange={updateHomeCurrency}
+                onShowSessions={() => setShowSessions(true)}
+                onShowProfile={() => setShowProfile(true)}
             />
 
+            {showProfile && (
+                <ProfileModal
+                    token={token}
+                    currencies={currencySettings.supported}
+                    onClose={() => setShowProfile(false)}
+                    onSaved={handleProfileSaved}
+                    onAccountDeleted={() => {
+                        setShowProfile(false);
+                        logout();
+                    }}
+                />
+            )}
+
+            {showSessions && (
+                <SessionsModal
+                    token={token}
+                    onClose={() => setShowSessions(false)}
+                    onLogoutEverywhere={() => {
+                        setShowSessions(false);
+                        logoutEverywhere();
+                    }}
+                />
+            )}
+
             <main className="pb-20">
+                {!user.emailVerified && (
+                    <div className="max-w-7xl mx-auto px-4 pt-6">
+                        <VerifyEmailBanner token={token} email={user.email} />
+                    </div>
+                )}
+
+                {pendingInvitations.length > 0 && (
+                    <div className="max-w-7xl mx-auto px-4 pt-6">
+                        <PendingInvitations invitations={pendingInvitations} onRespond={respondToInvitation} />
+                    </div>
+                )}
+
                 {currentMode === 'planning' && (
                     <PlanningMode
                         user={user}
@@ -627,6 +1098,7 @@ const App = () => {
                         nearbyPlaces={nearbyPlaces}
                         currentTrip={currentTrip}
                         sendChatMessage={sendChatMessage}
+                        currencySettings={currencySettings}
                     />
                 )}
 
@@ -648,6 +1120,15 @@ const App = () => {
                 onClose={() => setChatOpen(false)}
                 messages={chatMessages}
                 onSendMessage={sendChatMessage}
+                onCancel={cancelChatMessage}
+                onConfirmAction={confirmToolAction}
+                isResponding={!!pendingRequestId}
+                threads={chatThreads}
+                activeThreadId={activeThreadId}
+                onOpenThread={openChatThread}
+                onNewThread={startNewChatThread}
+                onRenameThread={renameChatThread}
+                onDeleteThread={deleteChatThread}
                 currentMode={currentMode}
                 connected={connected}
             />
@@ -662,6 +1143,7 @@ const App = () => {
 // ===================================
 const AuthScreen = ({ login, register }) => {
     const [isLogin, setIsLogin] = useState(true);
+    const [forgotPassword, setForgotPassword] = useState(false);
     const [formData, setFormData] = useState({ email: '', password: '', name: '' });
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
@@ -706,84 +1188,100 @@ const AuthScreen = ({ login, register }) => {
                     <p className="text-gray-600">Your AI Travel Companion</p>
                 </div>
 
-                <form onSubmit={handleSubmit} className="space-y-4">
-                    {!isLogin && (
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
-                                Full Name
-                            </label>
-                            <input
-                                type="text"
-                                required={!isLogin}
-                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                                value={formData.name}
-                                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
-                                placeholder="Enter your full name"
-                            />
-                        </div>
-                    )}
+                {forgotPassword ? (
+                    <ForgotPasswordForm onBack={() => setForgotPassword(false)} />
+                ) : (
+                    <>
+                        <form onSubmit={handleSubmit} className="space-y-4">
+                            {!isLogin && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Full Name
+                                    </label>
+                                    <input
+                                        type="text"
+                                        required={!isLogin}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                        value={formData.name}
+                                        onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                                        placeholder="Enter your full name"
+                                    />
+                                </div>
+                            )}
 
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Email Address
-                        </label>
-                        <input
-                            type="email"
-                            required
-                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                            value={formData.email}
-                            onChange={(e) => setFormData(prev => ({ ...prev, email: e.target.value }))}
-                            placeholder="Enter your email"
-                        />
-                    </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Email Address
+                                </label>
+                                <input
+                                    type="email"
+                                    required
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                    value={formData.email}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, email: e.target.value }))}
+                                    placeholder="Enter your email"
+                                />
+                            </div>
 
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Password
-                        </label>
-                        <input
-                            type="password"
-                            required
-                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                            value={formData.password}
-                            onChange={(e) => setFormData(prev => ({ ...prev, password: e.target.value }))}
-                            placeholder="Enter your password"
-                        />
-                    </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Password
+                                </label>
+                                <input
+                                    type="password"
+                                    required
+                                    minLength={isLogin ? undefined : 8}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                    value={formData.password}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, password: e.target.value }))}
+                                    placeholder={isLogin ? 'Enter your password' : 'At least 8 characters'}
+                                />
+                                {isLogin && (
+                                    <button
+                                        type="button"
+                                        onClick={() => setForgotPassword(true)}
+                                        className="mt-2 text-sm text-blue-600 hover:text-blue-700"
+                                    >
+                                        Forgot password?
+                                    </button>
+                                )}
+                            </div>
 
-                    {error && (
-                        <div className="bg-red-50 border border-red-200 rounded-lg p-3">
-                            <p className="text-red-700 text-sm">{error}</p>
-                        </div>
-                    )}
+                            {error && (
+                                <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                                    <p className="text-red-700 text-sm">{error}</p>
+                                </div>
+                            )}
 
-                    <button
-                        type="submit"
-                        disabled={loading}
-                        className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-2 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-colors disabled:opacity-50"
-                    >
-                        {loading ? 'Please wait...' : (isLogin ? 'Sign In' : 'Create Account')}
-                    </button>
-                </form>
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-2 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-colors disabled:opacity-50"
+                            >
+                                {loading ? 'Please wait...' : (isLogin ? 'Sign In' : 'Create Account')}
+                            </button>
+                        </form>
 
-                <div className="mt-6 space-y-4">
-                    <button
-                        onClick={() => setIsLogin(!isLogin)}
-                        className="w-full text-blue-600 hover:text-blue-700 text-sm"
-                    >
-                        {isLogin ? "Don't have an account? Sign up" : "Already have an account? Sign in"}
-                    </button>
+                        <div className="mt-6 space-y-4">
+                            <button
+                                onClick={() => setIsLogin(!isLogin)}
+                                className="w-full text-blue-600 hover:text-blue-700 text-sm"
+                            >
+                                {isLogin ? "Don't have an account? Sign up" : "Already have an account? Sign in"}
+                            </button>
 
-                    {/* Demo Access */}
-                    <div className="border-t pt-4">
-                        <button
-                            onClick={handleDemoLogin}
-                            className="w-full bg-gray-100 text-gray-700 py-2 rounded-lg hover:bg-gray-200 transition-colors text-sm"
-                        >
-                            Try Demo (No signup required)
-                        </button>
-                    </div>
-                </div>
+                            {/* Demo Access */}
+                            <div className="border-t pt-4">
+                                <button
+                                    onClick={handleDemoLogin}
+                                    className="w-full bg-gray-100 text-gray-700 py-2 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+                                >
+                                    Try Demo (No signup required)
+                                </button>
+                            </div>
+                        </div>
+                    </>
+                )}
             </div>
         </div>
     );
@@ -791,7 +1289,7 @@ const AuthScreen = ({ login, register }) => {
 // ===================================
 // HEADER COMPONENT
 // ===================================
-const Header = ({ user, logout, currentMode, setCurrentMode, connected, location, weather, activeTrip, onViewActiveTrip }) => {
+const Header = ({ user, logout, currentMode, setCurrentMode, connected, location, weather, activeTrip, onViewActiveTrip, currencySettings, onHomeCurrencyChange, onShowSessions, onShowProfile }) => {
     const [showUserMenu, setShowUserMenu] = useState(false);
 
     const getWeatherIcon = () => {
@@ -890,6 +1388,36 @@ const Header = ({ user, logout, currentMode, setCurrentMode, connected, location
                                         <p className="text-sm font-medium text-gray-900">{user.name}</p>
                                         <p className="text-xs text-gray-500">{user.email}</p>
                                     </div>
+                                    <label className="flex items-center justify-between px-4 py-2 text-sm text-gray-700 border-b">
+                                        <span>Home currency</span>
+                                        <select
+                                            value={currencySettings.homeCurrency}
+                                            onChange={(e) => onHomeCurrencyChange(e.target.value)}
+                                            className="text-sm border border-gray-300 rounded px-1 py-0.5"
+                                        >
+                                            {currencySettings.supported.map(code => (
+                                                <option key={code} value={code}>{code}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <button
+                                        onClick={() => {
+                                            setShowUserMenu(false);
+                                            onShowProfile();
+                                        }}
+                                        className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                                    >
+                                        Travel preferences
+                                    </button>
+                                    <button
+                                        onClick={() => {
+                                            setShowUserMenu(false);
+                                            onShowSessions();
+                                        }}
+                                        className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                                    >
+                                        Active sessions
+                                    </button>
                                     <button
                                         onClick={() => {
                                             setShowUserMenu(false);
@@ -2189,179 +2717,6 @@ const MapModal = ({ isOpen, onClose, dayTitle, locations, destination, token })
         </div>
     );
 };
-// Add this new component before PlanningMode
-const DayEditor = ({ day, tripId, destination, onSave, onCancel, token }) => {
-    const [activities, setActivities] = useState([...day.activities]);
-    const [newActivity, setNewActivity] = useState('');
-    const [saving, setSaving] = useState(false);
-
-    const addActivity = () => {
-        if (newActivity.trim()) {
-            setActivities([...activities, newActivity.trim()]);
-            setNewActivity('');
-        }
-    };
-
-    const removeActivity = (index) => {
-        setActivities(activities.filter((_, i) => i !== index));
-    };
-
-    const updateActivity = (index, value) => {
-        const updated = [...activities];
-        updated[index] = value;
-        setActivities(updated);
-    };
-
-    const moveActivity = (index, direction) => {
-        if (
-            (direction === 'up' && index === 0) ||
-            (direction === 'down' && index === activities.length - 1)
-        ) {
-            return;
-        }
-
-        const updated = [...activities];
-        const newIndex = direction === 'up' ? index - 1 : index + 1;
-        [updated[index], updated[newIndex]] = [updated[newIndex], updated[index]];
-        setActivities(updated);
-    };
-
-    const handleSave = async () => {
-        setSaving(true);
-        try {
-            const response = await fetch(`${API_BASE_URL}/trips/${tripId}/days/${day.number}`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    activities: activities,
-                    title: day.title
-                })
-            });
-
-            const data = await response.json();
-
-            if (data.success) {
-                onSave({ ...day, activities });
-            } else {
-                alert('Failed to save changes');
-            }
-        } catch (error) {
-            console.error('Save error:', error);
-            alert('Failed to save changes');
-        } finally {
-            setSaving(false);
-        }
-    };
-
-    return (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-xl max-w-4xl w-full max-h-[90vh] overflow-hidden shadow-2xl">
-                <div className="bg-gradient-to-r from-blue-600 to-purple-600 text-white p-6">
-                    <div className="flex items-center justify-between">
-                        <div>
-                            <h2 className="text-2xl font-bold">Edit Day {day.number}</h2>
-                            <p className="text-blue-100 text-sm mt-1">{day.title} - {destination}</p>
-                        </div>
-                        <button
-                            onClick={onCancel}
-                            className="text-white/80 hover:text-white transition-colors"
-                        >
-                            <X className="w-6 h-6" />
-                        </button>
-                    </div>
-                </div>
-
-                <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)]">
-                    {/* Current Activities */}
-                    <div className="space-y-3 mb-6">
-                        <h3 className="font-semibold text-gray-900 mb-3">Activities</h3>
-                        {activities.map((activity, index) => (
-                            <div key={index} className="flex items-start space-x-2 bg-gray-50 p-3 rounded-lg group">
-                                <div className="flex flex-col space-y-1">
-                                    <button
-                                        onClick={() => moveActivity(index, 'up')}
-                                        disabled={index === 0}
-                                        className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
-                                        title="Move up"
-                                    >
-                                        ▲
-                                    </button>
-                                    <button
-                                        onClick={() => moveActivity(index, 'down')}
-                                        disabled={index === activities.length - 1}
-                                        className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
-                                        title="Move down"
-                                    >
-                                        ▼
-                                    </button>
-                                </div>
-                                <textarea
-                                    value={activity}
-                                    onChange={(e) => updateActivity(index, e.target.value)}
-                                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 resize-none"
-                                    rows={2}
-                                />
-                                <button
-                                    onClick={() => removeActivity(index)}
-                                    className="text-red-500 hover:text-red-700 opacity-0 group-hover:opacity-100 transition-opacity"
-                                    title="Remove activity"
-                                >
-                                    <X className="w-5 h-5" />
-                                </button>
-                            </div>
-                        ))}
-                    </div>
-
-                    {/* Add New Activity */}
-                    <div className="border-t pt-4">
-                        <h4 className="font-semibold text-gray-900 mb-3">Add New Activity</h4>
-                        <div className="flex space-x-2">
-                            <textarea
-                                value={newActivity}
-                                onChange={(e) => setNewActivity(e.target.value)}
-                                onKeyDown={(e) => {
-                                    if (e.key === 'Enter' && e.ctrlKey) {
-                                        addActivity();
-                                    }
-                                }}
-                                placeholder="Enter new activity (Ctrl+Enter to add)"
-                                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 resize-none"
-                                rows={2}
-                            />
-                            <button
-                                onClick={addActivity}
-                                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-                            >
-                                Add
-                            </button>
-                        </div>
-                    </div>
-                </div>
-
-                {/* Footer */}
-                <div className="border-t p-4 flex justify-end space-x-3 bg-gray-50">
-                    <button
-                        onClick={onCancel}
-                        className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
-                    >
-                        Cancel
-                    </button>
-                    <button
-                        onClick={handleSave}
-                        disabled={saving}
-                        className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center space-x-2"
-                    >
-                        {saving && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>}
-                        <span>{saving ? 'Saving...' : 'Save Changes'}</span>
-                    </button>
-                </div>
-            </div>
-        </div>
-    );
-};
 // ===================================
 // ENHANCED PLANNING MODE COMPONENT
 // ===================================
@@ -2376,10 +2731,7 @@ const PlanningMode = ({ user, token, trips, setTrips, setCurrentTrip, sendChatMe
     //const [view, setView] = useState('create'); // 'create', 'trips', 'itinerary', 'flights', 'hotels', 'activities'
     //const [selectedTrip, setSelectedTrip] = useState(null);
     //const [selectedTripId, setSelectedTripId] = useState(null);
-    const [mapModalOpen, setMapModalOpen] = useState(false);
-    const [selectedDayForMap, setSelectedDayForMap] = useState(null);
     const [isCreating, setIsCreating] = useState(false);
-    const [editingDay, setEditingDay] = useState(null);
     const [formData, setFormData] = useState({
         destination: '',
         duration: '',
@@ -2407,14 +2759,12 @@ const PlanningMode = ({ user, token, trips, setTrips, setCurrentTrip, sendChatMe
             setSelectedTrip(updatedTrip);
         }
     };
-    const handleDaySave = (updatedDay) => {
-        // Update the trip's itinerary
-        const updatedItinerary = selectedTrip.itinerary?.itinerary || selectedTrip.itinerary;
-        // This would need to reconstruct the itinerary text with the updated day
-        // For now, we'll just refresh the trip
-        setEditingDay(null);
-        // Reload trip data
-        loadTrips();
+    // Left a shared trip from the members dialog
+    const handleTripLeft = (tripId) => {
+        setTrips(prev => prev.filter(trip => trip.id !== tripId));
+        setSelectedTrip(null);
+        setSelectedTripId(null);
+        setView('trips');
     };
 
     // Schedule trip by setting start and end dates
@@ -2586,167 +2936,10 @@ const PlanningMode = ({ user, token, trips, setTrips, setCurrentTrip, sendChatMe
         return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true });
     };
 
-    const formatFlightDate = (dateString) => {
-        if (!dateString) return '';
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-    };
-
-    const parseItinerary = (itineraryText) => {
-        if (!itineraryText) return [];
-
-        const days = [];
-        const lines = itineraryText.split('\n');
-        let currentDay = null;
-
-        lines.forEach(line => {
-            line = line.trim();
-            if (!line) return;
-
-            // Check if this is a day header
-            const dayMatch = line.match(/\*?\*?\s*Day\s+(\d+)[:\-\s]*(.*?)\*?\*?/i);
-            if (dayMatch) {
-                if (currentDay) {
-                    days.push(currentDay);
-                }
-                currentDay = {
-                    number: parseInt(dayMatch[1]),
-                    title: dayMatch[2].replace(/\*/g, '').trim() || 'Exploration Day',
-                    activities: [],
-                    totalCost: 0
-                };
-                return;
-            }
-
-            // Extract costs
-            const costMatch = line.match(/\$(\d+(?:,\d{3})*(?:\.\d{2})?)/);
-            if (costMatch && currentDay) {
-                currentDay.totalCost += parseFloat(costMatch[1].replace(/,/g, ''));
-            }
-
-            // Add activities - be less strict
-            if (currentDay && line.length > 3) {
-                const cleanLine = line
-                    .replace(/^\*+\s*/, '')
-                    .replace(/\*+$/, '')
-                    .replace(/\*\*(.*?)\*\*/g, '$1')
-                    .replace(/^[-•]\s*/, '')
-                    .replace(/^\d+\.\s*/, '')
-                    .trim();
-
-                if (cleanLine) {
-                    currentDay.activities.push(cleanLine);
-                }
-            }
-        });
-        if (currentDay) {
-            days.push(currentDay);
-        }
-
-
-        // Remove duplicate days (same day number)
-        const uniqueDays = [];
-        const seenDayNumbers = new Set();
-
-        days.forEach(day => {
-            if (!seenDayNumbers.has(day.number)) {
-                seenDayNumbers.add(day.number);
-                uniqueDays.push(day);
-            }
-        });
-
-        // Fallback if no structured days found
-        if (uniqueDays.length === 0 && itineraryText.length > 0) {
-            const activities = lines
-                .filter(line => line.trim().length > 10)
-                .filter(line => !line.match(/^(Day \d+|Morning Activity|Afternoon Activity|Evening Activity|Lunch|Dinner|Breakfast):?\s*$/i))
-                .map(line => line
-                    .replace(/^\*+\s*/, '')
-                    .replace(/\*+$/, '')
-                    .replace(/\*\*(.*?)\*\*/g, '$1')
-                    .trim()
-                )
-                .filter(line => line && line.length > 10);
-
-            uniqueDays.push({
-                number: 1,
-                title: 'Full Itinerary',
-                activities: activities,
-                totalCost: 0
-            });
-        }
-
-        return uniqueDays;
-    };
-    // Add a function to format activities for display
-    const formatActivityText = (text) => {
-        // Check if it's a section header (Morning Activity, Lunch, etc.)
-        const sectionMatch = text.match(/^(Morning Activity|Afternoon Activity|Evening Activity|Lunch|Dinner|Breakfast)(\s*\(.*?\))?:/i);
-
-        if (sectionMatch) {
-            return {
-                type: 'header',
-                text: sectionMatch[1],
-                time: sectionMatch[2] ? sectionMatch[2].replace(/[()]/g, '').trim() : null
-            };
-        }
-
-        // Check if it's an activity detail (Activity:, Venue:, etc.)
-        const detailMatch = text.match(/^(Activity|Venue|Address|Cost|Price Range|Note|Duration):\s*(.+)/i);
-
-        if (detailMatch) {
-            return {
-                type: 'detail',
-                label: detailMatch[1],
-                value: detailMatch[2].trim()
-            };
-        }
-
-        // Regular text
-        return {
-            type: 'text',
-            text: text
-        };
-    };
-
-    const getDayDate = (startDate, dayNumber) => {
-        if (!startDate) return null;
-        const date = new Date(startDate);
-        date.setDate(date.getDate() + (dayNumber - 1));
-        return date.toLocaleDateString('en-US', {
-            weekday: 'short',
-            month: 'short',
-            day: 'numeric'
-        });
-    };
-
-    const extractLocations = (activities) => {
-        const locations = activities
-            .map(activity => {
-                const cleaned = activity
-                    .replace(/^(Visit|Explore|See|Discover|Tour|Walk through|Experience)\s+/i, '')
-                    .replace(/\s*\(.*?\)/g, '')
-                    .replace(/\s*-.*$/g, '')
-                    .replace(/\$\d+(\.\d{2})?/g, '')
-                    .trim();
-
-                const firstPart = cleaned.split(/[,.]|and |or /i)[0].trim();
-
-                if (firstPart.length > 0 && firstPart.length < 50) {
-                    return firstPart;
-                }
-                return null;
-            })
-            .filter(Boolean)
-            .slice(0, 5);
-
-        return locations.length > 0 ? locations : [selectedTrip?.destination || 'Location'];
-    };
-
-    const openMapForDay = (day) => {
-        const locations = extractLocations(day.activities);
-        setSelectedDayForMap({ ...day, locations });
-        setMapModalOpen(true);
+    const formatFlightDate = (dateString) => {
+        if (!dateString) return '';
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
     };
 
       // ITINERARY VIEW
@@ -2784,6 +2977,8 @@ const PlanningMode = ({ user, token, trips, setTrips, setCurrentTrip, sendChatMe
                     onUpdate={handleTripUpdate}
                     onSchedule={handleTripSchedule}
                     token={token}
+                    currentUserId={user?.id}
+                    onLeave={handleTripLeft}
                     sendChatMessage={sendChatMessage}
                     setChatOpen={setChatOpen}
                 />
@@ -2961,7 +3156,7 @@ const PlanningMode = ({ user, token, trips, setTrips, setCurrentTrip, sendChatMe
                         <div className="border-t pt-3 mt-3">
                             <div className="flex items-center justify-between text-xs text-gray-600">
                                 <span>{trip.bookingCount || 0} bookings</span>
-                                <span className="font-semibold">${trip.totalSpent || 0} spent</span>
+                                <span className="font-semibold">{formatMoney(trip.totalSpent, trip.currency)} spent</span>
                             </div>
                         </div>
                     )}
@@ -3076,6 +3271,8 @@ const PlanningMode = ({ user, token, trips, setTrips, setCurrentTrip, sendChatMe
                     onUpdate={handleTripUpdate}
                     onSchedule={handleTripSchedule}
                     token={token}
+                    currentUserId={user?.id}
+                    onLeave={handleTripLeft}
                     sendChatMessage={sendChatMessage}
                     setChatOpen={setChatOpen}
                 />
@@ -3440,7 +3637,7 @@ const PlanningMode = ({ user, token, trips, setTrips, setCurrentTrip, sendChatMe
 // COMPANION MODE COMPONENT
 // ===================================
 
-const CompanionMode = ({ user, token, location, weather, nearbyPlaces, currentTrip, sendChatMessage, setChatOpen }) => {
+const CompanionMode = ({ user, token, location, weather, nearbyPlaces, currentTrip, sendChatMessage, setChatOpen, currencySettings }) => {
 
 // Emergency contacts data
 const emergencyContacts = {
@@ -3522,7 +3719,47 @@ const emergencyContacts = {
     });
     const [receiptPhotos, setReceiptPhotos] = useState([]);
     const [receiptPhotosPreviews, setReceiptPhotosPreviews] = useState([]);
+    // Receipt reading: form fields filled from a low-confidence read are
+    // highlighted until the user touches them
+    const [readingReceipt, setReadingReceipt] = useState(false);
+    const [receiptReview, setReceiptReview] = useState([]);
     const [savingExpense, setSavingExpense] = useState(false);
+    const [expensesSaved, setExpensesSaved] = useState(0);
+    // Splitting with companions: who paid, how, and each participant's
+    // { included, shares, amount }
+    const [tripParticipants, setTripParticipants] = useState([]);
+    const [expenseSplit, setExpenseSplit] = useState({ method: 'none', paidBy: '', parts: {} });
+
+    useEffect(() => {
+        if (!showAddExpenseModal || !activeTrip) return;
+
+        const loadParticipants = async () => {
+            try {
+                const response = await fetch(`${API_BASE_URL}/trips/${activeTrip.id}/participants`, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                const data = await response.json();
+                if (data.success) {
+                    setTripParticipants(data.data);
+                    setExpenseSplit({
+                        method: 'none',
+                        paidBy: `user:${user.id}`,
+                        parts: Object.fromEntries(data.data.map(p => [p.participant, { included: true, shares: 1, amount: '' }]))
+                    });
+                }
+            } catch (error) {
+                console.error('Load trip participants error:', error);
+            }
+        };
+
+        loadParticipants();
+    }, [showAddExpenseModal, activeTrip?.id]);
+
+    // New expenses default to the trip's currency, else the home currency
+    const defaultExpenseCurrency = activeTrip?.currency || currencySettings.homeCurrency;
+    useEffect(() => {
+        setExpenseData(prev => (prev.amount ? prev : { ...prev, currency: defaultExpenseCurrency }));
+    }, [defaultExpenseCurrency]);
 
     // Place Details Modal states
     const [showPlaceDetailsModal, setShowPlaceDetailsModal] = useState(false);
@@ -3935,7 +4172,10 @@ const emergencyContacts = {
                 type: 'activity',
                 time: '09:00',
                 duration: '2 hours',
-                location: activity.geoCode ? `${activity.geoCode.latitude}, ${activity.geoCode.longitude}` : 'Unknown',
+                location: activity.geoCode ? {
+                    name: activity.name,
+                    coordinates: { lat: activity.geoCode.latitude, lng: activity.geoCode.longitude }
+                } : null,
                 status: 'upcoming',
                 date: new Date().toISOString().split('T')[0]
             };
@@ -3992,6 +4232,9 @@ const emergencyContacts = {
             if (activeTrip) {
                 formData.append('tripId', activeTrip.id);
             }
+            if (location) {
+                formData.append('location', JSON.stringify({ lat: location.lat, lng: location.lng }));
+            }
 
             memoryPhotos.forEach(photo => {
                 formData.append('photos', photo);
@@ -4028,10 +4271,64 @@ const emergencyContacts = {
     };
 
     // Expense Functions
+    const RECEIPT_FIELD_KEYS = {
+        merchant: 'title',
+        total: 'amount',
+        currency: 'currency',
+        date: 'expenseDate',
+        category: 'category'
+    };
+
+    const updateExpenseField = (key, value) => {
+        setExpenseData(prev => ({ ...prev, [key]: value }));
+        setReceiptReview(prev => prev.filter(field => field !== key));
+    };
+
+    const readReceipt = async (photo) => {
+        setReadingReceipt(true);
+        try {
+            const formData = new FormData();
+            formData.append('receipt', photo);
+
+            const response = await fetch(`${API_BASE_URL}/expenses/receipt`, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${token}`
+                },
+                body: formData
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert(data.error || 'Could not read this receipt');
+                return;
+            }
+
+            const filled = Object.entries(RECEIPT_FIELD_KEYS).filter(([field]) => data.data[field] !== null);
+            setExpenseData(prev => ({
+                ...prev,
+                ...Object.fromEntries(filled.map(([field, key]) => [key, String(data.data[field])]))
+            }));
+            setReceiptReview(filled
+                .filter(([field]) => data.data.needsReview.includes(field))
+                .map(([, key]) => key));
+        } catch (error) {
+            console.error('Read receipt error:', error);
+            alert('Could not read this receipt');
+        } finally {
+            setReadingReceipt(false);
+        }
+    };
+
     const handleReceiptPhotosUpload = (e) => {
         const files = Array.from(e.target.files);
         setReceiptPhotos(prev => [...prev, ...files]);
 
+        // The first receipt attached to an empty form fills it in
+        if (receiptPhotos.length === 0 && files.length > 0 && !expenseData.amount) {
+            readReceipt(files[0]);
+        }
+
         // Create previews
         files.forEach(file => {
             const reader = new FileReader();
@@ -4062,6 +4359,18 @@ const emergencyContacts = {
             if (activeTrip) {
                 formData.append('tripId', activeTrip.id);
             }
+            if (activeTrip && expenseSplit.method !== 'none') {
+                const included = Object.entries(expenseSplit.parts).filter(([, part]) => part.included);
+                formData.append('split', JSON.stringify({
+                    paidBy: expenseSplit.paidBy,
+                    method: expenseSplit.method,
+                    participants: included.map(([participant, part]) => ({
+                        participant,
+                        ...(expenseSplit.method === 'shares' && { shares: Number(part.shares) }),
+                        ...(expenseSplit.method === 'exact' && { amount: Number(part.amount) })
+                    }))
+                }));
+            }
 
             receiptPhotos.forEach(photo => {
                 formData.append('receipt_photos', photo);
@@ -4081,14 +4390,19 @@ const emergencyContacts = {
                     title: '',
                     description: '',
                     amount: '',
-                    currency: 'USD',
+                    currency: defaultExpenseCurrency,
                     category: 'general',
                     expenseDate: new Date().toISOString().split('T')[0]
                 });
                 setReceiptPhotos([]);
                 setReceiptPhotosPreviews([]);
+                setReceiptReview([]);
                 setShowAddExpenseModal(false);
+                setExpensesSaved(count => count + 1);
                 alert('Expense saved successfully!');
+            } else {
+                const data = await response.json();
+                alert(data.details?.[0]?.message || data.error || 'Failed to save expense');
             }
         } catch (error) {
             console.error('Save expense error:', error);
@@ -4129,7 +4443,9 @@ const emergencyContacts = {
 
     const getActivityIcon = (type) => {
         switch (type) {
+            case 'meal':
             case 'dining': return <Utensils className="w-4 h-4" />;
+            case 'lodging':
             case 'accommodation': return <Hotel className="w-4 h-4" />;
             case 'transport': return <Plane className="w-4 h-4" />;
             default: return <Calendar className="w-4 h-4" />;
@@ -4699,6 +5015,8 @@ const emergencyContacts = {
                     return <Plane className="w-5 h-5 text-green-500" />;
                 case 'booking_reminder':
                     return <Bell className="w-5 h-5 text-purple-500" />;
+                case 'budget_alert':
+                    return <DollarSign className="w-5 h-5 text-green-600" />;
                 default:
                     return <AlertTriangle className="w-5 h-5 text-gray-500" />;
             }
@@ -5516,8 +5834,8 @@ const emergencyContacts = {
                                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
                                 >
                                     <option value="activity">Activity</option>
-                                    <option value="dining">Dining</option>
-                                    <option value="accommodation">Accommodation</option>
+                                    <option value="meal">Dining</option>
+                                    <option value="lodging">Accommodation</option>
                                     <option value="transport">Transport</option>
                                 </select>
                             </div>
@@ -5802,6 +6120,10 @@ const emergencyContacts = {
             { value: 'other', label: 'Other' }
         ];
 
+        const expenseFieldClass = (key) => `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 ${
+            receiptReview.includes(key) ? 'border-amber-400 bg-amber-50' : 'border-gray-300'
+        }`;
+
         return (
             <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
                 <div className="bg-white rounded-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
@@ -5814,14 +6136,26 @@ const emergencyContacts = {
                         </div>
 
                         <div className="space-y-4">
+                            {readingReceipt && (
+                                <p className="text-sm text-blue-600 flex items-center">
+                                    <Loader className="w-4 h-4 mr-2 animate-spin" />
+                                    Reading receipt...
+                                </p>
+                            )}
+                            {!readingReceipt && receiptReview.length > 0 && (
+                                <p className="text-sm text-amber-700 bg-amber-50 rounded-lg px-3 py-2">
+                                    Filled in from your receipt. Please check the highlighted fields.
+                                </p>
+                            )}
+
                             <div>
                                 <label className="block text-sm font-medium text-gray-700 mb-2">Title</label>
                                 <input
                                     type="text"
                                     value={expenseData.title}
-                                    onChange={(e) => setExpenseData(prev => ({ ...prev, title: e.target.value }))}
+                                    onChange={(e) => updateExpenseField('title', e.target.value)}
                                     placeholder="e.g., Lunch at cafe"
-                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                    className={expenseFieldClass('title')}
                                 />
                             </div>
 
@@ -5843,23 +6177,21 @@ const emergencyContacts = {
                                         type="number"
                                         step="0.01"
                                         value={expenseData.amount}
-                                        onChange={(e) => setExpenseData(prev => ({ ...prev, amount: e.target.value }))}
+                                        onChange={(e) => updateExpenseField('amount', e.target.value)}
                                         placeholder="0.00"
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                        className={expenseFieldClass('amount')}
                                     />
                                 </div>
                                 <div>
                                     <label className="block text-sm font-medium text-gray-700 mb-2">Currency</label>
                                     <select
                                         value={expenseData.currency}
-                                        onChange={(e) => setExpenseData(prev => ({ ...prev, currency: e.target.value }))}
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                        onChange={(e) => updateExpenseField('currency', e.target.value)}
+                                        className={expenseFieldClass('currency')}
                                     >
-                                        <option value="USD">USD</option>
-                                        <option value="EUR">EUR</option>
-                                        <option value="GBP">GBP</option>
-                                        <option value="JPY">JPY</option>
-                                        <option value="AUD">AUD</option>
+                                        {currencySettings.supported.map(code => (
+                                            <option key={code} value={code}>{code}</option>
+                                        ))}
                                     </select>
                                 </div>
                             </div>
@@ -5869,8 +6201,8 @@ const emergencyContacts = {
                                     <label className="block text-sm font-medium text-gray-700 mb-2">Category</label>
                                     <select
                                         value={expenseData.category}
-                                        onChange={(e) => setExpenseData(prev => ({ ...prev, category: e.target.value }))}
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                        onChange={(e) => updateExpenseField('category', e.target.value)}
+                                        className={expenseFieldClass('category')}
                                     >
                                         {expenseCategories.map(cat => (
                                             <option key={cat.value} value={cat.value}>{cat.label}</option>
@@ -5882,14 +6214,100 @@ const emergencyContacts = {
                                     <input
                                         type="date"
                                         value={expenseData.expenseDate}
-                                        onChange={(e) => setExpenseData(prev => ({ ...prev, expenseDate: e.target.value }))}
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                        onChange={(e) => updateExpenseField('expenseDate', e.target.value)}
+                                        className={expenseFieldClass('expenseDate')}
                                     />
                                 </div>
                             </div>
 
+                            {activeTrip && tripParticipants.length > 1 && (
+                                <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-2">Paid by</label>
+                                            <select
+                                                value={expenseSplit.paidBy}
+                                                onChange={(e) => setExpenseSplit(prev => ({ ...prev, paidBy: e.target.value }))}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            >
+                                                {tripParticipants.map(p => (
+                                                    <option key={p.participant} value={p.participant}>{p.name}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-2">Split</label>
+                                            <select
+                                                value={expenseSplit.method}
+                                                onChange={(e) => setExpenseSplit(prev => ({ ...prev, method: e.target.value }))}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            >
+                                                <option value="none">Not split</option>
+                                                <option value="equal">Equally</option>
+                                                <option value="shares">By shares</option>
+                                                <option value="exact">Exact amounts</option>
+                                            </select>
+                                        </div>
+                                    </div>
+                                    {expenseSplit.method !== 'none' && tripParticipants.map(p => {
+                                        const part = expenseSplit.parts[p.participant] || { included: false, shares: 1, amount: '' };
+                                        const updatePart = (changes) => setExpenseSplit(prev => ({
+                                            ...prev,
+                                            parts: { ...prev.parts, [p.participant]: { ...part, ...changes } }
+                                        }));
+
+                                        return (
+                                            <div key={p.participant} className="flex items-center justify-between text-sm">
+                                                <label className="flex items-center space-x-2">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={part.included}
+                                                        onChange={(e) => updatePart({ included: e.target.checked })}
+                                                    />
+                                                    <span>{p.name}{p.guest && <span className="text-gray-400"> (guest)</span>}</span>
+                                                </label>
+                                                {part.included && expenseSplit.method === 'shares' && (
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step="0.5"
+                                                        value={part.shares}
+                                                        onChange={(e) => updatePart({ shares: e.target.value })}
+                                                        className="w-20 px-2 py-1 border border-gray-300 rounded"
+                                                        title="Shares"
+                                                    />
+                                                )}
+                                                {part.included && expenseSplit.method === 'exact' && (
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step="0.01"
+                                                        value={part.amount}
+                                                        onChange={(e) => updatePart({ amount: e.target.value })}
+                                                        placeholder="0.00"
+                                                        className="w-24 px-2 py-1 border border-gray-300 rounded"
+                                                    />
+                                                )}
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            )}
+
                             <div>
-                                <label className="block text-sm font-medium text-gray-700 mb-2">Receipt Photos</label>
+                                <div className="flex items-center justify-between mb-2">
+                                    <label className="block text-sm font-medium text-gray-700">Receipt Photos</label>
+                                    {receiptPhotos.length > 0 && (
+                                        <button
+                                            onClick={() => readReceipt(receiptPhotos[0])}
+                                            disabled={readingReceipt}
+                                            className="text-sm text-blue-600 hover:text-blue-700 flex items-center space-x-1 disabled:opacity-50"
+                                        >
+                                            <ScanLine className="w-4 h-4" />
+                                            <span>Read receipt</span>
+                                        </button>
+                                    )}
+                                </div>
                                 <input
                                     type="file"
                                     accept="image/*"
@@ -5988,6 +6406,9 @@ const emergencyContacts = {
                     {/* Left Column */}
                     <div className="lg:col-span-1 space-y-6">
                         <TodaySchedulePanel />
+                        {activeTrip && (
+                            <BudgetSummaryCard trip={activeTrip} token={token} refreshKey={expensesSaved} />
+                        )}
                         <UpcomingBookings />
                         <SmartInsights />
                     </div>
@@ -6049,6 +6470,78 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
     const [showCreateMemory, setShowCreateMemory] = useState(false);
     const [travelStory, setTravelStory] = useState(null);
     const [loadingStory, setLoadingStory] = useState(false);
+    const [editingMemory, setEditingMemory] = useState(null);
+    // Memories tab filters; searchResults is null while none are set
+    const [memoryFilters, setMemoryFilters] = useState({ q: '', type: '', tripId: '', tag: '', radius: '' });
+    const [nearPosition, setNearPosition] = useState(null);
+    const [searchResults, setSearchResults] = useState(null);
+
+    const filtersActive = Boolean(memoryFilters.q.trim() || memoryFilters.type || memoryFilters.tripId || memoryFilters.tag
+        || (memoryFilters.radius && nearPosition));
+
+    useEffect(() => {
+        if (!filtersActive) {
+            setSearchResults(null);
+            return;
+        }
+
+        // Debounced so typing in the search box doesn't fire a request per key
+        const timer = setTimeout(async () => {
+            const params = new URLSearchParams();
+            if (memoryFilters.q.trim()) params.set('q', memoryFilters.q.trim());
+            if (memoryFilters.type) params.set('type', memoryFilters.type);
+            if (memoryFilters.tripId) params.set('tripId', memoryFilters.tripId);
+            if (memoryFilters.tag) params.set('tags', memoryFilters.tag);
+            if (memoryFilters.radius && nearPosition) {
+                params.set('lat', nearPosition.lat);
+                params.set('lng', nearPosition.lng);
+                params.set('radius', memoryFilters.radius);
+            }
+
+            try {
+                const response = await fetch(`${API_BASE_URL}/memories?${params}`, {
+                    headers: {Authorization: `Bearer ${token}`}
+                });
+                const data = await response.json();
+                if (data.success) {
+                    setSearchResults(data.data);
+                }
+            } catch (error) {
+                console.error('Memory search error:', error);
+            }
+        }, 300);
+
+        return () => clearTimeout(timer);
+    }, [memoryFilters, nearPosition, filtersActive]);
+
+    const setRadiusFilter = (radius) => {
+        setMemoryFilters(prev => ({...prev, radius}));
+        if (radius && !nearPosition && navigator.geolocation) {
+            navigator.geolocation.getCurrentPosition(
+                position => setNearPosition({lat: position.coords.latitude, lng: position.coords.longitude}),
+                error => {
+                    console.error('Geolocation error:', error);
+                    alert('Allow location access to find memories near you');
+                    setMemoryFilters(prev => ({...prev, radius: ''}));
+                }
+            );
+        }
+    };
+
+    const memoryTags = [...new Set(memories.flatMap(memory => memory.tags || []))].sort();
+    const shownMemories = searchResults ?? memories;
+
+    const replaceMemory = (updated) => {
+        const update = list => list.map(memory => memory.id === updated.id ? updated : memory);
+        setMemories(update);
+        setSearchResults(prev => prev && update(prev));
+    };
+
+    const removeMemory = (id) => {
+        const remove = list => list.filter(memory => memory.id !== id);
+        setMemories(remove);
+        setSearchResults(prev => prev && remove(prev));
+    };
 
     const tabs = [
         {id: 'overview', label: 'Overview', icon: TrendingUp},
@@ -6087,6 +6580,7 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
             tags: []
         });
         const [photos, setPhotos] = useState([]);
+        const [stripExif, setStripExif] = useState(false);
         const [loading, setLoading] = useState(false);
 
         const handleSubmit = async (e) => {
@@ -6103,6 +6597,10 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
                     }
                 });
 
+                // Date and place are taken from the photos when left empty
+                if (stripExif) {
+                    submitData.append('stripExif', 'true');
+                }
                 photos.forEach(photo => {
                     submitData.append('photos', photo);
                 });
@@ -6251,9 +6749,19 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
                                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
                                 />
                                 {photos.length > 0 && (
-                                    <p className="text-sm text-gray-500 mt-1">
-                                        {photos.length} photo(s) selected
-                                    </p>
+                                    <>
+                                        <p className="text-sm text-gray-500 mt-1">
+                                            {photos.length} photo(s) selected
+                                        </p>
+                                        <label className="flex items-center space-x-2 text-sm text-gray-600 mt-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={stripExif}
+                                                onChange={(e) => setStripExif(e.target.checked)}
+                                            />
+                                            <span>Remove location and camera data from the stored photos</span>
+                                        </label>
+                                    </>
                                 )}
                             </div>
 
@@ -6370,6 +6878,39 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
                                 </div>
                             </div>
 
+                            {/* Spending, totalled in the home currency */}
+                            {dashboardData?.spending?.total > 0 && (
+                                <div>
+                                    <h3 className="text-lg font-semibold mb-4">Travel Spending</h3>
+                                    <div className="bg-gray-50 rounded-lg p-4">
+                                        <div className="flex items-baseline justify-between">
+                                            <p className="text-2xl font-bold text-gray-900">
+                                                {formatMoney(dashboardData.spending.total, dashboardData.spending.currency)}
+                                            </p>
+                                            <p className="text-sm text-gray-500">
+                                                {formatMoney(dashboardData.spending.bookings, dashboardData.spending.currency)} bookings
+                                                {' • '}
+                                                {formatMoney(dashboardData.spending.expenses, dashboardData.spending.currency)} expenses
+                                            </p>
+                                        </div>
+                                        {dashboardData.spending.byCurrency.length > 1 && (
+                                            <div className="flex flex-wrap gap-2 mt-3">
+                                                {dashboardData.spending.byCurrency.map(({ currency, amount }) => (
+                                                    <span key={currency} className="text-xs px-2 py-1 bg-white border rounded-full text-gray-600">
+                                                        {formatMoney(amount, currency)} paid in {currency}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                        )}
+                                        {dashboardData.spending.unconverted.length > 0 && (
+                                            <p className="text-xs text-amber-600 mt-2">
+                                                Not included (no exchange rate): {dashboardData.spending.unconverted.map(({ currency, amount }) => formatMoney(amount, currency)).join(', ')}
+                                            </p>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+
                             {/* Recent Activity */}
                             <div>
                                 <h3 className="text-lg font-semibold mb-4">Recent Activity</h3>
@@ -6404,32 +6945,84 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
                         <div>
                             <div className="flex items-center justify-between mb-6">
                                 <h3 className="text-lg font-semibold">Your Travel Memories</h3>
-                                <div className="flex space-x-2">
-                                    <select className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
-                                        <option>All Types</option>
-                                        <option>Experience</option>
-                                        <option>Photo</option>
-                                        <option>Note</option>
-                                        <option>Recommendation</option>
+                                <div className="flex flex-wrap gap-2 justify-end">
+                                    <div className="relative">
+                                        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2"/>
+                                        <input
+                                            type="search"
+                                            value={memoryFilters.q}
+                                            onChange={(e) => setMemoryFilters(prev => ({...prev, q: e.target.value}))}
+                                            placeholder="Search memories"
+                                            className="pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                        />
+                                    </div>
+                                    <select
+                                        value={memoryFilters.type}
+                                        onChange={(e) => setMemoryFilters(prev => ({...prev, type: e.target.value}))}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="">All Types</option>
+                                        <option value="experience">Experience</option>
+                                        <option value="photo">Photo</option>
+                                        <option value="note">Note</option>
+                                        <option value="recommendation">Recommendation</option>
                                     </select>
-                                    <select className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
-                                        <option>All Trips</option>
+                                    <select
+                                        value={memoryFilters.tripId}
+                                        onChange={(e) => setMemoryFilters(prev => ({...prev, tripId: e.target.value}))}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="">All Trips</option>
                                         {trips.map(trip => (
                                             <option key={trip.id} value={trip.id}>{trip.title}</option>
                                         ))}
                                     </select>
+                                    {memoryTags.length > 0 && (
+                                        <select
+                                            value={memoryFilters.tag}
+                                            onChange={(e) => setMemoryFilters(prev => ({...prev, tag: e.target.value}))}
+                                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                        >
+                                            <option value="">All Tags</option>
+                                            {memoryTags.map(tag => (
+                                                <option key={tag} value={tag}>#{tag}</option>
+                                            ))}
+                                        </select>
+                                    )}
+                                    <select
+                                        value={memoryFilters.radius}
+                                        onChange={(e) => setRadiusFilter(e.target.value)}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="">Anywhere</option>
+                                        <option value="1">Within 1 km</option>
+                                        <option value="10">Within 10 km</option>
+                                        <option value="50">Within 50 km</option>
+                                        <option value="250">Within 250 km</option>
+                                    </select>
                                 </div>
                             </div>
 
-                            {memories.length > 0 ? (
+                            {filtersActive && searchResults && searchResults.length === 0 ? (
+                                <div className="text-center py-12">
+                                    <Search className="w-12 h-12 text-gray-300 mx-auto mb-4"/>
+                                    <p className="text-gray-500 mb-4">No memories match these filters</p>
+                                    <button
+                                        onClick={() => setMemoryFilters({ q: '', type: '', tripId: '', tag: '', radius: '' })}
+                                        className="text-blue-600 hover:text-blue-700 text-sm"
+                                    >
+                                        Clear filters
+                                    </button>
+                                </div>
+                            ) : shownMemories.length > 0 ? (
                                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                                    {memories.map(memory => (
+                                    {shownMemories.map(memory => (
                                         <div key={memory.id}
                                              className="border border-gray-200 rounded-lg overflow-hidden hover:shadow-lg transition-shadow">
                                             {memory.photos && memory.photos.length > 0 && (
                                                 <div className="aspect-video bg-gray-200">
                                                     <img
-                                                        src={memory.photos[0].url}
+                                                        src={memory.photos[0].derivatives?.medium?.url || memory.photos[0].url}
                                                         alt={memory.title}
                                                         className="w-full h-full object-cover"
                                                     />
@@ -6439,16 +7032,31 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
                                             <div className="p-4">
                                                 <div className="flex items-start justify-between mb-2">
                                                     <h4 className="font-semibold text-gray-900">{memory.title}</h4>
-                                                    {memory.rating && (
-                                                        <div className="flex items-center space-x-1">
-                                                            <Star className="w-4 h-4 text-yellow-400 fill-current"/>
-                                                            <span
-                                                                className="text-sm text-gray-600">{memory.rating}</span>
-                                                        </div>
-                                                    )}
+                                                    <div className="flex items-center space-x-2">
+                                                        {memory.rating && (
+                                                            <div className="flex items-center space-x-1">
+                                                                <Star className="w-4 h-4 text-yellow-400 fill-current"/>
+                                                                <span
+                                                                    className="text-sm text-gray-600">{memory.rating}</span>
+                                                            </div>
+                                                        )}
+                                                        <button
+                                                            onClick={() => setEditingMemory(memory)}
+                                                            className="text-gray-400 hover:text-blue-600"
+                                                            title="Edit memory"
+                                                        >
+                                                            <Edit className="w-4 h-4"/>
+                                                        </button>
+                                                    </div>
                                                 </div>
 
                                                 <p className="text-gray-600 text-sm mb-3 line-clamp-2">{memory.description}</p>
+                                                {memory.distance_km !== undefined && (
+                                                    <p className="text-xs text-gray-500 mb-2 flex items-center">
+                                                        <MapPin className="w-3 h-3 mr-1"/>
+                                                        {memory.location?.name ? `${memory.location.name} • ` : ''}{memory.distance_km} km away
+                                                    </p>
+                                                )}
 
                                                 <div
                                                     className="flex items-center justify-between text-xs text-gray-500">
@@ -6460,10 +7068,11 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
                                                 {memory.tags && memory.tags.length > 0 && (
                                                     <div className="flex flex-wrap gap-1 mt-2">
                                                         {memory.tags.slice(0, 3).map((tag, index) => (
-                                                            <span key={index}
-                                                                  className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded">
+                                                            <button key={index}
+                                                                    onClick={() => setMemoryFilters(prev => ({...prev, tag}))}
+                                                                    className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded hover:bg-blue-200">
                                 {tag}
-                              </span>
+                              </button>
                                                         ))}
                                                     </div>
                                                 )}
@@ -6713,6 +7322,16 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
             </div>
 
             {showCreateMemory && <CreateMemoryModal/>}
+            {editingMemory && (
+                <MemoryEditModal
+                    memory={editingMemory}
+                    token={token}
+                    trips={trips}
+                    onSaved={replaceMemory}
+                    onDeleted={removeMemory}
+                    onClose={() => setEditingMemory(null)}
+                />
+            )}
         </div>
     );
 };
@@ -6723,8 +7342,14 @@ const MemoryMode = ({user, token, memories, setMemories, trips, dashboardData, s
 // ===================================
 // AI CHAT COMPONENT
 // ===================================
-const AIChat = ({isOpen, onClose, messages, onSendMessage, currentMode, connected}) => {
+const AIChat = ({
+    isOpen, onClose, messages, onSendMessage, onCancel, onConfirmAction, isResponding, currentMode, connected,
+    threads = [], activeThreadId, onOpenThread, onNewThread, onRenameThread, onDeleteThread
+}) => {
     const [input, setInput] = useState('');
+    const [showThreads, setShowThreads] = useState(false);
+    const [editingThreadId, setEditingThreadId] = useState(null);
+    const [editingTitle, setEditingTitle] = useState('');
     const messagesEndRef = useRef(null);
 
     const scrollToBottom = () => {
@@ -6737,7 +7362,7 @@ const AIChat = ({isOpen, onClose, messages, onSendMessage, currentMode, connecte
 
     const handleSubmit = (e) => {
         e.preventDefault();
-        if (input.trim()) {
+        if (input.trim() && !isResponding) {
             onSendMessage(input.trim());
             setInput('');
         }
@@ -6766,6 +7391,15 @@ const AIChat = ({isOpen, onClose, messages, onSendMessage, currentMode, connecte
         ]
     };
 
+    const saveThreadTitle = (threadId) => {
+        if (editingTitle.trim()) {
+            onRenameThread(threadId, editingTitle.trim());
+        }
+        setEditingThreadId(null);
+    };
+
+    const activeThread = threads.find(t => t.id === activeThreadId);
+
     if (!isOpen) {
         return null;
     }
@@ -6779,25 +7413,123 @@ const AIChat = ({isOpen, onClose, messages, onSendMessage, currentMode, connecte
                         <div className="w-8 h-8 bg-white/20 rounded-full flex items-center justify-center">
                             <MessageCircle className="w-4 h-4"/>
                         </div>
-                        <div>
-                            <h3 className="font-semibold">AI Travel Assistant</h3>
+                        <div className="min-w-0">
+                            <h3 className="font-semibold truncate">{activeThread ? activeThread.title : 'AI Travel Assistant'}</h3>
                             <div className="flex items-center space-x-2 text-xs">
                                 <div className={`w-2 h-2 rounded-full ${connected ? 'bg-green-400' : 'bg-red-400'}`}></div>
                                 <span>{connected ? 'Connected' : 'Demo Mode'}</span>
                             </div>
                         </div>
                     </div>
-                    <button
-                        onClick={onClose}
-                        className="text-white hover:text-white/80 transition-colors p-1 hover:bg-white/10 rounded"
-                        aria-label="Close chat"
-                    >
-                        <X className="w-5 h-5" />
-                    </button>
+                    <div className="flex items-center space-x-1">
+                        <button
+                            onClick={() => {
+                                onNewThread();
+                                setShowThreads(false);
+                            }}
+                            disabled={isResponding}
+                            className="text-white hover:text-white/80 transition-colors p-1 hover:bg-white/10 rounded disabled:opacity-50"
+                            aria-label="New conversation"
+                            title="New conversation"
+                        >
+                            <Plus className="w-5 h-5" />
+                        </button>
+                        <button
+                            onClick={() => setShowThreads(!showThreads)}
+                            className={`text-white hover:text-white/80 transition-colors p-1 hover:bg-white/10 rounded ${showThreads ? 'bg-white/20' : ''}`}
+                            aria-label="Conversations"
+                            title="Conversations"
+                        >
+                            <Clock className="w-5 h-5" />
+                        </button>
+                        <button
+                            onClick={onClose}
+                            className="text-white hover:text-white/80 transition-colors p-1 hover:bg-white/10 rounded"
+                            aria-label="Close chat"
+                        >
+                            <X className="w-5 h-5" />
+                        </button>
+                    </div>
                 </div>
 
+                {/* Conversation threads */}
+                {showThreads && (
+                    <div className="flex-1 overflow-y-auto p-2">
+                        {threads.length === 0 ? (
+                            <p className="text-sm text-gray-500 text-center mt-8">No saved conversations yet</p>
+                        ) : (
+                            <div className="space-y-1">
+                                {threads.map(thread => (
+                                    <div
+                                        key={thread.id}
+                                        className={`group flex items-center justify-between p-3 rounded-lg cursor-pointer ${
+                                            thread.id === activeThreadId ? 'bg-blue-50 border border-blue-200' : 'hover:bg-gray-50'
+                                        }`}
+                                        onClick={() => {
+                                            if (editingThreadId !== thread.id && !isResponding) {
+                                                onOpenThread(thread.id);
+                                                setShowThreads(false);
+                                            }
+                                        }}
+                                    >
+                                        <div className="flex-1 min-w-0">
+                                            {editingThreadId === thread.id ? (
+                                                <input
+                                                    type="text"
+                                                    value={editingTitle}
+                                                    autoFocus
+                                                    onClick={(e) => e.stopPropagation()}
+                                                    onChange={(e) => setEditingTitle(e.target.value)}
+                                                    onBlur={() => saveThreadTitle(thread.id)}
+                                                    onKeyDown={(e) => {
+                                                        if (e.key === 'Enter') saveThreadTitle(thread.id);
+                                                        if (e.key === 'Escape') setEditingThreadId(null);
+                                                    }}
+                                                    className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                                                />
+                                            ) : (
+                                                <p className="text-sm font-medium text-gray-900 truncate">{thread.title}</p>
+                                            )}
+                                            <p className="text-xs text-gray-500 truncate">
+                                                {thread.trip_destination && <span>{thread.trip_destination} • </span>}
+                                                {thread.message_count} message{thread.message_count === 1 ? '' : 's'}
+                                                {thread.last_message_at && <span> • {new Date(thread.last_message_at).toLocaleDateString()}</span>}
+                                            </p>
+                                        </div>
+                                        <div className="flex items-center space-x-1 ml-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                                            <button
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    setEditingThreadId(thread.id);
+                                                    setEditingTitle(thread.title);
+                                                }}
+                                                className="p-1 text-gray-400 hover:text-blue-600"
+                                                title="Rename"
+                                            >
+                                                <Edit className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    if (window.confirm(`Delete "${thread.title}"?`)) {
+                                                        onDeleteThread(thread.id);
+                                                    }
+                                                }}
+                                                className="p-1 text-gray-400 hover:text-red-600"
+                                                title="Delete"
+                                            >
+                                                <X className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* Messages */}
-                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                <div className={`flex-1 overflow-y-auto p-4 space-y-4 ${showThreads ? 'hidden' : ''}`}>
                     {messages.length === 0 && (
                         <div className="text-center text-gray-500">
                             <MessageCircle className="w-12 h-12 text-gray-300 mx-auto mb-3"/>
@@ -6828,7 +7560,41 @@ const AIChat = ({isOpen, onClose, messages, onSendMessage, currentMode, connecte
                             }`}>
                                 <div className="text-sm whitespace-pre-wrap break-words">
                                     {message.content}
+                                    {message.streaming && (
+                                        <span className="inline-block w-2 h-4 ml-0.5 bg-gray-500 animate-pulse align-text-bottom" />
+                                    )}
                                 </div>
+                                {message.cancelled && (
+                                    <div className="text-xs italic opacity-70 mt-1">Stopped</div>
+                                )}
+                                {message.pendingActions?.map(action => (
+                                    <div key={action.id} className="mt-2 bg-white border border-blue-200 rounded-lg p-2 text-xs">
+                                        <div className="font-medium text-gray-800 mb-1">{action.summary}</div>
+                                        {!action.state || action.state === 'working' ? (
+                                            <div className="flex space-x-2">
+                                                <button
+                                                    onClick={() => onConfirmAction(action.id, true)}
+                                                    disabled={action.state === 'working'}
+                                                    className="flex items-center space-x-1 bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
+                                                >
+                                                    <Check className="w-3 h-3" />
+                                                    <span>Confirm</span>
+                                                </button>
+                                                <button
+                                                    onClick={() => onConfirmAction(action.id, false)}
+                                                    disabled={action.state === 'working'}
+                                                    className="px-2 py-1 border border-gray-300 rounded text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+                                                >
+                                                    Cancel
+                                                </button>
+                                            </div>
+                                        ) : (
+                                            <div className={action.state === 'ok' ? 'text-green-700' : action.state === 'error' ? 'text-red-600' : 'text-gray-500'}>
+                                                {action.resultMessage}
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
                                 <div className="flex items-center justify-between mt-2 text-xs opacity-70">
                                     <span>{message.timestamp.toLocaleTimeString()}</span>
                                     {message.model && message.type === 'ai' && (
@@ -6838,6 +7604,14 @@ const AIChat = ({isOpen, onClose, messages, onSendMessage, currentMode, connecte
                             </div>
                         </div>
                     ))}
+                    {isResponding && !messages.some(m => m.streaming) && (
+                        <div className="flex justify-start">
+                            <div className="bg-gray-100 text-gray-500 p-3 rounded-lg flex items-center space-x-2 text-sm">
+                                <Loader className="w-4 h-4 animate-spin" />
+                                <span>Thinking...</span>
+                            </div>
+                        </div>
+                    )}
                     <div ref={messagesEndRef}/>
                 </div>
 
@@ -6858,13 +7632,23 @@ const AIChat = ({isOpen, onClose, messages, onSendMessage, currentMode, connecte
                             className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:outline-none text-sm"
                             autoComplete="off"
                         />
-                        <button
-                            type="submit"
-                            disabled={!input.trim()}
-                            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
-                        >
-                            Send
-                        </button>
+                        {isResponding ? (
+                            <button
+                                type="button"
+                                onClick={onCancel}
+                                className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors flex-shrink-0"
+                            >
+                                Stop
+                            </button>
+                        ) : (
+                            <button
+                                type="submit"
+                                disabled={!input.trim()}
+                                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+                            >
+                                Send
+                            </button>
+                        )}
                     </form>
 
                     {quickActions[currentMode] && (
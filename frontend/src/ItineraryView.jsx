@@ -0,0 +1,121 @@
+import React from 'react';
+import { Clock, MapPin, Utensils, Hotel, Car, Coffee, Star } from 'lucide-react';
+import { getItineraryDays, getDayDate, formatTimeRange, formatCost, getPlaceMapUrl } from './itinerary';
+
+const categoryStyles = {
+  activity: { icon: Star, className: 'bg-blue-100 text-blue-700' },
+  meal: { icon: Utensils, className: 'bg-orange-100 text-orange-700' },
+  transport: { icon: Car, className: 'bg-gray-100 text-gray-700' },
+  lodging: { icon: Hotel, className: 'bg-green-100 text-green-700' },
+  free_time: { icon: Coffee, className: 'bg-purple-100 text-purple-700' },
+  other: { icon: MapPin, className: 'bg-gray-100 text-gray-700' }
+};
+
+// Renders a structured itinerary as day cards. `renderDayFooter(day)` lets
+// callers add their own per-day actions (edit, ask AI, ...).
+const ItineraryView = ({ itinerary, startDate, destination, renderDayFooter }) => {
+  const days = getItineraryDays(itinerary);
+
+  if (days.length === 0) {
+    return (
+      <div className="text-center text-gray-500 bg-gray-50 p-8 rounded-lg">
+        No itinerary available
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {days.map((day) => {
+        const dayDate = getDayDate(day, startDate);
+
+        return (
+          <div key={day.dayNumber} className="bg-white border border-gray-200 rounded-xl shadow-md overflow-hidden hover:shadow-xl transition-shadow">
+            {/* Day Header */}
+            <div className="bg-gradient-to-r from-blue-500 to-purple-600 text-white p-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="flex items-center space-x-2 mb-1">
+                    <span className="text-2xl font-bold">Day {day.dayNumber}</span>
+                    {dayDate && (
+                      <span className="text-blue-100 text-sm">• {dayDate}</span>
+                    )}
+                  </div>
+                  <h3 className="text-lg font-semibold">{day.title}</h3>
+                </div>
+                {day.estimatedCost > 0 && (
+                  <div className="text-right">
+                    <div className="text-xs text-blue-100">Estimated</div>
+                    <div className="text-2xl font-bold">${day.estimatedCost.toFixed(0)}</div>
+                  </div>
+                )}
+              </div>
+              {day.summary && (
+                <p className="text-sm text-blue-100 mt-2">{day.summary}</p>
+              )}
+            </div>
+
+            {/* Day Items */}
+            <div className="p-6">
+              {day.items.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing planned yet</p>
+              ) : (
+                <div className="space-y-4">
+                  {day.items.map((item) => {
+                    const style = categoryStyles[item.category] || categoryStyles.other;
+                    const Icon = style.icon;
+                    const mapUrl = getPlaceMapUrl(item.place, destination);
+
+                    return (
+                      <div key={item.id} className="flex items-start space-x-3">
+                        <div className={`w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 ${style.className}`}>
+                          <Icon className="w-4 h-4" />
+                        </div>
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-start justify-between">
+                            <h4 className="font-semibold text-gray-900 text-sm">{item.title}</h4>
+                            {item.cost && (
+                              <span className="text-sm text-gray-600 ml-2 whitespace-nowrap">
+                                {formatCost(item.cost)}
+                              </span>
+                            )}
+                          </div>
+                          {item.startTime && (
+                            <p className="text-xs text-gray-500 flex items-center mt-1">
+                              <Clock className="w-3 h-3 mr-1" />
+                              {formatTimeRange(item)}
+                            </p>
+                          )}
+                          {item.description && (
+                            <p className="text-sm text-gray-600 mt-1 leading-relaxed">{item.description}</p>
+                          )}
+                          {item.place?.name && (
+                            <p className="text-xs text-gray-500 mt-1 flex items-center">
+                              <MapPin className="w-3 h-3 mr-1" />
+                              {mapUrl ? (
+                                <a href={mapUrl} target="_blank" rel="noopener noreferrer" className="hover:text-blue-600 hover:underline">
+                                  {item.place.name}
+                                </a>
+                              ) : item.place.name}
+                            </p>
+                          )}
+                          {item.notes && (
+                            <p className="text-xs text-gray-500 italic mt-1">{item.notes}</p>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            {renderDayFooter && renderDayFooter(day)}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ItineraryView;
@@ -0,0 +1,264 @@
+import React, { useState } from 'react';
+import { X, Star, Trash2, Upload, Save } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+const MEMORY_TYPES = [
+  { value: 'experience', label: 'Experience' },
+  { value: 'photo', label: 'Photo' },
+  { value: 'note', label: 'Note' },
+  { value: 'recommendation', label: 'Recommendation' }
+];
+
+const toDraft = (memory) => ({
+  title: memory.title || '',
+  type: memory.memory_type || 'experience',
+  description: memory.description || '',
+  notes: memory.notes || '',
+  rating: memory.rating || null,
+  date: String(memory.memory_date || '').slice(0, 10),
+  tripId: memory.trip_id ? String(memory.trip_id) : '',
+  tags: (memory.tags || []).join(', '),
+  locationName: memory.location?.name || ''
+});
+
+// Edit a memory in place: text fields, tags, trip, photos, or delete it.
+// Photo changes are saved right away; the rest on "Save changes".
+const MemoryEditModal = ({ memory, token, trips, onSaved, onDeleted, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(memory));
+  const [photos, setPhotos] = useState(memory.photos || []);
+  const [stripExif, setStripExif] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = async (path, options = {}) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/memories/${memory.id}${path}`, {
+        ...options,
+        headers: { 'Authorization': `Bearer ${token}`, ...options.headers }
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.details?.[0]?.message || data.error || 'Something went wrong');
+        return null;
+      }
+      return data;
+    } catch (err) {
+      console.error('Memory request error:', err);
+      setError('Something went wrong');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = async () => {
+    const data = await request('', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title: draft.title,
+        type: draft.type,
+        description: draft.description,
+        notes: draft.notes,
+        rating: draft.rating,
+        ...(draft.date && { date: draft.date }),
+        tripId: draft.tripId ? Number(draft.tripId) : null,
+        tags: draft.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        location: { ...memory.location, name: draft.locationName.trim() }
+      })
+    });
+    if (data) {
+      onSaved(data.data);
+      onClose();
+    }
+  };
+
+  const addPhotos = async (files) => {
+    if (files.length === 0) return;
+    const formData = new FormData();
+    if (stripExif) formData.append('stripExif', 'true');
+    files.forEach(file => formData.append('photos', file));
+
+    const data = await request('/photos', { method: 'POST', body: formData });
+    if (data) {
+      setPhotos(data.data.photos);
+      onSaved(data.data);
+    }
+  };
+
+  const removePhoto = async (photo) => {
+    const data = await request(`/photos/${encodeURIComponent(photo.filename)}`, { method: 'DELETE' });
+    if (data) {
+      setPhotos(data.data.photos);
+      onSaved(data.data);
+    }
+  };
+
+  const deleteMemory = async () => {
+    if (!window.confirm(`Delete "${memory.title}"? This cannot be undone.`)) return;
+    if (await request('', { method: 'DELETE' })) {
+      onDeleted(memory.id);
+      onClose();
+    }
+  };
+
+  const field = (key) => ({
+    value: draft[key],
+    onChange: (e) => setDraft(prev => ({ ...prev, [key]: e.target.value })),
+    className: 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500'
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="text-xl font-semibold">Edit Memory</h3>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="text-sm font-medium text-gray-700">
+                Title
+                <input type="text" {...field('title')} />
+              </label>
+              <label className="text-sm font-medium text-gray-700">
+                Type
+                <select {...field('type')}>
+                  {MEMORY_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700">
+              Description
+              <textarea rows={3} {...field('description')} />
+            </label>
+
+            <label className="block text-sm font-medium text-gray-700">
+              Notes
+              <textarea rows={2} {...field('notes')} />
+            </label>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <label className="text-sm font-medium text-gray-700">
+                Date
+                <input type="date" {...field('date')} />
+              </label>
+              <label className="text-sm font-medium text-gray-700">
+                Trip
+                <select {...field('tripId')}>
+                  <option value="">No specific trip</option>
+                  {trips.map(trip => (
+                    <option key={trip.id} value={trip.id}>{trip.title}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm font-medium text-gray-700">
+                Place
+                <input type="text" placeholder="e.g., Kyoto" {...field('locationName')} />
+              </label>
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700">
+              Tags
+              <input type="text" placeholder="beach, food, sunset" {...field('tags')} />
+            </label>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Rating</p>
+              <div className="flex space-x-1">
+                {[1, 2, 3, 4, 5].map(star => (
+                  <button
+                    key={star}
+                    type="button"
+                    onClick={() => setDraft(prev => ({ ...prev, rating: prev.rating === star ? null : star }))}
+                    className={`w-8 h-8 ${star <= (draft.rating || 0) ? 'text-yellow-400' : 'text-gray-300'}`}
+                  >
+                    <Star className="w-full h-full fill-current" />
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Photos</p>
+              {photos.length > 0 && (
+                <div className="grid grid-cols-4 gap-2 mb-2">
+                  {photos.map(photo => (
+                    <div key={photo.filename} className="relative">
+                      <img src={photo.derivatives?.thumb?.url || photo.url} alt={photo.originalName || memory.title} className="w-full h-20 object-cover rounded" />
+                      <button
+                        onClick={() => removePhoto(photo)}
+                        disabled={busy}
+                        className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 hover:bg-red-600 disabled:opacity-50"
+                        title="Remove photo"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <label className="inline-flex items-center space-x-2 text-sm text-blue-600 hover:text-blue-700 cursor-pointer">
+                <Upload className="w-4 h-4" />
+                <span>Add photos</span>
+                <input
+                  type="file"
+                  multiple
+                  accept="image/*"
+                  className="hidden"
+                  disabled={busy}
+                  onChange={(e) => addPhotos(Array.from(e.target.files))}
+                />
+              </label>
+              <label className="flex items-center space-x-2 text-xs text-gray-500 mt-2">
+                <input type="checkbox" checked={stripExif} onChange={(e) => setStripExif(e.target.checked)} />
+                <span>Remove location and camera data from new photos</span>
+              </label>
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex items-center justify-between pt-4">
+              <button
+                onClick={deleteMemory}
+                disabled={busy}
+                className="flex items-center space-x-1 text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+              >
+                <Trash2 className="w-4 h-4" />
+                <span>Delete memory</span>
+              </button>
+              <div className="flex space-x-3">
+                <button
+                  onClick={onClose}
+                  className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={save}
+                  disabled={busy || !draft.title.trim()}
+                  className="flex items-center space-x-2 px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>Save changes</span>
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MemoryEditModal;
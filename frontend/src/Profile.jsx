@@ -0,0 +1,385 @@
+import React, { useState, useEffect } from 'react';
+import { X, Save, Download, Trash2 } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+const INTERESTS = [
+  'Adventure', 'Culture', 'Food', 'History', 'Nature', 'Nightlife',
+  'Photography', 'Relaxation', 'Shopping', 'Sports'
+];
+const DIETARY_RESTRICTIONS = [
+  'vegetarian', 'vegan', 'pescatarian', 'halal', 'kosher',
+  'gluten_free', 'dairy_free', 'nut_free', 'shellfish_free'
+];
+const ACCESSIBILITY_NEEDS = ['wheelchair', 'step_free', 'limited_walking', 'low_vision', 'hearing', 'service_animal'];
+
+const label = (value) => value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ');
+const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
+const CheckboxGroup = ({ options, selected, onChange, format = label }) => (
+  <div className="flex flex-wrap gap-2">
+    {options.map(option => {
+      const checked = selected.some(item => item.toLowerCase() === option.toLowerCase());
+      return (
+        <button
+          key={option}
+          type="button"
+          onClick={() => onChange(checked
+            ? selected.filter(item => item.toLowerCase() !== option.toLowerCase())
+            : [...selected, option])}
+          className={`px-3 py-1 rounded-full text-sm border ${checked
+            ? 'bg-blue-600 text-white border-blue-600'
+            : 'bg-white text-gray-700 border-gray-300 hover:border-blue-400'}`}
+        >
+          {format(option)}
+        </button>
+      );
+    })}
+  </div>
+);
+
+// Download of everything stored for the account, and account deletion
+const AccountDataSection = ({ token, onDeleted }) => {
+  const [exporting, setExporting] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [password, setPassword] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const downloadExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/me/export`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        throw new Error(`Export failed with ${response.status}`);
+      }
+
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'travelmind-export.zip';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Account export error:', err);
+      setError('Could not export your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const deleteAccount = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/me`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ password })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onDeleted();
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      console.error('Delete account error:', err);
+      setError('Could not delete your account');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="border-t pt-5 mt-6 space-y-3">
+      <h4 className="font-medium text-gray-900">Your data</h4>
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="button"
+          onClick={downloadExport}
+          disabled={exporting}
+          className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          <span>{exporting ? 'Preparing export...' : 'Download my data'}</span>
+        </button>
+        {!confirmingDelete && (
+          <button
+            type="button"
+            onClick={() => setConfirmingDelete(true)}
+            className="flex items-center space-x-2 px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+          >
+            <Trash2 className="w-4 h-4" />
+            <span>Delete account</span>
+          </button>
+        )}
+      </div>
+
+      {confirmingDelete && (
+        <form onSubmit={deleteAccount} className="bg-red-50 border border-red-200 rounded-lg p-4 space-y-3">
+          <p className="text-sm text-red-800">
+            This deletes your account, your trips (including what others added to them), memories, expenses,
+            conversations and uploaded photos. Expenses you logged on other people's trips stay with those
+            trips. It can't be undone. Enter your password to confirm.
+          </p>
+          <input
+            type="password"
+            required
+            className={inputClass}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+          />
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={() => setConfirmingDelete(false)} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={deleting}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {deleting ? 'Deleting...' : 'Delete my account'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// Travel preferences used for AI suggestions, places and flight searches
+const ProfileModal = ({ token, currencies, onClose, onSaved, onAccountDeleted }) => {
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/me`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+
+        if (data.success) {
+          setForm({
+            ...data.data,
+            homeAirport: data.data.homeAirport || '',
+            languages: data.data.languages.join(', '),
+            preferredAirlines: data.data.preferredAirlines.join(', ')
+          });
+        } else {
+          setError(data.error);
+        }
+      } catch (err) {
+        console.error('Load profile error:', err);
+        setError('Could not load your profile');
+      }
+    };
+
+    loadProfile();
+  }, [token]);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setFieldErrors({});
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/me`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          name: form.name,
+          interests: form.interests,
+          budgetLevel: form.budgetLevel,
+          pace: form.pace || null,
+          dietaryRestrictions: form.dietaryRestrictions,
+          accessibilityNeeds: form.accessibilityNeeds,
+          homeAirport: form.homeAirport.trim() || null,
+          homeCurrency: form.homeCurrency,
+          languages: splitList(form.languages),
+          preferredAirlines: splitList(form.preferredAirlines)
+        })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onSaved(data.data);
+        onClose();
+      } else {
+        setError(data.error);
+        // details[].path is "languages.1" for list items; show it on the field
+        setFieldErrors(Object.fromEntries((data.details || []).map(detail => [detail.path.split('.')[0], detail.message])));
+      }
+    } catch (err) {
+      console.error('Save profile error:', err);
+      setError('Could not save your profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const fieldError = (field) => fieldErrors[field] && (
+    <p className="text-xs text-red-600 mt-1">{fieldErrors[field]}</p>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="text-xl font-semibold">Travel Preferences</h3>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+
+          {!form ? (
+            error ? <p className="text-sm text-red-600">{error}</p> : <p className="text-sm text-gray-500">Loading profile...</p>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                <input className={inputClass} value={form.name} onChange={(e) => update({ name: e.target.value })} required />
+                {fieldError('name')}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Budget level</label>
+                  <select className={inputClass} value={form.budgetLevel} onChange={(e) => update({ budgetLevel: e.target.value })}>
+                    <option value="budget">Budget</option>
+                    <option value="moderate">Moderate</option>
+                    <option value="luxury">Luxury</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Pace</label>
+                  <select className={inputClass} value={form.pace || ''} onChange={(e) => update({ pace: e.target.value })}>
+                    <option value="">No preference</option>
+                    <option value="relaxed">Relaxed</option>
+                    <option value="moderate">Moderate</option>
+                    <option value="packed">Packed</option>
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Interests</label>
+                <CheckboxGroup
+                  options={INTERESTS}
+                  selected={form.interests}
+                  onChange={(interests) => update({ interests })}
+                  format={(value) => value}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Dietary restrictions</label>
+                <CheckboxGroup
+                  options={DIETARY_RESTRICTIONS}
+                  selected={form.dietaryRestrictions}
+                  onChange={(dietaryRestrictions) => update({ dietaryRestrictions })}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Accessibility needs</label>
+                <CheckboxGroup
+                  options={ACCESSIBILITY_NEEDS}
+                  selected={form.accessibilityNeeds}
+                  onChange={(accessibilityNeeds) => update({ accessibilityNeeds })}
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Home airport</label>
+                  <input
+                    className={inputClass}
+                    value={form.homeAirport}
+                    onChange={(e) => update({ homeAirport: e.target.value.toUpperCase() })}
+                    placeholder="e.g. JFK"
+                    maxLength={3}
+                  />
+                  {fieldError('homeAirport')}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Home currency</label>
+                  <select className={inputClass} value={form.homeCurrency} onChange={(e) => update({ homeCurrency: e.target.value })}>
+                    {currencies.map(code => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Languages</label>
+                  <input
+                    className={inputClass}
+                    value={form.languages}
+                    onChange={(e) => update({ languages: e.target.value })}
+                    placeholder="e.g. en, pt-BR"
+                  />
+                  {fieldError('languages')}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Preferred airlines</label>
+                  <input
+                    className={inputClass}
+                    value={form.preferredAirlines}
+                    onChange={(e) => update({ preferredAirlines: e.target.value.toUpperCase() })}
+                    placeholder="Airline codes, e.g. LH, BA"
+                  />
+                  {fieldError('preferredAirlines')}
+                </div>
+              </div>
+
+              {error && <p className="text-sm text-red-600">{error}</p>}
+
+              <div className="flex justify-end space-x-3 pt-2">
+                <button type="button" onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>{saving ? 'Saving...' : 'Save'}</span>
+                </button>
+              </div>
+            </form>
+          )}
+
+          <AccountDataSection token={token} onDeleted={onAccountDeleted} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileModal;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { X, Monitor, LogOut } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+const formatWhen = (value) => value ? new Date(value).toLocaleString() : 'Unknown';
+
+// Devices signed in to the account. Any of them can be signed out; signing
+// out everywhere ends this session too.
+const SessionsModal = ({ token, onClose, onLogoutEverywhere }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadSessions = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/sessions`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSessions(data.data);
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      console.error('Load sessions error:', err);
+      setError('Could not load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const revokeSession = async (session) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/sessions/${session.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSessions(prev => prev.filter(item => item.id !== session.id));
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      console.error('Revoke session error:', err);
+      setError('Could not sign out that device');
+    }
+  };
+
+  const logoutEverywhere = () => {
+    if (window.confirm('Sign out on every device, including this one?')) {
+      onLogoutEverywhere();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="text-xl font-semibold">Active Sessions</h3>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading sessions...</p>
+          ) : (
+            <div className="space-y-3">
+              {sessions.map(session => (
+                <div key={session.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <Monitor className="w-5 h-5 text-gray-500 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <div className="font-medium text-gray-900 truncate">
+                        {session.device}
+                        {session.current && <span className="ml-2 text-xs text-green-600">This device</span>}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        Last active {formatWhen(session.lastUsedAt)}
+                        {session.ipAddress && ` • ${session.ipAddress}`}
+                      </div>
+                      <div className="text-xs text-gray-400">Signed in {formatWhen(session.createdAt)}</div>
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <button
+                      onClick={() => revokeSession(session)}
+                      className="text-sm text-red-600 hover:text-red-700 flex-shrink-0 ml-3"
+                    >
+                      Sign out
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+
+          <div className="flex justify-end pt-6">
+            <button
+              onClick={logoutEverywhere}
+              className="flex items-center space-x-2 px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+            >
+              <LogOut className="w-4 h-4" />
+              <span>Sign out everywhere</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsModal;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { Calendar, Clock, MapPin, Plane, Hotel, Car, Globe } from 'lucide-react';
+import ItineraryView from './ItineraryView';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+const bookingIcons = {
+  flight: Plane,
+  hotel: Hotel,
+  transport: Car,
+  activity: MapPin
+};
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  : null;
+
+// Read-only trip page opened from a public share link (/shared/<token>).
+// Needs no account; the API returns an already redacted trip.
+const SharedTrip = ({ token }) => {
+  const [trip, setTrip] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadTrip = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/shared/${token}`);
+        const data = await response.json();
+
+        if (data.success) {
+          setTrip(data.data);
+          document.title = `${data.data.title} - TravelMind.ai`;
+        } else {
+          setError(data.error || 'This link is invalid or has expired');
+        }
+      } catch (err) {
+        console.error('Shared trip load error:', err);
+        setError('Could not load this trip. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTrip();
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-xl shadow-lg p-8 max-w-md text-center">
+          <Globe className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h1 className="text-xl font-bold text-gray-900 mb-2">Trip not available</h1>
+          <p className="text-gray-600">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const startDate = formatDate(trip.startDate);
+  const endDate = formatDate(trip.endDate);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-gradient-to-r from-blue-600 to-purple-600 text-white">
+        <div className="max-w-5xl mx-auto px-4 py-10">
+          <p className="text-blue-100 text-sm mb-2">
+            {trip.sharedBy ? `${trip.sharedBy} shared this trip with you` : 'Shared trip'}
+          </p>
+          <h1 className="text-3xl font-bold">{trip.title}</h1>
+          <p className="text-white/90 mt-1">{trip.destination}</p>
+          <div className="flex items-center flex-wrap gap-4 mt-4 text-sm text-white/80">
+            {trip.duration && (
+              <span className="flex items-center">
+                <Calendar className="w-4 h-4 mr-1" />
+                {trip.duration} days
+              </span>
+            )}
+            {startDate && (
+              <span className="flex items-center">
+                <Clock className="w-4 h-4 mr-1" />
+                {startDate}{endDate && ` - ${endDate}`}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-8">
+        {trip.itinerary?.summary && (
+          <p className="text-gray-700 leading-relaxed">{trip.itinerary.summary}</p>
+        )}
+
+        {trip.bookings.length > 0 && (
+          <section className="bg-white rounded-xl shadow-lg p-6">
+            <h2 className="text-lg font-semibold mb-4">Travel Plans</h2>
+            <div className="space-y-3">
+              {trip.bookings.map((booking, index) => {
+                const Icon = bookingIcons[booking.type] || MapPin;
+
+                return (
+                  <div key={index} className="flex items-start space-x-3 p-4 bg-blue-50 rounded-lg border border-blue-100">
+                    <div className="w-10 h-10 bg-blue-600 rounded-lg flex items-center justify-center flex-shrink-0">
+                      <Icon className="w-5 h-5 text-white" />
+                    </div>
+                    <div className="min-w-0">
+                      <h3 className="font-semibold text-gray-900">
+                        {booking.title}
+                        {booking.flightNumber && <span className="text-gray-500 font-normal"> • {booking.flightNumber}</span>}
+                      </h3>
+                      <div className="flex items-center flex-wrap gap-x-4 gap-y-1 mt-1 text-sm text-gray-500">
+                        {booking.date && (
+                          <span className="flex items-center">
+                            <Calendar className="w-3 h-3 mr-1" />
+                            {formatDate(booking.date)}
+                          </span>
+                        )}
+                        {booking.time && (
+                          <span className="flex items-center">
+                            <Clock className="w-3 h-3 mr-1" />
+                            {booking.time.substring(0, 5)}
+                          </span>
+                        )}
+                        {booking.location && (
+                          <span className="flex items-center">
+                            <MapPin className="w-3 h-3 mr-1" />
+                            {booking.location}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+        )}
+
+        <section>
+          <h2 className="text-lg font-semibold mb-4">Itinerary</h2>
+          <ItineraryView
+            itinerary={trip.itinerary}
+            startDate={trip.startDate}
+            destination={trip.destination}
+          />
+        </section>
+
+        {trip.itinerary?.tips?.length > 0 && (
+          <section className="bg-white rounded-xl shadow-lg p-6">
+            <h2 className="text-lg font-semibold mb-3">Tips</h2>
+            <ul className="list-disc list-inside space-y-1 text-gray-700">
+              {trip.itinerary.tips.map((tip, index) => (
+                <li key={index}>{tip}</li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        <p className="text-center text-xs text-gray-400">
+          Read-only view shared from TravelMind.ai
+          {trip.expiresAt && ` • link expires ${formatDate(trip.expiresAt)}`}
+        </p>
+      </main>
+    </div>
+  );
+};
+
+export default SharedTrip;
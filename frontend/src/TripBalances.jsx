@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { Users, ArrowRight, Check, Trash2, UserPlus } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+const authHeaders = (token) => ({
+  'Authorization': `Bearer ${token}`,
+  'Content-Type': 'application/json'
+});
+
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount || 0);
+  } catch {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+  }
+};
+
+// Balances between travel companions: who is owed what, the payments that
+// settle everyone up, recorded payments and guests without accounts.
+const TripBalances = ({ trip, token, canEdit }) => {
+  const [summary, setSummary] = useState(null);
+  const [settlements, setSettlements] = useState([]);
+  const [guestName, setGuestName] = useState('');
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      const [balanceResponse, settlementResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/trips/${trip.id}/balances`, { headers: authHeaders(token) }),
+        fetch(`${API_BASE_URL}/trips/${trip.id}/settlements`, { headers: authHeaders(token) })
+      ]);
+      const balanceData = await balanceResponse.json();
+      const settlementData = await settlementResponse.json();
+
+      if (balanceData.success) setSummary(balanceData.data);
+      if (settlementData.success) setSettlements(settlementData.data);
+    } catch (err) {
+      console.error('Load balances error:', err);
+    }
+  };
+
+  // App bumps balancesUpdatedAt when another member changes expenses or payments
+  useEffect(() => {
+    load();
+  }, [trip.id, trip.balancesUpdatedAt]);
+
+  const request = async (path, options) => {
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}${path}`, {
+        ...options,
+        headers: authHeaders(token)
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error || 'Something went wrong');
+        return false;
+      }
+      await load();
+      return true;
+    } catch (err) {
+      console.error('Balances request error:', err);
+      setError('Something went wrong');
+      return false;
+    }
+  };
+
+  const recordTransfer = (transfer) => request('/settlements', {
+    method: 'POST',
+    body: JSON.stringify({
+      from: transfer.from,
+      to: transfer.to,
+      amount: transfer.amount,
+      currency: transfer.currency
+    })
+  });
+
+  const addGuest = async () => {
+    if (!guestName.trim()) return;
+    if (await request('/guests', { method: 'POST', body: JSON.stringify({ name: guestName.trim() }) })) {
+      setGuestName('');
+    }
+  };
+
+  if (!summary) return null;
+
+  const names = Object.fromEntries(summary.balances.map(entry => [entry.participant, entry.name]));
+  const hasActivity = summary.balances.some(entry => entry.paid || entry.share || entry.sent || entry.received);
+  const guests = summary.balances.filter(entry => entry.guest);
+
+  if (!hasActivity && !canEdit) return null;
+
+  return (
+    <div className="p-6 border-b border-gray-200">
+      <h4 className="text-lg font-semibold mb-4 flex items-center">
+        <Users className="w-5 h-5 mr-2 text-indigo-600" />
+        Shared Expenses
+      </h4>
+
+      {hasActivity ? (
+        <div className="space-y-2 mb-4">
+          {summary.balances.map(entry => (
+            <div key={entry.participant} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700">
+                {entry.name}
+                {entry.guest && <span className="text-xs text-gray-400 ml-1">(guest)</span>}
+              </span>
+              <span className={entry.net > 0 ? 'text-green-600 font-medium' : entry.net < 0 ? 'text-red-600 font-medium' : 'text-gray-500'}>
+                {entry.net > 0 && `is owed ${formatMoney(entry.net, summary.currency)}`}
+                {entry.net < 0 && `owes ${formatMoney(-entry.net, summary.currency)}`}
+                {entry.net === 0 && 'settled up'}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">
+          Split an expense when you add it to see who owes whom.
+        </p>
+      )}
+
+      {summary.transfers.length > 0 && (
+        <div className="bg-indigo-50 rounded-lg p-4 mb-4">
+          <p className="text-sm font-medium text-indigo-900 mb-2">To settle up</p>
+          <div className="space-y-2">
+            {summary.transfers.map(transfer => (
+              <div key={`${transfer.from}-${transfer.to}`} className="flex items-center justify-between text-sm">
+                <span className="flex items-center text-gray-700">
+                  {names[transfer.from]}
+                  <ArrowRight className="w-4 h-4 mx-2 text-gray-400" />
+                  {names[transfer.to]}
+                  <span className="ml-2 font-semibold">{formatMoney(transfer.amount, transfer.currency)}</span>
+                </span>
+                {canEdit && (
+                  <button
+                    onClick={() => recordTransfer(transfer)}
+                    className="text-xs text-indigo-700 hover:text-indigo-900 flex items-center space-x-1"
+                  >
+                    <Check className="w-3 h-3" />
+                    <span>Mark paid</span>
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {settlements.length > 0 && (
+        <div className="mb-4">
+          <p className="text-sm font-medium text-gray-700 mb-2">Payments</p>
+          <div className="space-y-1">
+            {settlements.map(settlement => (
+              <div key={settlement.id} className="flex items-center justify-between text-sm text-gray-600">
+                <span>
+                  {settlement.fromName} paid {settlement.toName} {formatMoney(settlement.amount, settlement.currency)}
+                  <span className="text-xs text-gray-400 ml-2">{settlement.date}</span>
+                </span>
+                {canEdit && (
+                  <button
+                    onClick={() => request(`/settlements/${settlement.id}`, { method: 'DELETE' })}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Delete payment"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {canEdit && (
+        <div>
+          {guests.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-2">
+              {guests.map(guest => (
+                <span key={guest.participant} className="text-xs px-2 py-1 bg-gray-100 rounded-full flex items-center">
+                  {guest.name}
+                  <button
+                    onClick={() => request(`/guests/${guest.participant.split(':')[1]}`, { method: 'DELETE' })}
+                    className="ml-1 text-gray-400 hover:text-red-600"
+                    title="Remove guest"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={guestName}
+              onChange={(e) => setGuestName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addGuest()}
+              placeholder="Add a companion without an account"
+              className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              onClick={addGuest}
+              className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 flex items-center space-x-1"
+            >
+              <UserPlus className="w-4 h-4" />
+              <span>Add</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      {summary.unconverted.length > 0 && (
+        <p className="text-xs text-amber-600 mt-2">
+          Not counted (no exchange rate): {summary.unconverted.map(({ currency, amount }) => formatMoney(amount, currency)).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TripBalances;
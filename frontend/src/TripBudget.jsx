@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import { DollarSign, Edit3, Save, X, TrendingUp, AlertTriangle } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+export const BUDGET_CATEGORY_LABELS = {
+  lodging: 'Lodging',
+  food: 'Food',
+  transport: 'Transport',
+  activities: 'Activities',
+  shopping: 'Shopping',
+  other: 'Other'
+};
+
+const STATUS_COLORS = {
+  ok: 'bg-green-500',
+  warning: 'bg-amber-500',
+  over: 'bg-red-500'
+};
+
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount || 0);
+  } catch {
+    return `${currency} ${Math.round(amount || 0)}`;
+  }
+};
+
+// Loads GET /trips/:id/budget; reloads when refreshKey changes (App bumps
+// budgetUpdatedAt on budget, booking and expense changes)
+const useTripBudget = (tripId, token, refreshKey) => {
+  const [summary, setSummary] = useState(null);
+
+  const load = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${tripId}/budget`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (data.success) {
+        setSummary(data.data);
+      }
+    } catch (error) {
+      console.error('Load budget error:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (tripId) {
+      load();
+    }
+  }, [tripId, refreshKey]);
+
+  return [summary, setSummary, load];
+};
+
+const BudgetBar = ({ spent, budget, status }) => {
+  const percent = budget ? Math.min((spent / budget) * 100, 100) : 0;
+  return (
+    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+      <div className={`h-full ${STATUS_COLORS[status] || 'bg-blue-500'}`} style={{ width: `${percent}%` }} />
+    </div>
+  );
+};
+
+// Budget vs. actual section of the trip page. Editors can set the overall
+// budget, per-category budgets and the alert threshold.
+const TripBudget = ({ trip, token, canEdit }) => {
+  const [summary, setSummary] = useTripBudget(trip.id, token, trip.budgetUpdatedAt);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!summary) return null;
+
+  const { currency } = summary;
+  const hasBudget = summary.budget !== null || summary.categories.some(row => row.budget !== null);
+
+  const startEditing = () => {
+    setDraft({
+      total: summary.budget ?? '',
+      alertPercent: summary.alertPercent,
+      categories: Object.fromEntries(summary.categories.map(row => [row.category, row.budget ?? '']))
+    });
+    setError(null);
+    setEditing(true);
+  };
+
+  const saveBudget = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/budget`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          total: draft.total === '' ? null : Number(draft.total),
+          alertPercent: Number(draft.alertPercent),
+          categories: Object.fromEntries(Object.entries(draft.categories).map(
+            ([category, amount]) => [category, amount === '' ? null : Number(amount)]
+          ))
+        })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSummary(data.data);
+        setEditing(false);
+      } else {
+        setError(data.details?.[0]?.message || data.error || 'Could not save the budget');
+      }
+    } catch (err) {
+      console.error('Save budget error:', err);
+      setError('Could not save the budget');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!hasBudget && !canEdit) return null;
+
+  return (
+    <div className="p-6 border-b border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-lg font-semibold flex items-center">
+          <DollarSign className="w-5 h-5 mr-2 text-green-600" />
+          Budget
+        </h4>
+        {canEdit && !editing && (
+          <button
+            onClick={startEditing}
+            className="text-sm text-blue-600 hover:text-blue-700 flex items-center space-x-1"
+          >
+            <Edit3 className="w-4 h-4" />
+            <span>{hasBudget ? 'Edit budget' : 'Set a budget'}</span>
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <label className="text-sm text-gray-700">
+              Total ({currency})
+              <input
+                type="number"
+                min="0"
+                value={draft.total}
+                onChange={(e) => setDraft(prev => ({ ...prev, total: e.target.value }))}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+            {Object.keys(BUDGET_CATEGORY_LABELS).map(category => (
+              <label key={category} className="text-sm text-gray-700">
+                {BUDGET_CATEGORY_LABELS[category]}
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.categories[category]}
+                  onChange={(e) => setDraft(prev => ({
+                    ...prev,
+                    categories: { ...prev.categories, [category]: e.target.value }
+                  }))}
+                  placeholder="No limit"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                />
+              </label>
+            ))}
+            <label className="text-sm text-gray-700">
+              Alert at (%)
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={draft.alertPercent}
+                onChange={(e) => setDraft(prev => ({ ...prev, alertPercent: e.target.value }))}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex space-x-2">
+            <button
+              onClick={saveBudget}
+              disabled={saving}
+              className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              <span>{saving ? 'Saving...' : 'Save budget'}</span>
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              <X className="w-4 h-4" />
+              <span>Cancel</span>
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            <div>
+              <p className="text-xs text-gray-500">Spent so far</p>
+              <p className="text-xl font-bold text-gray-900">{formatMoney(summary.spent, currency)}</p>
+              {summary.budget !== null && (
+                <p className="text-xs text-gray-500">of {formatMoney(summary.budget, currency)}</p>
+              )}
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Projected</p>
+              <p className={`text-xl font-bold ${summary.projectedOver ? 'text-red-600' : 'text-gray-900'}`}>
+                {formatMoney(summary.projected, currency)}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Burn rate</p>
+              <p className="text-xl font-bold text-gray-900">
+                {summary.burnRate !== null ? `${formatMoney(summary.burnRate, currency)}/day` : '—'}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Left per day</p>
+              <p className="text-xl font-bold text-gray-900">
+                {summary.dailyAllowance !== null ? formatMoney(summary.dailyAllowance, currency) : '—'}
+              </p>
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            {summary.categories.filter(row => row.budget !== null || row.spent > 0).map(row => (
+              <div key={row.category}>
+                <div className="flex items-center justify-between text-sm mb-1">
+                  <span className="font-medium text-gray-700 flex items-center">
+                    {BUDGET_CATEGORY_LABELS[row.category]}
+                    {row.projectedOver && row.status !== 'over' && (
+                      <TrendingUp className="w-4 h-4 ml-1 text-amber-500" title="On track to go over" />
+                    )}
+                  </span>
+                  <span className="text-gray-600">
+                    {formatMoney(row.spent, currency)}
+                    {row.budget !== null && ` / ${formatMoney(row.budget, currency)}`}
+                  </span>
+                </div>
+                {row.budget !== null && <BudgetBar spent={row.spent} budget={row.budget} status={row.status} />}
+              </div>
+            ))}
+          </div>
+
+          {summary.unconverted.length > 0 && (
+            <p className="text-xs text-amber-600 mt-3 flex items-center">
+              <AlertTriangle className="w-3 h-3 mr-1" />
+              Not counted (no exchange rate): {summary.unconverted.map(({ currency: code, amount }) => `${amount} ${code}`).join(', ')}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Compact budget card for the companion dashboard. refreshKey lets the
+// parent reload it after saving an expense.
+export const BudgetSummaryCard = ({ trip, token, refreshKey }) => {
+  const [summary] = useTripBudget(trip?.id, token, `${trip?.budgetUpdatedAt || ''}-${refreshKey || ''}`);
+
+  if (!summary || (summary.budget === null && summary.spent === 0)) return null;
+
+  const { currency } = summary;
+  const flagged = summary.categories.filter(row => row.status === 'over' || row.status === 'warning');
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-lg font-semibold mb-3 flex items-center">
+        <DollarSign className="w-5 h-5 mr-2 text-green-600" />
+        Trip Budget
+      </h3>
+      <div className="flex items-baseline justify-between mb-2">
+        <span className="text-2xl font-bold text-gray-900">{formatMoney(summary.spent, currency)}</span>
+        {summary.budget !== null && (
+          <span className="text-sm text-gray-500">of {formatMoney(summary.budget, currency)}</span>
+        )}
+      </div>
+      {summary.budget !== null && <BudgetBar spent={summary.spent} budget={summary.budget} status={summary.status} />}
+      <div className="grid grid-cols-2 gap-2 mt-3 text-sm text-gray-600">
+        {summary.burnRate !== null && <span>{formatMoney(summary.burnRate, currency)}/day so far</span>}
+        {summary.dailyAllowance !== null && <span>{formatMoney(summary.dailyAllowance, currency)}/day left</span>}
+      </div>
+      {flagged.length > 0 && (
+        <div className="mt-3 space-y-1">
+          {flagged.map(row => (
+            <p key={row.category} className={`text-sm flex items-center ${row.status === 'over' ? 'text-red-600' : 'text-amber-600'}`}>
+              <AlertTriangle className="w-4 h-4 mr-1" />
+              {BUDGET_CATEGORY_LABELS[row.category]}: {row.percentUsed}% of budget used
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TripBudget;
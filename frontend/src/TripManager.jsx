@@ -1,19 +1,30 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   Calendar, Edit3, Plus, Trash2, Check, X, Bell, 
   Plane, Hotel, Car, MapPin, Clock, DollarSign,
-  Save, ChevronDown, ChevronUp, AlertCircle, MessageCircle
+  Save, ChevronDown, ChevronUp, AlertCircle, MessageCircle, Users,
+  CalendarPlus, Download, Link2, RefreshCw, Upload, Repeat, AlarmClock, BookOpen
 } from 'lucide-react';
+import ItineraryView from './ItineraryView';
+import TripMembers, { ROLE_LABELS } from './TripMembers';
+import TripBudget from './TripBudget';
+import TripBalances from './TripBalances';
+import { ITEM_CATEGORIES, getItineraryDays, getItineraryTotal, itineraryToText } from './itinerary';
 
-const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setChatOpen }) => {
+const TripManager = ({ trip, onUpdate, onSchedule, token, currentUserId, onLeave, sendChatMessage, setChatOpen }) => {
   const [isEditing, setIsEditing] = useState(false);
-  const [editedItinerary, setEditedItinerary] = useState(trip?.itinerary || '');
+  const [editedItinerary, setEditedItinerary] = useState(itineraryToText(trip?.itinerary));
   const [showBookingModal, setShowBookingModal] = useState(false);
   const [showReminderModal, setShowReminderModal] = useState(false);
   const [showScheduleModal, setShowScheduleModal] = useState(false);
   const [expandedDay, setExpandedDay] = useState(null);
   const [viewMode, setViewMode] = useState('cards'); // 'cards' or 'text'
   const [editingDay, setEditingDay] = useState(null);
+  const [showMembers, setShowMembers] = useState(false);
+  const [showCalendarModal, setShowCalendarModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showScrapbookMenu, setShowScrapbookMenu] = useState(false);
+  const [exportingScrapbook, setExportingScrapbook] = useState(null);
   const [scheduleData, setScheduleData] = useState({
     startDate: trip?.start_date || trip?.startDate || '',
     endDate: trip?.end_date || trip?.endDate || ''
@@ -23,123 +34,59 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
   const isPlanning = trip?.status === 'planning';
   const isUpcoming = trip?.status === 'upcoming';
   const canManage = isActive || isPlanning || isUpcoming; // Allow management for active, planning, and upcoming trips
+  const role = trip?.role || 'owner';
+  const canEdit = role !== 'viewer'; // Viewers of shared trips get a read-only view
   const bookings = trip?.booking_data ? JSON.parse(trip.booking_data) : [];
-  const reminders = trip?.reminders ? JSON.parse(trip.reminders) : [];
+  const [reminders, setReminders] = useState([]);
 
-  // Parse itinerary into structured days
-  const parseItinerary = (itineraryText) => {
-    if (!itineraryText) return [];
-
-    const days = [];
-    const lines = typeof itineraryText === 'string' ? itineraryText.split('\n') : 
-                  (itineraryText?.itinerary || '').split('\n');
-    let currentDay = null;
-
-    lines.forEach(line => {
-      line = line.trim();
-      if (!line) return;
-
-      // Match day headers
-      const dayMatch = line.match(/^#+\s*\*?\*?Day\s+(\d+)[:\-\s]*(.*?)\*?\*?$/i) || 
-                      line.match(/^\*?\*?Day\s+(\d+)[:\-\s]*(.*?)\*?\*?$/i);
-      
-      if (dayMatch) {
-        if (currentDay) {
-          days.push(currentDay);
-        }
-        currentDay = {
-          number: parseInt(dayMatch[1]),
-          title: dayMatch[2].replace(/\*/g, '').replace(/#/g, '').trim() || 'Exploration Day',
-          activities: [],
-          totalCost: 0
-        };
-        return;
-      }
-
-      const costMatch = line.match(/\$(\d+(?:,\d{3})*(?:\.\d{2})?)/);
-      if (costMatch && currentDay) {
-        currentDay.totalCost += parseFloat(costMatch[1].replace(/,/g, ''));
-      }
-
-      if (currentDay && line.length > 3 && !line.match(/^#+/) && !line.match(/^\-\-\-+$/)) {
-        const cleanLine = line
-          .replace(/^#+\s*/, '')
-          .replace(/^\*+\s*/, '')
-          .replace(/\*+$/, '')
-          .replace(/\*\*(.*?)\*\*/g, '$1')
-          .replace(/^-\s*/, '')
-          .replace(/^•\s*/, '')
-          .replace(/^\d+\.\s*/, '')
-          .trim();
-
-        if (cleanLine && !cleanLine.match(/^(Day \d+)/i) && cleanLine !== '---') {
-          currentDay.activities.push(cleanLine);
-        }
-      }
-    });
-
-    if (currentDay) {
-      days.push(currentDay);
-    }
+  const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
 
-    if (days.length === 0 && lines.length > 0) {
-      const activities = lines
-        .filter(line => line.trim().length > 3 && !line.match(/^\-\-\-+$/))
-        .map(line => line
-          .replace(/^#+\s*/, '')
-          .replace(/^\*+\s*/, '')
-          .replace(/\*+$/, '')
-          .replace(/\*\*(.*?)\*\*/g, '$1')
-          .trim()
-        )
-        .filter(line => line && !line.match(/^(Day \d+)/i));
-
-      days.push({
-        number: 1,
-        title: 'Full Itinerary',
-        activities: activities,
-        totalCost: 0
+  const loadReminders = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/reminders`, {
+        headers: { 'Authorization': `Bearer ${token}` }
       });
+      const data = await response.json();
+      if (data.success) {
+        setReminders(data.data);
+      }
+    } catch (error) {
+      console.error('Load reminders error:', error);
     }
-
-    return days;
   };
 
-  const formatActivityText = (text) => {
-    const sectionMatch = text.match(/^(Morning Activity|Afternoon Activity|Evening Activity|Lunch|Dinner|Breakfast)(\s*\(.*?\))?:/i);
-    
-    if (sectionMatch) {
-      return {
-        type: 'header',
-        text: sectionMatch[1],
-        time: sectionMatch[2] ? sectionMatch[2].replace(/[()]/g, '').trim() : null
-      };
+  // Reload when another member changes reminders (App bumps remindersUpdatedAt)
+  useEffect(() => {
+    if (trip?.id) {
+      loadReminders();
     }
-    
-    const detailMatch = text.match(/^(Activity|Venue|Address|Cost|Price Range|Note|Duration):\s*(.+)/i);
-    
-    if (detailMatch) {
-      return {
-        type: 'detail',
-        label: detailMatch[1],
-        value: detailMatch[2].trim()
-      };
-    }
-    
-    return { type: 'text', text: text };
-  };
+  }, [trip?.id, trip?.remindersUpdatedAt]);
 
-  const getDayDate = (startDate, dayNumber) => {
-    if (!startDate) return null;
-    const date = new Date(startDate);
-    date.setDate(date.getDate() + (dayNumber - 1));
-    return date.toLocaleDateString('en-US', {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric'
-    });
+  const reminderAction = async (reminder, action, body = {}) => {
+    try {
+      const isDelete = action === 'delete';
+      const response = await fetch(
+        `${API_BASE_URL}/trips/${trip.id}/reminders/${reminder.id}${isDelete ? '' : `/${action}`}`,
+        {
+          method: isDelete ? 'DELETE' : 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: isDelete ? undefined : JSON.stringify(body)
+        }
+      );
+      const data = await response.json();
+      if (data.success) {
+        loadReminders();
+      } else {
+        alert(data.error || 'Failed to update reminder');
+      }
+    } catch (error) {
+      console.error('Reminder action error:', error);
+      alert('Failed to update reminder');
+    }
   };
-  const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
 
   const handleScheduleTrip = async () => {
     if (!scheduleData.startDate || !scheduleData.endDate) {
@@ -165,11 +112,13 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ itinerary: editedItinerary })
+        body: JSON.stringify({ text: editedItinerary })
       });
       
       if (response.ok) {
-        onUpdate({ ...trip, itinerary: editedItinerary });
+        const data = await response.json();
+        onUpdate({ ...trip, itinerary: data.data.itinerary });
+        setEditedItinerary(itineraryToText(data.data.itinerary));
         setIsEditing(false);
         setViewMode('cards');
       }
@@ -180,62 +129,81 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
 
   // Day Editor Modal Component
   const DayEditor = ({ day, onSave, onCancel }) => {
-    const [activities, setActivities] = useState([...day.activities]);
-    const [newActivity, setNewActivity] = useState('');
+    const emptyItem = { startTime: '', endTime: '', title: '', category: 'activity', cost: '', placeName: '', description: '' };
+    const [title, setTitle] = useState(day.title);
+    const [items, setItems] = useState(day.items.map(item => ({
+      id: item.id,
+      startTime: item.startTime || '',
+      endTime: item.endTime || '',
+      title: item.title,
+      category: item.category,
+      cost: item.cost ? String(item.cost.amount) : '',
+      currency: item.cost?.currency,
+      place: item.place,
+      placeName: item.place?.name || '',
+      description: item.description || '',
+      notes: item.notes,
+      status: item.status
+    })));
+    const [newItem, setNewItem] = useState(emptyItem);
     const [saving, setSaving] = useState(false);
 
-    const addActivity = () => {
-      if (newActivity.trim()) {
-        setActivities([...activities, newActivity.trim()]);
-        setNewActivity('');
+    const addItem = () => {
+      if (newItem.title.trim()) {
+        setItems([...items, { ...newItem, title: newItem.title.trim() }]);
+        setNewItem(emptyItem);
       }
     };
 
-    const removeActivity = (index) => {
-      setActivities(activities.filter((_, i) => i !== index));
+    const removeItem = (index) => {
+      setItems(items.filter((_, i) => i !== index));
     };
 
-    const updateActivity = (index, value) => {
-      const updated = [...activities];
-      updated[index] = value;
-      setActivities(updated);
+    const updateItem = (index, field, value) => {
+      const updated = [...items];
+      updated[index] = { ...updated[index], [field]: value };
+      setItems(updated);
     };
 
-    const moveActivity = (index, direction) => {
-      if (
-        (direction === 'up' && index === 0) ||
-        (direction === 'down' && index === activities.length - 1)
-      ) {
-        return;
-      }
-
-      const updated = [...activities];
-      const newIndex = direction === 'up' ? index - 1 : index + 1;
-      [updated[index], updated[newIndex]] = [updated[newIndex], updated[index]];
-      setActivities(updated);
-    };
+    // Convert the flat form fields back into the itinerary item shape
+    const toItem = (item) => ({
+      id: item.id,
+      startTime: item.startTime || null,
+      endTime: item.endTime || null,
+      title: item.title,
+      category: item.category,
+      cost: item.cost !== '' && !isNaN(parseFloat(item.cost))
+        ? { amount: parseFloat(item.cost), currency: item.currency || trip.itinerary?.currency || 'USD' }
+        : null,
+      place: item.placeName
+        ? (item.place?.name === item.placeName ? item.place : { name: item.placeName })
+        : null,
+      description: item.description || null,
+      notes: item.notes || null,
+      status: item.status
+    });
 
     const handleSave = async () => {
       setSaving(true);
       try {
-        const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/days/${day.number}`, {
+        const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/days/${day.dayNumber}`, {
           method: 'PUT',
           headers: {
             'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
           },
           body: JSON.stringify({
-            activities: activities,
-            title: day.title
+            title,
+            items: items.filter(item => item.title.trim()).map(toItem)
           })
         });
 
         const data = await response.json();
 
         if (data.success) {
-          onSave({ ...day, activities });
+          onSave(data.data.itinerary);
         } else {
-          alert('Failed to save changes');
+          alert(data.details ? data.details.map(d => d.message).join('\n') : 'Failed to save changes');
         }
       } catch (error) {
         console.error('Save error:', error);
@@ -245,13 +213,72 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
       }
     };
 
+    const renderItemFields = (item, onChange) => (
+      <div className="flex-1 space-y-2">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          <input
+            type="time"
+            value={item.startTime}
+            onChange={(e) => onChange('startTime', e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 text-sm"
+            title="Start time"
+          />
+          <input
+            type="time"
+            value={item.endTime}
+            onChange={(e) => onChange('endTime', e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 text-sm"
+            title="End time"
+          />
+          <select
+            value={item.category}
+            onChange={(e) => onChange('category', e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 text-sm"
+          >
+            {ITEM_CATEGORIES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            value={item.cost}
+            onChange={(e) => onChange('cost', e.target.value)}
+            placeholder="Cost"
+            className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 text-sm"
+          />
+        </div>
+        <input
+          type="text"
+          value={item.title}
+          onChange={(e) => onChange('title', e.target.value)}
+          placeholder="What are you doing?"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        />
+        <input
+          type="text"
+          value={item.placeName}
+          onChange={(e) => onChange('placeName', e.target.value)}
+          placeholder="Place (optional)"
+          className="w-full px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 text-sm"
+        />
+        <textarea
+          value={item.description}
+          onChange={(e) => onChange('description', e.target.value)}
+          placeholder="Details (optional)"
+          className="w-full px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 resize-none text-sm"
+          rows={2}
+        />
+      </div>
+    );
+
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
         <div className="bg-white rounded-xl max-w-4xl w-full max-h-[90vh] overflow-hidden shadow-2xl">
           <div className="bg-gradient-to-r from-blue-600 to-purple-600 text-white p-6">
             <div className="flex items-center justify-between">
               <div>
-                <h2 className="text-2xl font-bold">Edit Day {day.number}</h2>
+                <h2 className="text-2xl font-bold">Edit Day {day.dayNumber}</h2>
                 <p className="text-blue-100 text-sm mt-1">{day.title} - {trip.destination}</p>
               </div>
               <button
@@ -264,38 +291,26 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
           </div>
 
           <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)]">
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Day Title</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
             <div className="space-y-3 mb-6">
-              <h3 className="font-semibold text-gray-900 mb-3">Activities</h3>
-              {activities.map((activity, index) => (
-                <div key={index} className="flex items-start space-x-2 bg-gray-50 p-3 rounded-lg group">
-                  <div className="flex flex-col space-y-1">
-                    <button
-                      onClick={() => moveActivity(index, 'up')}
-                      disabled={index === 0}
-                      className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
-                      title="Move up"
-                    >
-                      ▲
-                    </button>
-                    <button
-                      onClick={() => moveActivity(index, 'down')}
-                      disabled={index === activities.length - 1}
-                      className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
-                      title="Move down"
-                    >
-                      ▼
-                    </button>
-                  </div>
-                  <textarea
-                    value={activity}
-                    onChange={(e) => updateActivity(index, e.target.value)}
-                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 resize-none"
-                    rows={2}
-                  />
+              <h3 className="font-semibold text-gray-900 mb-3">Schedule</h3>
+              <p className="text-xs text-gray-500">Items are ordered by start time when saved.</p>
+              {items.map((item, index) => (
+                <div key={item.id || `new-${index}`} className="flex items-start space-x-2 bg-gray-50 p-3 rounded-lg group">
+                  {renderItemFields(item, (field, value) => updateItem(index, field, value))}
                   <button
-                    onClick={() => removeActivity(index)}
+                    onClick={() => removeItem(index)}
                     className="text-red-500 hover:text-red-700 opacity-0 group-hover:opacity-100 transition-opacity"
-                    title="Remove activity"
+                    title="Remove item"
                   >
                     <X className="w-5 h-5" />
                   </button>
@@ -304,23 +319,13 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
             </div>
 
             <div className="border-t pt-4">
-              <h4 className="font-semibold text-gray-900 mb-3">Add New Activity</h4>
-              <div className="flex space-x-2">
-                <textarea
-                  value={newActivity}
-                  onChange={(e) => setNewActivity(e.target.value)}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' && e.ctrlKey) {
-                      addActivity();
-                    }
-                  }}
-                  placeholder="Enter new activity (Ctrl+Enter to add)"
-                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 resize-none"
-                  rows={2}
-                />
+              <h4 className="font-semibold text-gray-900 mb-3">Add New Item</h4>
+              <div className="flex items-start space-x-2">
+                {renderItemFields(newItem, (field, value) => setNewItem(prev => ({ ...prev, [field]: value })))}
                 <button
-                  onClick={addActivity}
-                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                  onClick={addItem}
+                  disabled={!newItem.title.trim()}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
                 >
                   Add
                 </button>
@@ -358,9 +363,13 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
       date: '',
       time: '',
       cost: '',
+      currency: trip.currency || 'USD',
       notes: '',
-      location: ''
+      location: '',
+      endDate: '',
+      endTime: ''
     });
+    const isHotel = bookingType === 'hotel';
 
     const handleSubmit = async () => {
       try {
@@ -370,7 +379,15 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
             'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify(bookingData)
+          body: JSON.stringify({
+            ...bookingData,
+            // Car rentals are stored as transport bookings
+            type: bookingData.type === 'car' ? 'transport' : bookingData.type,
+            bookingDate: bookingData.date || null,
+            bookingTime: bookingData.time || null,
+            endDate: bookingData.endDate || null,
+            endTime: bookingData.endTime || null
+          })
         });
         
         if (response.ok) {
@@ -448,7 +465,7 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
 
             <div className="grid grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Date</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{isHotel ? 'Check-in' : 'Date'}</label>
                 <input
                   type="date"
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
@@ -467,8 +484,32 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
               </div>
             </div>
 
+            {isHotel && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Check-out</label>
+                  <input
+                    type="date"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    value={bookingData.endDate}
+                    min={bookingData.date || undefined}
+                    onChange={(e) => setBookingData(prev => ({ ...prev, endDate: e.target.value }))}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Time</label>
+                  <input
+                    type="time"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    value={bookingData.endTime}
+                    onChange={(e) => setBookingData(prev => ({ ...prev, endTime: e.target.value }))}
+                  />
+                </div>
+              </div>
+            )}
+
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Cost ($)</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Cost ({bookingData.currency})</label>
               <input
                 type="number"
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
@@ -521,15 +562,275 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
     );
   };
 
+  // Import Bookings Modal: parse an .ics/.eml file or pasted confirmation
+  // email into drafts, let the user review them, then save the kept ones
+  const ImportBookingsModal = () => {
+    const [file, setFile] = useState(null);
+    const [text, setText] = useState('');
+    const [drafts, setDrafts] = useState(null);
+    const [warnings, setWarnings] = useState([]);
+    const [parsing, setParsing] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const bookingTypes = ['flight', 'hotel', 'transport', 'activity', 'other'];
+
+    const handleParse = async () => {
+      setParsing(true);
+      try {
+        let body;
+        const headers = { 'Authorization': `Bearer ${token}` };
+        if (file) {
+          body = new FormData();
+          body.append('file', file);
+        } else {
+          body = JSON.stringify({ text });
+          headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/bookings/import`, {
+          method: 'POST',
+          headers,
+          body
+        });
+        const data = await response.json();
+
+        if (data.success) {
+          // Likely duplicates start unchecked
+          setDrafts(data.data.drafts.map(draft => ({ ...draft, include: !draft.duplicateOf })));
+          setWarnings(data.data.warnings || []);
+        } else {
+          alert(data.error || 'Could not read any bookings');
+        }
+      } catch (error) {
+        console.error('Import error:', error);
+        alert('Failed to import bookings');
+      } finally {
+        setParsing(false);
+      }
+    };
+
+    const updateDraft = (index, field, value) => {
+      setDrafts(prev => prev.map((draft, i) => i === index ? { ...draft, [field]: value } : draft));
+    };
+
+    const handleSave = async () => {
+      const selected = drafts
+        .filter(draft => draft.include)
+        .map(({ include, duplicateOf, draftId, source, ...draft }) => ({
+          ...draft,
+          bookingDate: draft.bookingDate || null,
+          bookingTime: draft.bookingTime || null,
+          cost: draft.cost === '' || draft.cost === null ? null : parseFloat(draft.cost)
+        }));
+
+      setSaving(true);
+      try {
+        const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/bookings/import/confirm`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ bookings: selected })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+          onUpdate && onUpdate({
+            ...trip,
+            bookingCount: data.data.bookingCount,
+            totalSpent: data.data.totalSpent,
+            remainingBudget: data.data.remainingBudget
+          });
+          setShowImportModal(false);
+        } else {
+          alert(data.details ? data.details.map(d => d.message).join('\n') : (data.error || 'Failed to save bookings'));
+        }
+      } catch (error) {
+        console.error('Import save error:', error);
+        alert('Failed to save bookings');
+      } finally {
+        setSaving(false);
+      }
+    };
+
+    const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 text-sm';
+    const selectedCount = drafts ? drafts.filter(draft => draft.include).length : 0;
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <div className="bg-white rounded-xl max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto">
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="text-xl font-semibold">Import Bookings</h3>
+            <button onClick={() => setShowImportModal(false)} className="text-gray-400 hover:text-gray-600">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {!drafts ? (
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Calendar file or saved email</label>
+                <input
+                  type="file"
+                  accept=".ics,.eml,.txt,.html,.htm"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                  className="w-full text-sm"
+                />
+              </div>
+              <div className="text-center text-sm text-gray-500">or</div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Paste a confirmation email</label>
+                <textarea
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 text-sm"
+                  rows={8}
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  disabled={!!file}
+                  placeholder="Paste the text of your flight, hotel or ticket confirmation..."
+                />
+              </div>
+              <div className="flex space-x-3 pt-2">
+                <button
+                  onClick={() => setShowImportModal(false)}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleParse}
+                  disabled={parsing || (!file && !text.trim())}
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {parsing ? 'Reading...' : 'Find Bookings'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {warnings.map((warning, index) => (
+                <p key={index} className="text-sm text-yellow-700 bg-yellow-50 p-2 rounded-lg">{warning}</p>
+              ))}
+              {drafts.length === 0 && (
+                <p className="text-gray-500 text-center py-6">No bookings found.</p>
+              )}
+              {drafts.map((draft, index) => (
+                <div key={draft.draftId || index} className={`p-4 rounded-lg border ${draft.include ? 'border-blue-200 bg-blue-50' : 'border-gray-200 bg-gray-50 opacity-70'}`}>
+                  <div className="flex items-center justify-between mb-3">
+                    <label className="flex items-center space-x-2 text-sm font-medium">
+                      <input
+                        type="checkbox"
+                        checked={draft.include}
+                        onChange={(e) => updateDraft(index, 'include', e.target.checked)}
+                      />
+                      <span>Import this booking</span>
+                    </label>
+                    {draft.duplicateOf && (
+                      <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">Already on this trip?</span>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    <input
+                      className={`${inputClass} col-span-2 md:col-span-3`}
+                      value={draft.title}
+                      onChange={(e) => updateDraft(index, 'title', e.target.value)}
+                      placeholder="Title"
+                    />
+                    <select
+                      className={inputClass}
+                      value={draft.type}
+                      onChange={(e) => updateDraft(index, 'type', e.target.value)}
+                    >
+                      {bookingTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                    <input
+                      type="date"
+                      className={inputClass}
+                      value={draft.bookingDate || ''}
+                      onChange={(e) => updateDraft(index, 'bookingDate', e.target.value)}
+                    />
+                    <input
+                      type="time"
+                      className={inputClass}
+                      value={draft.bookingTime || ''}
+                      onChange={(e) => updateDraft(index, 'bookingTime', e.target.value)}
+                    />
+                    <input
+                      className={inputClass}
+                      value={draft.confirmationNumber || ''}
+                      onChange={(e) => updateDraft(index, 'confirmationNumber', e.target.value)}
+                      placeholder="Confirmation #"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      className={inputClass}
+                      value={draft.cost ?? ''}
+                      onChange={(e) => updateDraft(index, 'cost', e.target.value)}
+                      placeholder={`Cost (${draft.currency})`}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {[draft.provider, draft.flightNumber, draft.location,
+                      draft.endDate && `until ${draft.endDate}${draft.endTime ? ` ${draft.endTime}` : ''}`,
+                      draft.timezone].filter(Boolean).join(' • ')}
+                  </p>
+                </div>
+              ))}
+              <div className="flex space-x-3 pt-2">
+                <button
+                  onClick={() => setDrafts(null)}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={saving || selectedCount === 0}
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : `Add ${selectedCount} Booking${selectedCount === 1 ? '' : 's'}`}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   const AddReminderModal = () => {
     const [reminderData, setReminderData] = useState({
       title: '',
       datetime: '',
       type: 'general',
-      notes: ''
+      notes: '',
+      recurrence: 'none',
+      recurrenceUntil: '',
+      bookingId: ''
     });
+    const [tripBookings, setTripBookings] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+      const loadBookings = async () => {
+        try {
+          const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/bookings`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+          });
+          const data = await response.json();
+          if (data.success) {
+            setTripBookings(data.data || []);
+          }
+        } catch (error) {
+          console.error('Load bookings error:', error);
+        }
+      };
+      loadBookings();
+    }, []);
 
     const handleSubmit = async () => {
+      setSaving(true);
       try {
         const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/reminders`, {
           method: 'POST',
@@ -537,22 +838,35 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
             'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify(reminderData)
+          body: JSON.stringify({
+            title: reminderData.title,
+            reminderDate: reminderData.datetime,
+            type: reminderData.type,
+            notes: reminderData.notes,
+            recurrence: reminderData.recurrence,
+            recurrenceUntil: reminderData.recurrence !== 'none' ? reminderData.recurrenceUntil || null : null,
+            bookingId: reminderData.bookingId ? parseInt(reminderData.bookingId) : null
+          })
         });
-        
-        if (response.ok) {
-          const data = await response.json();
-          onUpdate({ ...trip, reminders: JSON.stringify(data.data) });
+
+        const data = await response.json();
+        if (data.success) {
+          loadReminders();
           setShowReminderModal(false);
+        } else {
+          alert(data.details ? data.details.map(d => d.message).join('\n') : (data.error || 'Failed to add reminder'));
         }
       } catch (error) {
         console.error('Reminder error:', error);
+        alert('Failed to add reminder');
+      } finally {
+        setSaving(false);
       }
     };
 
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-        <div className="bg-white rounded-xl max-w-md w-full p-6">
+        <div className="bg-white rounded-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
           <div className="flex items-center justify-between mb-6">
             <h3 className="text-xl font-semibold">Add Reminder</h3>
             <button onClick={() => setShowReminderModal(false)} className="text-gray-400 hover:text-gray-600">
@@ -580,8 +894,54 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
                 value={reminderData.datetime}
                 onChange={(e) => setReminderData(prev => ({ ...prev, datetime: e.target.value }))}
               />
+              {trip.timezone && (
+                <p className="text-xs text-gray-500 mt-1">Local time in {trip.timezone}</p>
+              )}
             </div>
 
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Repeat</label>
+                <select
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  value={reminderData.recurrence}
+                  onChange={(e) => setReminderData(prev => ({ ...prev, recurrence: e.target.value }))}
+                >
+                  <option value="none">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </div>
+              {reminderData.recurrence !== 'none' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Until (optional)</label>
+                  <input
+                    type="date"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    value={reminderData.recurrenceUntil}
+                    onChange={(e) => setReminderData(prev => ({ ...prev, recurrenceUntil: e.target.value }))}
+                  />
+                </div>
+              )}
+            </div>
+
+            {tripBookings.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Linked Booking</label>
+                <select
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  value={reminderData.bookingId}
+                  onChange={(e) => setReminderData(prev => ({ ...prev, bookingId: e.target.value }))}
+                >
+                  <option value="">None</option>
+                  {tripBookings.map(booking => (
+                    <option key={booking.id} value={booking.id}>{booking.title}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
               <select
@@ -617,12 +977,214 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
               </button>
               <button
                 onClick={handleSubmit}
-                disabled={!reminderData.title || !reminderData.datetime}
+                disabled={saving || !reminderData.title || !reminderData.datetime}
                 className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
               >
-                Add Reminder
+                {saving ? 'Saving...' : 'Add Reminder'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Calendar Export Modal: trip time zone, one-off .ics download and the
+  // personal subscription feed (all trips) for Google / Apple Calendar
+  // The server builds the scrapbook (including the AI story), so this can take a while
+  const downloadScrapbook = async (format) => {
+    setShowScrapbookMenu(false);
+    setExportingScrapbook(format);
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/scrapbook.${format}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${(trip.title || 'trip').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-scrapbook.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Scrapbook download error:', error);
+      alert('Failed to create the scrapbook');
+    } finally {
+      setExportingScrapbook(null);
+    }
+  };
+
+  const CalendarModal = () => {
+    const [timezone, setTimezone] = useState(trip.timezone || '');
+    const [savingTimezone, setSavingTimezone] = useState(false);
+    const [feed, setFeed] = useState(null);
+    const [copied, setCopied] = useState(false);
+    const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+    const authHeaders = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    };
+
+    const saveTimezone = async (value) => {
+      setTimezone(value);
+      setSavingTimezone(true);
+      try {
+        const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/timezone`, {
+          method: 'PATCH',
+          headers: authHeaders,
+          body: JSON.stringify({ timezone: value || null })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+          onUpdate && onUpdate({ ...trip, timezone: data.data.timezone });
+        } else {
+          alert(data.error || 'Failed to update time zone');
+        }
+      } catch (error) {
+        console.error('Time zone update error:', error);
+      } finally {
+        setSavingTimezone(false);
+      }
+    };
+
+    const downloadCalendar = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/calendar.ics`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${(trip.title || 'trip').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.ics`;
+        link.click();
+        URL.revokeObjectURL(url);
+      } catch (error) {
+        console.error('Calendar download error:', error);
+        alert('Failed to download calendar');
+      }
+    };
+
+    const loadFeed = async (reset = false) => {
+      if (reset && !confirm('Reset your calendar link? Calendars subscribed to the old link stop updating.')) return;
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/calendar/feed-url${reset ? '/reset' : ''}`, {
+          method: reset ? 'POST' : 'GET',
+          headers: authHeaders
+        });
+        const data = await response.json();
+        if (data.success) {
+          setFeed(data.data);
+        }
+      } catch (error) {
+        console.error('Calendar feed error:', error);
+      }
+    };
+
+    const copyFeed = async () => {
+      try {
+        await navigator.clipboard.writeText(feed.url);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+      } catch (error) {
+        prompt('Copy this calendar link:', feed.url);
+      }
+    };
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <div className="bg-white rounded-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="text-xl font-semibold">Add to Calendar</h3>
+            <button onClick={() => setShowCalendarModal(false)} className="text-gray-400 hover:text-gray-600">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Trip time zone</label>
+              <select
+                value={timezone}
+                onChange={(e) => saveTimezone(e.target.value)}
+                disabled={!canEdit || savingTimezone}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              >
+                <option value="">Not set (times float with the viewer)</option>
+                {timezone && !timezones.includes(timezone) && <option value={timezone}>{timezone}</option>}
+                {timezones.map(zone => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Booking and itinerary times are local times at {trip.destination}.
+              </p>
+            </div>
+
+            <div>
+              <h4 className="font-medium text-gray-900 mb-2">This trip</h4>
+              <button
+                onClick={downloadCalendar}
+                className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                <Download className="w-4 h-4" />
+                <span>Download .ics file</span>
               </button>
             </div>
+
+            <div>
+              <h4 className="font-medium text-gray-900 mb-1">Subscribe to all your trips</h4>
+              <p className="text-xs text-gray-500 mb-2">
+                Calendars subscribed to this private link stay up to date as trips change. Anyone with the link can see your trips.
+              </p>
+              {feed ? (
+                <div className="space-y-2">
+                  <div className="flex space-x-2">
+                    <input
+                      type="text"
+                      readOnly
+                      value={feed.url}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-gray-50"
+                      onFocus={(e) => e.target.select()}
+                    />
+                    <button
+                      onClick={copyFeed}
+                      className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                      title="Copy link"
+                    >
+                      {copied ? <Check className="w-4 h-4 text-green-600" /> : <Link2 className="w-4 h-4" />}
+                    </button>
+                  </div>
+                  <div className="flex items-center justify-between text-sm">
+                    <a href={feed.webcalUrl} className="text-blue-600 hover:text-blue-700">
+                      Open in calendar app
+                    </a>
+                    <button
+                      onClick={() => loadFeed(true)}
+                      className="text-gray-500 hover:text-red-600 flex items-center space-x-1"
+                    >
+                      <RefreshCw className="w-3 h-3" />
+                      <span>Reset link</span>
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <button
+                  onClick={() => loadFeed()}
+                  className="w-full flex items-center justify-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  <Link2 className="w-4 h-4" />
+                  <span>Get subscription link</span>
+                </button>
+              )}
+            </div>
           </div>
         </div>
       </div>
@@ -701,7 +1263,8 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
 
   if (!trip) return null;
 
-  const days = parseItinerary(trip.itinerary);
+  const days = getItineraryDays(trip.itinerary);
+  const estimatedTotal = getItineraryTotal(trip.itinerary);
 
   return (
     <div className="bg-white rounded-xl shadow-lg overflow-hidden">
@@ -717,6 +1280,12 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
                   ACTIVE
                 </span>
               )}
+              {role !== 'owner' && (
+                <span className="bg-white/20 text-white text-xs px-2 py-1 rounded-full font-semibold flex items-center">
+                  <Users className="w-3 h-3 mr-1" />
+                  Shared • {ROLE_LABELS[role]}
+                </span>
+              )}
             </div>
             <p className="text-white/90">{trip.destination}</p>
             <div className="flex items-center space-x-4 mt-3 text-sm text-white/80">
@@ -727,7 +1296,7 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
               {trip.budget && (
                 <span className="flex items-center">
                   <DollarSign className="w-4 h-4 mr-1" />
-                  ${trip.budget}
+                  {trip.budget} {trip.currency}
                 </span>
               )}
               {trip.startDate && (
@@ -740,7 +1309,49 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
           </div>
 
           <div className="flex items-center space-x-2">
-            {isPlanning && (
+            <button
+              onClick={() => setShowCalendarModal(true)}
+              className="bg-white/20 text-white px-3 py-2 rounded-lg hover:bg-white/30 transition-colors"
+              title="Add to calendar"
+            >
+              <CalendarPlus className="w-4 h-4" />
+            </button>
+            <div className="relative">
+              <button
+                onClick={() => setShowScrapbookMenu(prev => !prev)}
+                disabled={Boolean(exportingScrapbook)}
+                className="bg-white/20 text-white px-3 py-2 rounded-lg hover:bg-white/30 transition-colors disabled:opacity-60"
+                title="Download scrapbook"
+              >
+                {exportingScrapbook
+                  ? <RefreshCw className="w-4 h-4 animate-spin" />
+                  : <BookOpen className="w-4 h-4" />}
+              </button>
+              {showScrapbookMenu && (
+                <div className="absolute right-0 mt-2 w-48 bg-white rounded-lg shadow-lg py-1 z-10 text-gray-700 text-sm">
+                  <button
+                    onClick={() => downloadScrapbook('pdf')}
+                    className="w-full text-left px-4 py-2 hover:bg-gray-50"
+                  >
+                    Scrapbook (PDF)
+                  </button>
+                  <button
+                    onClick={() => downloadScrapbook('html')}
+                    className="w-full text-left px-4 py-2 hover:bg-gray-50"
+                  >
+                    Scrapbook (web page)
+                  </button>
+                </div>
+              )}
+            </div>
+            <button
+              onClick={() => setShowMembers(true)}
+              className="bg-white/20 text-white px-4 py-2 rounded-lg hover:bg-white/30 transition-colors font-medium flex items-center space-x-2"
+            >
+              <Users className="w-4 h-4" />
+              <span>{role === 'owner' ? 'Share' : 'Members'}</span>
+            </button>
+            {isPlanning && canEdit && (
               <button
                 onClick={() => setShowScheduleModal(true)}
                 className="bg-white text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors font-medium flex items-center space-x-2"
@@ -754,7 +1365,7 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
       </div>
 
       {/* Action Buttons */}
-      {canManage && (
+      {canManage && canEdit && (
         <div className="border-b border-gray-200 p-4 bg-gray-50">
           <div className="flex flex-wrap gap-2">
             <button
@@ -786,6 +1397,14 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
               <span>Add Booking</span>
             </button>
 
+            <button
+              onClick={() => setShowImportModal(true)}
+              className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <Upload className="w-4 h-4" />
+              <span>Import Bookings</span>
+            </button>
+
             <button
               onClick={() => setShowReminderModal(true)}
               className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
@@ -849,7 +1468,7 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
                           {booking.cost && (
                             <span className="flex items-center">
                               <DollarSign className="w-3 h-3 mr-1" />
-                              {booking.cost}
+                              {booking.cost} {booking.currency}
                             </span>
                           )}
                         </div>
@@ -872,33 +1491,88 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
         </div>
       )}
 
+      {/* Budget Section */}
+      <TripBudget trip={trip} token={token} canEdit={canEdit} />
+      <TripBalances trip={trip} token={token} canEdit={canEdit} />
+
       {/* Reminders Section */}
-      {canManage && reminders.length > 0 && (
+      {reminders.length > 0 && (
         <div className="p-6 border-b border-gray-200">
           <h4 className="text-lg font-semibold mb-4 flex items-center">
             <Bell className="w-5 h-5 mr-2 text-purple-600" />
             Reminders ({reminders.length})
           </h4>
           <div className="space-y-2">
-            {reminders.sort((a, b) => new Date(a.datetime) - new Date(b.datetime)).map((reminder) => (
-              <div key={reminder.id} className="flex items-start space-x-3 p-3 bg-purple-50 rounded-lg border border-purple-100">
-                <AlertCircle className="w-5 h-5 text-purple-600 flex-shrink-0 mt-0.5" />
-                <div className="flex-1">
-                  <div className="flex items-center justify-between">
-                    <h5 className="font-medium text-gray-900">{reminder.title}</h5>
-                    <span className="text-xs bg-purple-200 text-purple-800 px-2 py-1 rounded">
-                      {reminder.type}
-                    </span>
+            {reminders.map((reminder) => {
+              const snoozed = reminder.snoozedUntil && new Date(reminder.snoozedUntil) > new Date();
+
+              return (
+                <div key={reminder.id} className="flex items-start space-x-3 p-3 bg-purple-50 rounded-lg border border-purple-100">
+                  <AlertCircle className="w-5 h-5 text-purple-600 flex-shrink-0 mt-0.5" />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center justify-between">
+                      <h5 className="font-medium text-gray-900">{reminder.title}</h5>
+                      <span className="text-xs bg-purple-200 text-purple-800 px-2 py-1 rounded">
+                        {reminder.type}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1 flex items-center flex-wrap gap-x-3">
+                      <span>{new Date(reminder.reminderDate).toLocaleString()}</span>
+                      {reminder.recurrence !== 'none' && (
+                        <span className="flex items-center text-purple-700">
+                          <Repeat className="w-3 h-3 mr-1" />
+                          {reminder.recurrence}
+                          {reminder.recurrenceUntil && ` until ${new Date(`${reminder.recurrenceUntil}T00:00`).toLocaleDateString()}`}
+                        </span>
+                      )}
+                      {snoozed && (
+                        <span className="flex items-center text-orange-600">
+                          <AlarmClock className="w-3 h-3 mr-1" />
+                          snoozed until {new Date(reminder.snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        </span>
+                      )}
+                    </p>
+                    {reminder.bookingTitle && (
+                      <p className="text-xs text-gray-500 mt-1">Booking: {reminder.bookingTitle}</p>
+                    )}
+                    {reminder.notes && (
+                      <p className="text-sm text-gray-500 mt-1">{reminder.notes}</p>
+                    )}
+                    {canEdit && (
+                      <div className="flex items-center space-x-3 mt-2 text-xs">
+                        <button
+                          onClick={() => reminderAction(reminder, 'done')}
+                          className="flex items-center text-green-700 hover:text-green-900"
+                        >
+                          <Check className="w-3 h-3 mr-1" />
+                          {reminder.recurrence !== 'none' ? 'Done, next' : 'Done'}
+                        </button>
+                        <button
+                          onClick={() => reminderAction(reminder, 'snooze', { minutes: 60 })}
+                          className="flex items-center text-orange-600 hover:text-orange-800"
+                        >
+                          <AlarmClock className="w-3 h-3 mr-1" />
+                          Snooze 1h
+                        </button>
+                        <button
+                          onClick={() => reminderAction(reminder, 'snooze', { minutes: 24 * 60 })}
+                          className="text-orange-600 hover:text-orange-800"
+                        >
+                          1 day
+                        </button>
+                        <button
+                          onClick={() => reminderAction(reminder, 'delete')}
+                          className="flex items-center text-red-600 hover:text-red-800"
+                        >
+                          <Trash2 className="w-3 h-3 mr-1" />
+                          Delete
+                        </button>
+                      </div>
+                    )}
                   </div>
-                  <p className="text-sm text-gray-600 mt-1">
-                    {new Date(reminder.datetime).toLocaleString()}
-                  </p>
-                  {reminder.notes && (
-                    <p className="text-sm text-gray-500 mt-1">{reminder.notes}</p>
-                  )}
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         </div>
       )}
@@ -926,7 +1600,7 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
               <button
                 onClick={() => {
                   setIsEditing(false);
-                  setEditedItinerary(trip.itinerary);
+                  setEditedItinerary(itineraryToText(trip.itinerary));
                   setViewMode('cards');
                 }}
                 className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
@@ -938,110 +1612,41 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
         ) : viewMode === 'cards' && days.length > 0 ? (
           <>
             {/* Day Cards View */}
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
-              {days.map((day) => {
-                const dayDate = getDayDate(trip.startDate, day.number);
-
-                return (
-                  <div key={day.number} className="bg-white border border-gray-200 rounded-xl shadow-md overflow-hidden hover:shadow-xl transition-shadow">
-                    {/* Day Header */}
-                    <div className="bg-gradient-to-r from-blue-500 to-purple-600 text-white p-4">
-                      <div className="flex items-center justify-between">
-                        <div>
-                          <div className="flex items-center space-x-2 mb-1">
-                            <span className="text-2xl font-bold">Day {day.number}</span>
-                            {dayDate && (
-                              <span className="text-blue-100 text-sm">• {dayDate}</span>
-                            )}
-                          </div>
-                          <h3 className="text-lg font-semibold">{day.title}</h3>
-                        </div>
-                        {day.totalCost > 0 && (
-                          <div className="text-right">
-                            <div className="text-xs text-blue-100">Estimated</div>
-                            <div className="text-2xl font-bold">${day.totalCost.toFixed(0)}</div>
-                          </div>
-                        )}
-                      </div>
-                    </div>
-
-                    {/* Day Activities */}
-                    <div className="p-6">
-                      <div className="space-y-4">
-                        {day.activities.map((activity, idx) => {
-                          const formatted = formatActivityText(activity);
-                          
-                          if (formatted.type === 'header') {
-                            return (
-                              <div key={idx} className="mt-4 first:mt-0">
-                                <h4 className="font-bold text-gray-900 text-base flex items-center">
-                                  <span className="bg-blue-100 text-blue-700 px-2 py-1 rounded mr-2 text-sm">
-                                    {formatted.text}
-                                  </span>
-                                  {formatted.time && (
-                                    <span className="text-sm text-gray-600 font-normal">
-                                      {formatted.time}
-                                    </span>
-                                  )}
-                                </h4>
-                              </div>
-                            );
-                          }
-                          
-                          if (formatted.type === 'detail') {
-                            return (
-                              <div key={idx} className="ml-4 flex items-start space-x-2">
-                                <span className="font-semibold text-gray-700 text-sm min-w-[80px]">
-                                  {formatted.label}:
-                                </span>
-                                <span className="text-gray-600 text-sm flex-1">
-                                  {formatted.value}
-                                </span>
-                              </div>
-                            );
+            <div className="mb-8">
+              <ItineraryView
+                itinerary={trip.itinerary}
+                startDate={trip.start_date || trip.startDate}
+                destination={trip.destination}
+                renderDayFooter={(day) => canManage && (
+                  <div className="border-t border-gray-100 px-6 py-3 bg-gray-50 flex items-center justify-between">
+                    <button
+                      onClick={() => {
+                          if (sendChatMessage) {
+                              sendChatMessage(`Give me more details and suggestions for Day ${day.dayNumber}: ${day.title} in ${trip.destination}`);
+                              if (setChatOpen) {
+                                  setChatOpen(true);
+                              }  
+                          } else {
+                              console.log(`AI request for Day ${day.dayNumber}`);
                           }
-                          
-                          return (
-                            <div key={idx} className="flex items-start space-x-3 text-gray-700 ml-2">
-                              <span className="text-blue-500 mt-1">•</span>
-                              <span className="flex-1 leading-relaxed text-sm">{formatted.text}</span>
-                            </div>
-                          );
-                        })}
-                      </div>
-                    </div>
-
-                    {/* Day Footer */}
-                    {canManage && (
-                      <div className="border-t border-gray-100 px-6 py-3 bg-gray-50 flex items-center justify-between">
-                        <button
-                          onClick={() => {
-                              if (sendChatMessage) {
-                                  sendChatMessage(`Give me more details and suggestions for Day ${day.number}: ${day.title} in ${trip.destination}`);
-                                  if (setChatOpen) {
-                                      setChatOpen(true);
-                                  }  
-                              } else {
-                                  console.log(`AI request for Day ${day.number}`);
-                              }
-                          }}
-                          className="text-sm text-blue-600 hover:text-blue-700 flex items-center space-x-1"
-                        >
-                          <MessageCircle className="w-4 h-4" />
-                          <span>Ask AI</span>
-                        </button>
-                        <button
-                          onClick={() => setEditingDay(day)}
-                          className="text-sm text-purple-600 hover:text-purple-700 flex items-center space-x-1"
-                        >
-                          <span>✏️</span>
-                          <span>Edit Day</span>
-                        </button>
-                      </div>
+                      }}
+                      className="text-sm text-blue-600 hover:text-blue-700 flex items-center space-x-1"
+                    >
+                      <MessageCircle className="w-4 h-4" />
+                      <span>Ask AI</span>
+                    </button>
+                    {canEdit && (
+                      <button
+                        onClick={() => setEditingDay(day)}
+                        className="text-sm text-purple-600 hover:text-purple-700 flex items-center space-x-1"
+                      >
+                        <span>✏️</span>
+                        <span>Edit Day</span>
+                      </button>
                     )}
                   </div>
-                );
-              })}
+                )}
+              />
             </div>
 
             {/* Trip Summary */}
@@ -1055,13 +1660,13 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
                 <div>
                   <div className="text-sm text-gray-600 mb-1">Estimated Total Cost</div>
                   <div className="text-2xl font-bold text-gray-900">
-                    ${days.reduce((sum, day) => sum + day.totalCost, 0).toFixed(0)}
+                    ${estimatedTotal.toFixed(0)}
                   </div>
                 </div>
                 <div>
                   <div className="text-sm text-gray-600 mb-1">Budget Remaining</div>
                   <div className="text-2xl font-bold text-green-600">
-                    ${Math.max(0, (trip.budget || 0) - days.reduce((sum, day) => sum + day.totalCost, 0)).toFixed(0)}
+                    ${Math.max(0, (trip.budget || 0) - estimatedTotal).toFixed(0)}
                   </div>
                 </div>
               </div>
@@ -1071,9 +1676,7 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
           /* Text View */
           <div className="prose max-w-none">
             <div className="whitespace-pre-wrap text-gray-700 bg-gray-50 p-4 rounded-lg">
-              {typeof trip.itinerary === 'string' 
-                ? trip.itinerary 
-                : trip.itinerary?.itinerary || 'No itinerary available'}
+              {itineraryToText(trip.itinerary) || 'No itinerary available'}
             </div>
           </div>
         )}
@@ -1083,14 +1686,25 @@ const TripManager = ({ trip, onUpdate, onSchedule, token, sendChatMessage, setCh
       {showBookingModal && <AddBookingModal />}
       {showReminderModal && <AddReminderModal />}
       {showScheduleModal && <ScheduleTripModal />}
+      {showCalendarModal && <CalendarModal />}
+      {showImportModal && <ImportBookingsModal />}
+      {showMembers && (
+        <TripMembers
+          trip={trip}
+          token={token}
+          currentUserId={currentUserId}
+          onClose={() => setShowMembers(false)}
+          onLeft={onLeave}
+        />
+      )}
       {editingDay && (
         <DayEditor
           day={editingDay}
-          onSave={(updatedDay) => {
+          onSave={(itinerary) => {
             setEditingDay(null);
+            setEditedItinerary(itineraryToText(itinerary));
             if (onUpdate) {
-              // Reload the trip to get updated data
-              onUpdate(trip);
+              onUpdate({ ...trip, itinerary });
             }
           }}
           onCancel={() => setEditingDay(null)}
@@ -0,0 +1,464 @@
+import React, { useState, useEffect } from 'react';
+import { Users, X, Mail, Link2, Check, Trash2, UserPlus, Globe } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Can edit',
+  viewer: 'Can view'
+};
+
+const SHARE_LINK_EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: 'Expires in 1 day' },
+  { value: '7', label: 'Expires in 7 days' },
+  { value: '30', label: 'Expires in 30 days' }
+];
+
+const authHeaders = (token) => ({
+  'Authorization': `Bearer ${token}`,
+  'Content-Type': 'application/json'
+});
+
+// Members modal: everyone on the trip can see who else is on it; only the
+// owner can invite, change roles and remove people. Members can leave.
+const TripMembers = ({ trip, token, currentUserId, onClose, onLeft }) => {
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [role, setRole] = useState(trip.role || 'owner');
+  const [loading, setLoading] = useState(true);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [inviting, setInviting] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [shareExpiry, setShareExpiry] = useState('');
+
+  const isOwner = role === 'owner';
+
+  const loadMembers = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/members`, {
+        headers: authHeaders(token)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setMembers(data.data.members);
+        setInvitations(data.data.invitations);
+        setRole(data.data.role);
+        if (data.data.role === 'owner') {
+          loadShareLinks();
+        }
+      }
+    } catch (error) {
+      console.error('Load members error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMembers();
+  }, [trip.id]);
+
+  const loadShareLinks = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/share-links`, {
+        headers: authHeaders(token)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setShareLinks(data.data);
+      }
+    } catch (error) {
+      console.error('Load share links error:', error);
+    }
+  };
+
+  // `key` keeps copy feedback apart for invitations and share links
+  const copyToClipboard = async (url, key) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopiedId(key);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (error) {
+      prompt('Copy this link:', url);
+    }
+  };
+
+  const copyLink = (invitation) => copyToClipboard(invitation.inviteUrl, `invite-${invitation.id}`);
+
+  const createShareLink = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/share-links`, {
+        method: 'POST',
+        headers: authHeaders(token),
+        body: JSON.stringify({ expiresInDays: shareExpiry ? parseInt(shareExpiry) : undefined })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setShareLinks([data.data, ...shareLinks]);
+        copyToClipboard(data.data.url, `share-${data.data.id}`);
+      } else {
+        alert(data.error || 'Failed to create share link');
+      }
+    } catch (error) {
+      console.error('Create share link error:', error);
+      alert('Failed to create share link');
+    }
+  };
+
+  const revokeShareLink = async (linkId) => {
+    if (!confirm('Revoke this link? Anyone using it will lose access.')) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/share-links/${linkId}`, {
+        method: 'DELETE',
+        headers: authHeaders(token)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setShareLinks(shareLinks.filter(link => link.id !== linkId));
+      }
+    } catch (error) {
+      console.error('Revoke share link error:', error);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/invitations`, {
+        method: 'POST',
+        headers: authHeaders(token),
+        body: JSON.stringify({ email: inviteEmail.trim() || undefined, role: inviteRole })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setInviteEmail('');
+        await loadMembers();
+        // Link-only invitations are useless until shared, so copy right away
+        if (!data.data.email) {
+          copyLink(data.data);
+        }
+      } else {
+        alert(data.error || 'Failed to create invitation');
+      }
+    } catch (error) {
+      console.error('Invite error:', error);
+      alert('Failed to create invitation');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const revokeInvitation = async (invitationId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/invitations/${invitationId}`, {
+        method: 'DELETE',
+        headers: authHeaders(token)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setInvitations(invitations.filter(invitation => invitation.id !== invitationId));
+      }
+    } catch (error) {
+      console.error('Revoke invitation error:', error);
+    }
+  };
+
+  const changeRole = async (userId, newRole) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/members/${userId}`, {
+        method: 'PATCH',
+        headers: authHeaders(token),
+        body: JSON.stringify({ role: newRole })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setMembers(members.map(member => member.userId === userId ? { ...member, role: newRole } : member));
+      } else {
+        alert(data.error || 'Failed to update member');
+      }
+    } catch (error) {
+      console.error('Update member error:', error);
+    }
+  };
+
+  const removeMember = async (member) => {
+    const leaving = member.userId === currentUserId;
+    const question = leaving
+      ? `Leave "${trip.title}"? You will lose access to this trip.`
+      : `Remove ${member.name} from this trip?`;
+    if (!confirm(question)) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/trips/${trip.id}/members/${member.userId}`, {
+        method: 'DELETE',
+        headers: authHeaders(token)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        if (leaving) {
+          onLeft && onLeft(trip.id);
+          onClose();
+        } else {
+          setMembers(members.filter(m => m.userId !== member.userId));
+        }
+      } else {
+        alert(data.error || 'Failed to remove member');
+      }
+    } catch (error) {
+      console.error('Remove member error:', error);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] overflow-hidden shadow-2xl">
+        <div className="bg-gradient-to-r from-blue-600 to-purple-600 text-white p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-2xl font-bold flex items-center">
+                <Users className="w-6 h-6 mr-2" />
+                Trip Members
+              </h2>
+              <p className="text-blue-100 text-sm mt-1">{trip.title}</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white transition-colors"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-120px)] space-y-6">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <>
+              <div className="space-y-2">
+                {members.map((member) => (
+                  <div key={member.userId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <div className="min-w-0">
+                      <div className="font-medium text-gray-900 truncate">
+                        {member.name}
+                        {member.userId === currentUserId && <span className="text-gray-500 font-normal"> (you)</span>}
+                      </div>
+                      <div className="text-xs text-gray-500 truncate">{member.email}</div>
+                    </div>
+                    <div className="flex items-center space-x-2 ml-3">
+                      {isOwner && member.role !== 'owner' ? (
+                        <select
+                          value={member.role}
+                          onChange={(e) => changeRole(member.userId, e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="editor">{ROLE_LABELS.editor}</option>
+                          <option value="viewer">{ROLE_LABELS.viewer}</option>
+                        </select>
+                      ) : (
+                        <span className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full">
+                          {ROLE_LABELS[member.role]}
+                        </span>
+                      )}
+                      {member.role !== 'owner' && (isOwner || member.userId === currentUserId) && (
+                        <button
+                          onClick={() => removeMember(member)}
+                          className="text-red-500 hover:text-red-700"
+                          title={member.userId === currentUserId ? 'Leave trip' : 'Remove member'}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {isOwner && (
+                <>
+                  <form onSubmit={handleInvite} className="border-t pt-4 space-y-3">
+                    <h3 className="font-semibold text-gray-900 flex items-center">
+                      <UserPlus className="w-4 h-4 mr-2" />
+                      Invite someone
+                    </h3>
+                    <div className="flex space-x-2">
+                      <input
+                        type="email"
+                        value={inviteEmail}
+                        onChange={(e) => setInviteEmail(e.target.value)}
+                        placeholder="Email (leave empty for a link)"
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                      />
+                      <select
+                        value={inviteRole}
+                        onChange={(e) => setInviteRole(e.target.value)}
+                        className="px-2 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="viewer">{ROLE_LABELS.viewer}</option>
+                        <option value="editor">{ROLE_LABELS.editor}</option>
+                      </select>
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={inviting}
+                      className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center justify-center space-x-2"
+                    >
+                      {inviteEmail.trim() ? <Mail className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}
+                      <span>{inviting ? 'Creating...' : inviteEmail.trim() ? 'Send Invitation' : 'Create Invite Link'}</span>
+                    </button>
+                  </form>
+
+                  {invitations.length > 0 && (
+                    <div className="space-y-2">
+                      <h3 className="font-semibold text-gray-900">Pending invitations</h3>
+                      {invitations.map((invitation) => (
+                        <div key={invitation.id} className="flex items-center justify-between p-3 bg-yellow-50 border border-yellow-100 rounded-lg">
+                          <div className="min-w-0">
+                            <div className="text-sm font-medium text-gray-900 truncate">
+                              {invitation.email || 'Invite link'}
+                            </div>
+                            <div className="text-xs text-gray-500">
+                              {ROLE_LABELS[invitation.role]} • expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                            </div>
+                          </div>
+                          <div className="flex items-center space-x-2 ml-3">
+                            <button
+                              onClick={() => copyLink(invitation)}
+                              className="text-blue-600 hover:text-blue-700"
+                              title="Copy invite link"
+                            >
+                              {copiedId === `invite-${invitation.id}` ? <Check className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}
+                            </button>
+                            <button
+                              onClick={() => revokeInvitation(invitation.id)}
+                              className="text-red-500 hover:text-red-700"
+                              title="Revoke invitation"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="border-t pt-4 space-y-3">
+                    <h3 className="font-semibold text-gray-900 flex items-center">
+                      <Globe className="w-4 h-4 mr-2" />
+                      Public read-only link
+                    </h3>
+                    <p className="text-xs text-gray-500">
+                      Anyone with the link can view the itinerary without an account. Costs and confirmation numbers are hidden.
+                    </p>
+                    <div className="flex space-x-2">
+                      <select
+                        value={shareExpiry}
+                        onChange={(e) => setShareExpiry(e.target.value)}
+                        className="flex-1 px-2 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                      >
+                        {SHARE_LINK_EXPIRY_OPTIONS.map(({ value, label }) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={createShareLink}
+                        className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors flex items-center space-x-2"
+                      >
+                        <Link2 className="w-4 h-4" />
+                        <span>Create Link</span>
+                      </button>
+                    </div>
+                    {shareLinks.map((link) => (
+                      <div key={link.id} className="flex items-center justify-between p-3 bg-purple-50 border border-purple-100 rounded-lg">
+                        <div className="min-w-0">
+                          <div className="text-sm font-medium text-gray-900 truncate">{link.url}</div>
+                          <div className="text-xs text-gray-500">
+                            {link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleDateString()}` : 'No expiry'}
+                            {' • '}{link.viewCount} {link.viewCount === 1 ? 'view' : 'views'}
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-2 ml-3">
+                          <button
+                            onClick={() => copyToClipboard(link.url, `share-${link.id}`)}
+                            className="text-blue-600 hover:text-blue-700"
+                            title="Copy link"
+                          >
+                            {copiedId === `share-${link.id}` ? <Check className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}
+                          </button>
+                          <button
+                            onClick={() => revokeShareLink(link.id)}
+                            className="text-red-500 hover:text-red-700"
+                            title="Revoke link"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Banner listing trip invitations waiting for the current user
+export const PendingInvitations = ({ invitations, onRespond }) => {
+  if (!invitations || invitations.length === 0) return null;
+
+  return (
+    <div className="space-y-2 mb-6">
+      {invitations.map((invitation) => (
+        <div key={invitation.token} className="flex items-center justify-between p-4 bg-blue-50 border border-blue-200 rounded-xl">
+          <div className="flex items-center space-x-3 min-w-0">
+            <Users className="w-5 h-5 text-blue-600 flex-shrink-0" />
+            <div className="min-w-0">
+              <div className="font-medium text-gray-900 truncate">
+                {invitation.invitedBy} invited you to "{invitation.tripTitle}"
+              </div>
+              <div className="text-sm text-gray-600">
+                {invitation.destination} • {ROLE_LABELS[invitation.role]}
+              </div>
+            </div>
+          </div>
+          <div className="flex items-center space-x-2 ml-3">
+            <button
+              onClick={() => onRespond(invitation, false)}
+              className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 text-sm"
+            >
+              Decline
+            </button>
+            <button
+              onClick={() => onRespond(invitation, true)}
+              className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+            >
+              Join Trip
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TripMembers;
@@ -0,0 +1,90 @@
+// ===================================
+// frontend/src/itinerary.js - Structured itinerary helpers
+// Mirrors backend/services/itinerary.js so the UI and API agree on shape.
+// ===================================
+
+export const ITEM_CATEGORIES = [
+    { value: 'activity', label: 'Activity' },
+    { value: 'meal', label: 'Meal' },
+    { value: 'transport', label: 'Transport' },
+    { value: 'lodging', label: 'Lodging' },
+    { value: 'free_time', label: 'Free Time' },
+    { value: 'other', label: 'Other' }
+];
+
+export const getItineraryDays = (itinerary) =>
+    Array.isArray(itinerary?.days) ? itinerary.days : [];
+
+export const getItineraryTotal = (itinerary) => {
+    if (typeof itinerary?.totalEstimatedCost === 'number') return itinerary.totalEstimatedCost;
+    return getItineraryDays(itinerary).reduce((sum, day) => sum + (day.estimatedCost || 0), 0);
+};
+
+export const formatTimeRange = (item) => {
+    if (!item?.startTime) return '';
+    return item.endTime ? `${item.startTime} - ${item.endTime}` : item.startTime;
+};
+
+export const formatCost = (cost) => {
+    if (!cost || !cost.amount) return '';
+    const amount = Number(cost.amount);
+    return cost.currency && cost.currency !== 'USD'
+        ? `${amount.toFixed(0)} ${cost.currency}`
+        : `$${amount.toFixed(0)}`;
+};
+
+// Day dates are stored as YYYY-MM-DD; parse as local time so they don't shift
+export const getDayDate = (day, startDate) => {
+    let date = null;
+    if (day?.date) {
+        const [year, month, dayOfMonth] = day.date.split('-').map(Number);
+        date = new Date(year, month - 1, dayOfMonth);
+    } else if (startDate) {
+        date = new Date(startDate);
+        date.setDate(date.getDate() + (day.dayNumber - 1));
+    }
+    if (!date || isNaN(date)) return null;
+    return date.toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+    });
+};
+
+export const getPlaceMapUrl = (place, destination) => {
+    if (!place) return null;
+    if (place.coordinates) {
+        return `https://www.google.com/maps/search/?api=1&query=${place.coordinates.lat},${place.coordinates.lng}`;
+    }
+    const query = [place.name, place.address || destination].filter(Boolean).join(', ');
+    return query ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}` : null;
+};
+
+// Plain-text form used by the itinerary text editor. The backend parses this
+// same format back into the structured model (ItineraryService.fromText).
+export const itineraryToText = (itinerary) => {
+    const days = getItineraryDays(itinerary);
+    if (days.length === 0) return '';
+
+    const lines = [];
+    if (itinerary.summary) {
+        lines.push(itinerary.summary, '');
+    }
+
+    days.forEach(day => {
+        lines.push(`**Day ${day.dayNumber}: ${day.title}**`);
+        day.items.forEach(item => {
+            const time = item.startTime
+                ? `${item.startTime}${item.endTime ? `-${item.endTime}` : ''} `
+                : '';
+            const cost = item.cost ? ` ($${item.cost.amount})` : '';
+            const place = item.place?.name && item.place.name !== item.title ? ` @ ${item.place.name}` : '';
+            lines.push(`* ${time}${item.title}${cost}${place}`);
+            if (item.description) lines.push(`  Activity: ${item.description}`);
+            if (item.notes) lines.push(`  Note: ${item.notes}`);
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n').trim();
+};
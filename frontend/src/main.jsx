@@ -1,10 +1,24 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import SharedTrip from './SharedTrip.jsx'
+import { VerifyEmailPage, PasswordResetPage } from './AccountLinks.jsx'
 import './index.css'
 
+// Public share links render a standalone read-only page without the app shell
+const sharedMatch = window.location.pathname.match(/^\/shared\/([A-Za-z0-9]+)\/?$/);
+
+// So do the verification and password reset links mailed to users
+const linkPages = { '/verify-email': VerifyEmailPage, '/reset-password': PasswordResetPage };
+const LinkPage = linkPages[window.location.pathname.replace(/\/$/, '')];
+const linkToken = new URLSearchParams(window.location.search).get('token');
+
+const page = sharedMatch
+  ? <SharedTrip token={sharedMatch[1]} />
+  : (LinkPage && linkToken ? <LinkPage token={linkToken} /> : <App />);
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {page}
   </React.StrictMode>,
 );